@@ -1,6 +1,7 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const path = require('path');
 const logger = require('./src/logger');
 const WhatsAppService = require('./src/whatsappService');
 const AlternativeWhatsAppService = require('./src/alternativeWhatsAppService');
@@ -8,13 +9,36 @@ const MessageGenerator = require('./src/messageGenerator');
 const ConversationHistory = require('./src/conversationHistory');
 const CronScheduler = require('./src/cronScheduler');
 const VoiceGenerator = require('./src/voiceGenerator');
+const RecipientRegistry = require('./src/recipientRegistry');
+const PersonaProfiles = require('./src/personaProfiles');
+const MessageValidator = require('./src/messageValidator');
+const AutoReplyManager = require('./src/autoReplyManager');
+const SendWindow = require('./src/sendWindow');
+const HumanizedScheduler = require('./src/humanizedScheduler');
+const EngagementPolicy = require('./src/engagementPolicy');
+const ScheduleStore = require('./src/scheduleStore');
+const ScheduledMessages = require('./src/scheduledMessages');
+const SpecialDates = require('./src/specialDates');
+const Outbox = require('./src/outbox');
+const ApprovalQueue = require('./src/approvalQueue');
+const CandidateRanker = require('./src/candidateRanker');
+const MediaStore = require('./src/mediaStore');
+const MediaLibrary = require('./src/mediaLibrary');
+const ChatRetriever = require('./src/chatRetriever');
+const MemoryStore = require('./src/memoryStore');
+const { createTranscriber, createDescriber } = require('./src/mediaProviders');
+const { createExtractor } = require('./src/memoryExtractors');
+const { createAnalyzer } = require('./src/moodAnalyzer');
+const historySearch = require('./src/historySearch');
+const { getSupportedStyles } = require('./src/messageStyles');
+const { getSupportedLanguages, loadStrings } = require('./src/promptTemplates');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '20mb' })); // Media library uploads carry the file in base64
 
 // Global variables
 let whatsappService = null;
@@ -23,23 +47,394 @@ let messageGenerator = null;
 let conversationHistory = null;
 let cronScheduler = null;
 let voiceGenerator = null;
+let recipientRegistry = null;
+let personaProfiles = null;
+let messageValidator = null;
+let autoReplyManager = null;
+let engagementPolicy = null;
+let scheduleStore = null;
+let scheduledMessages = null;
+let specialDates = null;
+let outbox = null;
+let approvalQueue = null;
+let mediaStore = null;
+let mediaLibrary = null;
+let chatRetriever = null;
+let memoryStore = null;
 let isAutomationInitialized = false;
 
-// Configuration
-const targetPhoneNumber = process.env.TARGET_PHONE_NUMBER;
+// Configuration (env values are defaults for new recipients; TARGET_PHONE_NUMBER seeds an empty registry)
+const defaultTargetPhoneNumber = process.env.TARGET_PHONE_NUMBER;
 const messageInterval = parseInt(process.env.MESSAGE_INTERVAL_SECONDS) || 10;
+const noveltyWindow = parseInt(process.env.NOVELTY_RECENT_MESSAGES) || 10; // Our last messages new ones are compared with
+const memoryPromptLimit = parseInt(process.env.MEMORY_PROMPT_LIMIT) || 5; // Memories a prompt may bring up
 const voiceInterval = parseInt(process.env.VOICE_INTERVAL_SECONDS) || 240; // Voice messages every 240 seconds (4 minutes for testing)
 const stats = {
     messagesSent: 0,
     voiceMessagesSent: 0,
+    mediaMessagesSent: 0,
     errors: 0,
     startTime: new Date()
 };
 let lastMessageSent = null;
 let lastVoiceMessageSent = null;
+const recipientActivity = new Map(); // phoneNumber -> { lastMessage, lastVoiceMessage }
+
+// Resolve a recipient by phone number, or fall back to the first enabled recipient
+function resolveRecipient(phoneNumber = null) {
+    if (!recipientRegistry) {
+        return null;
+    }
+
+    if (phoneNumber) {
+        return recipientRegistry.get(phoneNumber);
+    }
+
+    const enabled = recipientRegistry.getEnabled();
+    return enabled.length > 0 ? enabled[0] : null;
+}
+
+function recordRecipientActivity(phoneNumber, key, entry) {
+    const activity = recipientActivity.get(phoneNumber) || { lastMessage: null, lastVoiceMessage: null };
+    activity[key] = entry;
+    recipientActivity.set(phoneNumber, activity);
+}
+
+// Send an outbox entry through WhatsApp
+async function sendOutboxEntry(entry) {
+    if (entry.kind === 'voice') {
+        return whatsappService.sendVoiceMessage(entry.phoneNumber, entry.filePath);
+    }
+    if (entry.kind === 'media') {
+        return whatsappService.sendMedia(entry.phoneNumber, entry.filePath, { kind: entry.media.kind, caption: entry.text });
+    }
+    return whatsappService.sendMessage(entry.phoneNumber, entry.text);
+}
+
+// Track a message the outbox sent, right away or on a later retry: history, stats and last message
+async function recordOutboxSent(entry) {
+    const voice = entry.kind === 'voice';
+    if (entry.kind === 'media') {
+        await recordMediaSent(entry);
+        return;
+    }
+    if (conversationHistory) {
+        await conversationHistory.markMessageSent(entry.phoneNumber, entry.text, voice);
+    }
+    if (memoryStore) {
+        await memoryStore.noteSent(entry.phoneNumber, entry.text);
+    }
+
+    const record = {
+        message: entry.text,
+        timestamp: new Date(entry.sentAt),
+        phoneNumber: entry.phoneNumber,
+        type: entry.type,
+        ...entry.meta,
+        outboxId: entry.id,
+        attempts: entry.attempts,
+        serviceType: isUsingAlternative ? 'alternative' : 'primary'
+    };
+
+    if (voice) {
+        stats.voiceMessagesSent++;
+        lastVoiceMessageSent = record;
+        recordRecipientActivity(entry.phoneNumber, 'lastVoiceMessage', record);
+    } else {
+        stats.messagesSent++;
+        lastMessageSent = record;
+        recordRecipientActivity(entry.phoneNumber, 'lastMessage', record);
+    }
+}
+
+// History shows a sent library item like received media ("[Image: girasoles] caption")
+async function recordMediaSent(entry) {
+    const item = mediaLibrary ? mediaLibrary.get(entry.media.id) : null;
+    if (item) {
+        await mediaLibrary.markSent(item.id);
+    }
+    if (conversationHistory) {
+        const body = item ? mediaLibrary.formatBody(item, entry.text) : `[Image]${entry.text ? ` ${entry.text}` : ''}`;
+        await conversationHistory.markMessageSent(entry.phoneNumber, body);
+    }
+
+    stats.mediaMessagesSent++;
+    lastMessageSent = {
+        message: entry.text,
+        media: { ...entry.media, file: item ? item.file : null },
+        timestamp: new Date(entry.sentAt),
+        phoneNumber: entry.phoneNumber,
+        type: entry.type,
+        ...entry.meta,
+        outboxId: entry.id,
+        attempts: entry.attempts,
+        serviceType: isUsingAlternative ? 'alternative' : 'primary'
+    };
+    recordRecipientActivity(entry.phoneNumber, 'lastMessage', lastMessageSent);
+}
+
+// Send a text through the outbox together with the library item picked for it
+// ({ id, mode, caption }): images and GIFs carry the text as their caption, stickers follow
+// it, and with mode 'replace' (or no text) the item goes alone. Resolves with the outbox entry
+// of the text, or of the item when it goes alone
+async function deliverMessage(phoneNumber, text, media, type, meta = {}) {
+    const item = media && mediaLibrary ? mediaLibrary.get(media.id) : null;
+    if (!item) {
+        if (!text) {
+            throw new Error('Media library item not found');
+        }
+        return outbox.deliver({ phoneNumber, text, type, meta });
+    }
+
+    const mediaEntry = (caption) => ({
+        phoneNumber,
+        kind: 'media',
+        text: caption || null,
+        filePath: mediaLibrary.getFilePath(item),
+        media: { id: item.id, kind: item.kind },
+        type,
+        meta
+    });
+
+    if (!text || media.mode === 'replace') {
+        return outbox.deliver(mediaEntry(media.caption !== undefined ? media.caption : item.caption));
+    }
+    if (['image', 'gif'].includes(item.kind)) {
+        return outbox.deliver(mediaEntry(text));
+    }
+
+    const entry = await outbox.deliver({ phoneNumber, text, type, meta });
+    try {
+        // Behind a text still waiting for a retry, the item waits too so the order holds
+        if (entry.status === 'sent') {
+            await outbox.deliver(mediaEntry(null));
+        } else {
+            await outbox.enqueue(mediaEntry(null));
+        }
+    } catch (error) {
+        logger.error(`Sending ${item.kind} '${item.file}' after the message failed:`, error);
+    }
+    return entry;
+}
+
+// The library item for a request's `media` ({ id } or { tags }, optionally `kind`; the best
+// match sent least recently), as the { id, kind, mode, caption } deliverMessage takes; null when
+// nothing matches
+function resolveMedia(media) {
+    if (!media || !mediaLibrary) {
+        return null;
+    }
+    const item = media.id
+        ? mediaLibrary.get(media.id)
+        : mediaLibrary.find({ tags: media.tags, kind: media.kind })[0];
+    if (!item) {
+        return null;
+    }
+    return {
+        id: item.id,
+        kind: item.kind,
+        mode: media.mode || 'accompany',
+        ...(media.caption !== undefined && media.caption !== null ? { caption: media.caption } : {})
+    };
+}
+
+// What a send resolves with when its message is waiting in the outbox for a retry
+function describeQueuedEntry(entry) {
+    return {
+        message: entry.text,
+        phoneNumber: entry.phoneNumber,
+        type: entry.type,
+        queued: true,
+        outboxId: entry.id,
+        nextAttemptAt: new Date(entry.nextAttemptAt),
+        lastError: entry.lastError
+    };
+}
+
+// Generation options for a recipient's message (text or voice) in its current conversation
+async function buildMessageOptions(recipient, overrides, conversationContext, voice = false) {
+    const options = {
+        style: recipient.style,
+        language: recipient.language,
+        profile: overrides.profile || recipient.profile,
+        rules: recipient.rules,
+        timezone: recipient.timezone,
+        checkIn: overrides.checkIn === true,
+        instruction: overrides.instruction || null,
+        specialDates: getSpecialDateOptions(recipient),
+        occasions: overrides.occasions || null,
+        candidates: overrides.candidates || recipient.candidates,
+        recentOutgoing: await conversationHistory.getRecentOutgoing(recipient.phoneNumber, noveltyWindow),
+        memories: memoryStore ? memoryStore.recall(recipient.phoneNumber, {
+            timezone: recipient.timezone,
+            text: (conversationContext?.messages || []).slice(-3).map(msg => msg.body).join(' '),
+            limit: memoryPromptLimit
+        }) : [],
+        conversationContext: conversationContext
+    };
+
+    if (voice) {
+        return { ...options, type: 'voice', temperature: parseFloat(process.env.TEMPERATURE) || 0.9 }; // Higher for voice
+    }
+    return {
+        ...options,
+        maxTokens: parseInt(process.env.MAX_TOKENS) || 150,
+        temperature: parseFloat(process.env.TEMPERATURE) || 0.8
+    };
+}
+
+// Generate the voice audio for a message and send it through the outbox
+async function deliverVoiceMessage(phoneNumber, text, type, meta = {}) {
+    if (!voiceGenerator || isUsingAlternative) {
+        throw new Error('Voice messages not available');
+    }
+
+    const voiceResult = await voiceGenerator.generateVoiceForMessage(text);
+    if (!voiceResult.success) {
+        throw new Error('Failed to generate voice audio');
+    }
+
+    const entry = await outbox.deliver({
+        phoneNumber,
+        kind: 'voice',
+        text,
+        filePath: voiceResult.filePath,
+        type,
+        meta: { voiceFile: voiceResult.filename, ...meta }
+    });
+
+    // Cleanup old voice files
+    await voiceGenerator.cleanupOldFiles(10);
+    return entry;
+}
+
+// Hold a generated message as a draft for review, or swap the text of the draft being
+// regenerated (`overrides.draftId`)
+async function holdForApproval(recipient, kind, result, conversationContext, overrides) {
+    const data = {
+        phoneNumber: recipient.phoneNumber,
+        kind,
+        type: overrides.type || 'automatic',
+        text: result.message,
+        media: result.media || null,
+        messages: conversationContext.messages,
+        // What regenerating the draft needs to produce a message for the same occasion
+        options: {
+            type: overrides.type || null,
+            profile: overrides.profile || null,
+            checkIn: overrides.checkIn === true,
+            instruction: overrides.instruction || null,
+            occasions: overrides.occasions || null,
+            // Media the occasion chose (null: text only); left out, the generator picks again
+            media: overrides.media
+        },
+        meta: {
+            openaiUsage: result.usage,
+            retries: result.retries,
+            fallback: result.fallback
+        }
+    };
+
+    const draft = overrides.draftId
+        ? await approvalQueue.replace(overrides.draftId, data, recipient.approval)
+        : await approvalQueue.add(data, recipient.approval);
+    if (!draft) {
+        throw new Error('Draft is no longer pending');
+    }
+
+    return {
+        message: draft.text,
+        phoneNumber: draft.phoneNumber,
+        type: draft.type,
+        drafted: true,
+        draftId: draft.id,
+        deadline: new Date(draft.deadline)
+    };
+}
+
+// Send a pending draft, with the reviewer's edited text when given. Resolves with the draft,
+// or null when it is not pending (already reviewed, expired or being sent)
+async function approveDraft(id, text = null, reviewedBy = 'reviewer') {
+    const draft = approvalQueue.claim(id);
+    if (!draft) {
+        return null;
+    }
+
+    const message = text || draft.text;
+    const meta = { ...draft.meta, draftId: draft.id, edited: message !== draft.text };
+    try {
+        const entry = draft.kind === 'voice'
+            ? await deliverVoiceMessage(draft.phoneNumber, message, draft.type, meta)
+            : await deliverMessage(draft.phoneNumber, message, draft.media, draft.type, meta);
+        return approvalQueue.complete(id, { status: 'approved', text: message, outboxId: entry.id, reviewedBy });
+    } catch (error) {
+        await approvalQueue.complete(id, { status: 'failed', text: message, error, reviewedBy });
+        throw error;
+    }
+}
+
+// Send a draft nobody reviewed in time, on the same terms as a scheduled send: inside the
+// recipient's send window (else it waits for the next opening, or expires when the window never
+// opens) and only while the engagement policy doesn't hold messages back
+async function sendDraftOnTimeout(draft) {
+    const recipient = recipientRegistry.get(draft.phoneNumber);
+    if (!recipient || !recipient.enabled) {
+        return { expire: 'Recipient removed or disabled' };
+    }
+
+    const window = new SendWindow(recipient);
+    if (!window.isOpen()) {
+        const opening = window.nextOpening();
+        return opening ? { deferUntil: opening.getTime() } : { expire: 'Send window never opens' };
+    }
+
+    const decision = await checkEngagement(recipient);
+    if (decision && (decision.action === 'skip' || decision.action === 'slowdown')) {
+        return { expire: `Engagement policy: ${decision.reason}` };
+    }
+
+    await approveDraft(draft.id, null, 'timeout');
+    return null;
+}
+
+// Special date options for the generator, or null when the recipient has them turned off
+function getSpecialDateOptions(recipient) {
+    if (!specialDates || !recipient.specialDates.enabled) {
+        return null;
+    }
+    const today = specialDates.localDay(new Date(), recipient.timezone);
+    return {
+        country: recipient.country,
+        celebrated: specialDates.wasCelebrated(recipient.phoneNumber, SpecialDates.dayKey(today))
+    };
+}
+
+// Generate a validated message for a recipient from the stored conversation. Resolves with the
+// generator's result, the media to send along (text messages only) and the context it used
+async function composeMessage(recipient, overrides = {}, forVoice = false) {
+    // Get enhanced conversation context
+    const conversationContext = await conversationHistory.getConversationContext(recipient.phoneNumber, 20);
+
+    // Generate message with enhanced context
+    const messageOptions = await buildMessageOptions(recipient, overrides, conversationContext, forVoice);
+
+    // Generate and validate, regenerating rejected messages before falling back to the pool
+    const result = await messageGenerator.generateValidatedMessage(conversationContext.messages, messageOptions);
+
+    if (!result.message) {
+        throw new Error(`Failed to generate a valid message${forVoice ? ' for voice' : ''} after ${result.attempts.length} attempt(s)`);
+    }
+
+    // A library item picked by the generator (or given by a scheduled message) goes along
+    const media = forVoice
+        ? null
+        : (overrides.media !== undefined ? overrides.media : messageGenerator.pickMedia(result.message, messageOptions, recipient.media));
+
+    return { result, media, conversationContext };
+}
 
 // Automatic voice message sending function
-async function sendAutomaticVoiceMessage() {
+async function sendAutomaticVoiceMessage(recipient, overrides = {}) {
     try {
         if (!whatsappService || !whatsappService.isReady) {
             logger.warn('WhatsApp service is not ready for voice message');
@@ -51,8 +446,8 @@ async function sendAutomaticVoiceMessage() {
             return null;
         }
 
-        if (!targetPhoneNumber) {
-            throw new Error('Target phone number not configured');
+        if (!recipient) {
+            throw new Error('Recipient not configured');
         }
 
         if (isUsingAlternative) {
@@ -60,7 +455,8 @@ async function sendAutomaticVoiceMessage() {
             return null;
         }
 
-        logger.info('Sending automatic voice message...');
+        const targetPhoneNumber = recipient.phoneNumber;
+        logger.info(`Sending automatic voice message to ${targetPhoneNumber}...`);
 
         // Update conversation history from WhatsApp
         try {
@@ -70,59 +466,24 @@ async function sendAutomaticVoiceMessage() {
             logger.warn('Failed to sync history from WhatsApp:', error.message);
         }
 
-        // Get enhanced conversation context
-        const conversationContext = await conversationHistory.getConversationContext(targetPhoneNumber, 20);
-
-        // Generate message for voice with enhanced context
-        const messageOptions = {
-            style: process.env.MESSAGE_STYLE || 'romantic',
-            language: process.env.MESSAGE_LANGUAGE || 'spanish',
-            temperature: parseFloat(process.env.TEMPERATURE) || 0.9, // Higher for voice
-            conversationContext: conversationContext
-        };
-
-        const result = await messageGenerator.generateVoiceMessage(conversationContext.messages, messageOptions);
-
-        if (!result.message) {
-            throw new Error('Failed to generate message for voice');
-        }
-
-        // Validate message
-        const validation = messageGenerator.validateMessage(result.message);
-        if (!validation.valid) {
-            throw new Error(`Invalid message for voice: ${validation.reason}`);
-        }
-
-        // Generate voice audio
-        const voiceResult = await voiceGenerator.generateVoiceForMessage(result.message);
+        const { result, conversationContext } = await composeMessage(recipient, overrides, true);
 
-        if (!voiceResult.success) {
-            throw new Error('Failed to generate voice audio');
+        // With approval on, the text waits as a draft; the audio is only generated once approved
+        if (overrides.draftId || recipient.approval.enabled) {
+            return holdForApproval(recipient, 'voice', result, conversationContext, { ...overrides, type: 'automatic_voice' });
         }
 
-        // Send voice message (voice only, no text)
-        await whatsappService.sendVoiceMessage(
-            targetPhoneNumber, 
-            voiceResult.filePath
-        );
-
-        // Track voice message in conversation history
-        await conversationHistory.markMessageSent(targetPhoneNumber, result.message, true);
-
-        // Update stats
-        stats.voiceMessagesSent++;
-        lastVoiceMessageSent = {
-            message: result.message,
-            timestamp: new Date(),
-            phoneNumber: targetPhoneNumber,
-            type: 'automatic_voice',
-            voiceFile: voiceResult.filename,
+        // Generate the voice audio and send it (voice only, no text)
+        const entry = await deliverVoiceMessage(targetPhoneNumber, result.message, 'automatic_voice', {
             openaiUsage: result.usage,
-            serviceType: 'primary'
-        };
+            retries: result.retries,
+            fallback: result.fallback
+        });
 
-        // Cleanup old voice files
-        await voiceGenerator.cleanupOldFiles(10);
+        if (entry.status !== 'sent') {
+            logger.warn(`Automatic voice message to ${targetPhoneNumber} queued for retry (${entry.id})`);
+            return describeQueuedEntry(entry);
+        }
 
         logger.info(`Automatic voice message sent successfully: "${result.message}"`);
         return lastVoiceMessageSent;
@@ -135,18 +496,19 @@ async function sendAutomaticVoiceMessage() {
 }
 
 // Automatic message sending function
-async function sendAutomaticMessage() {
+async function sendAutomaticMessage(recipient, overrides = {}) {
     try {
         if (!whatsappService || !whatsappService.isReady) {
             logger.warn('WhatsApp service is not ready for automatic message');
             return null;
         }
 
-        if (!targetPhoneNumber) {
-            throw new Error('Target phone number not configured');
+        if (!recipient) {
+            throw new Error('Recipient not configured');
         }
 
-        logger.info('Sending automatic message...');
+        const targetPhoneNumber = recipient.phoneNumber;
+        logger.info(`Sending automatic message to ${targetPhoneNumber}...`);
 
         // Update conversation history from WhatsApp (only for primary service)
         if (!isUsingAlternative) {
@@ -159,46 +521,24 @@ async function sendAutomaticMessage() {
             }
         }
 
-        // Get enhanced conversation context
-        const conversationContext = await conversationHistory.getConversationContext(targetPhoneNumber, 20);
-
-        // Generate message with enhanced context
-        const messageOptions = {
-            style: process.env.MESSAGE_STYLE || 'friendly',
-            language: process.env.MESSAGE_LANGUAGE || 'spanish',
-            maxTokens: parseInt(process.env.MAX_TOKENS) || 150,
-            temperature: parseFloat(process.env.TEMPERATURE) || 0.8,
-            conversationContext: conversationContext
-        };
-
-        const result = await messageGenerator.generateMessage(conversationContext.messages, messageOptions);
+        const { result, media, conversationContext } = await composeMessage(recipient, overrides);
 
-        if (!result.message) {
-            throw new Error('Failed to generate message');
+        // With approval on, the message waits as a draft until someone reviews it
+        if (overrides.draftId || recipient.approval.enabled) {
+            return holdForApproval(recipient, 'text', { ...result, media }, conversationContext, overrides);
         }
 
-        // Validate message
-        const validation = messageGenerator.validateMessage(result.message);
-        if (!validation.valid) {
-            throw new Error(`Invalid message: ${validation.reason}`);
-        }
-
-        // Send message
-        await whatsappService.sendMessage(targetPhoneNumber, result.message);
-
-        // Track message in conversation history
-        await conversationHistory.markMessageSent(targetPhoneNumber, result.message, false);
-
-        // Update stats
-        stats.messagesSent++;
-        lastMessageSent = {
-            message: result.message,
-            timestamp: new Date(),
-            phoneNumber: targetPhoneNumber,
-            type: 'automatic',
+        // Send message through the outbox, which keeps it and retries when the send fails
+        const entry = await deliverMessage(targetPhoneNumber, result.message, media, overrides.type || 'automatic', {
             openaiUsage: result.usage,
-            serviceType: isUsingAlternative ? 'alternative' : 'primary'
-        };
+            retries: result.retries,
+            fallback: result.fallback
+        });
+
+        if (entry.status !== 'sent') {
+            logger.warn(`Automatic message to ${targetPhoneNumber} queued for retry (${entry.id}): "${result.message}"`);
+            return describeQueuedEntry(entry);
+        }
 
         logger.info(`Automatic message sent successfully: "${result.message}"`);
         return lastMessageSent;
@@ -210,111 +550,473 @@ async function sendAutomaticMessage() {
     }
 }
 
-// Initialize automation services
-async function initializeAutomation() {
+// Run a scheduled send unless an auto-reply is pending, in flight or was just sent,
+// so the scheduler and auto-replies never double-send. Resolves true when a message was sent
+// and false when the tick was skipped
+async function runScheduledSend(phoneNumber, label, send) {
+    const current = recipientRegistry.get(phoneNumber);
+    if (!current || !current.enabled) {
+        logger.debug(`Skipping ${label} - recipient ${phoneNumber} disabled`);
+        return false;
+    }
+    if (!whatsappService || !whatsappService.isReady) {
+        logger.debug(`Skipping ${label} - WhatsApp not ready`);
+        return false;
+    }
+    const spacingSeconds = current.scheduleMode === 'humanized'
+        ? current.humanized.minSpacingMinutes * 60
+        : current.messageIntervalSeconds;
+    if (autoReplyManager && (autoReplyManager.isBusy(phoneNumber) || autoReplyManager.repliedWithin(phoneNumber, spacingSeconds))) {
+        logger.debug(`Skipping ${label} for ${phoneNumber} - auto-reply pending or just sent`);
+        return false;
+    }
+    // Don't pile up drafts while one is still waiting for review
+    if (approvalQueue && approvalQueue.hasPending(phoneNumber)) {
+        logger.debug(`Skipping ${label} for ${phoneNumber} - a draft is awaiting approval`);
+        return false;
+    }
+
+    // Back off when our messages go unanswered
+    const decision = await checkEngagement(current);
+    if (decision && (decision.action === 'skip' || decision.action === 'slowdown')) {
+        return false;
+    }
+
+    // Another send started while this one checked the policy (a deferred run and a tick both
+    // due at the window's opening); checked right before beginSend, with nothing awaited between
+    if (autoReplyManager && autoReplyManager.isSending(phoneNumber)) {
+        logger.debug(`Skipping ${label} for ${phoneNumber} - another send is in flight`);
+        return false;
+    }
+    if (autoReplyManager) {
+        autoReplyManager.beginSend(phoneNumber);
+    }
+
     try {
-        if (!process.env.OPENAI_API_KEY) {
-            logger.warn('OPENAI_API_KEY not configured - automatic messaging disabled');
-            return false;
+        // Errors propagate so the scheduler records the run as failed
+        return Boolean(await send(current, { checkIn: decision?.action === 'check-in' }));
+    } finally {
+        if (autoReplyManager) {
+            autoReplyManager.endSend(phoneNumber);
         }
+    }
+}
 
-        if (!targetPhoneNumber) {
-            logger.warn('TARGET_PHONE_NUMBER not configured - automatic messaging disabled');
-            return false;
-        }
+// Ask the engagement policy whether the recipient should get a scheduled message now
+async function checkEngagement(recipient) {
+    if (!engagementPolicy || !conversationHistory) {
+        return null;
+    }
+    try {
+        const context = await conversationHistory.getConversationContext(recipient.phoneNumber, 20);
+        return engagementPolicy.decide(recipient, context.conversationFlow);
+    } catch (error) {
+        logger.warn(`Engagement check failed for ${recipient.phoneNumber}:`, error.message);
+        return null;
+    }
+}
 
-        logger.info('Initializing automation services...');
+// Schedule the text and voice jobs for one recipient
+function scheduleRecipient(recipient) {
+    if (!cronScheduler) {
+        return [];
+    }
 
-        // Initialize services
-        messageGenerator = new MessageGenerator(
-            process.env.OPENAI_API_KEY,
-            process.env.OPENAI_MODEL || 'gpt-4o-mini'
-        );
+    if (autoReplyManager && (!recipient.enabled || !recipient.autoReply.enabled)) {
+        autoReplyManager.cancel(recipient.phoneNumber);
+    }
 
-        conversationHistory = new ConversationHistory('./data');
-        cronScheduler = new CronScheduler();
+    if (!recipient.enabled) {
+        cronScheduler.removeRecipientJobs(recipient.phoneNumber);
+        return [];
+    }
 
-        // Initialize voice generator if API key is available
-        if (process.env.ELEVENLABS_API_KEY) {
-            voiceGenerator = new VoiceGenerator(process.env.ELEVENLABS_API_KEY);
-            logger.info('Voice generator initialized successfully');
-        } else {
-            logger.warn('ELEVENLABS_API_KEY not configured - voice messages disabled');
+    const phoneNumber = recipient.phoneNumber;
+
+    // The recipient is re-read on every tick so registry edits apply immediately
+    return cronScheduler.scheduleRecipientJobs(recipient, {
+        text: () => runScheduledSend(phoneNumber, 'auto message', sendAutomaticMessage),
+        voice: voiceGenerator && !isUsingAlternative
+            ? () => runScheduledSend(phoneNumber, 'voice message', sendAutomaticVoiceMessage)
+            : null
+    }, {
+        getWindow: () => new SendWindow(recipientRegistry.get(phoneNumber) || recipient)
+    });
+}
+
+// Reply to the recipient's latest incoming messages (called by the AutoReplyManager)
+async function sendAutoReply(phoneNumber, messageCount) {
+    const recipient = recipientRegistry.get(phoneNumber);
+    if (!recipient || !recipient.enabled || !recipient.autoReply.enabled) {
+        return false;
+    }
+    if (!whatsappService || !whatsappService.isReady) {
+        logger.debug('Skipping auto-reply - WhatsApp not ready');
+        return false;
+    }
+    if (!new SendWindow(recipient).isOpen()) {
+        logger.info(`Skipping auto-reply to ${phoneNumber} - outside the recipient's send window`);
+        return false;
+    }
+
+    // Someone (a scheduled message or a manual send) already answered
+    const context = await conversationHistory.getConversationContext(phoneNumber, 1);
+    if (context.conversationFlow && context.conversationFlow.awaitingResponse) {
+        logger.info(`Skipping auto-reply to ${phoneNumber} - last message is already ours`);
+        return false;
+    }
+
+    if (approvalQueue && approvalQueue.hasPending(phoneNumber)) {
+        logger.info(`Skipping auto-reply to ${phoneNumber} - a draft is awaiting approval`);
+        return false;
+    }
+
+    logger.info(`Auto-replying to ${messageCount} message(s) from ${recipient.name || phoneNumber}`);
+    return sendAutomaticMessage(recipient, { type: 'auto_reply' });
+}
+
+// Sync the latest WhatsApp messages of every enabled recipient into the conversation history
+async function syncAllHistory() {
+    if (!whatsappService || !whatsappService.isReady) {
+        logger.debug('Skipping history sync - WhatsApp not ready');
+        return false;
+    }
+
+    for (const recipient of recipientRegistry.getEnabled()) {
+        try {
+            const messages = await whatsappService.getMessages(recipient.phoneNumber, 20);
+            await conversationHistory.updateHistoryFromWhatsApp(recipient.phoneNumber, messages);
+        } catch (error) {
+            logger.error(`Daily history sync failed for ${recipient.phoneNumber}:`, error);
         }
+    }
+    logger.info('Daily history sync completed');
+    return true;
+}
 
-        // Setup scheduled automatic messages
-        cronScheduler.scheduleAutoMessages(
-            messageInterval,
-            async () => {
-                if (whatsappService && whatsappService.isReady) {
-                    try {
-                        await sendAutomaticMessage();
-                    } catch (error) {
-                        logger.error('Scheduled message failed:', error);
-                    }
-                } else {
-                    logger.debug('Skipping auto message - WhatsApp not ready');
-                }
+// Actions a custom task can run
+const CUSTOM_TASK_ACTIONS = {
+    text: (task) => runScheduledSend(task.phoneNumber, `custom task '${task.name}'`, sendAutomaticMessage),
+    voice: (task) => runScheduledSend(task.phoneNumber, `custom task '${task.name}'`, sendAutomaticVoiceMessage),
+    'history-sync': () => syncAllHistory()
+};
+
+function customTaskJobName(name) {
+    return `task:${name}`;
+}
+
+// Validate a custom task definition; returns an error message or null
+function validateCustomTask(task) {
+    if (!task.name || !/^[a-z][\w-]*$/i.test(task.name)) {
+        return 'name must start with a letter and contain only letters, digits, - and _';
+    }
+    if (!CUSTOM_TASK_ACTIONS[task.action]) {
+        return `Unknown action '${task.action}'. Supported: ${Object.keys(CUSTOM_TASK_ACTIONS).join(', ')}`;
+    }
+    if (!task.expression || !cronScheduler.validateCronExpression(task.expression)) {
+        return `Invalid cron expression '${task.expression}'`;
+    }
+    if (['text', 'voice'].includes(task.action) && !recipientRegistry.get(task.phoneNumber || '')) {
+        return 'phoneNumber must be a registered recipient for text and voice tasks';
+    }
+    return SendWindow.validate({ timezone: task.timezone });
+}
+
+// Schedule a persisted custom task. Sends to a recipient follow the recipient's send window
+function scheduleCustomTask(task) {
+    const jobName = customTaskJobName(task.name);
+    const run = () => CUSTOM_TASK_ACTIONS[task.action](task);
+    const getWindow = task.phoneNumber
+        ? () => new SendWindow(recipientRegistry.get(task.phoneNumber) || {})
+        : null;
+
+    if (cronScheduler.jobs.has(jobName)) {
+        cronScheduler.removeJob(jobName);
+    }
+    cronScheduler.scheduleCustomTask(jobName, task.expression, cronScheduler.withSendWindow(jobName, run, getWindow),
+        task.timezone ? { timezone: task.timezone } : {});
+    if (cronScheduler.isRunning && !cronScheduler.isPaused(jobName)) {
+        cronScheduler.startJob(jobName);
+    }
+    return jobName;
+}
+
+function scheduledMessageJobName(id) {
+    return `scheduled:${id}`;
+}
+
+// Send a scheduled message: literal text as is, a prompt through the generator with the
+// recipient's settings, with its media (or the media alone). Send windows and the engagement policy don't apply, the time was
+// picked on purpose. Resolves false when the recipient is gone or disabled
+async function sendScheduledMessage(message) {
+    const recipient = recipientRegistry.get(message.phoneNumber);
+    if (!recipient || !recipient.enabled) {
+        logger.info(`Skipping scheduled message ${message.id} - recipient ${message.phoneNumber} missing or disabled`);
+        return false;
+    }
+    if (!whatsappService || !whatsappService.isReady) {
+        throw new Error('WhatsApp service not ready');
+    }
+
+    const phoneNumber = recipient.phoneNumber;
+    if (autoReplyManager) {
+        autoReplyManager.beginSend(phoneNumber);
+    }
+
+    try {
+        // Media given by tags is picked when the message fires; without it the text still goes
+        const media = resolveMedia(message.media);
+        if (message.media && !media) {
+            if (!message.text && !message.prompt) {
+                throw new Error('No media library item matches the scheduled media');
             }
-        );
+            logger.warn(`Scheduled message ${message.id}: no media library item matches, sending the text alone`);
+        }
 
-        // Setup voice message scheduling (every 240 seconds or configured interval)
-        if (voiceGenerator && !isUsingAlternative) {
-            cronScheduler.scheduleCustomTask(
-                'voiceMessages',
-                cronScheduler.secondsToCronExpression(voiceInterval),
-                async () => {
-                    if (whatsappService && whatsappService.isReady) {
-                        try {
-                            await sendAutomaticVoiceMessage();
-                        } catch (error) {
-                            logger.error('Scheduled voice message failed:', error);
-                        }
-                    } else {
-                        logger.debug('Skipping voice message - WhatsApp not ready');
-                    }
-                }
-            );
-            logger.info(`Voice messages scheduled every ${voiceInterval} seconds`);
+        if (message.prompt) {
+            return Boolean(await sendAutomaticMessage(recipient, { type: 'scheduled', instruction: message.prompt, media }));
         }
 
-        // Setup daily history sync (only for primary service)
-        if (!isUsingAlternative) {
-            cronScheduler.scheduleHistorySync(async () => {
-                if (whatsappService && whatsappService.isReady) {
-                    try {
-                        const messages = await whatsappService.getMessages(targetPhoneNumber, 20);
-                        await conversationHistory.updateHistoryFromWhatsApp(targetPhoneNumber, messages);
-                        logger.info('Daily history sync completed');
-                    } catch (error) {
-                        logger.error('Daily history sync failed:', error);
-                    }
-                } else {
-                    logger.debug('Skipping history sync - WhatsApp not ready');
-                }
-            });
+        const entry = await deliverMessage(phoneNumber, message.text, media, 'scheduled', { scheduledMessageId: message.id });
+        logger.info(`Scheduled message ${message.id} ${entry.status === 'sent' ? 'sent' : 'queued for retry'}: "${message.text || media.kind}"`);
+        return true;
+    } finally {
+        if (autoReplyManager) {
+            autoReplyManager.endSend(phoneNumber);
         }
+    }
+}
 
-        // Start scheduled jobs
-        cronScheduler.startAll();
+// Run one occurrence of a scheduled message and record its outcome
+async function runScheduledMessage(id, occurrence = new Date()) {
+    const message = scheduledMessages.get(id);
+    if (!message || !message.enabled) {
+        return false;
+    }
 
-        isAutomationInitialized = true;
-        logger.info(`Automation initialized successfully!`);
-        logger.info(`📱 Text messages: every ${messageInterval} seconds`);
-        if (voiceGenerator && !isUsingAlternative) {
-            logger.info(`🎤 Voice messages: every ${voiceInterval} seconds`);
-        }
-        logger.info(`📞 Target: ${targetPhoneNumber}`);
-        
-        return true;
+    try {
+        const sent = await sendScheduledMessage(message);
+        await scheduledMessages.recordRun(id, sent ? 'sent' : 'skipped', occurrence);
+        return sent;
     } catch (error) {
-        logger.error('Failed to initialize automation:', error);
-        return false;
+        await scheduledMessages.recordRun(id, 'failed', occurrence, error);
+        throw error;
     }
 }
 
-// Initialize WhatsApp with fallback
-async function initializeWhatsApp() {
+// (Re)create the job of a scheduled message. Disabled and finished messages get no job, and
+// one-off messages whose time has passed are left to the startup catch-up
+function scheduleMessage(message) {
+    if (!cronScheduler) {
+        return null;
+    }
+
+    const jobName = scheduledMessageJobName(message.id);
+    if (cronScheduler.jobs.has(jobName)) {
+        cronScheduler.removeJob(jobName);
+    }
+
+    const nextRun = scheduledMessages.getNextRun(message);
+    if (!nextRun) {
+        return null;
+    }
+
+    if (scheduledMessages.isOneOff(message)) {
+        if (nextRun.getTime() <= Date.now()) {
+            return null;
+        }
+        cronScheduler.scheduleOneOff(jobName, nextRun, () => runScheduledMessage(message.id, nextRun));
+    } else {
+        cronScheduler.scheduleCustomTask(jobName, scheduledMessages.getExpression(message), () => runScheduledMessage(message.id),
+            message.timezone ? { timezone: message.timezone } : {});
+    }
+
+    if (cronScheduler.isRunning && !cronScheduler.isPaused(jobName)) {
+        cronScheduler.startJob(jobName);
+    }
+    return jobName;
+}
+
+// Send the occurrences missed while the process was down; older ones are marked as missed
+async function catchUpScheduledMessages(now = new Date()) {
+    for (const message of scheduledMessages.getAll()) {
+        const missed = scheduledMessages.getMissedOccurrence(message, now);
+        if (!missed) {
+            continue;
+        }
+
+        if (scheduledMessages.shouldCatchUp(message, missed, now)) {
+            logger.info(`Catching up scheduled message ${message.id} missed at ${missed.toISOString()}`);
+            try {
+                await runScheduledMessage(message.id, missed);
+            } catch (error) {
+                logger.error(`Catch-up of scheduled message ${message.id} failed:`, error);
+            }
+        } else {
+            logger.warn(`Scheduled message ${message.id} missed at ${missed.toISOString()} - too late to send`);
+            await scheduledMessages.recordRun(message.id, 'missed', missed);
+        }
+    }
+}
+
+// Send one themed message on special dates (anniversaries, birthdays, themed holidays) once the
+// recipient's local time reaches `specialDates.messageTime`. Only one goes out per day
+async function sendSpecialDateMessages() {
+    let sent = false;
+
+    for (const recipient of recipientRegistry.getEnabled()) {
+        const settings = recipient.specialDates;
+        if (!settings.enabled || !settings.themedMessages) {
+            continue;
+        }
+
+        const calendar = specialDates.getDates(personaProfiles.get(recipient.profile), {
+            country: recipient.country,
+            timezone: recipient.timezone
+        });
+        const occasions = calendar.today.filter(date => date.themed);
+        if (occasions.length === 0 || specialDates.wasCelebrated(recipient.phoneNumber, calendar.day)) {
+            continue;
+        }
+
+        const window = new SendWindow(recipient);
+        if (window.getLocalTime().minuteOfDay < SendWindow.parseTime(settings.messageTime) || !window.isOpen()) {
+            continue;
+        }
+
+        try {
+            const delivered = await runScheduledSend(recipient.phoneNumber, 'special date message', (current, options) =>
+                sendAutomaticMessage(current, { ...options, type: 'special_date', occasions }));
+            if (delivered) {
+                await specialDates.markCelebrated(recipient.phoneNumber, calendar.day, occasions);
+                logger.info(`Special date message sent to ${recipient.phoneNumber} (${occasions.map(date => date.name || date.type).join(', ')})`);
+                sent = true;
+            }
+        } catch (error) {
+            logger.error(`Special date message to ${recipient.phoneNumber} failed:`, error);
+        }
+    }
+    return sent;
+}
+
+// Initialize automation services
+async function initializeAutomation() {
+    try {
+        if (!process.env.OPENAI_API_KEY) {
+            logger.warn('OPENAI_API_KEY not configured - automatic messaging disabled');
+            return false;
+        }
+
+        if (recipientRegistry.getEnabled().length === 0) {
+            logger.warn('No enabled recipients configured - add one via POST /recipients or TARGET_PHONE_NUMBER');
+        }
+
+        logger.info('Initializing automation services...');
+
+        // Initialize services
+        messageGenerator = new MessageGenerator(
+            process.env.OPENAI_API_KEY,
+            process.env.OPENAI_MODEL || 'gpt-4o-mini',
+            {
+                profiles: personaProfiles,
+                validator: messageValidator,
+                calendar: specialDates,
+                library: mediaLibrary,
+                retriever: chatRetriever,
+                retrievalExamples: process.env.RETRIEVAL_EXAMPLES !== undefined ? parseInt(process.env.RETRIEVAL_EXAMPLES) : 3,
+                retrievalProfile: process.env.CHAT_CORPUS_PROFILE || personaProfiles.defaultProfileId,
+                ranker: new CandidateRanker({
+                    similarityThreshold: parseFloat(process.env.CANDIDATE_SIMILARITY_THRESHOLD) || 0.6
+                }),
+                maxAttempts: parseInt(process.env.MAX_GENERATION_ATTEMPTS) || 3,
+                supportiveMoods: process.env.SUPPORTIVE_MOODS !== undefined
+                    ? process.env.SUPPORTIVE_MOODS.split(',').map(mood => mood.trim()).filter(Boolean)
+                    : undefined
+            }
+        );
+
+        conversationHistory = new ConversationHistory('./data', {
+            store: process.env.HISTORY_STORE || 'log',
+            moodAnalyzer: createAnalyzer(process.env.MOOD_ANALYZER || 'lexicon', {
+                apiKey: process.env.OPENAI_API_KEY,
+                model: process.env.MOOD_ANALYSIS_MODEL
+            }),
+            moodHalfLifeHours: parseFloat(process.env.MOOD_HALF_LIFE_HOURS) || 12
+        });
+        await conversationHistory.ready;
+        const humanizedScheduler = new HumanizedScheduler('./data');
+        await humanizedScheduler.load();
+        // Saved schedule state wins over env defaults: paused jobs stay stopped and custom tasks come back
+        scheduleStore = new ScheduleStore('./data');
+        await scheduleStore.load();
+        cronScheduler = new CronScheduler({ humanizedScheduler, scheduleStore });
+        autoReplyManager = new AutoReplyManager(sendAutoReply);
+        engagementPolicy = new EngagementPolicy();
+
+        // Initialize voice generator if API key is available
+        if (process.env.ELEVENLABS_API_KEY) {
+            voiceGenerator = new VoiceGenerator(process.env.ELEVENLABS_API_KEY);
+            logger.info('Voice generator initialized successfully');
+        } else {
+            logger.warn('ELEVENLABS_API_KEY not configured - voice messages disabled');
+        }
+
+        // Setup one text job (and voice job when available) per enabled recipient
+        for (const recipient of recipientRegistry.getEnabled()) {
+            scheduleRecipient(recipient);
+        }
+
+        // Setup daily history sync for every enabled recipient (only for primary service)
+        if (!isUsingAlternative) {
+            cronScheduler.scheduleHistorySync(syncAllHistory);
+        }
+
+        // Restore custom tasks saved through POST /schedule/tasks
+        for (const task of scheduleStore.getCustomTasks()) {
+            try {
+                scheduleCustomTask(task);
+            } catch (error) {
+                logger.error(`Failed to restore custom task '${task.name}':`, error);
+            }
+        }
+
+        // Themed messages on anniversaries, birthdays and holidays
+        cronScheduler.scheduleCustomTask('specialDates', '0 */15 * * * *', sendSpecialDateMessages);
+
+        // Scheduled messages at specific dates
+        for (const message of scheduledMessages.getAll()) {
+            try {
+                scheduleMessage(message);
+            } catch (error) {
+                logger.error(`Failed to schedule message ${message.id}:`, error);
+            }
+        }
+
+        // Start scheduled jobs
+        cronScheduler.startAll();
+        outbox.start();
+        outbox.process();
+        approvalQueue.start();
+        catchUpScheduledMessages().catch(error => logger.error('Scheduled message catch-up failed:', error));
+
+        isAutomationInitialized = true;
+        logger.info(`Automation initialized successfully!`);
+        for (const recipient of recipientRegistry.getEnabled()) {
+            const voiceInfo = voiceGenerator && !isUsingAlternative && recipient.voiceEnabled
+                ? `, voice every ${recipient.voiceIntervalSeconds}s`
+                : '';
+            logger.info(`📞 ${recipient.phoneNumber}: text every ${recipient.messageIntervalSeconds}s${voiceInfo}`);
+        }
+        
+        return true;
+    } catch (error) {
+        logger.error('Failed to initialize automation:', error);
+        return false;
+    }
+}
+
+// Initialize WhatsApp with fallback
+async function initializeWhatsApp() {
     try {
         logger.info('Initializing primary WhatsApp service...');
         whatsappService = new WhatsAppService();
@@ -324,29 +1026,58 @@ async function initializeWhatsApp() {
             try {
                 logger.info(`📨 Processing incoming message from ${messageData.phoneNumber}: ${messageData.body}`);
                 
-                // Normalize phone numbers for comparison (remove all non-digits)
-                const cleanTargetNumber = targetPhoneNumber ? targetPhoneNumber.replace(/\D/g, '') : null;
-                const cleanIncomingNumber = messageData.phoneNumber.replace(/\D/g, '');
+                // Only store messages from registered recipients (the registry normalizes numbers)
+                const recipient = recipientRegistry ? recipientRegistry.get(messageData.phoneNumber) : null;
                 
-                // Only store messages from our target contact
-                if (cleanTargetNumber && cleanIncomingNumber === cleanTargetNumber) {
-                    await conversationHistory.addMessage(cleanTargetNumber, messageData, true);
+                if (recipient && conversationHistory) {
+                    const cleanTargetNumber = recipient.phoneNumber;
+                    // Voice notes, images and stickers are stored and turned into text first
+                    if (mediaStore && mediaStore.isMedia(messageData)) {
+                        messageData = await mediaStore.process(messageData, {
+                            phoneNumber: cleanTargetNumber,
+                            language: loadStrings(recipient.language).locale.split('-')[0]
+                        });
+                    }
+                    await conversationHistory.addMessage(cleanTargetNumber, messageData, true, {
+                        language: loadStrings(recipient.language).name
+                    });
                     logger.info(`✅ Stored incoming message from ${messageData.phoneNumber}`);
+
+                    // Remember facts, upcoming events and open threads worth following up on
+                    if (memoryStore) {
+                        await memoryStore.remember(cleanTargetNumber, messageData, {
+                            timezone: recipient.timezone,
+                            language: loadStrings(recipient.language).name,
+                            contactName: recipient.name
+                        });
+                    }
                     
                     // Log the new message context
-                    logger.info(`💬 New message in conversation history from Dulce Elena: "${messageData.body}"`);
+                    logger.info(`💬 New message in conversation history from ${recipient.name || cleanTargetNumber}: "${messageData.body}"`);
                     
                     // Get updated conversation context to see the change
                     const context = await conversationHistory.getConversationContext(cleanTargetNumber, 5);
                     logger.info(`� Conversation now has ${context.messages.length} messages, last from: ${context.conversationFlow?.lastInteraction ? new Date(context.conversationFlow.lastInteraction).toLocaleTimeString() : 'unknown'}`);
+
+                    // Queue a debounced reply when auto-reply is enabled for this recipient
+                    if (autoReplyManager) {
+                        autoReplyManager.handleIncoming(recipient);
+                    }
                 } else {
-                    logger.debug(`Ignoring message from non-target contact: ${messageData.phoneNumber} (target: ${cleanTargetNumber})`);
+                    logger.debug(`Ignoring message from non-recipient contact: ${messageData.phoneNumber}`);
                 }
             } catch (error) {
                 logger.error('Error handling incoming message:', error);
             }
         });
         
+        // Send what piled up in the outbox while disconnected
+        whatsappService.on('ready', () => {
+            if (isAutomationInitialized) {
+                outbox.process();
+            }
+        });
+        
         await whatsappService.initialize();
         logger.info('Primary WhatsApp service initialized with message listener');
     } catch (error) {
@@ -381,15 +1112,44 @@ async function initializeWhatsApp() {
     setTimeout(checkWhatsAppReady, 1000);
 }
 
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
 // Routes
 app.get('/', (req, res) => {
+    const recipients = recipientRegistry ? recipientRegistry.getAll() : [];
+    const enabledCount = recipients.filter(recipient => recipient.enabled).length;
+
     const automationStatus = isAutomationInitialized ? 
-        `✅ Active (${messageInterval}s interval)` : 
+        `✅ Active (${enabledCount} recipient${enabledCount === 1 ? '' : 's'})` : 
         '❌ Not initialized';
     
     const voiceStatus = voiceGenerator && !isUsingAlternative ? 
-        `✅ Active (${voiceInterval}s interval)` : 
+        '✅ Active' : 
         '❌ Not available';
+
+    const recipientRows = recipients.map(recipient => `
+                <li>${recipient.name ? `${recipient.name} - ` : ''}${recipient.phoneNumber}
+                    ${recipient.enabled ? '✅' : '⏸️'} text ${recipient.messageIntervalSeconds}s / voice ${recipient.voiceIntervalSeconds}s
+                    (${recipient.style}, ${recipient.language})</li>`).join('');
+
+    // Drafts awaiting approval, each with the end of its conversation and review actions
+    const drafts = approvalQueue ? approvalQueue.getAll({ status: 'pending' }).sort((a, b) => a.createdAt - b.createdAt) : [];
+    const draftRows = drafts.map(draft => `
+                <div style="max-width: 600px; margin: 15px auto; padding: 10px; border: 1px solid #ccc; text-align: left;">
+                    <p><strong>${escapeHtml(recipientRegistry.get(draft.phoneNumber)?.name || draft.phoneNumber)}</strong>
+                        (${draft.kind}, ${escapeHtml(draft.type)}) - ${draft.onTimeout === 'send' ? 'sends' : 'expires'} at ${new Date(draft.deadline).toLocaleString()}</p>
+                    <div style="color: #666; font-size: 0.9em;">${draft.context.map(message =>
+                        `<div>${message.from === 'incoming' ? '⬅️' : '➡️'} ${escapeHtml(message.body)}</div>`).join('')}</div>
+                    <textarea id="draft-${draft.id}" rows="3" style="width: 100%; margin-top: 8px;">${escapeHtml(draft.text)}</textarea>
+                    ${draft.media ? `<p>📎 ${draft.media.mode === 'replace' ? 'Sent instead of the text' : 'Sent with the text'}: ${escapeHtml(mediaLibrary?.get(draft.media.id)?.file || draft.media.kind)}</p>` : ''}
+                    <button onclick="reviewDraft('${draft.id}', 'approve')" style="margin: 5px; padding: 6px; background: #25d366; color: white; border: none; cursor: pointer;">Approve</button>
+                    <button onclick="reviewDraft('${draft.id}', 'regenerate')" style="margin: 5px; padding: 6px; background: #007cba; color: white; border: none; cursor: pointer;">Regenerate</button>
+                    <button onclick="reviewDraft('${draft.id}', 'reject')" style="margin: 5px; padding: 6px; background: #e74c3c; color: white; border: none; cursor: pointer;">Reject</button>
+                </div>`).join('');
     
     res.send(`
         <html>
@@ -397,11 +1157,13 @@ app.get('/', (req, res) => {
         <body style="font-family: Arial; text-align: center; padding: 50px;">
             <h1>📱 WhatsApp Automation System</h1>
             <p><strong>Service Type:</strong> ${isUsingAlternative ? 'Alternative' : 'Primary'}</p>
-            <p><strong>Target:</strong> ${targetPhoneNumber || 'Not configured'}</p>
+            <p><strong>Recipients:</strong></p>
+            <ul style="list-style: none; padding: 0;">${recipientRows || '<li>Not configured</li>'}</ul>
             <p><strong>Text Automation:</strong> ${automationStatus}</p>
             <p><strong>Voice Automation:</strong> ${voiceStatus}</p>
             <p><strong>Messages Sent:</strong> ${stats.messagesSent}</p>
             <p><strong>Voice Messages:</strong> ${stats.voiceMessagesSent}</p>
+            <p><strong>Media Messages:</strong> ${stats.mediaMessagesSent}</p>
             <p><strong>Last Message:</strong> ${lastMessageSent ? lastMessageSent.timestamp.toLocaleString() : 'None'}</p>
             <p><strong>Last Voice:</strong> ${lastVoiceMessageSent ? lastVoiceMessageSent.timestamp.toLocaleString() : 'None'}</p>
             <div style="margin: 20px;">
@@ -414,6 +1176,7 @@ app.get('/', (req, res) => {
                 <button onclick="sendTestVoice()" style="margin: 5px; padding: 10px; background: #9b59b6; color: white; border: none; cursor: pointer;">Send Test Voice</button>
                 <button onclick="toggleScheduler()" style="margin: 5px; padding: 10px; background: #f39c12; color: white; border: none; cursor: pointer;">Toggle Scheduler</button>
             </div>
+            ${drafts.length > 0 ? `<h2>📝 Drafts Awaiting Approval (${drafts.length})</h2>${draftRows}` : ''}
             <script>
                 async function sendTestMessage() {
                     try {
@@ -437,6 +1200,26 @@ app.get('/', (req, res) => {
                     }
                 }
                 
+                async function reviewDraft(id, action) {
+                    try {
+                        const body = action === 'approve'
+                            ? { text: document.getElementById('draft-' + id).value }
+                            : {};
+                        const response = await fetch('/drafts/' + id + '/' + action, {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify(body)
+                        });
+                        const result = await response.json();
+                        if (!result.success) {
+                            alert('Error: ' + result.error);
+                        }
+                        location.reload();
+                    } catch (error) {
+                        alert('Error: ' + error.message);
+                    }
+                }
+
                 async function toggleScheduler() {
                     try {
                         const action = prompt('Enter "start" or "stop":');
@@ -455,291 +1238,1271 @@ app.get('/', (req, res) => {
     `);
 });
 
-app.get('/status', async (req, res) => {
+app.get('/status', async (req, res) => {
+    try {
+        const status = whatsappService ? whatsappService.getStatus() : { error: 'Not initialized' };
+        const clientInfo = whatsappService && !isUsingAlternative ? await whatsappService.getClientInfo() : null;
+        const recipients = recipientRegistry ? recipientRegistry.getAll() : [];
+        const recipientStatus = await Promise.all(recipients.map(async (recipient) => ({
+            ...recipient,
+            conversation: conversationHistory ? await conversationHistory.getConversationStats(recipient.phoneNumber) : null,
+            lastMessage: recipientActivity.get(recipient.phoneNumber)?.lastMessage || null,
+            lastVoiceMessage: recipientActivity.get(recipient.phoneNumber)?.lastVoiceMessage || null,
+            jobs: cronScheduler ? cronScheduler.getRecipientJobNames(recipient.phoneNumber) : [],
+            sendWindow: new SendWindow(recipient).describe(),
+            engagement: engagementPolicy ? engagementPolicy.getLastDecision(recipient.phoneNumber) : null
+        })));
+        const cronStats = cronScheduler ? cronScheduler.getStats() : null;
+        const voiceStats = voiceGenerator ? voiceGenerator.getStats() : null;
+
+        res.json({
+            service: isUsingAlternative ? 'alternative' : 'primary',
+            whatsapp: status,
+            client: clientInfo,
+            recipients: recipientStatus,
+            scheduler: cronStats,
+            voice: voiceStats,
+            generation: messageGenerator ? messageGenerator.getValidationStats() : null,
+            autoReply: autoReplyManager ? autoReplyManager.getStats() : null,
+            outbox: outbox ? outbox.getStats() : null,
+            drafts: approvalQueue ? approvalQueue.getStats() : null,
+            media: mediaStore ? mediaStore.getStats() : null,
+            retrieval: chatRetriever ? chatRetriever.getStats() : null,
+            memories: memoryStore ? memoryStore.getStats() : null,
+            engagement: engagementPolicy ? engagementPolicy.getStats() : null,
+            automation: {
+                initialized: isAutomationInitialized,
+                enabledRecipients: recipients.filter(recipient => recipient.enabled).length,
+                lastMessage: lastMessageSent,
+                lastVoiceMessage: lastVoiceMessageSent
+            },
+            stats,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Send manual message
+app.post('/send-message', async (req, res) => {
+    try {
+        const { message, phoneNumber } = req.body;
+        
+        if (!message) {
+            return res.status(400).json({ error: 'Message is required' });
+        }
+
+        if (!outbox) {
+            return res.status(503).json({ error: 'Outbox not available' });
+        }
+
+        const targetPhone = phoneNumber || resolveRecipient()?.phoneNumber;
+        if (!targetPhone) {
+            return res.status(400).json({ error: 'Phone number is required' });
+        }
+
+        // Sent right away when possible; otherwise it stays queued and goes out on a retry
+        const entry = await outbox.deliver({ phoneNumber: targetPhone, text: message, type: 'manual' });
+        const sent = entry.status === 'sent';
+
+        res.status(sent ? 200 : 202).json({
+            success: true,
+            queued: !sent,
+            outboxId: entry.id,
+            messageId: entry.messageId || null,
+            nextAttemptAt: sent ? null : new Date(entry.nextAttemptAt).toISOString(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Error sending manual message:', error);
+        stats.errors++;
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Send an image, sticker, GIF or document from the media library: by `mediaId`, or the best
+// match for `tags` (optionally of one `kind`). `caption` defaults to the item's caption
+app.post('/send-media', async (req, res) => {
+    try {
+        const { phoneNumber, mediaId, tags, kind, caption } = req.body;
+
+        if (!mediaId && !tags) {
+            return res.status(400).json({ error: 'mediaId or tags is required' });
+        }
+        if (!outbox || !mediaLibrary) {
+            return res.status(503).json({ error: 'Outbox not available' });
+        }
+
+        const targetPhone = phoneNumber || resolveRecipient()?.phoneNumber;
+        if (!targetPhone) {
+            return res.status(400).json({ error: 'Phone number is required' });
+        }
+
+        const media = resolveMedia({
+            id: mediaId,
+            tags: Array.isArray(tags) ? tags : String(tags || '').split(','),
+            kind,
+            caption,
+            mode: 'replace'
+        });
+        if (!media) {
+            return res.status(404).json({ error: 'No media library item found' });
+        }
+
+        const entry = await deliverMessage(targetPhone, null, media, 'manual');
+        const sent = entry.status === 'sent';
+
+        res.status(sent ? 200 : 202).json({
+            success: true,
+            queued: !sent,
+            outboxId: entry.id,
+            media: mediaLibrary.get(media.id),
+            messageId: entry.messageId || null,
+            nextAttemptAt: sent ? null : new Date(entry.nextAttemptAt).toISOString(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Error sending media:', error);
+        stats.errors++;
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Send automatic message (manual trigger)
+app.post('/send-auto-message', async (req, res) => {
+    try {
+        if (!isAutomationInitialized) {
+            return res.status(503).json({ error: 'Automation not initialized' });
+        }
+
+        const recipient = resolveRecipient(req.body?.phoneNumber);
+        if (!recipient) {
+            return res.status(404).json({ error: 'Recipient not found' });
+        }
+
+        const result = await sendAutomaticMessage(recipient, { profile: req.body?.profile });
+        res.json({
+            success: true,
+            result,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Error sending automatic message:', error);
+        stats.errors++;
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Send automatic voice message (manual trigger)
+app.post('/send-auto-voice', async (req, res) => {
+    try {
+        if (!isAutomationInitialized) {
+            return res.status(503).json({ error: 'Automation not initialized' });
+        }
+
+        if (!voiceGenerator) {
+            return res.status(503).json({ error: 'Voice generator not available' });
+        }
+
+        if (isUsingAlternative) {
+            return res.status(503).json({ error: 'Voice messages not supported with alternative service' });
+        }
+
+        const recipient = resolveRecipient(req.body?.phoneNumber);
+        if (!recipient) {
+            return res.status(404).json({ error: 'Recipient not found' });
+        }
+
+        const result = await sendAutomaticVoiceMessage(recipient, { profile: req.body?.profile });
+        res.json({
+            success: true,
+            result,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Error sending automatic voice message:', error);
+        stats.errors++;
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Generate and score candidate messages for a recipient without sending anything
+app.post('/generate/preview', async (req, res) => {
+    try {
+        if (!isAutomationInitialized) {
+            return res.status(503).json({ error: 'Automation not initialized' });
+        }
+
+        const recipient = resolveRecipient(req.body?.phoneNumber);
+        if (!recipient) {
+            return res.status(404).json({ error: 'Recipient not found' });
+        }
+
+        const count = Math.min(Math.max(parseInt(req.body?.count) || 3, 1), 8);
+        const voice = req.body?.type === 'voice';
+        const conversationContext = await conversationHistory.getConversationContext(recipient.phoneNumber, 20);
+        const messageOptions = await buildMessageOptions(recipient, {
+            profile: req.body?.profile,
+            instruction: req.body?.instruction
+        }, conversationContext, voice);
+
+        const result = await messageGenerator.generateBestOfN(conversationContext.messages, {
+            ...messageOptions,
+            candidates: count,
+            preview: true
+        });
+        res.json({
+            success: true,
+            phoneNumber: recipient.phoneNumber,
+            type: voice ? 'voice' : 'text',
+            best: result.message,
+            usage: result.usage,
+            candidates: result.candidates,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Error generating preview:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Send manual voice message
+app.post('/send-voice-message', async (req, res) => {
+    try {
+        const { message, phoneNumber } = req.body;
+        
+        if (!message) {
+            return res.status(400).json({ error: 'Message is required' });
+        }
+
+        if (!voiceGenerator) {
+            return res.status(503).json({ error: 'Voice generator not available' });
+        }
+
+        if (!outbox) {
+            return res.status(503).json({ error: 'Outbox not available' });
+        }
+
+        if (isUsingAlternative) {
+            return res.status(503).json({ error: 'Voice messages not supported with alternative service' });
+        }
+
+        const targetPhone = phoneNumber || resolveRecipient()?.phoneNumber;
+        if (!targetPhone) {
+            return res.status(400).json({ error: 'Phone number is required' });
+        }
+
+        // Voice only (no text); like /send-message it stays queued when it can't go out right away
+        const entry = await deliverVoiceMessage(targetPhone, message, 'manual');
+        const sent = entry.status === 'sent';
+
+        res.status(sent ? 200 : 202).json({
+            success: true,
+            queued: !sent,
+            outboxId: entry.id,
+            messageId: entry.messageId || null,
+            voiceFile: entry.meta.voiceFile,
+            nextAttemptAt: sent ? null : new Date(entry.nextAttemptAt).toISOString(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logger.error('Error sending manual voice message:', error);
+        stats.errors++;
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Search a recipient's history (or every conversation with phoneNumber 'all')
+app.get('/history/search/:phoneNumber?', async (req, res) => {
+    try {
+        if (!conversationHistory) {
+            return res.status(503).json({ error: 'Conversation history not available' });
+        }
+
+        const { filter, error } = historySearch.parseFilter(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const phoneNumber = req.params.phoneNumber === 'all'
+            ? null
+            : req.params.phoneNumber || resolveRecipient()?.phoneNumber;
+        const result = await conversationHistory.search(phoneNumber, filter);
+
+        res.json({
+            phoneNumber,
+            query: req.query.q || null,
+            ...result
+        });
+    } catch (error) {
+        logger.error('Error searching conversation history:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Download a recipient's history (or every conversation with phoneNumber 'all') as json, txt or csv
+app.get('/history/export/:phoneNumber?', async (req, res) => {
+    try {
+        if (!conversationHistory) {
+            return res.status(503).json({ error: 'Conversation history not available' });
+        }
+
+        const format = req.query.format || 'json';
+        if (!['json', 'txt', 'csv'].includes(format)) {
+            return res.status(400).json({ error: 'format must be one of json, txt, csv' });
+        }
+
+        const phoneNumber = req.params.phoneNumber === 'all'
+            ? null
+            : req.params.phoneNumber || resolveRecipient()?.phoneNumber;
+        const filepath = await conversationHistory.exportHistory(phoneNumber, format);
+        if (!filepath) {
+            return res.status(500).json({ error: 'Failed to export conversation history' });
+        }
+
+        res.download(path.resolve(filepath));
+    } catch (error) {
+        logger.error('Error exporting conversation history:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Import a WhatsApp chat export (.txt) or a JSON export from /history/export
+app.post('/history/import/:phoneNumber?', async (req, res) => {
+    try {
+        if (!conversationHistory) {
+            return res.status(503).json({ error: 'Conversation history not available' });
+        }
+
+        const { format = 'whatsapp', content, data, me, dateOrder, timezone } = req.body || {};
+        const phoneNumber = req.params.phoneNumber || resolveRecipient()?.phoneNumber;
+        let result;
+
+        if (format === 'whatsapp') {
+            if (typeof content !== 'string' || !content.trim()) {
+                return res.status(400).json({ error: 'content (the exported chat text) is required' });
+            }
+            if (!phoneNumber) {
+                return res.status(400).json({ error: 'phoneNumber is required' });
+            }
+            // Times in the export are the phone's: the recipient's timezone unless told otherwise
+            result = await conversationHistory.importChat(phoneNumber, content, {
+                me,
+                dateOrder,
+                timezone: timezone || resolveRecipient(phoneNumber)?.timezone || null
+            });
+        } else if (format === 'json') {
+            const exported = data || (typeof content === 'string' ? JSON.parse(content) : null);
+            result = await conversationHistory.importJson(exported, req.params.phoneNumber || null);
+        } else {
+            return res.status(400).json({ error: "format must be 'whatsapp' or 'json'" });
+        }
+
+        res.json({ success: true, phoneNumber, ...result });
+    } catch (error) {
+        logger.error('Error importing conversation history:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Get conversation history
+app.get('/history/:phoneNumber?', async (req, res) => {
+    try {
+        if (!conversationHistory) {
+            return res.status(503).json({ error: 'Conversation history not available' });
+        }
+
+        const phoneNumber = req.params.phoneNumber || resolveRecipient()?.phoneNumber;
+        const limit = parseInt(req.query.limit) || 20;
+
+        const history = await conversationHistory.getHistory(phoneNumber, limit);
+        const conversationStats = await conversationHistory.getConversationStats(phoneNumber);
+
+        res.json({
+            phoneNumber,
+            history,
+            stats: conversationStats
+        });
+    } catch (error) {
+        logger.error('Error getting conversation history:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Check the profile, style, rules, schedule, send window and language of a recipient payload;
+// returns an error message or null
+function validateRecipientSettings(body) {
+    if (body.profile && !personaProfiles.has(body.profile)) {
+        return `Unknown persona profile '${body.profile}'`;
+    }
+    if (body.style && !getSupportedStyles().includes(body.style)) {
+        return `Unknown message style '${body.style}'. Supported: ${getSupportedStyles().join(', ')}`;
+    }
+    if (body.rules && !messageValidator.has(body.rules)) {
+        return `Unknown validation rule set '${body.rules}'`;
+    }
+    if (body.scheduleMode && !['interval', 'humanized'].includes(body.scheduleMode)) {
+        return "scheduleMode must be 'interval' or 'humanized'";
+    }
+    const windowError = SendWindow.validate(body);
+    if (windowError) {
+        return windowError;
+    }
+    if (body.language && !getSupportedLanguages().includes(body.language)) {
+        return `Unknown message language '${body.language}'. Supported: ${getSupportedLanguages().join(', ')}`;
+    }
+    return null;
+}
+
+// List recipients
+app.get('/recipients', (req, res) => {
+    if (!recipientRegistry) {
+        return res.status(503).json({ error: 'Recipient registry not available' });
+    }
+
+    res.json({ recipients: recipientRegistry.getAll() });
+});
+
+// Add recipient
+app.post('/recipients', async (req, res) => {
+    try {
+        if (!recipientRegistry) {
+            return res.status(503).json({ error: 'Recipient registry not available' });
+        }
+
+        if (!req.body || !req.body.phoneNumber) {
+            return res.status(400).json({ error: 'Phone number is required' });
+        }
+
+        const settingsError = validateRecipientSettings(req.body);
+        if (settingsError) {
+            return res.status(400).json({ error: settingsError });
+        }
+
+        const recipient = await recipientRegistry.add(req.body);
+        scheduleRecipient(recipient);
+
+        res.status(201).json({ success: true, recipient });
+    } catch (error) {
+        logger.error('Error adding recipient:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Update recipient
+app.put('/recipients/:phoneNumber', async (req, res) => {
+    try {
+        if (!recipientRegistry) {
+            return res.status(503).json({ error: 'Recipient registry not available' });
+        }
+
+        const settingsError = validateRecipientSettings(req.body || {});
+        if (settingsError) {
+            return res.status(400).json({ error: settingsError });
+        }
+
+        const recipient = await recipientRegistry.update(req.params.phoneNumber, req.body || {});
+        if (!recipient) {
+            return res.status(404).json({ error: 'Recipient not found' });
+        }
+
+        scheduleRecipient(recipient);
+
+        res.json({ success: true, recipient });
+    } catch (error) {
+        logger.error('Error updating recipient:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Remove recipient
+app.delete('/recipients/:phoneNumber', async (req, res) => {
+    try {
+        if (!recipientRegistry) {
+            return res.status(503).json({ error: 'Recipient registry not available' });
+        }
+
+        const phoneNumber = recipientRegistry.normalizePhoneNumber(req.params.phoneNumber);
+        const removed = await recipientRegistry.remove(phoneNumber);
+        if (!removed) {
+            return res.status(404).json({ error: 'Recipient not found' });
+        }
+
+        if (cronScheduler) {
+            const jobNames = cronScheduler.getRecipientJobNames(phoneNumber);
+            cronScheduler.removeRecipientJobs(phoneNumber);
+            await scheduleStore.forgetJobs(jobNames);
+            if (cronScheduler.humanizedScheduler) {
+                cronScheduler.humanizedScheduler.forget(cronScheduler.recipientJobName('autoMessages', phoneNumber));
+            }
+        }
+        specialDates.forget(phoneNumber);
+        await outbox.forget(phoneNumber);
+        await approvalQueue.forget(phoneNumber);
+
+        // Scheduled messages to a removed recipient would only be skipped
+        for (const message of scheduledMessages.getForRecipient(phoneNumber)) {
+            await scheduledMessages.remove(message.id);
+            if (cronScheduler && cronScheduler.jobs.has(scheduledMessageJobName(message.id))) {
+                cronScheduler.removeJob(scheduledMessageJobName(message.id));
+            }
+        }
+        if (autoReplyManager) {
+            autoReplyManager.cancel(phoneNumber);
+        }
+
+        res.json({ success: true, message: `Recipient ${phoneNumber} removed` });
+    } catch (error) {
+        logger.error('Error removing recipient:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List persona profiles
+app.get('/profiles', (req, res) => {
+    if (!personaProfiles) {
+        return res.status(503).json({ error: 'Persona profiles not available' });
+    }
+
+    res.json({
+        defaultProfile: personaProfiles.defaultProfileId,
+        profiles: personaProfiles.list()
+    });
+});
+
+// List validation rule sets
+app.get('/rules', (req, res) => {
+    if (!messageValidator) {
+        return res.status(503).json({ error: 'Message validator not available' });
+    }
+
+    res.json({
+        defaultRuleSet: messageValidator.defaultRuleSetId,
+        ruleTypes: MessageValidator.RULE_TYPES,
+        ruleSets: messageValidator.list()
+    });
+});
+
+// Reload validation rule sets from disk
+app.post('/rules/reload', (req, res) => {
+    try {
+        if (!messageValidator) {
+            return res.status(503).json({ error: 'Message validator not available' });
+        }
+
+        res.json({ success: true, ruleSets: messageValidator.load() });
+    } catch (error) {
+        logger.error('Error reloading validation rules:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List supported message styles and languages
+app.get('/styles', (req, res) => {
+    res.json({
+        styles: getSupportedStyles(),
+        languages: getSupportedLanguages()
+    });
+});
+
+// Reload persona profiles from disk
+app.post('/profiles/reload', (req, res) => {
+    try {
+        if (!personaProfiles) {
+            return res.status(503).json({ error: 'Persona profiles not available' });
+        }
+
+        res.json({ success: true, profiles: personaProfiles.load() });
+    } catch (error) {
+        logger.error('Error reloading persona profiles:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Update schedule
+app.post('/schedule/update', async (req, res) => {
+    try {
+        const { intervalSeconds, phoneNumber } = req.body;
+
+        if (!intervalSeconds || intervalSeconds < 1) {
+            return res.status(400).json({ error: 'Invalid interval seconds (must be >= 1)' });
+        }
+
+        if (!cronScheduler) {
+            return res.status(503).json({ error: 'Scheduler not available' });
+        }
+
+        const recipient = resolveRecipient(phoneNumber);
+        if (!recipient) {
+            return res.status(404).json({ error: 'Recipient not found' });
+        }
+
+        // Persist the new interval and rebuild the recipient's jobs
+        const updated = await recipientRegistry.update(recipient.phoneNumber, { messageIntervalSeconds: intervalSeconds });
+        scheduleRecipient(updated);
+
+        logger.info(`Schedule for ${updated.phoneNumber} updated to send messages every ${intervalSeconds} seconds`);
+
+        res.json({
+            success: true,
+            phoneNumber: updated.phoneNumber,
+            newInterval: `${intervalSeconds} seconds`,
+            message: 'Schedule updated successfully'
+        });
+    } catch (error) {
+        logger.error('Error updating schedule:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Names of the jobs targeted by a start/stop request: a single job by `name`, or the recipient
+// jobs of `phoneNumber` (all recipients when neither is given)
+function getTargetedJobs({ name, phoneNumber } = {}) {
+    if (name) {
+        return cronScheduler.jobs.has(name) ? [name] : [];
+    }
+    const recipients = phoneNumber ? [recipientRegistry.get(phoneNumber)].filter(Boolean) : recipientRegistry.getAll();
+    return recipients.flatMap(recipient => cronScheduler.getRecipientJobNames(recipient.phoneNumber));
+}
+
+// Start scheduler
+app.post('/schedule/start', async (req, res) => {
+    try {
+        if (!cronScheduler) {
+            return res.status(503).json({ error: 'Scheduler not available' });
+        }
+
+        const jobNames = getTargetedJobs(req.body);
+        jobNames.forEach(name => cronScheduler.startJob(name));
+        await scheduleStore.setPaused(jobNames, false);
+        res.json({ success: true, message: 'Scheduler started', jobs: jobNames });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Stop scheduler
+app.post('/schedule/stop', async (req, res) => {
+    try {
+        if (!cronScheduler) {
+            return res.status(503).json({ error: 'Scheduler not available' });
+        }
+
+        const jobNames = getTargetedJobs(req.body);
+        jobNames.forEach(name => cronScheduler.stopJob(name));
+        await scheduleStore.setPaused(jobNames, true);
+        res.json({ success: true, message: 'Scheduler stopped', jobs: jobNames });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Scheduled jobs with their upcoming runs and run history
+app.get('/schedule/jobs', (req, res) => {
+    try {
+        if (!cronScheduler) {
+            return res.status(503).json({ error: 'Scheduler not available' });
+        }
+
+        const count = Math.min(Math.max(parseInt(req.query.count) || 5, 1), 50);
+        const names = req.query.name
+            ? [req.query.name]
+            : req.query.phoneNumber
+                ? getTargetedJobs({ phoneNumber: req.query.phoneNumber })
+                : Array.from(cronScheduler.jobs.keys());
+
+        const jobs = names
+            .map(name => {
+                const status = cronScheduler.getJobStatus(name);
+                return status && { ...status, nextRuns: cronScheduler.getNextExecutions(name, count) };
+            })
+            .filter(Boolean);
+
+        if (req.query.name && jobs.length === 0) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.json({ isRunning: cronScheduler.isRunning, jobs });
+    } catch (error) {
+        logger.error('Error getting scheduled jobs:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List custom tasks
+app.get('/schedule/tasks', (req, res) => {
+    if (!scheduleStore) {
+        return res.status(503).json({ error: 'Scheduler not available' });
+    }
+
+    res.json({
+        actions: Object.keys(CUSTOM_TASK_ACTIONS),
+        tasks: scheduleStore.getCustomTasks().map(task => ({
+            ...task,
+            job: cronScheduler.getJobStatus(customTaskJobName(task.name))
+        }))
+    });
+});
+
+// Create or replace a custom task
+app.post('/schedule/tasks', async (req, res) => {
+    try {
+        if (!cronScheduler) {
+            return res.status(503).json({ error: 'Scheduler not available' });
+        }
+
+        const { name, expression, action, phoneNumber, timezone } = req.body || {};
+        const task = {
+            name,
+            expression: typeof expression === 'string' ? expression.trim() : expression,
+            action,
+            phoneNumber: phoneNumber ? recipientRegistry.normalizePhoneNumber(phoneNumber) : null,
+            timezone: timezone || null
+        };
+
+        const validationError = validateCustomTask(task);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const saved = await scheduleStore.saveCustomTask(task);
+        const jobName = scheduleCustomTask(saved);
+        logger.info(`Custom task '${name}' saved (${action}, ${task.expression})`);
+
+        res.status(201).json({ success: true, task: saved, job: cronScheduler.getJobStatus(jobName) });
+    } catch (error) {
+        logger.error('Error saving custom task:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete a custom task
+app.delete('/schedule/tasks/:name', async (req, res) => {
+    try {
+        if (!cronScheduler) {
+            return res.status(503).json({ error: 'Scheduler not available' });
+        }
+
+        const removed = await scheduleStore.removeCustomTask(req.params.name);
+        if (!removed) {
+            return res.status(404).json({ error: 'Custom task not found' });
+        }
+
+        const jobName = customTaskJobName(req.params.name);
+        cronScheduler.removeJob(jobName);
+        await scheduleStore.forgetJobs(jobName);
+
+        res.json({ success: true, message: `Custom task '${req.params.name}' removed` });
+    } catch (error) {
+        logger.error('Error removing custom task:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// A scheduled message with its upcoming run
+function describeScheduledMessage(message) {
+    const nextRun = scheduledMessages.getNextRun(message);
+    return {
+        ...message,
+        expression: scheduledMessages.getExpression(message),
+        nextRun: nextRun ? nextRun.toISOString() : null
+    };
+}
+
+// Prompt messages need the generator, and every message a registered recipient
+function validateScheduledMessageRequest(body) {
+    if (body.phoneNumber && !recipientRegistry.get(body.phoneNumber)) {
+        return 'phoneNumber must be a registered recipient';
+    }
+    if (body.prompt && !process.env.OPENAI_API_KEY) {
+        return 'Prompt messages need OPENAI_API_KEY';
+    }
+    if (body.media && body.media.id && !mediaLibrary.get(body.media.id)) {
+        return 'media.id is not in the media library';
+    }
+    return null;
+}
+
+// Outgoing messages in the outbox (filter by `status` and `phoneNumber`)
+app.get('/outbox', (req, res) => {
+    if (!outbox) {
+        return res.status(503).json({ error: 'Outbox not available' });
+    }
+
+    const entries = outbox.getAll({ status: req.query.status, phoneNumber: req.query.phoneNumber })
+        .sort((a, b) => b.createdAt - a.createdAt);
+    res.json({ stats: outbox.getStats(), entries });
+});
+
+// Queue a failed or expired message again
+app.post('/outbox/:id/retry', async (req, res) => {
+    try {
+        if (!outbox) {
+            return res.status(503).json({ error: 'Outbox not available' });
+        }
+
+        const entry = await outbox.retry(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'No failed or expired message with that id' });
+        }
+        res.json({ success: true, entry });
+    } catch (error) {
+        logger.error('Error retrying outbox message:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Drop a message from the outbox (a pending one is not sent)
+app.delete('/outbox/:id', async (req, res) => {
     try {
-        const status = whatsappService ? whatsappService.getStatus() : { error: 'Not initialized' };
-        const clientInfo = whatsappService && !isUsingAlternative ? await whatsappService.getClientInfo() : null;
-        const conversationStats = conversationHistory ? await conversationHistory.getConversationStats(targetPhoneNumber) : null;
-        const cronStats = cronScheduler ? cronScheduler.getStats() : null;
-        const voiceStats = voiceGenerator ? voiceGenerator.getStats() : null;
+        if (!outbox) {
+            return res.status(503).json({ error: 'Outbox not available' });
+        }
 
-        res.json({
-            service: isUsingAlternative ? 'alternative' : 'primary',
-            whatsapp: status,
-            client: clientInfo,
-            conversation: conversationStats,
-            scheduler: cronStats,
-            voice: voiceStats,
-            automation: {
-                initialized: isAutomationInitialized,
-                target: targetPhoneNumber,
-                textInterval: `${messageInterval} seconds`,
-                voiceInterval: `${voiceInterval} seconds`,
-                lastMessage: lastMessageSent,
-                lastVoiceMessage: lastVoiceMessageSent
-            },
-            stats,
-            timestamp: new Date().toISOString()
-        });
+        const removed = await outbox.remove(req.params.id);
+        if (!removed) {
+            return res.status(404).json({ error: 'Message not found or being sent' });
+        }
+        res.json({ success: true });
     } catch (error) {
+        logger.error('Error removing outbox message:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Send manual message
-app.post('/send-message', async (req, res) => {
+// Media received from recipients (filter by `kind` and `phoneNumber`), newest first
+app.get('/media', (req, res) => {
+    if (!mediaStore) {
+        return res.status(503).json({ error: 'Media store not available' });
+    }
+
+    const items = mediaStore.getAll({ kind: req.query.kind, phoneNumber: req.query.phoneNumber })
+        .sort((a, b) => b.receivedAt - a.receivedAt);
+    res.json({ stats: mediaStore.getStats(), items });
+});
+
+app.get('/media/:id', (req, res) => {
+    const item = mediaStore ? mediaStore.get(req.params.id) : null;
+    if (!item) {
+        return res.status(404).json({ error: 'Media not found' });
+    }
+    res.json(item);
+});
+
+// The stored file itself
+app.get('/media/:id/file', (req, res) => {
+    const item = mediaStore ? mediaStore.get(req.params.id) : null;
+    if (!item || !item.file) {
+        return res.status(404).json({ error: 'Media file not found' });
+    }
+    res.type(item.mimetype.split(';')[0]).sendFile(mediaStore.getFilePath(item));
+});
+
+// Media library items we can send (filter by `tag` and `kind`) and the tags in use
+app.get('/media-library', (req, res) => {
+    if (!mediaLibrary) {
+        return res.status(503).json({ error: 'Media library not available' });
+    }
+    res.json({
+        tags: mediaLibrary.getTags(),
+        items: mediaLibrary.getAll({ tag: req.query.tag, kind: req.query.kind })
+    });
+});
+
+// Add a file to the library (`filename`, base64 `data`, `tags`, optional `kind` and `caption`)
+app.post('/media-library', async (req, res) => {
     try {
-        const { message, phoneNumber } = req.body;
-        
-        if (!message) {
-            return res.status(400).json({ error: 'Message is required' });
+        if (!mediaLibrary) {
+            return res.status(503).json({ error: 'Media library not available' });
         }
+        const item = await mediaLibrary.add(req.body || {});
+        res.status(201).json({ success: true, item });
+    } catch (error) {
+        logger.error('Error adding media library item:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
 
-        if (!whatsappService || !whatsappService.isReady) {
-            return res.status(503).json({ error: 'WhatsApp service not ready' });
+// Pick up files copied into data/media-library by hand
+app.post('/media-library/scan', async (req, res) => {
+    try {
+        if (!mediaLibrary) {
+            return res.status(503).json({ error: 'Media library not available' });
         }
+        const result = await mediaLibrary.scan();
+        res.json({ success: true, ...result, items: mediaLibrary.getAll() });
+    } catch (error) {
+        logger.error('Error scanning media library:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        const targetPhone = phoneNumber || targetPhoneNumber;
-        if (!targetPhone) {
-            return res.status(400).json({ error: 'Phone number is required' });
+app.get('/media-library/:id/file', (req, res) => {
+    const item = mediaLibrary ? mediaLibrary.get(req.params.id) : null;
+    if (!item) {
+        return res.status(404).json({ error: 'Media library item not found' });
+    }
+    res.sendFile(mediaLibrary.getFilePath(item));
+});
+
+// Change an item's `tags`, `caption`, `description`, `kind` or `enabled`
+app.put('/media-library/:id', async (req, res) => {
+    try {
+        if (!mediaLibrary) {
+            return res.status(503).json({ error: 'Media library not available' });
+        }
+        const item = await mediaLibrary.update(req.params.id, req.body || {});
+        if (!item) {
+            return res.status(404).json({ error: 'Media library item not found' });
+        }
+        res.json({ success: true, item });
+    } catch (error) {
+        logger.error('Error updating media library item:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Delete an item and its file
+app.delete('/media-library/:id', async (req, res) => {
+    try {
+        if (!mediaLibrary) {
+            return res.status(503).json({ error: 'Media library not available' });
         }
+        const removed = await mediaLibrary.remove(req.params.id);
+        if (!removed) {
+            return res.status(404).json({ error: 'Media library item not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error removing media library item:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        const result = await whatsappService.sendMessage(targetPhone, message);
-        
-        // Save to history if conversation history is available
-        if (conversationHistory) {
-            await conversationHistory.addMessage(targetPhone, message, 'me');
+// What recipients told us (filter by `kind` and `status`; `includeExpired=true` adds expired ones),
+// newest first; for one recipient also what the next prompt would bring up
+app.get('/memories/:phoneNumber?', (req, res) => {
+    if (!memoryStore) {
+        return res.status(503).json({ error: 'Memory store not available' });
+    }
+
+    let recipient = null;
+    if (req.params.phoneNumber) {
+        recipient = recipientRegistry.get(req.params.phoneNumber);
+        if (!recipient) {
+            return res.status(404).json({ error: 'Recipient not found' });
         }
+    }
 
-        stats.messagesSent++;
-        lastMessageSent = {
-            message,
-            timestamp: new Date(),
-            phoneNumber: targetPhone,
-            type: 'manual',
-            serviceType: isUsingAlternative ? 'alternative' : 'primary'
-        };
+    res.json({
+        stats: memoryStore.getStats(),
+        memories: memoryStore.getAll({
+            phoneNumber: recipient ? recipient.phoneNumber : null,
+            kind: req.query.kind,
+            status: req.query.status,
+            includeExpired: req.query.includeExpired === 'true'
+        }),
+        prompt: recipient ? memoryStore.recall(recipient.phoneNumber, { timezone: recipient.timezone, limit: memoryPromptLimit }) : undefined
+    });
+});
 
-        res.json({
-            success: true,
-            result,
-            timestamp: new Date().toISOString()
-        });
+// Add a memory by hand (`phoneNumber`, `text`, optional `kind`, `keywords`, `eventDate`, `expiresAt`)
+app.post('/memories', async (req, res) => {
+    try {
+        if (!memoryStore) {
+            return res.status(503).json({ error: 'Memory store not available' });
+        }
+        const recipient = recipientRegistry.get((req.body || {}).phoneNumber);
+        if (!recipient) {
+            return res.status(404).json({ error: 'Recipient not found' });
+        }
+        const memory = await memoryStore.add({ ...req.body, phoneNumber: recipient.phoneNumber });
+        res.status(201).json({ success: true, memory });
     } catch (error) {
-        logger.error('Error sending manual message:', error);
-        stats.errors++;
-        res.status(500).json({ error: error.message });
+        logger.error('Error adding memory:', error);
+        res.status(400).json({ error: error.message });
     }
 });
 
-// Send automatic message (manual trigger)
-app.post('/send-auto-message', async (req, res) => {
+// Change a memory's `text`, `kind`, `keywords`, `eventDate`, `status` or `expiresAt`
+app.put('/memories/:id', async (req, res) => {
     try {
-        if (!isAutomationInitialized) {
-            return res.status(503).json({ error: 'Automation not initialized' });
+        if (!memoryStore) {
+            return res.status(503).json({ error: 'Memory store not available' });
+        }
+        const memory = await memoryStore.update(req.params.id, req.body || {});
+        if (!memory) {
+            return res.status(404).json({ error: 'Memory not found' });
         }
+        res.json({ success: true, memory });
+    } catch (error) {
+        logger.error('Error updating memory:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
 
-        const result = await sendAutomaticMessage();
-        res.json({
-            success: true,
-            result,
-            timestamp: new Date().toISOString()
-        });
+app.delete('/memories/:id', async (req, res) => {
+    try {
+        if (!memoryStore) {
+            return res.status(503).json({ error: 'Memory store not available' });
+        }
+        const removed = await memoryStore.remove(req.params.id);
+        if (!removed) {
+            return res.status(404).json({ error: 'Memory not found' });
+        }
+        res.json({ success: true });
     } catch (error) {
-        logger.error('Error sending automatic message:', error);
-        stats.errors++;
+        logger.error('Error removing memory:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Send automatic voice message (manual trigger)
-app.post('/send-auto-voice', async (req, res) => {
+// Drafts held for approval (filter by `status` and `phoneNumber`), newest first
+app.get('/drafts', (req, res) => {
+    if (!approvalQueue) {
+        return res.status(503).json({ error: 'Approval queue not available' });
+    }
+
+    const drafts = approvalQueue.getAll({ status: req.query.status, phoneNumber: req.query.phoneNumber })
+        .sort((a, b) => b.createdAt - a.createdAt);
+    res.json({ stats: approvalQueue.getStats(), drafts });
+});
+
+app.get('/drafts/:id', (req, res) => {
+    const draft = approvalQueue ? approvalQueue.get(req.params.id) : null;
+    if (!draft) {
+        return res.status(404).json({ error: 'Draft not found' });
+    }
+    res.json(draft);
+});
+
+// Approve a draft and send it, with the edited `text` when given
+app.post('/drafts/:id/approve', async (req, res) => {
     try {
-        if (!isAutomationInitialized) {
-            return res.status(503).json({ error: 'Automation not initialized' });
+        if (!approvalQueue) {
+            return res.status(503).json({ error: 'Approval queue not available' });
         }
 
-        if (!voiceGenerator) {
-            return res.status(503).json({ error: 'Voice generator not available' });
+        const text = typeof req.body?.text === 'string' ? req.body.text.trim() : null;
+        if (req.body?.text !== undefined && !text) {
+            return res.status(400).json({ error: 'text must be a non-empty string' });
         }
 
-        if (isUsingAlternative) {
-            return res.status(503).json({ error: 'Voice messages not supported with alternative service' });
+        const draft = await approveDraft(req.params.id, text);
+        if (!draft) {
+            return res.status(409).json({ error: 'Draft not found or no longer pending' });
         }
-
-        const result = await sendAutomaticVoiceMessage();
-        res.json({
-            success: true,
-            result,
-            timestamp: new Date().toISOString()
-        });
+        res.json({ success: true, draft, outbox: outbox.get(draft.outboxId) });
     } catch (error) {
-        logger.error('Error sending automatic voice message:', error);
-        stats.errors++;
+        logger.error('Error approving draft:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Send manual voice message
-app.post('/send-voice-message', async (req, res) => {
+// Reject a draft; it is never sent
+app.post('/drafts/:id/reject', async (req, res) => {
     try {
-        const { message, phoneNumber } = req.body;
-        
-        if (!message) {
-            return res.status(400).json({ error: 'Message is required' });
+        if (!approvalQueue) {
+            return res.status(503).json({ error: 'Approval queue not available' });
         }
 
-        if (!voiceGenerator) {
-            return res.status(503).json({ error: 'Voice generator not available' });
+        const draft = await approvalQueue.reject(req.params.id, req.body?.reason || null);
+        if (!draft) {
+            return res.status(409).json({ error: 'Draft not found or no longer pending' });
         }
+        res.json({ success: true, draft });
+    } catch (error) {
+        logger.error('Error rejecting draft:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        if (!whatsappService || !whatsappService.isReady) {
-            return res.status(503).json({ error: 'WhatsApp service not ready' });
+// Generate a new text for a pending draft, optionally following an `instruction`
+app.post('/drafts/:id/regenerate', async (req, res) => {
+    try {
+        if (!isAutomationInitialized) {
+            return res.status(503).json({ error: 'Automation not initialized' });
         }
 
-        if (isUsingAlternative) {
-            return res.status(503).json({ error: 'Voice messages not supported with alternative service' });
+        const draft = approvalQueue.get(req.params.id);
+        if (!draft || draft.status !== 'pending') {
+            return res.status(409).json({ error: 'Draft not found or no longer pending' });
         }
 
-        const targetPhone = phoneNumber || targetPhoneNumber;
-        if (!targetPhone) {
-            return res.status(400).json({ error: 'Phone number is required' });
+        const recipient = recipientRegistry.get(draft.phoneNumber);
+        if (!recipient) {
+            return res.status(404).json({ error: 'Recipient not found' });
         }
 
-        // Generate voice audio
-        const voiceResult = await voiceGenerator.generateVoiceForMessage(message);
+        // Only the text is generated again, so neither WhatsApp nor the voice service is needed
+        const overrides = {
+            ...draft.options,
+            instruction: req.body?.instruction || draft.options.instruction,
+            draftId: draft.id
+        };
+        const forVoice = draft.kind === 'voice';
+        const { result, media, conversationContext } = await composeMessage(recipient, overrides, forVoice);
+        await holdForApproval(recipient, draft.kind, { ...result, media }, conversationContext,
+            forVoice ? { ...overrides, type: 'automatic_voice' } : overrides);
+        res.json({ success: true, draft: approvalQueue.get(draft.id) });
+    } catch (error) {
+        logger.error('Error regenerating draft:', error);
+        // Reviewed or expired while the new text was being generated
+        const pending = approvalQueue.get(req.params.id)?.status === 'pending';
+        res.status(pending ? 500 : 409).json({ error: error.message });
+    }
+});
 
-        if (!voiceResult.success) {
-            throw new Error('Failed to generate voice audio');
+// Special dates of a recipient: today's and the upcoming ones, and whether today's was celebrated
+app.get('/special-dates/:phoneNumber?', (req, res) => {
+    try {
+        if (!specialDates) {
+            return res.status(503).json({ error: 'Special dates not available' });
         }
 
-        // Send ONLY voice message (no text)
-        const result = await whatsappService.sendVoiceMessage(targetPhone, voiceResult.filePath);
-        
-        // Save to history if conversation history is available
-        if (conversationHistory) {
-            await conversationHistory.addMessage(targetPhone, `[Voice: ${message}]`, 'me');
+        const recipient = resolveRecipient(req.params.phoneNumber);
+        if (!recipient) {
+            return res.status(404).json({ error: 'Recipient not found' });
         }
 
-        stats.voiceMessagesSent++;
-        lastVoiceMessageSent = {
-            message,
-            timestamp: new Date(),
-            phoneNumber: targetPhone,
-            type: 'manual_voice',
-            voiceFile: voiceResult.filename,
-            serviceType: 'primary'
-        };
-
+        const calendar = specialDates.getDates(personaProfiles.get(recipient.profile), {
+            country: recipient.country,
+            timezone: recipient.timezone
+        });
         res.json({
-            success: true,
-            result,
-            voiceFile: voiceResult.filename,
-            timestamp: new Date().toISOString()
+            phoneNumber: recipient.phoneNumber,
+            country: recipient.country,
+            settings: recipient.specialDates,
+            ...calendar,
+            celebrated: specialDates.wasCelebrated(recipient.phoneNumber, calendar.day),
+            supportedCountries: SpecialDates.getSupportedCountries()
         });
     } catch (error) {
-        logger.error('Error sending manual voice message:', error);
-        stats.errors++;
+        logger.error('Error getting special dates:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get conversation history
-app.get('/history/:phoneNumber?', async (req, res) => {
+// A recipient's current mood and their latest analyzed messages
+app.get('/mood/:phoneNumber?', async (req, res) => {
     try {
-        if (!conversationHistory) {
-            return res.status(503).json({ error: 'Conversation history not available' });
+        const recipient = resolveRecipient(req.params.phoneNumber);
+        if (!recipient || !conversationHistory) {
+            return res.status(404).json({ error: 'Recipient not found' });
         }
 
-        const phoneNumber = req.params.phoneNumber || targetPhoneNumber;
-        const limit = parseInt(req.query.limit) || 20;
-
-        const history = await conversationHistory.getHistory(phoneNumber, limit);
-        const conversationStats = await conversationHistory.getConversationStats(phoneNumber);
+        const mood = await conversationHistory.getMood(recipient.phoneNumber);
+        const messages = (await conversationHistory.search(recipient.phoneNumber, { from: 'incoming', limit: 100 })).results
+            .filter(message => message.mood)
+            .slice(0, parseInt(req.query.limit) || 10)
+            .map(message => ({ timestamp: message.timestamp, body: message.body, ...message.mood }));
 
         res.json({
-            phoneNumber,
-            history,
-            stats: conversationStats
+            phoneNumber: recipient.phoneNumber,
+            mood,
+            supportive: Boolean(mood && messageGenerator && messageGenerator.supportiveMoods.includes(mood.mood)),
+            messages
         });
     } catch (error) {
-        logger.error('Error getting conversation history:', error);
+        logger.error('Error getting mood:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Update schedule
-app.post('/schedule/update', async (req, res) => {
-    try {
-        const { intervalSeconds } = req.body;
+// List scheduled messages (optionally for one recipient)
+app.get('/scheduled-messages', (req, res) => {
+    if (!scheduledMessages) {
+        return res.status(503).json({ error: 'Scheduled messages not available' });
+    }
 
-        if (!intervalSeconds || intervalSeconds < 1) {
-            return res.status(400).json({ error: 'Invalid interval seconds (must be >= 1)' });
-        }
+    const messages = req.query.phoneNumber
+        ? scheduledMessages.getForRecipient(recipientRegistry.normalizePhoneNumber(req.query.phoneNumber))
+        : scheduledMessages.getAll();
+    res.json({ messages: messages.map(describeScheduledMessage) });
+});
 
-        if (!cronScheduler) {
-            return res.status(503).json({ error: 'Scheduler not available' });
-        }
+// Get a scheduled message
+app.get('/scheduled-messages/:id', (req, res) => {
+    if (!scheduledMessages) {
+        return res.status(503).json({ error: 'Scheduled messages not available' });
+    }
 
-        // Remove existing job
-        cronScheduler.removeJob('autoMessages');
+    const message = scheduledMessages.get(req.params.id);
+    if (!message) {
+        return res.status(404).json({ error: 'Scheduled message not found' });
+    }
+    res.json({ message: describeScheduledMessage(message) });
+});
 
-        // Create new job
-        cronScheduler.scheduleAutoMessages(
-            intervalSeconds,
-            async () => {
-                if (whatsappService && whatsappService.isReady) {
-                    try {
-                        await sendAutomaticMessage();
-                    } catch (error) {
-                        logger.error('Scheduled message failed:', error);
-                    }
-                } else {
-                    logger.debug('Skipping auto message - WhatsApp not ready');
-                }
-            }
-        );
+// Schedule a message
+app.post('/scheduled-messages', async (req, res) => {
+    try {
+        if (!scheduledMessages) {
+            return res.status(503).json({ error: 'Scheduled messages not available' });
+        }
 
-        // Start the new job
-        cronScheduler.startJob('autoMessages');
+        const requestError = validateScheduledMessageRequest(req.body || {});
+        if (requestError || !req.body?.phoneNumber) {
+            return res.status(400).json({ error: requestError || 'phoneNumber is required' });
+        }
 
-        logger.info(`Schedule updated to send messages every ${intervalSeconds} seconds`);
+        const message = await scheduledMessages.add(req.body);
+        scheduleMessage(message);
 
-        res.json({
-            success: true,
-            newInterval: `${intervalSeconds} seconds`,
-            message: 'Schedule updated successfully'
-        });
+        res.status(201).json({ success: true, message: describeScheduledMessage(message) });
     } catch (error) {
-        logger.error('Error updating schedule:', error);
-        res.status(500).json({ error: error.message });
+        logger.error('Error scheduling message:', error);
+        res.status(400).json({ error: error.message });
     }
 });
 
-// Start scheduler
-app.post('/schedule/start', async (req, res) => {
+// Update a scheduled message
+app.put('/scheduled-messages/:id', async (req, res) => {
     try {
-        if (!cronScheduler) {
-            return res.status(503).json({ error: 'Scheduler not available' });
+        if (!scheduledMessages) {
+            return res.status(503).json({ error: 'Scheduled messages not available' });
+        }
+
+        const requestError = validateScheduledMessageRequest(req.body || {});
+        if (requestError) {
+            return res.status(400).json({ error: requestError });
         }
 
-        cronScheduler.startJob('autoMessages');
-        res.json({ success: true, message: 'Scheduler started' });
+        const message = await scheduledMessages.update(req.params.id, req.body || {});
+        if (!message) {
+            return res.status(404).json({ error: 'Scheduled message not found' });
+        }
+        scheduleMessage(message);
+
+        res.json({ success: true, message: describeScheduledMessage(message) });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        logger.error('Error updating scheduled message:', error);
+        res.status(400).json({ error: error.message });
     }
 });
 
-// Stop scheduler
-app.post('/schedule/stop', async (req, res) => {
+// Delete a scheduled message
+app.delete('/scheduled-messages/:id', async (req, res) => {
     try {
-        if (!cronScheduler) {
-            return res.status(503).json({ error: 'Scheduler not available' });
+        if (!scheduledMessages) {
+            return res.status(503).json({ error: 'Scheduled messages not available' });
         }
 
-        cronScheduler.stopJob('autoMessages');
-        res.json({ success: true, message: 'Scheduler stopped' });
+        const removed = await scheduledMessages.remove(req.params.id);
+        if (!removed) {
+            return res.status(404).json({ error: 'Scheduled message not found' });
+        }
+
+        const jobName = scheduledMessageJobName(req.params.id);
+        if (cronScheduler && cronScheduler.jobs.has(jobName)) {
+            cronScheduler.removeJob(jobName);
+            await scheduleStore.forgetJobs(jobName);
+        }
+
+        res.json({ success: true, message: `Scheduled message ${req.params.id} removed` });
     } catch (error) {
+        logger.error('Error removing scheduled message:', error);
         res.status(500).json({ error: error.message });
     }
 });
@@ -811,10 +2574,139 @@ app.get('/qr', (req, res) => {
     }
 });
 
+// Parse QUIET_HOURS ("23:00-08:00" or "13:00-14:00,23:00-08:00") into quiet hour ranges
+function parseQuietHours(value) {
+    if (!value) {
+        return [];
+    }
+    return value.split(',').map(range => {
+        const [start, end] = range.trim().split('-');
+        return { start, end };
+    });
+}
+
 // Start server
 async function start() {
     try {
         logger.info('Starting WhatsApp Automation System...');
+
+        // Load persona profiles (built-in ones plus any in ./data/profiles)
+        personaProfiles = new PersonaProfiles({
+            defaultProfileId: process.env.PERSONA_PROFILE || 'godoy'
+        });
+
+        // Load validation rule sets (built-in ones plus any in ./data/rules)
+        messageValidator = new MessageValidator();
+
+        // Load recipients before WhatsApp so incoming messages can be matched right away
+        recipientRegistry = new RecipientRegistry('./data', {
+            messageIntervalSeconds: messageInterval,
+            voiceIntervalSeconds: voiceInterval,
+            language: process.env.MESSAGE_LANGUAGE || 'spanish',
+            style: process.env.MESSAGE_STYLE || 'romantic',
+            timezone: process.env.RECIPIENT_TIMEZONE || null,
+            country: process.env.RECIPIENT_COUNTRY || null,
+            quietHours: parseQuietHours(process.env.QUIET_HOURS),
+            scheduleMode: process.env.SCHEDULE_MODE === 'humanized' ? 'humanized' : 'interval',
+            candidates: parseInt(process.env.MESSAGE_CANDIDATES) || 1,
+            engagement: {
+                enabled: process.env.ENGAGEMENT_POLICY_ENABLED !== 'false',
+                slowdownAfter: parseInt(process.env.ENGAGEMENT_SLOWDOWN_AFTER) || 2,
+                maxUnanswered: parseInt(process.env.ENGAGEMENT_MAX_UNANSWERED) || 4,
+                checkInAfterHours: parseFloat(process.env.ENGAGEMENT_CHECK_IN_AFTER_HOURS) || 24
+            },
+            humanized: {
+                minPerDay: parseInt(process.env.MESSAGES_PER_DAY_MIN) || 4,
+                maxPerDay: parseInt(process.env.MESSAGES_PER_DAY_MAX) || 7,
+                minSpacingMinutes: parseFloat(process.env.MIN_SPACING_MINUTES) || 45,
+                dailyCap: parseInt(process.env.DAILY_MESSAGE_CAP) || null
+            },
+            specialDates: {
+                themedMessages: process.env.SPECIAL_DATE_MESSAGES !== 'false',
+                messageTime: process.env.SPECIAL_DATE_MESSAGE_TIME || '10:00'
+            },
+            approval: {
+                enabled: process.env.APPROVAL_REQUIRED === 'true',
+                timeoutMinutes: parseFloat(process.env.APPROVAL_TIMEOUT_MINUTES) || 60,
+                onTimeout: process.env.APPROVAL_ON_TIMEOUT === 'send' ? 'send' : 'expire'
+            },
+            media: {
+                enabled: process.env.MEDIA_MESSAGES === 'true',
+                chance: process.env.MEDIA_CHANCE !== undefined ? parseFloat(process.env.MEDIA_CHANCE) : 0.1
+            },
+            autoReply: {
+                enabled: process.env.AUTO_REPLY_ENABLED === 'true',
+                delaySeconds: parseFloat(process.env.AUTO_REPLY_DELAY_SECONDS) || 45,
+                jitterSeconds: parseFloat(process.env.AUTO_REPLY_JITTER_SECONDS) || 60,
+                debounceSeconds: parseFloat(process.env.AUTO_REPLY_DEBOUNCE_SECONDS) || 20,
+                maxWaitSeconds: parseFloat(process.env.AUTO_REPLY_MAX_WAIT_SECONDS) || 300
+            }
+        });
+        await recipientRegistry.load(defaultTargetPhoneNumber);
+
+        scheduledMessages = new ScheduledMessages('./data', {
+            catchUpHours: parseFloat(process.env.SCHEDULED_CATCH_UP_HOURS) || 6
+        });
+        await scheduledMessages.load();
+
+        specialDates = new SpecialDates('./data', {
+            lookaheadDays: parseInt(process.env.SPECIAL_DATES_LOOKAHEAD_DAYS) || 3
+        });
+        await specialDates.load();
+
+        outbox = new Outbox('./data', {
+            send: sendOutboxEntry,
+            isReady: () => Boolean(whatsappService && whatsappService.isReady),
+            onSent: recordOutboxSent,
+            maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 5,
+            baseDelaySeconds: parseFloat(process.env.OUTBOX_RETRY_BASE_SECONDS) || 30,
+            maxDelaySeconds: parseFloat(process.env.OUTBOX_RETRY_MAX_SECONDS) || 1800,
+            ttlHours: parseFloat(process.env.OUTBOX_TTL_HOURS) || 6
+        });
+        await outbox.load();
+
+        approvalQueue = new ApprovalQueue('./data', {
+            onTimeout: sendDraftOnTimeout
+        });
+        await approvalQueue.load();
+
+        mediaStore = new MediaStore('./data', {
+            transcribe: createTranscriber(process.env.SPEECH_TO_TEXT_PROVIDER || 'openai', {
+                apiKey: process.env.OPENAI_API_KEY,
+                model: process.env.SPEECH_TO_TEXT_MODEL
+            }),
+            describe: createDescriber(process.env.IMAGE_DESCRIPTION_PROVIDER || 'none', {
+                apiKey: process.env.OPENAI_API_KEY,
+                model: process.env.IMAGE_DESCRIPTION_MODEL
+            }),
+            maxBytes: (parseFloat(process.env.MEDIA_MAX_MB) || 16) * 1024 * 1024,
+            retentionDays: process.env.MEDIA_RETENTION_DAYS !== undefined ? parseFloat(process.env.MEDIA_RETENTION_DAYS) : 30
+        });
+        await mediaStore.load();
+
+        mediaLibrary = new MediaLibrary('./data', {
+            cooldownHours: process.env.MEDIA_COOLDOWN_HOURS !== undefined ? parseFloat(process.env.MEDIA_COOLDOWN_HOURS) : 24
+        });
+        await mediaLibrary.load();
+
+        // Real chat exports the generator takes past exchanges from; names are the sender's in the chat
+        const corpusProfile = personaProfiles.get(process.env.CHAT_CORPUS_PROFILE || null);
+        chatRetriever = new ChatRetriever({
+            files: (process.env.CHAT_CORPUS_FILES || path.join(__dirname, 'src', 'chat-history.txt')).split(',').map(file => file.trim()).filter(Boolean),
+            corpusDir: './data/chat-corpus',
+            me: process.env.CHAT_CORPUS_ME || [corpusProfile?.sender.alias, corpusProfile?.sender.name]
+        });
+        await chatRetriever.load();
+
+        memoryStore = new MemoryStore('./data', {
+            extract: createExtractor(process.env.MEMORY_EXTRACTOR || 'rules', {
+                apiKey: process.env.OPENAI_API_KEY,
+                model: process.env.MEMORY_EXTRACTION_MODEL
+            }),
+            threadDays: parseFloat(process.env.MEMORY_THREAD_DAYS) || 7,
+            factDays: process.env.MEMORY_FACT_DAYS !== undefined ? parseFloat(process.env.MEMORY_FACT_DAYS) : 180
+        });
+        await memoryStore.load();
         
         // Initialize WhatsApp service with fallback
         await initializeWhatsApp();
@@ -0,0 +1,290 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+
+const STATUSES = ['pending', 'sending', 'approved', 'rejected', 'expired', 'failed'];
+const MINUTE = 60 * 1000;
+const CONTEXT_MESSAGES = 6;
+
+/**
+ * Drafts of automated messages waiting for human review, in data/drafts.json.
+ * Recipients with approval turned on get their generated messages held here
+ * instead of sent. A reviewer approves (optionally after editing), rejects or
+ * regenerates each draft; drafts still pending at their deadline expire, or
+ * are sent when the recipient's `approval.onTimeout` is 'send'.
+ *
+ *   pending -> sending -> approved (handed to the outbox) | failed
+ *   pending -> rejected | expired
+ */
+class ApprovalQueue {
+    constructor(dataDir = './data', options = {}) {
+        this.dataDir = dataDir;
+        this.draftsFile = path.join(dataDir, 'drafts.json');
+        this.onTimeout = options.onTimeout || null; // async (draft) => send it, or { deferUntil } | { expire: reason }
+        this.pollSeconds = options.pollSeconds || 30;
+        this.retentionHours = options.retentionHours ?? 7 * 24;
+        this.drafts = new Map();
+        this.timer = null;
+        this.checking = false;
+    }
+
+    async load() {
+        try {
+            if (await fs.pathExists(this.draftsFile)) {
+                const data = await fs.readJson(this.draftsFile);
+                for (const draft of data.drafts || []) {
+                    // An approval interrupted by a restart is reviewed again
+                    if (draft.status === 'sending') {
+                        draft.status = 'pending';
+                    }
+                    this.drafts.set(draft.id, draft);
+                }
+                logger.info(`Loaded ${this.getAll({ status: 'pending' }).length} draft(s) awaiting approval`);
+            }
+        } catch (error) {
+            logger.error('Failed to load drafts:', error);
+        }
+    }
+
+    async save() {
+        try {
+            await fs.ensureDir(this.dataDir);
+            await fs.writeJson(this.draftsFile, {
+                metadata: {
+                    version: '1.0',
+                    lastUpdated: Date.now()
+                },
+                drafts: this.getAll()
+            }, { spaces: 2 });
+        } catch (error) {
+            logger.error('Failed to save drafts:', error);
+        }
+    }
+
+    // Check deadlines periodically
+    start() {
+        if (!this.timer) {
+            this.timer = setInterval(() => this.checkDeadlines(), this.pollSeconds * 1000);
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Hold a generated message. `settings` are the recipient's approval settings and
+    // `options` what is needed to generate it again
+    async add(data, settings) {
+        const now = Date.now();
+        const draft = {
+            id: `draft_${now}_${Math.random().toString(36).substr(2, 6)}`,
+            phoneNumber: data.phoneNumber,
+            kind: data.kind || 'text',
+            type: data.type || 'automatic',
+            text: data.text,
+            originalText: data.text,
+            edited: false,
+            media: data.media || null, // library item sent with the text once approved
+            options: data.options || {},
+            meta: data.meta || {},
+            context: this.summarizeContext(data.messages),
+            status: 'pending',
+            deadline: now + settings.timeoutMinutes * MINUTE,
+            onTimeout: settings.onTimeout,
+            regenerations: 0,
+            reason: null,
+            outboxId: null,
+            lastError: null,
+            createdAt: now,
+            updatedAt: now,
+            reviewedAt: null
+        };
+
+        this.drafts.set(draft.id, draft);
+        await this.save();
+        logger.info(`Draft ${draft.id} for ${draft.phoneNumber} awaiting approval until ${new Date(draft.deadline).toISOString()}`);
+        return draft;
+    }
+
+    // The last few messages of the conversation, shown to the reviewer next to the draft
+    summarizeContext(messages = []) {
+        return messages.slice(-CONTEXT_MESSAGES).map(message => ({
+            from: message.from,
+            body: message.body,
+            timestamp: message.timestamp
+        }));
+    }
+
+    // Swap in a regenerated text; the review deadline starts over
+    async replace(id, data, settings) {
+        const draft = this.drafts.get(id);
+        if (!draft || draft.status !== 'pending') {
+            return null;
+        }
+
+        const now = Date.now();
+        Object.assign(draft, {
+            text: data.text,
+            originalText: data.text,
+            edited: false,
+            media: data.media || null,
+            meta: data.meta || draft.meta,
+            context: data.messages ? this.summarizeContext(data.messages) : draft.context,
+            deadline: now + settings.timeoutMinutes * MINUTE,
+            onTimeout: settings.onTimeout,
+            regenerations: draft.regenerations + 1,
+            updatedAt: now
+        });
+        await this.save();
+        logger.info(`Draft ${id} regenerated (${draft.regenerations} time(s))`);
+        return draft;
+    }
+
+    // Take a pending draft for sending so it can't be approved twice; null when it isn't pending
+    claim(id) {
+        const draft = this.drafts.get(id);
+        if (!draft || draft.status !== 'pending') {
+            return null;
+        }
+        draft.status = 'sending';
+        draft.updatedAt = Date.now();
+        return draft;
+    }
+
+    // Record how a claimed draft ended: approved with the text that was sent, or failed
+    async complete(id, outcome) {
+        const draft = this.drafts.get(id);
+        if (!draft) {
+            return null;
+        }
+
+        const now = Date.now();
+        draft.status = outcome.status;
+        draft.updatedAt = now;
+        draft.reviewedAt = now;
+        draft.reviewedBy = outcome.reviewedBy || null;
+        if (outcome.text && outcome.text !== draft.text) {
+            draft.text = outcome.text;
+            draft.edited = true;
+        }
+        draft.outboxId = outcome.outboxId || null;
+        draft.lastError = outcome.error ? outcome.error.message : null;
+
+        await this.save();
+        logger.info(`Draft ${id} ${draft.status}${draft.edited ? ' (edited)' : ''}`);
+        return draft;
+    }
+
+    async reject(id, reason = null) {
+        const draft = this.drafts.get(id);
+        if (!draft || draft.status !== 'pending') {
+            return null;
+        }
+
+        const now = Date.now();
+        Object.assign(draft, { status: 'rejected', reason, reviewedAt: now, reviewedBy: 'reviewer', updatedAt: now });
+        await this.save();
+        logger.info(`Draft ${id} rejected${reason ? `: ${reason}` : ''}`);
+        return draft;
+    }
+
+    // Expire or send the drafts whose deadline passed, and drop old finished ones. `onTimeout`
+    // may hold a draft until a later time (outside the send window) or expire it instead
+    async checkDeadlines(now = Date.now()) {
+        if (this.checking) {
+            return;
+        }
+        this.checking = true;
+
+        try {
+            let changed = this.prune(now) > 0;
+            for (const draft of this.getAll({ status: 'pending' })) {
+                if (draft.deadline > now) {
+                    continue;
+                }
+
+                let outcome = null;
+                if (draft.onTimeout === 'send' && this.onTimeout) {
+                    logger.info(`Draft ${draft.id} not reviewed in time`);
+                    try {
+                        outcome = await this.onTimeout(draft) || null;
+                    } catch (error) {
+                        logger.error(`Sending draft ${draft.id} on timeout failed:`, error);
+                    }
+                    if (!outcome?.deferUntil && !outcome?.expire) {
+                        continue;
+                    }
+                }
+
+                if (outcome?.deferUntil) {
+                    Object.assign(draft, { deadline: outcome.deferUntil, updatedAt: now });
+                    logger.info(`Draft ${draft.id} for ${draft.phoneNumber} held until ${new Date(outcome.deferUntil).toISOString()}`);
+                } else {
+                    Object.assign(draft, { status: 'expired', reason: outcome?.expire || null, updatedAt: now });
+                    logger.info(`Draft ${draft.id} for ${draft.phoneNumber} expired without review${outcome?.expire ? `: ${outcome.expire}` : ''}`);
+                }
+                changed = true;
+            }
+            if (changed) {
+                await this.save();
+            }
+        } catch (error) {
+            logger.error('Draft deadline check failed:', error);
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    prune(now = Date.now()) {
+        let count = 0;
+        for (const [id, draft] of this.drafts) {
+            if (!['pending', 'sending'].includes(draft.status) && now - draft.updatedAt > this.retentionHours * 60 * MINUTE) {
+                this.drafts.delete(id);
+                count++;
+            }
+        }
+        return count;
+    }
+
+    // Drop the pending drafts of a recipient (e.g. when it is removed)
+    async forget(phoneNumber) {
+        const ids = this.getAll({ phoneNumber, status: 'pending' }).map(draft => draft.id);
+        if (ids.length > 0) {
+            ids.forEach(id => this.drafts.delete(id));
+            await this.save();
+        }
+        return ids.length;
+    }
+
+    hasPending(phoneNumber) {
+        return this.getAll({ phoneNumber, status: 'pending' }).length > 0;
+    }
+
+    get(id) {
+        return this.drafts.get(id) || null;
+    }
+
+    getAll(filter = {}) {
+        return Array.from(this.drafts.values()).filter(draft =>
+            (!filter.status || draft.status === filter.status) &&
+            (!filter.phoneNumber || draft.phoneNumber === filter.phoneNumber));
+    }
+
+    getStats() {
+        const counts = {};
+        STATUSES.forEach(status => {
+            counts[status] = 0;
+        });
+        for (const draft of this.drafts.values()) {
+            counts[draft.status]++;
+        }
+        return counts;
+    }
+}
+
+ApprovalQueue.STATUSES = STATUSES;
+
+module.exports = ApprovalQueue;
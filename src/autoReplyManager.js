@@ -0,0 +1,146 @@
+const logger = require('./logger');
+
+/**
+ * Replies to incoming messages after a human-like delay. Bursts of incoming
+ * messages are debounced into a single reply. Scheduled sends register with
+ * beginSend/endSend so auto-replies and scheduled messages never go out at the
+ * same time.
+ */
+class AutoReplyManager {
+    constructor(sendReply, options = {}) {
+        this.sendReply = sendReply;
+        this.retryDelaySeconds = options.retryDelaySeconds || 5;
+        this.pending = new Map(); // phoneNumber -> { timer, count, firstMessageAt, dueAt }
+        this.replying = new Set();
+        this.scheduledSends = new Map(); // phoneNumber -> scheduled sends in flight
+        this.lastReplyAt = new Map();
+        this.stats = {
+            repliesSent: 0,
+            repliesFailed: 0,
+            messagesDebounced: 0,
+            repliesSkipped: 0
+        };
+    }
+
+    // Queue a reply for an incoming message; returns false when auto-reply is off for the recipient
+    handleIncoming(recipient) {
+        const settings = recipient.autoReply;
+        if (!recipient.enabled || !settings || !settings.enabled) {
+            return false;
+        }
+
+        const phoneNumber = recipient.phoneNumber;
+        const now = Date.now();
+        const existing = this.pending.get(phoneNumber);
+        const entry = existing || { timer: null, count: 0, firstMessageAt: now, dueAt: null };
+
+        entry.count++;
+        if (existing) {
+            clearTimeout(existing.timer);
+            this.stats.messagesDebounced++;
+        }
+
+        // First message: wait the reply delay. Each message of a burst pushes the reply back by
+        // the debounce window, but never beyond maxWaitSeconds after the first one
+        const jitter = Math.random() * (settings.jitterSeconds || 0);
+        const wait = (entry.count === 1 ? settings.delaySeconds : settings.debounceSeconds) + jitter;
+        const latest = entry.firstMessageAt + (settings.maxWaitSeconds * 1000);
+        entry.dueAt = Math.max(now, Math.min(now + (wait * 1000), latest));
+        entry.timer = setTimeout(() => this.fire(phoneNumber), entry.dueAt - now);
+
+        this.pending.set(phoneNumber, entry);
+        logger.info(`Auto-reply to ${phoneNumber} due in ${Math.round((entry.dueAt - now) / 1000)}s (${entry.count} message(s) pending)`);
+        return true;
+    }
+
+    async fire(phoneNumber) {
+        const entry = this.pending.get(phoneNumber);
+
+        // A scheduled message is being sent right now; try again shortly
+        if (this.scheduledSends.get(phoneNumber)) {
+            logger.debug(`Auto-reply to ${phoneNumber} waiting for another send to finish`);
+            if (entry) {
+                entry.timer = setTimeout(() => this.fire(phoneNumber), this.retryDelaySeconds * 1000);
+                entry.dueAt = Date.now() + (this.retryDelaySeconds * 1000);
+            }
+            return;
+        }
+
+        this.pending.delete(phoneNumber);
+        this.replying.add(phoneNumber);
+
+        try {
+            const sent = await this.sendReply(phoneNumber, entry ? entry.count : 1);
+            if (sent) {
+                this.stats.repliesSent++;
+                this.lastReplyAt.set(phoneNumber, Date.now());
+            } else {
+                this.stats.repliesSkipped++;
+            }
+        } catch (error) {
+            this.stats.repliesFailed++;
+            logger.error(`Auto-reply to ${phoneNumber} failed:`, error);
+        } finally {
+            this.replying.delete(phoneNumber);
+        }
+    }
+
+    // Called around scheduled sends so pending replies wait for them to finish
+    beginSend(phoneNumber) {
+        this.scheduledSends.set(phoneNumber, (this.scheduledSends.get(phoneNumber) || 0) + 1);
+    }
+
+    endSend(phoneNumber) {
+        const count = (this.scheduledSends.get(phoneNumber) || 1) - 1;
+        if (count > 0) {
+            this.scheduledSends.set(phoneNumber, count);
+        } else {
+            this.scheduledSends.delete(phoneNumber);
+        }
+    }
+
+    // True while a scheduled send to the recipient is in flight
+    isSending(phoneNumber) {
+        return this.scheduledSends.has(phoneNumber);
+    }
+
+    // True while a reply to the recipient is pending or being sent
+    isBusy(phoneNumber) {
+        return this.pending.has(phoneNumber) || this.replying.has(phoneNumber);
+    }
+
+    // True if an auto-reply went out within the last `seconds`
+    repliedWithin(phoneNumber, seconds) {
+        const lastReply = this.lastReplyAt.get(phoneNumber);
+        return Boolean(lastReply) && Date.now() - lastReply < seconds * 1000;
+    }
+
+    cancel(phoneNumber) {
+        const entry = this.pending.get(phoneNumber);
+        if (entry) {
+            clearTimeout(entry.timer);
+            this.pending.delete(phoneNumber);
+            logger.info(`Cancelled pending auto-reply to ${phoneNumber}`);
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            pending: Array.from(this.pending.entries()).map(([phoneNumber, entry]) => ({
+                phoneNumber,
+                messages: entry.count,
+                dueAt: new Date(entry.dueAt).toISOString()
+            })),
+            replying: Array.from(this.replying)
+        };
+    }
+
+    shutdown() {
+        for (const phoneNumber of Array.from(this.pending.keys())) {
+            this.cancel(phoneNumber);
+        }
+    }
+}
+
+module.exports = AutoReplyManager;
@@ -0,0 +1,136 @@
+/**
+ * Scores candidate messages for "best of N" generation. A candidate is out
+ * when validation blocks it or when it is too similar to one of our recent
+ * messages; the rest are ranked by:
+ *
+ *   novelty: how different it is from the recent outgoing messages
+ *   style:   style markers and pet names it uses (per the style's pet name setting)
+ *   length:  closeness to the typical length of the profile's example messages
+ *
+ * Validation warnings cost `warningPenalty` each.
+ */
+class CandidateRanker {
+    constructor(options = {}) {
+        this.similarityThreshold = options.similarityThreshold ?? 0.6;
+        this.recentCount = options.recentCount || 10;
+        this.warningPenalty = options.warningPenalty ?? 0.1;
+        this.weights = {
+            novelty: 0.4,
+            style: 0.35,
+            length: 0.25,
+            ...(options.weights || {})
+        };
+    }
+
+    // Character trigrams of a message, ignoring case, punctuation and repeated spaces
+    static trigrams(text) {
+        const normalized = ` ${String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim()} `;
+        const grams = new Set();
+        for (let i = 0; i < normalized.length - 2; i++) {
+            grams.add(normalized.slice(i, i + 3));
+        }
+        return grams;
+    }
+
+    // Dice coefficient of two messages' trigrams: 0 (nothing in common) to 1 (same text)
+    static similarity(a, b) {
+        const gramsA = CandidateRanker.trigrams(a);
+        const gramsB = CandidateRanker.trigrams(b);
+        if (gramsA.size === 0 || gramsB.size === 0) {
+            return 0;
+        }
+        let shared = 0;
+        gramsA.forEach(gram => {
+            if (gramsB.has(gram)) {
+                shared++;
+            }
+        });
+        return (2 * shared) / (gramsA.size + gramsB.size);
+    }
+
+    // Bodies of our latest messages in a conversation (voice notes by their transcript)
+    recentOutgoing(messages = []) {
+        return messages
+            .filter(message => message.from === 'outgoing' || message.from === 'me')
+            .slice(-this.recentCount)
+            .map(message => String(message.body || '').replace(/^\[Voice:\s*/, '').replace(/\]$/, ''));
+    }
+
+    // Length the profile usually writes: the median length of its example messages
+    targetLength(profile = {}) {
+        const lengths = [...(profile.exampleMessages || []), ...(profile.moreExampleMessages || [])]
+            .map(message => message.length)
+            .sort((a, b) => a - b);
+        return lengths.length > 0 ? lengths[Math.floor(lengths.length / 2)] : 60;
+    }
+
+    // Score one candidate. `validation` is the validator's result for it
+    score(message, validation, context = {}) {
+        const { style = {}, profile = {} } = context;
+        const recent = context.recent || [];
+        const lower = message.toLowerCase();
+
+        let maxSimilarity = 0;
+        let similarTo = null;
+        recent.forEach(previous => {
+            const similarity = CandidateRanker.similarity(message, previous);
+            if (similarity > maxSimilarity) {
+                maxSimilarity = similarity;
+                similarTo = previous;
+            }
+        });
+
+        const markers = [...(style.styleMarkers || [])];
+        if (style.petNames !== 'forbidden') {
+            markers.push(...(profile.petNames || []));
+        }
+        const matchedMarkers = [...new Set(markers)].filter(marker => lower.includes(String(marker).toLowerCase()));
+
+        const target = this.targetLength(profile);
+        const components = {
+            novelty: 1 - maxSimilarity,
+            style: markers.length > 0 ? Math.min(matchedMarkers.length / 2, 1) : 1,
+            length: 1 - Math.min(Math.abs(message.length - target) / target, 1)
+        };
+        const warnings = validation ? validation.warnings.length : 0;
+        const score = Object.keys(this.weights).reduce((total, key) => total + this.weights[key] * components[key], 0)
+            - warnings * this.warningPenalty;
+
+        let rejectedBy = null;
+        if (validation && !validation.valid) {
+            rejectedBy = validation.failures.map(failure => failure.reason).join('; ');
+        } else if (maxSimilarity >= this.similarityThreshold) {
+            rejectedBy = `Too similar (${Math.round(maxSimilarity * 100)}%) to a recent message`;
+        }
+
+        return {
+            message,
+            score: Math.round(score * 1000) / 1000,
+            eligible: rejectedBy === null,
+            rejectedBy,
+            components,
+            matchedMarkers,
+            maxSimilarity: Math.round(maxSimilarity * 1000) / 1000,
+            similarTo,
+            warnings: validation ? validation.warnings.map(warning => warning.reason) : []
+        };
+    }
+
+    // Score and sort candidates ({ message, validation, ... }): eligible ones first, best score first.
+    // Compared with `context.recent`, or our messages in `context.messages` when not given
+    rank(candidates, context = {}) {
+        const recent = context.recent && context.recent.length > 0
+            ? context.recent.slice(-this.recentCount)
+            : this.recentOutgoing(context.messages);
+
+        return candidates
+            .map(candidate => ({
+                ...candidate,
+                ...this.score(candidate.message, candidate.validation, { ...context, recent })
+            }))
+            .sort((a, b) => (b.eligible - a.eligible) || (b.score - a.score))
+            .map((candidate, index) => ({ ...candidate, rank: index + 1 }));
+    }
+}
+
+module.exports = CandidateRanker;
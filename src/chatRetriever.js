@@ -0,0 +1,188 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+const { parseChat } = require('./whatsappChatParser');
+const { words } = require('./historySearch');
+
+const HOUR = 60 * 60 * 1000;
+
+// Words too common to say what an exchange is about
+const STOPWORDS = new Set([
+    'a', 'al', 'algo', 'asi', 'como', 'con', 'de', 'del', 'el', 'en', 'es', 'esa', 'ese', 'eso', 'esta', 'este',
+    'esto', 'ha', 'hay', 'la', 'las', 'le', 'les', 'lo', 'los', 'me', 'mi', 'mas', 'muy', 'no', 'o', 'para',
+    'pero', 'por', 'que', 'se', 'si', 'sin', 'su', 'sus', 'te', 'ti', 'tu', 'un', 'una', 'y', 'ya', 'yo',
+    'an', 'and', 'are', 'at', 'be', 'but', 'do', 'for', 'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or',
+    'so', 'that', 'the', 'to', 'was', 'we', 'you', 'your'
+]);
+
+// Lines that say nothing about how we write
+const NOISE = /^\[|^(?:se elimin[oó] este mensaje\.?|this message was deleted\.?|eliminaste este mensaje\.?|you deleted this message\.?|null)$/i;
+
+function tokenize(text) {
+    return words(text).filter(word => word.length > 1 && !STOPWORDS.has(word));
+}
+
+/**
+ * Finds past exchanges from real exported chats that resemble the current
+ * conversation, so the prompt can show how we actually answered. Chats are
+ * split into exchanges (what the contact said, then our reply within the
+ * same sitting) and indexed locally with BM25; nothing leaves the machine.
+ *
+ * The corpus is WhatsApp "Export chat" files: `files` plus every .txt in
+ * `corpusDir`. `me` is our name in them (the first of the names given that
+ * appears in a file).
+ */
+class ChatRetriever {
+    constructor(options = {}) {
+        this.files = options.files || [];
+        this.corpusDir = options.corpusDir || null;
+        this.me = [].concat(options.me || []).filter(Boolean);
+        this.sessionGapHours = options.sessionGapHours || 2; // A longer silence starts a new sitting
+        this.maxTurnMessages = options.maxTurnMessages || 3;
+        this.k1 = 1.2;
+        this.b = 0.75;
+        this.exchanges = [];
+        this.postings = new Map(); // token -> [{ index, count }]
+        this.averageLength = 0;
+    }
+
+    async load() {
+        this.exchanges = [];
+        try {
+            const files = [...this.files];
+            if (this.corpusDir && await fs.pathExists(this.corpusDir)) {
+                const names = (await fs.readdir(this.corpusDir)).filter(file => file.toLowerCase().endsWith('.txt'));
+                files.push(...names.map(file => path.join(this.corpusDir, file)));
+            }
+
+            for (const file of files) {
+                if (!await fs.pathExists(file)) {
+                    logger.warn(`Chat corpus file not found: ${file}`);
+                    continue;
+                }
+                this.addChat(await fs.readFile(file, 'utf8'), path.basename(file));
+            }
+            this.buildIndex();
+            logger.info(`Indexed ${this.exchanges.length} past exchange(s) from ${files.length} chat file(s) for retrieval`);
+        } catch (error) {
+            logger.error('Failed to load the chat corpus:', error);
+        }
+        return this.exchanges.length;
+    }
+
+    // Split an exported chat into exchanges: the contact's last few messages and our reply
+    addChat(text, source = 'chat') {
+        const parsed = parseChat(text);
+        const me = this.me.find(name => parsed.participants[name]);
+        if (!me) {
+            logger.warn(`Skipping chat corpus ${source}: none of ${this.me.join(', ') || '(no names)'} among its senders (${Object.keys(parsed.participants).join(', ')})`);
+            return 0;
+        }
+
+        const messages = parsed.messages.filter(message => !NOISE.test(message.body));
+        const before = this.exchanges.length;
+        let contactTurn = [];
+        let ourTurn = [];
+        let last = null;
+
+        const flush = () => {
+            if (ourTurn.length > 0) {
+                this.exchanges.push({
+                    source,
+                    timestamp: ourTurn[0].timestamp,
+                    contact: contactTurn.slice(-this.maxTurnMessages).map(message => message.body),
+                    reply: ourTurn.slice(0, this.maxTurnMessages).map(message => message.body)
+                });
+            }
+            contactTurn = [];
+            ourTurn = [];
+        };
+
+        for (const message of messages) {
+            if (last && message.timestamp - last.timestamp > this.sessionGapHours * HOUR) {
+                flush();
+            }
+            if (message.sender === me) {
+                ourTurn.push(message);
+            } else {
+                if (ourTurn.length > 0) {
+                    flush();
+                }
+                contactTurn.push(message);
+            }
+            last = message;
+        }
+        flush();
+
+        return this.exchanges.length - before;
+    }
+
+    buildIndex() {
+        this.postings = new Map();
+        let totalLength = 0;
+
+        this.exchanges.forEach((exchange, index) => {
+            const tokens = tokenize([...exchange.contact, ...exchange.reply].join(' '));
+            const counts = new Map();
+            tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+            for (const [token, count] of counts) {
+                if (!this.postings.has(token)) {
+                    this.postings.set(token, []);
+                }
+                this.postings.get(token).push({ index, count });
+            }
+            exchange.length = tokens.length;
+            totalLength += tokens.length;
+        });
+
+        this.averageLength = this.exchanges.length > 0 ? totalLength / this.exchanges.length : 0;
+    }
+
+    // The `limit` exchanges that best match `text` (BM25), best first: [{ exchange, score }]
+    search(text, limit = 3) {
+        const queryTokens = [...new Set(tokenize(text))];
+        if (queryTokens.length === 0 || this.exchanges.length === 0) {
+            return [];
+        }
+
+        const scores = new Map();
+        const total = this.exchanges.length;
+        for (const token of queryTokens) {
+            const postings = this.postings.get(token);
+            if (!postings) {
+                continue;
+            }
+            const idf = Math.log(1 + (total - postings.length + 0.5) / (postings.length + 0.5));
+            for (const { index, count } of postings) {
+                const length = this.exchanges[index].length;
+                const tf = (count * (this.k1 + 1)) / (count + this.k1 * (1 - this.b + this.b * length / this.averageLength));
+                scores.set(index, (scores.get(index) || 0) + idf * tf);
+            }
+        }
+
+        // Skip exchanges whose reply repeats one already picked
+        const seen = new Set();
+        return Array.from(scores.entries())
+            .sort((a, b) => b[1] - a[1])
+            .map(([index, score]) => ({ exchange: this.exchanges[index], score }))
+            .filter(({ exchange }) => {
+                const key = tokenize(exchange.reply.join(' ')).join(' ');
+                if (seen.has(key)) {
+                    return false;
+                }
+                seen.add(key);
+                return true;
+            })
+            .slice(0, limit);
+    }
+
+    getStats() {
+        return {
+            exchanges: this.exchanges.length,
+            terms: this.postings.size,
+            sources: [...new Set(this.exchanges.map(exchange => exchange.source))]
+        };
+    }
+}
+
+module.exports = ChatRetriever;
@@ -1,244 +1,89 @@
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const path = require('path');
 const logger = require('./logger');
-
+const LogHistoryStore = require('./logHistoryStore');
+const JsonHistoryStore = require('./jsonHistoryStore');
+const historySearch = require('./historySearch');
+const { parseChat, DATE_ORDERS } = require('./whatsappChatParser');
+
+const STORES = {
+    log: LogHistoryStore,
+    json: JsonHistoryStore
+};
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Conversation history per contact, kept by a storage backend (historyStore.js):
+ * 'log' (default) appends each message to data/history/messages.jsonl, 'json'
+ * keeps the original single data/conversation_history.json file.
+ *
+ * With a `moodAnalyzer` (moodAnalyzer.js) each incoming message is stored with
+ * its `mood`, and getMood() rolls the recent ones up into the contact's mood.
+ */
 class ConversationHistory {
-    constructor(dataDir = './data') {
+    constructor(dataDir = './data', options = {}) {
         this.dataDir = dataDir;
-        this.historyFile = path.join(dataDir, 'conversation_history.json');
         this.maxHistorySize = 50; // Increased for better context
         this.maxStoredMessages = 200; // Maximum messages stored per contact
-        this.initializeStorage();
+
+        const type = options.store || 'log';
+        const Store = STORES[type];
+        if (!Store) {
+            logger.warn(`Unknown history store '${type}', using 'log'`);
+        }
+        this.store = new (Store || LogHistoryStore)(dataDir, { maxStoredMessages: this.maxStoredMessages });
+        this.moodAnalyzer = options.moodAnalyzer || null; // async (text, { language }) => { mood, valence, intensity, cues }
+        this.moodHalfLifeHours = options.moodHalfLifeHours || 12; // A message's weight in the mood halves every this many hours
+        this.moodWindowHours = options.moodWindowHours || 48;
+        this.ready = this.initializeStorage();
     }
 
     async initializeStorage() {
         try {
             await fs.ensureDir(this.dataDir);
-            
-            // Create history file if it doesn't exist
-            if (!await fs.pathExists(this.historyFile)) {
-                await fs.writeJson(this.historyFile, {
-                    metadata: {
-                        version: '2.0',
-                        created: Date.now(),
-                        lastUpdated: Date.now()
-                    },
-                    conversations: {}
-                });
-                logger.info('Created new conversation history file v2.0');
-            } else {
-                // Migrate old format if needed
-                await this.migrateHistoryFormat();
-            }
+            await this.store.load();
         } catch (error) {
             logger.error('Failed to initialize conversation history storage:', error);
         }
     }
 
-    async migrateHistoryFormat() {
-        try {
-            const data = await fs.readJson(this.historyFile);
-            
-            // Check if it's old format (direct phone number keys)
-            if (!data.metadata && !data.conversations) {
-                logger.info('Migrating conversation history to new format...');
-                
-                const newFormat = {
-                    metadata: {
-                        version: '2.0',
-                        created: Date.now(),
-                        lastUpdated: Date.now(),
-                        migrated: true
-                    },
-                    conversations: {}
-                };
-
-                // Migrate old data
-                for (const [phoneNumber, messages] of Object.entries(data)) {
-                    if (Array.isArray(messages)) {
-                        newFormat.conversations[phoneNumber] = {
-                            contact: {
-                                phoneNumber,
-                                name: null,
-                                lastSeen: null
-                            },
-                            messages: messages.map(msg => ({
-                                id: msg.id || `migrated_${msg.timestamp}`,
-                                messageId: msg.messageId || null,
-                                body: msg.body,
-                                from: msg.from === 'me' ? 'outgoing' : 'incoming',
-                                fromMe: msg.from === 'me',
-                                timestamp: msg.timestamp,
-                                type: msg.type || 'chat',
-                                isVoiceMessage: msg.body?.startsWith('[Voice:') || false,
-                                metadata: {
-                                    migrated: true
-                                }
-                            }))
-                        };
-                    }
-                }
-
-                await fs.writeJson(this.historyFile, newFormat, { spaces: 2 });
-                logger.info('Successfully migrated conversation history');
-            }
-        } catch (error) {
-            logger.error('Failed to migrate history format:', error);
-        }
-    }
-
+    // Everything in the v2.0 JSON layout ({ metadata, conversations })
     async loadHistory() {
-        try {
-            if (await fs.pathExists(this.historyFile)) {
-                const data = await fs.readJson(this.historyFile);
-                
-                // Ensure proper structure
-                if (!data.metadata || !data.conversations) {
-                    await this.migrateHistoryFormat();
-                    return await fs.readJson(this.historyFile);
-                }
-                
-                return data;
-            }
-            return {
-                metadata: {
-                    version: '2.0',
-                    created: Date.now(),
-                    lastUpdated: Date.now()
-                },
-                conversations: {}
-            };
-        } catch (error) {
-            logger.error('Failed to load conversation history:', error);
-            return {
-                metadata: {
-                    version: '2.0',
-                    created: Date.now(),
-                    lastUpdated: Date.now()
-                },
-                conversations: {}
-            };
-        }
-    }
-
-    async saveHistory(data) {
-        try {
-            // Update metadata
-            data.metadata.lastUpdated = Date.now();
-            await fs.writeJson(this.historyFile, data, { spaces: 2 });
-        } catch (error) {
-            logger.error('Failed to save conversation history:', error);
-        }
+        await this.ready;
+        return this.store.toJSON();
     }
 
     async initializeConversation(phoneNumber, contactName = null) {
         try {
-            const data = await this.loadHistory();
-            
-            if (!data.conversations[phoneNumber]) {
-                // Create new conversation
-                data.conversations[phoneNumber] = {
-                    contact: {
-                        phoneNumber,
-                        name: contactName,
-                        lastSeen: null,
-                        isValid: null
-                    },
-                    messages: [],
-                    stats: {
-                        totalMessages: 0,
-                        incomingMessages: 0,
-                        outgoingMessages: 0,
-                        voiceMessages: 0,
-                        firstMessage: null,
-                        lastMessage: null
-                    }
-                };
-                
-                await this.saveHistory(data);
-                logger.info(`Initialized new conversation for ${phoneNumber}`);
-            } else {
-                // Ensure existing conversation has proper structure
-                const conversation = data.conversations[phoneNumber];
-                
-                // Ensure contact structure exists
-                if (!conversation.contact) {
-                    conversation.contact = {
-                        phoneNumber,
-                        name: contactName,
-                        lastSeen: null,
-                        isValid: null
-                    };
-                }
-                
-                // Ensure messages array exists
-                if (!conversation.messages) {
-                    conversation.messages = [];
-                }
-                
-                // Ensure stats object exists
-                if (!conversation.stats) {
-                    conversation.stats = {
-                        totalMessages: conversation.messages.length || 0,
-                        incomingMessages: conversation.messages.filter(m => m.from === 'incoming').length || 0,
-                        outgoingMessages: conversation.messages.filter(m => m.from === 'outgoing').length || 0,
-                        voiceMessages: conversation.messages.filter(m => m.isVoiceMessage).length || 0,
-                        firstMessage: conversation.messages.length > 0 ? Math.min(...conversation.messages.map(m => m.timestamp)) : null,
-                        lastMessage: conversation.messages.length > 0 ? Math.max(...conversation.messages.map(m => m.timestamp)) : null
-                    };
-                    
-                    await this.saveHistory(data);
-                    logger.info(`Updated conversation structure for ${phoneNumber}`);
-                }
-            }
-            
-            return data.conversations[phoneNumber];
+            await this.ready;
+            return this.store.serializeConversation(await this.store.initializeConversation(phoneNumber, contactName));
         } catch (error) {
             logger.error(`Failed to initialize conversation for ${phoneNumber}:`, error);
             return null;
         }
     }
 
-    async addMessage(phoneNumber, messageData, fromWhatsApp = false) {
+    async addMessage(phoneNumber, messageData, fromWhatsApp = false, options = {}) {
         try {
-            await this.initializeConversation(phoneNumber);
-            const data = await this.loadHistory();
-            const conversation = data.conversations[phoneNumber];
-            
-            // Normalize message data
+            await this.ready;
             const normalizedMessage = this.normalizeMessage(messageData, fromWhatsApp);
-            
-            // Check for duplicates using multiple strategies
-            if (this.isDuplicateMessage(conversation.messages, normalizedMessage)) {
-                logger.debug(`Duplicate message detected for ${phoneNumber}, skipping`);
-                return null;
+            if (normalizedMessage.from === 'incoming') {
+                await this.annotateMood(normalizedMessage, options.language);
             }
-            
-            // Add message
-            conversation.messages.push(normalizedMessage);
-            
-            // Update stats
-            this.updateConversationStats(conversation, normalizedMessage);
-            
-            // Trim messages if exceeding limit
-            if (conversation.messages.length > this.maxStoredMessages) {
-                const trimmed = conversation.messages.slice(-this.maxStoredMessages);
-                conversation.messages = trimmed;
-                logger.debug(`Trimmed conversation history for ${phoneNumber} to ${this.maxStoredMessages} messages`);
+            const { inserted: [added] } = await this.store.insertMessages(phoneNumber, [normalizedMessage]);
+            if (!added) {
+                return null;
             }
+
+            const logMessage = added.body.length > 50 
+                ? `${added.body.substring(0, 50)}...` 
+                : added.body;
             
-            // Sort messages by timestamp to maintain order
-            conversation.messages.sort((a, b) => a.timestamp - b.timestamp);
-            
-            await this.saveHistory(data);
-            
-            const logMessage = normalizedMessage.body.length > 50 
-                ? `${normalizedMessage.body.substring(0, 50)}...` 
-                : normalizedMessage.body;
-            
-            logger.info(`Added ${normalizedMessage.from} message for ${phoneNumber}: ${logMessage}`);
+            logger.info(`Added ${added.from} message for ${phoneNumber}: ${logMessage}`);
             
-            return normalizedMessage;
+            return added;
         } catch (error) {
             logger.error(`Failed to add message for ${phoneNumber}:`, error);
             return null;
@@ -260,6 +105,7 @@ class ConversationHistory {
                 timestamp,
                 type: messageData.type || 'chat',
                 isVoiceMessage: isVoice,
+                ...(messageData.media ? { media: messageData.media } : {}),
                 metadata: {
                     source: 'whatsapp',
                     originalFrom: messageData.from,
@@ -284,71 +130,87 @@ class ConversationHistory {
         }
     }
 
-    isDuplicateMessage(messages, newMessage) {
-        // Check for exact duplicates (same ID)
-        if (newMessage.messageId && messages.some(msg => msg.messageId === newMessage.messageId)) {
-            return true;
+    // Store the mood of an incoming message with it (voice notes by their transcript, media by
+    // its caption); a failed analysis leaves the message without one
+    async annotateMood(message, language = null) {
+        if (!this.moodAnalyzer) {
+            return;
         }
-        
-        // Check for near-duplicate content (same body within 5 seconds)
-        const timeWindow = 5000; // 5 seconds
-        const recentMessages = messages.filter(msg => 
-            Math.abs(msg.timestamp - newMessage.timestamp) < timeWindow
-        );
-        
-        return recentMessages.some(msg => 
-            msg.body === newMessage.body && 
-            msg.from === newMessage.from
-        );
-    }
-
-    updateConversationStats(conversation, message) {
-        // Ensure stats object exists (for existing conversations that might not have it)
-        if (!conversation.stats) {
-            conversation.stats = {
-                totalMessages: 0,
-                incomingMessages: 0,
-                outgoingMessages: 0,
-                voiceMessages: 0,
-                firstMessage: null,
-                lastMessage: null
-            };
+        const text = String(message.body || '').replace(/^\[(?:Voice:\s*([^\]]*)|[^\]]*)\]\s*/, '$1').trim();
+        if (!text) {
+            return;
         }
-        
-        const stats = conversation.stats;
-        
-        stats.totalMessages++;
-        
-        if (message.from === 'incoming') {
-            stats.incomingMessages++;
-        } else {
-            stats.outgoingMessages++;
+
+        try {
+            const mood = await this.moodAnalyzer(text, { language });
+            if (mood) {
+                message.mood = mood;
+                logger.debug(`Mood of incoming message: ${mood.mood} (valence ${mood.valence}, intensity ${mood.intensity})`);
+            }
+        } catch (error) {
+            logger.error('Failed to analyze the mood of an incoming message:', error);
         }
-        
-        if (message.isVoiceMessage) {
-            stats.voiceMessages++;
+    }
+
+    // The contact's current mood from their recent analyzed messages, newer ones weighing more:
+    // { mood, valence, confidence, since, updatedAt, messages, scores }, or null without any
+    computeMood(messages, now = Date.now()) {
+        const recent = messages.filter(message => message.mood && message.from === 'incoming' &&
+            now - message.timestamp <= this.moodWindowHours * HOUR);
+        if (recent.length === 0) {
+            return null;
         }
-        
-        if (!stats.firstMessage || message.timestamp < stats.firstMessage) {
-            stats.firstMessage = message.timestamp;
+
+        const scores = {};
+        let valence = 0;
+        let totalWeight = 0;
+        for (const message of recent) {
+            const weight = Math.pow(0.5, Math.max(0, now - message.timestamp) / (this.moodHalfLifeHours * HOUR));
+            const mood = message.mood.mood;
+            scores[mood] = (scores[mood] || 0) + weight * (mood === 'neutral' ? 0.25 : Math.max(message.mood.intensity, 0.25));
+            valence += weight * message.mood.valence;
+            totalWeight += weight;
         }
-        
-        if (!stats.lastMessage || message.timestamp > stats.lastMessage) {
-            stats.lastMessage = message.timestamp;
+
+        // Moods that faded below a quarter of a clear message count as neutral
+        const [top, topScore] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+        const mood = topScore >= 0.25 ? top : 'neutral';
+        const sum = Object.values(scores).reduce((total, score) => total + score, 0);
+        const round = value => Math.round(value * 100) / 100;
+
+        return {
+            mood,
+            valence: round(valence / totalWeight),
+            confidence: mood === top ? round(topScore / sum) : 0,
+            since: recent.find(message => message.mood.mood === mood)?.timestamp || null,
+            updatedAt: recent[recent.length - 1].timestamp,
+            messages: recent.length,
+            scores: Object.fromEntries(Object.entries(scores).map(([name, score]) => [name, round(score)]))
+        };
+    }
+
+    async getMood(phoneNumber, now = Date.now()) {
+        try {
+            await this.ready;
+            const conversation = this.store.getConversation(phoneNumber);
+            return conversation ? this.computeMood(conversation.messages, now) : null;
+        } catch (error) {
+            logger.error(`Failed to get the mood of ${phoneNumber}:`, error);
+            return null;
         }
     }
 
     async getHistory(phoneNumber, limit = 10) {
         try {
-            const data = await this.loadHistory();
-            const conversation = data.conversations[phoneNumber];
+            await this.ready;
+            const conversation = this.store.getConversation(phoneNumber);
             
-            if (!conversation || !conversation.messages) {
+            if (!conversation) {
                 return [];
             }
 
             // Return the most recent messages up to the limit
-            const messages = conversation.messages.slice(-limit);
+            const messages = this.store.getMessages(phoneNumber, { limit });
             
             // Convert to legacy format for compatibility
             return messages.map(msg => ({
@@ -366,10 +228,51 @@ class ConversationHistory {
         }
     }
 
+    // Bodies of our last `limit` messages to a contact, oldest first (voice notes by their
+    // transcript, media by its caption; media without one is left out)
+    async getRecentOutgoing(phoneNumber, limit = 10) {
+        try {
+            await this.ready;
+            const conversation = this.store.getConversation(phoneNumber);
+            if (!conversation) {
+                return [];
+            }
+
+            return conversation.messages
+                .filter(message => message.from === 'outgoing')
+                .slice(-limit)
+                .map(message => message.isVoiceMessage
+                    ? message.body.replace(/^\[Voice:\s*/, '').replace(/\]$/, '')
+                    : message.body.replace(/^\[(Image|Sticker|Gif|Video|Document)(:[^\]]*)?\]\s*/, ''))
+                .filter(Boolean);
+        } catch (error) {
+            logger.error(`Failed to get recent outgoing messages for ${phoneNumber}:`, error);
+            return [];
+        }
+    }
+
+    // Messages matching a historySearch filter, newest first: { total, results, nextCursor }.
+    // Without a phone number every conversation is searched
+    async search(phoneNumber, filter) {
+        try {
+            await this.ready;
+            const range = {
+                since: filter.since ?? null,
+                until: filter.until ?? null
+            };
+            const messages = (phoneNumber ? [phoneNumber] : this.store.getPhoneNumbers())
+                .flatMap(phone => this.store.getMessages(phone, range).map(message => ({ ...message, phoneNumber: phone })));
+            return historySearch.search(messages, filter);
+        } catch (error) {
+            logger.error(`Failed to search conversation history${phoneNumber ? ` for ${phoneNumber}` : ''}:`, error);
+            return { total: 0, results: [], nextCursor: null };
+        }
+    }
+
     async getConversationContext(phoneNumber, limit = 20) {
         try {
-            const data = await this.loadHistory();
-            const conversation = data.conversations[phoneNumber];
+            await this.ready;
+            const conversation = this.store.getConversation(phoneNumber);
             
             if (!conversation) {
                 return {
@@ -387,7 +290,8 @@ class ConversationHistory {
                 contact: conversation.contact,
                 stats: conversation.stats,
                 hasHistory: conversation.messages.length > 0,
-                conversationFlow: this.analyzeConversationFlow(recentMessages)
+                conversationFlow: this.analyzeConversationFlow(recentMessages),
+                mood: this.computeMood(conversation.messages)
             };
         } catch (error) {
             logger.error(`Failed to get conversation context for ${phoneNumber}:`, error);
@@ -423,8 +327,13 @@ class ConversationHistory {
             pattern = 'initiating'; // We're talking more
         }
 
+        // Our messages sent since her last reply
+        const lastIncomingIndex = messages.lastIndexOf(lastIncoming);
+        const unansweredCount = messages.slice(lastIncomingIndex + 1).filter(msg => msg.from === 'outgoing').length;
+
         return {
             pattern,
+            unansweredCount,
             lastInteraction: lastMessage?.timestamp,
             lastIncomingMessage: lastIncoming?.timestamp,
             lastOutgoingMessage: lastOutgoing?.timestamp,
@@ -449,18 +358,12 @@ class ConversationHistory {
                 return 0;
             }
 
-            await this.initializeConversation(phoneNumber);
-            let newMessagesCount = 0;
+            await this.ready;
 
-            // Process messages in chronological order
+            // Process messages in chronological order, all in one transaction
             const sortedMessages = whatsappMessages.sort((a, b) => a.timestamp - b.timestamp);
-
-            for (const msg of sortedMessages) {
-                const added = await this.addMessage(phoneNumber, msg, true);
-                if (added) {
-                    newMessagesCount++;
-                }
-            }
+            const { inserted } = await this.store.insertMessages(phoneNumber, sortedMessages.map(msg => this.normalizeMessage(msg, true)));
+            const newMessagesCount = inserted.length;
 
             if (newMessagesCount > 0) {
                 logger.info(`Synced ${newMessagesCount} new messages from WhatsApp for ${phoneNumber}`);
@@ -491,8 +394,8 @@ class ConversationHistory {
 
     async getConversationStats(phoneNumber) {
         try {
-            const data = await this.loadHistory();
-            const conversation = data.conversations[phoneNumber];
+            await this.ready;
+            const conversation = this.store.getConversation(phoneNumber);
             
             if (!conversation) {
                 return {
@@ -539,9 +442,8 @@ class ConversationHistory {
     async getRecentActivity(phoneNumber, hoursBack = 24) {
         try {
             const cutoffTime = Date.now() - (hoursBack * 60 * 60 * 1000);
-            const context = await this.getConversationContext(phoneNumber, 100);
-            
-            return context.messages.filter(msg => msg.timestamp > cutoffTime);
+            await this.ready;
+            return this.store.getMessages(phoneNumber, { since: cutoffTime + 1 });
         } catch (error) {
             logger.error(`Failed to get recent activity for ${phoneNumber}:`, error);
             return [];
@@ -550,17 +452,11 @@ class ConversationHistory {
 
     async clearHistory(phoneNumber = null) {
         try {
-            const data = await this.loadHistory();
-            
+            await this.ready;
+            await this.store.clear(phoneNumber);
             if (phoneNumber) {
-                // Clear history for specific contact
-                delete data.conversations[phoneNumber];
-                await this.saveHistory(data);
                 logger.info(`Cleared history for ${phoneNumber}`);
             } else {
-                // Clear all conversations but keep metadata
-                data.conversations = {};
-                await this.saveHistory(data);
                 logger.info('Cleared all conversation history');
             }
             return true;
@@ -612,6 +508,30 @@ class ConversationHistory {
                 }
                 
                 await fs.writeFile(filepath, content, 'utf8');
+            } else if (format === 'csv') {
+                const conversations = phoneNumber 
+                    ? { [phoneNumber]: data.conversations[phoneNumber] }
+                    : data.conversations;
+                const quote = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+                const rows = [['phoneNumber', 'date', 'direction', 'type', 'voice', 'source', 'body']];
+
+                for (const [contact, conversation] of Object.entries(conversations)) {
+                    for (const msg of conversation?.messages || []) {
+                        rows.push([
+                            contact,
+                            new Date(msg.timestamp).toISOString(),
+                            msg.from,
+                            msg.type,
+                            msg.isVoiceMessage ? 'yes' : 'no',
+                            msg.metadata?.source || '',
+                            msg.body
+                        ]);
+                    }
+                }
+
+                await fs.writeFile(filepath, `${rows.map(row => row.map(quote).join(',')).join('\r\n')}\r\n`, 'utf8');
+            } else {
+                throw new Error(`Unsupported export format '${format}'`);
             }
 
             logger.info(`Exported conversation history to ${filepath}`);
@@ -622,26 +542,112 @@ class ConversationHistory {
         }
     }
 
+    // Import a WhatsApp "Export chat" .txt file into a contact's history. `me` is our name in the
+    // file; every other sender is the contact, and times are read in `timezone` (the server's
+    // when null). Imported messages are kept whole (the per-contact cap only applies to live
+    // ones), and importing the same file again adds nothing
+    async importChat(phoneNumber, text, options = {}) {
+        await this.ready;
+        if (options.dateOrder && !DATE_ORDERS.includes(options.dateOrder)) {
+            throw new Error(`dateOrder must be one of ${DATE_ORDERS.join(', ')}`);
+        }
+
+        const parsed = parseChat(text, options);
+        const senders = Object.keys(parsed.participants);
+        if (parsed.messages.length === 0) {
+            throw new Error('No messages found - is this a WhatsApp chat export?');
+        }
+        if (!options.me || !senders.includes(options.me)) {
+            throw new Error(`me must be your name in the chat, one of: ${senders.join(', ')}`);
+        }
+
+        // Ids from the content, so a second import of the same messages is recognized
+        const importId = `import_${Date.now()}`;
+        const occurrences = {};
+        const messages = parsed.messages.map(message => {
+            const key = `${message.timestamp}|${message.sender}|${message.body}`;
+            occurrences[key] = (occurrences[key] || 0) + 1;
+            const id = `import_${crypto.createHash('sha1').update(`${phoneNumber}|${key}|${occurrences[key]}`).digest('hex').substring(0, 16)}`;
+            const fromMe = message.sender === options.me;
+
+            return {
+                id,
+                messageId: id,
+                body: message.body,
+                from: fromMe ? 'outgoing' : 'incoming',
+                fromMe,
+                timestamp: message.timestamp,
+                type: message.type,
+                isVoiceMessage: message.isVoiceMessage,
+                metadata: {
+                    source: 'import',
+                    importId,
+                    sender: message.sender
+                }
+            };
+        });
+
+        // Android exports have no seconds, so synced copies of a message can be up to a minute off
+        const { inserted } = await this.store.insertMessages(phoneNumber, messages, {
+            duplicateWindowMs: parsed.hasSeconds ? undefined : 60 * 1000
+        });
+        logger.info(`Imported ${inserted.length} of ${messages.length} messages from a ${parsed.layout} chat export for ${phoneNumber}`);
+
+        return {
+            importId,
+            imported: inserted.length,
+            duplicates: messages.length - inserted.length,
+            skipped: parsed.skipped,
+            layout: parsed.layout,
+            dateOrder: parsed.dateOrder,
+            timezone: options.timezone || null,
+            participants: parsed.participants
+        };
+    }
+
+    // Import a JSON export (one conversation or all of them); only `phoneNumber`'s when given.
+    // Live messages in it still count toward the cap: `dropped` are those older than it keeps
+    async importJson(data, phoneNumber = null) {
+        await this.ready;
+        const conversations = data?.conversations || data || {};
+        const result = { imported: 0, duplicates: 0, dropped: 0, conversations: 0 };
+
+        for (const [contact, conversation] of Object.entries(conversations)) {
+            if (!Array.isArray(conversation?.messages) || (phoneNumber && contact !== phoneNumber)) {
+                continue;
+            }
+            const messages = conversation.messages
+                .filter(msg => msg && typeof msg.timestamp === 'number' && typeof msg.body === 'string')
+                .sort((a, b) => a.timestamp - b.timestamp);
+            if (conversation.contact?.name) {
+                await this.store.initializeConversation(contact, conversation.contact.name);
+            }
+            const { inserted, dropped } = await this.store.insertMessages(contact, messages);
+            result.imported += inserted.length;
+            result.dropped += dropped.length;
+            result.duplicates += messages.length - inserted.length - dropped.length;
+            result.conversations++;
+        }
+
+        if (result.conversations === 0) {
+            throw new Error('No conversations found - is this a history JSON export?');
+        }
+        logger.info(`Imported ${result.imported} messages in ${result.conversations} conversation(s) from a JSON export`);
+        return result;
+    }
+
     async getStorageInfo() {
         try {
-            if (!await fs.pathExists(this.historyFile)) {
+            await this.ready;
+            const info = await this.store.info();
+            if (!info.exists) {
                 return { exists: false, size: 0, contacts: 0 };
             }
 
-            const stats = await fs.stat(this.historyFile);
-            const data = await this.loadHistory();
-            
-            const totalMessages = Object.values(data.conversations || {})
-                .reduce((total, conv) => total + (conv.messages?.length || 0), 0);
-            
             return {
-                exists: true,
-                size: stats.size,
-                contacts: Object.keys(data.conversations || {}).length,
-                totalMessages,
-                version: data.metadata?.version || 'unknown',
-                lastModified: stats.mtime,
-                path: this.historyFile
+                ...info,
+                contacts: this.store.getPhoneNumbers().length,
+                totalMessages: this.store.countMessages()
             };
         } catch (error) {
             logger.error('Failed to get storage info:', error);
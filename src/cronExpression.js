@@ -0,0 +1,195 @@
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Field order of a 6-field expression; 5-field expressions have no seconds
+const FIELDS = [
+    { name: 'second', min: 0, max: 59 },
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES },
+    { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES }
+];
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Parser and evaluator for node-cron style expressions, used to predict when
+ * jobs fire next.
+ *
+ *   [second] minute hour dayOfMonth month dayOfWeek
+ *
+ * Supports *, lists (1,2), ranges (1-5), steps (*\/10, 0-30/5), month and
+ * weekday names, 7 as Sunday, and the usual rule that day of month and day of
+ * week match with OR when both are restricted. Times are evaluated on the
+ * wall clock of an optional IANA timezone.
+ */
+class CronExpression {
+    constructor(expression, timezone = null) {
+        this.expression = String(expression).trim();
+        this.timezone = timezone;
+
+        const parts = this.expression.split(/\s+/);
+        if (parts.length !== 5 && parts.length !== 6) {
+            throw new Error(`Cron expression must have 5 or 6 fields: '${this.expression}'`);
+        }
+        if (parts.length === 5) {
+            parts.unshift('0');
+        }
+
+        this.fields = {};
+        FIELDS.forEach((field, index) => {
+            this.fields[field.name] = CronExpression.parseField(parts[index], field);
+        });
+
+        // 7 is Sunday too
+        if (this.fields.dayOfWeek.values.has(7)) {
+            this.fields.dayOfWeek.values.add(0);
+        }
+
+        this.formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone || undefined,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            hourCycle: 'h23'
+        });
+    }
+
+    static parseField(text, field) {
+        const values = new Set();
+        const wildcard = text === '*' || text === '?';
+
+        for (const part of text.toLowerCase().split(',')) {
+            const [rangeText, stepText] = part.split('/');
+            const step = stepText === undefined ? 1 : parseInt(stepText);
+            if (!Number.isInteger(step) || step < 1) {
+                throw new Error(`Invalid step '${part}' in ${field.name}`);
+            }
+
+            let start;
+            let end;
+            if (rangeText === '*' || rangeText === '?') {
+                start = field.min;
+                end = field.max;
+            } else if (rangeText.includes('-')) {
+                [start, end] = rangeText.split('-').map(value => CronExpression.parseValue(value, field));
+            } else {
+                start = CronExpression.parseValue(rangeText, field);
+                end = stepText === undefined ? start : field.max;
+            }
+
+            if (start > end) {
+                throw new Error(`Invalid range '${part}' in ${field.name}`);
+            }
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        }
+
+        return { values, wildcard };
+    }
+
+    static parseValue(text, field) {
+        const nameIndex = field.names ? field.names.indexOf(text.slice(0, 3)) : -1;
+        const value = nameIndex >= 0
+            ? nameIndex + (field.name === 'month' ? 1 : 0)
+            : parseInt(text);
+
+        if (!Number.isInteger(value) || value < field.min || value > field.max) {
+            throw new Error(`Invalid value '${text}' in ${field.name} (${field.min}-${field.max})`);
+        }
+        return value;
+    }
+
+    static isValid(expression) {
+        try {
+            new CronExpression(expression);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Wall-clock time of an instant in the expression's timezone, as a UTC-based Date
+    toWallClock(date) {
+        const parts = {};
+        this.formatter.formatToParts(date).forEach(part => {
+            parts[part.type] = parseInt(part.value);
+        });
+        return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+    }
+
+    // Instant for a wall-clock time in the expression's timezone, or null when the time
+    // doesn't exist there (skipped by a DST change)
+    fromWallClock(wall) {
+        const offsetAt = (instant) => this.toWallClock(new Date(instant)).getTime() - instant;
+        const guess = wall.getTime() - offsetAt(wall.getTime());
+        const instant = new Date(wall.getTime() - offsetAt(guess));
+        return this.toWallClock(instant).getTime() === wall.getTime() ? instant : null;
+    }
+
+    matchesDay(wall) {
+        const dayOfMonth = this.fields.dayOfMonth;
+        const dayOfWeek = this.fields.dayOfWeek;
+        const domMatch = dayOfMonth.values.has(wall.getUTCDate());
+        const dowMatch = dayOfWeek.values.has(wall.getUTCDay());
+
+        if (!dayOfMonth.wildcard && !dayOfWeek.wildcard) {
+            return domMatch || dowMatch;
+        }
+        return domMatch && dowMatch;
+    }
+
+    // First fire time strictly after `from`
+    next(from = new Date()) {
+        let wall = new Date(Math.floor(this.toWallClock(from).getTime() / SECOND) * SECOND + SECOND);
+        const limit = wall.getTime() + MAX_SEARCH_YEARS * 366 * DAY;
+        const { second, minute, hour, month } = this.fields;
+
+        while (wall.getTime() < limit) {
+            if (!month.values.has(wall.getUTCMonth() + 1)) {
+                wall = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth() + 1, 1));
+            } else if (!this.matchesDay(wall)) {
+                wall = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate() + 1));
+            } else if (!hour.values.has(wall.getUTCHours())) {
+                wall = new Date(Math.floor(wall.getTime() / HOUR) * HOUR + HOUR);
+            } else if (!minute.values.has(wall.getUTCMinutes())) {
+                wall = new Date(Math.floor(wall.getTime() / MINUTE) * MINUTE + MINUTE);
+            } else if (!second.values.has(wall.getUTCSeconds())) {
+                wall = new Date(wall.getTime() + SECOND);
+            } else {
+                const instant = this.fromWallClock(wall);
+                if (instant && instant.getTime() > from.getTime()) {
+                    return instant;
+                }
+                wall = new Date(wall.getTime() + SECOND);
+            }
+        }
+        return null;
+    }
+
+    // The next `count` fire times after `from`
+    nextDates(count = 5, from = new Date()) {
+        const dates = [];
+        let cursor = from;
+        while (dates.length < count) {
+            const next = this.next(cursor);
+            if (!next) {
+                break;
+            }
+            dates.push(next);
+            cursor = next;
+        }
+        return dates;
+    }
+}
+
+module.exports = CronExpression;
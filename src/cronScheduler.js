@@ -1,9 +1,15 @@
 const cron = require('node-cron');
 const logger = require('./logger');
+const CronExpression = require('./cronExpression');
 
 class CronScheduler {
-    constructor() {
+    constructor(options = {}) {
+        this.humanizedScheduler = options.humanizedScheduler || null;
+        this.scheduleStore = options.scheduleStore || null; // remembers jobs stopped through the API
         this.jobs = new Map();
+        this.deferredRuns = new Map(); // job name -> { timer, runAt }
+        this.windowStats = new Map(); // job name -> { skipped, deferred }
+        this.jobInfo = new Map(); // job name -> { type, expression, timezone, running, run history }
         this.isRunning = false;
     }
 
@@ -12,22 +18,24 @@ class CronScheduler {
         try {
             // Convert seconds to cron expression
             const cronExpression = this.secondsToCronExpression(intervalSeconds);
+            const jobName = options.name || 'autoMessages';
             
-            logger.info(`Scheduling automatic messages every ${intervalSeconds} seconds with cron: ${cronExpression}`);
+            logger.info(`Scheduling automatic messages (${jobName}) every ${intervalSeconds} seconds with cron: ${cronExpression}`);
 
+            const timezone = options.timezone || 'America/New_York';
             const job = cron.schedule(cronExpression, async () => {
                 try {
                     logger.info('Executing scheduled message task...');
-                    await callback();
+                    await this.runJob(jobName, callback);
                 } catch (error) {
                     logger.error('Error in scheduled message task:', error);
                 }
             }, {
                 scheduled: false,
-                timezone: options.timezone || 'America/New_York'
+                timezone
             });
 
-            this.jobs.set('autoMessages', job);
+            this.registerJob(jobName, job, { type: 'cron', expression: cronExpression, timezone });
             return job;
         } catch (error) {
             logger.error('Failed to schedule auto messages:', error);
@@ -35,6 +43,196 @@ class CronScheduler {
         }
     }
 
+    // Build the job name used for a recipient's text or voice job
+    recipientJobName(type, phoneNumber) {
+        return `${type}:${phoneNumber}`;
+    }
+
+    // Schedule the text (and optionally voice) jobs for a single recipient.
+    // `options.getWindow` returns the recipient's SendWindow; ticks outside it are skipped or deferred
+    scheduleRecipientJobs(recipient, callbacks = {}, options = {}) {
+        try {
+            this.removeRecipientJobs(recipient.phoneNumber);
+
+            const { getWindow, ...jobOptions } = options;
+            if (recipient.timezone) {
+                jobOptions.timezone = recipient.timezone;
+            }
+            const scheduled = [];
+
+            if (callbacks.text && recipient.scheduleMode === 'humanized' && this.humanizedScheduler) {
+                // Humanized jobs plan their own send times inside the send window
+                const name = this.recipientJobName('autoMessages', recipient.phoneNumber);
+                this.scheduleHumanizedMessages(name, recipient.humanized, callbacks.text, getWindow);
+                scheduled.push(name);
+            } else if (callbacks.text) {
+                const name = this.recipientJobName('autoMessages', recipient.phoneNumber);
+                this.scheduleAutoMessages(
+                    recipient.messageIntervalSeconds,
+                    this.withSendWindow(name, callbacks.text, getWindow),
+                    { ...jobOptions, name }
+                );
+                scheduled.push(name);
+            }
+
+            if (callbacks.voice && recipient.voiceEnabled !== false) {
+                const name = this.recipientJobName('voiceMessages', recipient.phoneNumber);
+                this.scheduleCustomTask(
+                    name,
+                    this.secondsToCronExpression(recipient.voiceIntervalSeconds),
+                    this.withSendWindow(name, callbacks.voice, getWindow),
+                    jobOptions
+                );
+                scheduled.push(name);
+            }
+
+            if (this.isRunning && options.start !== false) {
+                scheduled.filter(name => !this.isPaused(name)).forEach(name => this.startJob(name));
+            }
+
+            return scheduled;
+        } catch (error) {
+            logger.error(`Failed to schedule jobs for recipient ${recipient.phoneNumber}:`, error);
+            throw error;
+        }
+    }
+
+    // Schedule messages at randomized, human-looking times (see HumanizedScheduler)
+    scheduleHumanizedMessages(name, settings, callback, getWindow) {
+        if (!this.humanizedScheduler) {
+            throw new Error('Humanized scheduling is not available');
+        }
+
+        logger.info(`Scheduling humanized messages (${name}): ${settings.minPerDay}-${settings.maxPerDay} per day, at least ${settings.minSpacingMinutes} min apart`);
+
+        const job = this.humanizedScheduler.createJob(name, settings, () => this.runJob(name, callback), getWindow);
+        this.registerJob(name, job, { type: 'humanized', expression: job.expression, timezone: null });
+        return job;
+    }
+
+    // Wrap a job callback so it only runs while the send window is open. Outside the window the
+    // tick is skipped, or with the 'defer' policy a single run is queued for the next opening;
+    // a tick inside the window takes the place of that queued run
+    withSendWindow(name, callback, getWindow) {
+        if (!getWindow) {
+            return callback;
+        }
+
+        return async () => {
+            const window = getWindow();
+            if (!window || window.isOpen()) {
+                this.cancelDeferredRun(name);
+                return callback();
+            }
+
+            const stats = this.windowStats.get(name) || { skipped: 0, deferred: 0 };
+            this.windowStats.set(name, stats);
+
+            const nextOpening = window.policy === 'defer' ? window.nextOpening() : null;
+            if (!nextOpening) {
+                stats.skipped++;
+                logger.debug(`Skipping '${name}' - outside the recipient's send window`);
+                return false;
+            }
+
+            if (this.deferredRuns.has(name)) {
+                stats.skipped++;
+                return false;
+            }
+
+            stats.deferred++;
+            logger.info(`Deferring '${name}' to the next send window at ${nextOpening.toISOString()}`);
+            const timer = setTimeout(async () => {
+                this.deferredRuns.delete(name);
+                try {
+                    await this.runJob(name, callback);
+                } catch (error) {
+                    logger.error(`Error in deferred run of '${name}':`, error);
+                }
+            }, nextOpening.getTime() - Date.now());
+            this.deferredRuns.set(name, { timer, runAt: nextOpening });
+            return false;
+        };
+    }
+
+    cancelDeferredRun(name) {
+        const deferred = this.deferredRuns.get(name);
+        if (deferred) {
+            clearTimeout(deferred.timer);
+            this.deferredRuns.delete(name);
+        }
+    }
+
+    // Keep a job together with what the scheduler knows about it; node-cron tasks
+    // don't expose their expression or whether they are running
+    registerJob(name, job, details) {
+        this.jobs.set(name, job);
+        this.jobInfo.set(name, {
+            ...details,
+            running: false,
+            lastRun: null,
+            lastResult: null,
+            lastError: null,
+            lastDurationMs: null,
+            runs: 0,
+            failures: 0
+        });
+    }
+
+    setRunning(name, running) {
+        const info = this.jobInfo.get(name);
+        if (info) {
+            info.running = running;
+        }
+    }
+
+    isJobRunning(name) {
+        const job = this.jobs.get(name);
+        const info = this.jobInfo.get(name);
+        if (job && typeof job.running === 'boolean') {
+            return job.running;
+        }
+        return Boolean(info && info.running);
+    }
+
+    // Run a job callback and record its outcome. A callback resolving `false` counts as a
+    // skipped run; errors are recorded and rethrown to the job's own handler
+    async runJob(name, callback) {
+        const info = this.jobInfo.get(name);
+        const startedAt = Date.now();
+        if (!info) {
+            return callback();
+        }
+
+        info.runs++;
+        info.lastRun = new Date(startedAt).toISOString();
+        try {
+            const result = await callback();
+            info.lastResult = result === false ? 'skipped' : 'success';
+            info.lastError = null;
+            return result;
+        } catch (error) {
+            info.lastResult = 'failure';
+            info.lastError = error.message;
+            info.failures++;
+            throw error;
+        } finally {
+            info.lastDurationMs = Date.now() - startedAt;
+        }
+    }
+
+    // Remove every job that belongs to a recipient
+    removeRecipientJobs(phoneNumber) {
+        const names = this.getRecipientJobNames(phoneNumber);
+        names.forEach(name => this.removeJob(name));
+        return names.length;
+    }
+
+    // List the job names that belong to a recipient
+    getRecipientJobNames(phoneNumber) {
+        return Array.from(this.jobs.keys()).filter(name => name.endsWith(`:${phoneNumber}`));
+    }
+
     // Schedule daily conversation history sync
     scheduleHistorySync(callback, hour = 2) {
         try {
@@ -46,7 +244,7 @@ class CronScheduler {
             const job = cron.schedule(cronExpression, async () => {
                 try {
                     logger.info('Executing scheduled history sync...');
-                    await callback();
+                    await this.runJob('historySync', callback);
                 } catch (error) {
                     logger.error('Error in scheduled history sync:', error);
                 }
@@ -54,7 +252,7 @@ class CronScheduler {
                 scheduled: false
             });
 
-            this.jobs.set('historySync', job);
+            this.registerJob('historySync', job, { type: 'cron', expression: cronExpression, timezone: null });
             return job;
         } catch (error) {
             logger.error('Failed to schedule history sync:', error);
@@ -71,7 +269,7 @@ class CronScheduler {
 
             const job = cron.schedule(cronExpression, async () => {
                 try {
-                    await callback();
+                    await this.runJob('healthCheck', callback);
                 } catch (error) {
                     logger.error('Error in scheduled health check:', error);
                 }
@@ -79,7 +277,7 @@ class CronScheduler {
                 scheduled: false
             });
 
-            this.jobs.set('healthCheck', job);
+            this.registerJob('healthCheck', job, { type: 'cron', expression: cronExpression, timezone: null });
             return job;
         } catch (error) {
             logger.error('Failed to schedule health check:', error);
@@ -95,7 +293,7 @@ class CronScheduler {
             const job = cron.schedule(cronExpression, async () => {
                 try {
                     logger.debug(`Executing custom task: ${name}`);
-                    await callback();
+                    await this.runJob(name, callback);
                 } catch (error) {
                     logger.error(`Error in custom task '${name}':`, error);
                 }
@@ -104,7 +302,7 @@ class CronScheduler {
                 ...options
             });
 
-            this.jobs.set(name, job);
+            this.registerJob(name, job, { type: 'cron', expression: cronExpression, timezone: options.timezone || null });
             return job;
         } catch (error) {
             logger.error(`Failed to schedule custom task '${name}':`, error);
@@ -112,11 +310,79 @@ class CronScheduler {
         }
     }
 
-    // Start all scheduled jobs
+    // Whether a job was stopped through the API and should stay stopped
+    isPaused(name) {
+        return Boolean(this.scheduleStore && this.scheduleStore.isPaused(name));
+    }
+
+    // Run a callback once at `runAt`. Like humanized jobs, the job exposes start()/stop()/running
+    scheduleOneOff(name, runAt, callback) {
+        logger.info(`Scheduling one-off task '${name}' at ${runAt.toISOString()}`);
+
+        const scheduler = this;
+        const job = {
+            running: false,
+            done: false,
+            timer: null,
+            expression: `once ${runAt.toISOString()}`,
+
+            start() {
+                if (job.running || job.done) {
+                    return;
+                }
+                job.running = true;
+                job.arm();
+            },
+
+            stop() {
+                job.running = false;
+                clearTimeout(job.timer);
+                job.timer = null;
+            },
+
+            arm() {
+                // setTimeout overflows past ~24.8 days; re-arm in steps for far-away dates
+                const delay = Math.min(Math.max(runAt.getTime() - Date.now(), 0), 2 ** 31 - 1);
+                job.timer = setTimeout(() => job.fire(), delay);
+            },
+
+            async fire() {
+                if (!job.running) {
+                    return;
+                }
+                if (runAt.getTime() > Date.now()) {
+                    job.arm();
+                    return;
+                }
+
+                job.running = false;
+                job.done = true;
+                try {
+                    await scheduler.runJob(name, callback);
+                } catch (error) {
+                    logger.error(`Error in one-off task '${name}':`, error);
+                }
+            },
+
+            getNextRun() {
+                return job.running ? runAt.toISOString() : null;
+            }
+        };
+
+        this.registerJob(name, job, { type: 'once', expression: job.expression, timezone: null });
+        return job;
+    }
+
+    // Start all scheduled jobs, except the ones that were paused
     startAll() {
         try {
             this.jobs.forEach((job, name) => {
+                if (this.isPaused(name)) {
+                    logger.info(`Keeping paused job stopped: ${name}`);
+                    return;
+                }
                 job.start();
+                this.setRunning(name, true);
                 logger.info(`Started scheduled job: ${name}`);
             });
             this.isRunning = true;
@@ -132,6 +398,8 @@ class CronScheduler {
         try {
             this.jobs.forEach((job, name) => {
                 job.stop();
+                this.setRunning(name, false);
+                this.cancelDeferredRun(name);
                 logger.info(`Stopped scheduled job: ${name}`);
             });
             this.isRunning = false;
@@ -147,6 +415,7 @@ class CronScheduler {
             const job = this.jobs.get(name);
             if (job) {
                 job.start();
+                this.setRunning(name, true);
                 logger.info(`Started job: ${name}`);
                 return true;
             } else {
@@ -165,6 +434,8 @@ class CronScheduler {
             const job = this.jobs.get(name);
             if (job) {
                 job.stop();
+                this.setRunning(name, false);
+                this.cancelDeferredRun(name);
                 logger.info(`Stopped job: ${name}`);
                 return true;
             } else {
@@ -181,9 +452,15 @@ class CronScheduler {
     removeJob(name) {
         try {
             const job = this.jobs.get(name);
+            this.cancelDeferredRun(name);
+            this.windowStats.delete(name);
+            this.jobInfo.delete(name);
             if (job) {
                 job.stop();
-                job.destroy();
+                // node-cron 3 tasks have no destroy(); stopping them is enough
+                if (typeof job.destroy === 'function') {
+                    job.destroy();
+                }
                 this.jobs.delete(name);
                 logger.info(`Removed job: ${name}`);
                 return true;
@@ -204,10 +481,25 @@ class CronScheduler {
             return null;
         }
 
+        const info = this.jobInfo.get(name) || {};
+        const deferred = this.deferredRuns.get(name);
+        const [nextRun] = this.getNextExecutions(name, 1);
         return {
             name,
-            running: job.running || false,
-            expression: job.expression || 'unknown'
+            type: info.type || 'unknown',
+            running: this.isJobRunning(name),
+            paused: this.isPaused(name),
+            expression: info.expression || 'unknown',
+            timezone: info.timezone || null,
+            nextRun: nextRun || null,
+            lastRun: info.lastRun || null,
+            lastResult: info.lastResult || null,
+            lastError: info.lastError || null,
+            lastDurationMs: info.lastDurationMs ?? null,
+            runs: info.runs || 0,
+            failures: info.failures || 0,
+            sendWindow: this.windowStats.get(name) || null,
+            deferredUntil: deferred ? deferred.runAt.toISOString() : null
         };
     }
 
@@ -304,7 +596,7 @@ class CronScheduler {
     // Validate cron expression
     validateCronExpression(expression) {
         try {
-            return cron.validate(expression);
+            return cron.validate(expression) && CronExpression.isValid(expression);
         } catch (error) {
             return false;
         }
@@ -317,18 +609,22 @@ class CronScheduler {
             return [];
         }
 
+        const info = this.jobInfo.get(name);
+        if (!info || !this.isJobRunning(name)) {
+            return [];
+        }
+
         try {
-            const executions = [];
-            const now = new Date();
-            let nextDate = now;
-
-            for (let i = 0; i < count; i++) {
-                // This is a simplified approach - actual implementation would depend on cron library capabilities
-                nextDate = new Date(nextDate.getTime() + 60000); // Add 1 minute for approximation
-                executions.push(nextDate.toISOString());
+            // Humanized jobs plan one send at a time
+            if (typeof job.getNextRun === 'function') {
+                const nextRun = job.getNextRun();
+                return nextRun ? [nextRun] : [];
             }
 
-            return executions;
+            if (!info.cron) {
+                info.cron = new CronExpression(info.expression, info.timezone);
+            }
+            return info.cron.nextDates(count).map(date => date.toISOString());
         } catch (error) {
             logger.error(`Failed to get next executions for job '${name}':`, error);
             return [];
@@ -343,10 +639,13 @@ class CronScheduler {
             this.stopAll();
             
             // Clear all jobs
-            this.jobs.forEach((job, name) => {
-                job.destroy();
+            this.jobs.forEach((job) => {
+                if (typeof job.destroy === 'function') {
+                    job.destroy();
+                }
             });
             this.jobs.clear();
+            this.jobInfo.clear();
             
             logger.info('Cron scheduler shutdown complete');
         } catch (error) {
@@ -358,7 +657,7 @@ class CronScheduler {
     getStats() {
         return {
             totalJobs: this.jobs.size,
-            runningJobs: Array.from(this.jobs.values()).filter(job => job.running).length,
+            runningJobs: Array.from(this.jobs.keys()).filter(name => this.isJobRunning(name)).length,
             isRunning: this.isRunning,
             jobs: this.getAllJobsStatus()
         };
@@ -0,0 +1,72 @@
+const logger = require('./logger');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Decides whether a scheduled message should go out, based on how many of our
+ * messages are still unanswered (ConversationHistory.analyzeConversationFlow):
+ *
+ *   - below `slowdownAfter` unanswered messages: send normally
+ *   - from `slowdownAfter`: wait `slowdownMinutes` after our last message,
+ *     doubling for every further unanswered message
+ *   - from `maxUnanswered`: stop sending, except `maxCheckIns` gentle check-ins
+ *     once the silence lasts `checkInAfterHours`
+ *
+ * The count resets as soon as she replies.
+ */
+class EngagementPolicy {
+    constructor() {
+        this.decisions = new Map(); // phoneNumber -> last decision
+        this.stats = { send: 0, slowdown: 0, skip: 0, checkIn: 0 };
+    }
+
+    decide(recipient, conversationFlow, now = Date.now()) {
+        const settings = recipient.engagement;
+        const unanswered = conversationFlow ? conversationFlow.unansweredCount || 0 : 0;
+        const lastOutgoing = conversationFlow ? conversationFlow.lastOutgoingMessage : null;
+        const hoursSinceOutgoing = lastOutgoing ? (now - lastOutgoing) / HOUR : null;
+        let decision;
+
+        if (!settings || !settings.enabled || unanswered < settings.slowdownAfter) {
+            decision = { action: 'send', reason: 'Conversation is active' };
+        } else if (unanswered < settings.maxUnanswered) {
+            // Wait longer after each unanswered message
+            const waitHours = (settings.slowdownMinutes / 60) * Math.pow(2, unanswered - settings.slowdownAfter);
+            decision = hoursSinceOutgoing === null || hoursSinceOutgoing >= waitHours
+                ? { action: 'send', reason: `Slowed down: ${unanswered} unanswered, waited ${waitHours.toFixed(1)}h` }
+                : { action: 'slowdown', reason: `${unanswered} unanswered messages, waiting ${waitHours.toFixed(1)}h after the last one` };
+        } else {
+            // Each check-in is another unanswered message, so the count tells how many were sent
+            const checkInsSent = unanswered - settings.maxUnanswered;
+            if (checkInsSent < settings.maxCheckIns && hoursSinceOutgoing !== null && hoursSinceOutgoing >= settings.checkInAfterHours) {
+                decision = { action: 'check-in', reason: `No reply for ${Math.floor(hoursSinceOutgoing)}h after ${unanswered} messages` };
+            } else {
+                decision = { action: 'skip', reason: `${unanswered} unanswered messages` + (checkInsSent >= settings.maxCheckIns ? ', check-ins used up' : '') };
+            }
+        }
+
+        decision = { ...decision, unanswered, timestamp: new Date(now).toISOString() };
+        const previous = this.decisions.get(recipient.phoneNumber);
+        this.decisions.set(recipient.phoneNumber, decision);
+        this.stats[decision.action === 'check-in' ? 'checkIn' : decision.action]++;
+
+        // Log changes only; short intervals would otherwise repeat the same decision every tick
+        if (decision.action !== 'send' && (!previous || previous.action !== decision.action || previous.unanswered !== unanswered)) {
+            logger.info(`Engagement policy for ${recipient.phoneNumber}: ${decision.action} (${decision.reason})`);
+        }
+        return decision;
+    }
+
+    getLastDecision(phoneNumber) {
+        return this.decisions.get(phoneNumber) || null;
+    }
+
+    getStats() {
+        return {
+            decisions: { ...this.stats },
+            recipients: Object.fromEntries(this.decisions)
+        };
+    }
+}
+
+module.exports = EngagementPolicy;
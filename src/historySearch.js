@@ -0,0 +1,171 @@
+/**
+ * Search over stored conversation messages: keywords and "quoted phrases"
+ * (all must match, ignoring case and accents, a keyword also matching longer
+ * words: "playa" finds "playas"), a date range, direction, type and source.
+ * Results come newest first, a page at a time; `nextCursor` resumes after the
+ * last result of a page.
+ */
+
+const TYPES = ['text', 'voice', 'media'];
+const DIRECTIONS = ['incoming', 'outgoing'];
+const SOURCES = ['system', 'whatsapp', 'import'];
+const MAX_LIMIT = 100;
+
+// Lowercase words without accents or punctuation
+function words(text) {
+    return String(text || '')
+        .normalize('NFD').replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+// Searchable text of a message: transcripts and descriptions without their "[Voice: ...]" label
+function searchableText(message) {
+    return String(message.body || '').replace(/^\[(?:Voice|Image|Sticker|Gif|Video|Document)(?::\s*)?([^\]]*)\]/, '$1 ');
+}
+
+function messageType(message) {
+    if (message.isVoiceMessage) {
+        return 'voice';
+    }
+    if (message.media || /^\[(Image|Sticker|Gif|Video|Document)\b/.test(message.body || '')) {
+        return 'media';
+    }
+    return 'text';
+}
+
+// 'viaje "fin de semana"' -> { terms: ['viaje'], phrases: ['fin de semana'] }
+function parseQuery(query) {
+    const phrases = [];
+    const rest = String(query || '').replace(/"([^"]*)"/g, (match, phrase) => {
+        const normalized = words(phrase).join(' ');
+        if (normalized) {
+            phrases.push(normalized);
+        }
+        return ' ';
+    });
+    return { terms: words(rest), phrases };
+}
+
+// A timestamp from milliseconds or an ISO date; a date without time as `until` covers the whole day
+function parseDate(value, endOfDay = false) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (/^\d+$/.test(String(value))) {
+        return Number(value);
+    }
+    const time = Date.parse(value);
+    if (isNaN(time)) {
+        return NaN;
+    }
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+function encodeCursor(message) {
+    return Buffer.from(JSON.stringify([message.timestamp, message.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const [timestamp, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return typeof timestamp === 'number' ? { timestamp, id: String(id) } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Newest first; messages with the same timestamp by id so pages never overlap
+function compare(a, b) {
+    return (b.timestamp - a.timestamp) || (a.id < b.id ? 1 : (a.id > b.id ? -1 : 0));
+}
+
+// Build a filter from query parameters (q, from, type, source, since, until, limit, cursor).
+// Returns { filter } or { error }
+function parseFilter(params = {}) {
+    const filter = {
+        ...parseQuery(params.q),
+        from: params.from || null,
+        type: params.type || null,
+        source: params.source || null,
+        since: parseDate(params.since),
+        until: parseDate(params.until, true),
+        limit: Math.max(1, Math.min(parseInt(params.limit) || 20, MAX_LIMIT)),
+        cursor: null
+    };
+
+    if (filter.from && !DIRECTIONS.includes(filter.from)) {
+        return { error: `from must be one of ${DIRECTIONS.join(', ')}` };
+    }
+    if (filter.type && !TYPES.includes(filter.type)) {
+        return { error: `type must be one of ${TYPES.join(', ')}` };
+    }
+    if (filter.source && !SOURCES.includes(filter.source)) {
+        return { error: `source must be one of ${SOURCES.join(', ')}` };
+    }
+    if (Number.isNaN(filter.since) || Number.isNaN(filter.until)) {
+        return { error: 'since and until must be dates (YYYY-MM-DD or ISO 8601) or timestamps in milliseconds' };
+    }
+    if (params.cursor) {
+        filter.cursor = decodeCursor(params.cursor);
+        if (!filter.cursor) {
+            return { error: 'Invalid cursor' };
+        }
+    }
+    return { filter };
+}
+
+function matches(message, filter) {
+    if (filter.from && message.from !== filter.from) {
+        return false;
+    }
+    if (filter.type && messageType(message) !== filter.type) {
+        return false;
+    }
+    if (filter.source && message.metadata?.source !== filter.source) {
+        return false;
+    }
+    if (filter.since !== null && filter.since !== undefined && message.timestamp < filter.since) {
+        return false;
+    }
+    if (filter.until !== null && filter.until !== undefined && message.timestamp > filter.until) {
+        return false;
+    }
+
+    const terms = filter.terms || [];
+    const phrases = filter.phrases || [];
+    if (terms.length === 0 && phrases.length === 0) {
+        return true;
+    }
+    const messageWords = words(searchableText(message));
+    const padded = ` ${messageWords.join(' ')} `;
+    return terms.every(term => messageWords.some(word => word.startsWith(term)))
+        && phrases.every(phrase => padded.includes(` ${phrase} `));
+}
+
+// One page of the messages matching `filter`: { total, results, nextCursor }
+function search(messages, filter) {
+    const matching = messages.filter(message => matches(message, filter)).sort(compare);
+    const start = filter.cursor
+        ? matching.findIndex(message => compare(filter.cursor, message) < 0)
+        : 0;
+    const remaining = start === -1 ? [] : matching.slice(start);
+    const results = remaining.slice(0, filter.limit || 20);
+
+    return {
+        total: matching.length,
+        results,
+        nextCursor: remaining.length > results.length ? encodeCursor(results[results.length - 1]) : null
+    };
+}
+
+module.exports = {
+    TYPES,
+    words,
+    parseQuery,
+    parseFilter,
+    matches,
+    messageType,
+    search
+};
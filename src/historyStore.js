@@ -0,0 +1,356 @@
+const logger = require('./logger');
+
+const DUPLICATE_WINDOW_MS = 5000;
+
+/**
+ * Base of the conversation history storage backends. Conversations are kept
+ * in memory, indexed by phone number, with their messages sorted by timestamp
+ * and a per-conversation index of WhatsApp message ids. Every change runs as a
+ * transaction: one at a time, and persisted by the backend before the next
+ * one starts, so concurrent incoming and scheduled writes can't clobber each
+ * other. A transaction that fails to persist is rolled back in memory too.
+ *
+ * Each conversation keeps its newest `maxStoredMessages` live messages.
+ * Imported chat history (metadata.source 'import') doesn't count toward that
+ * cap and is never trimmed: importing a chat export keeps all of it.
+ *
+ * Backends implement:
+ *
+ *   load()                        read everything into `this.conversations`
+ *   persist(changes)              write the changes of one transaction:
+ *                                 [{ op: 'conversation' | 'message' | 'clear', phoneNumber, ... }]
+ *   info()                        file, size and format details for getStorageInfo
+ */
+class HistoryStore {
+    constructor(dataDir = './data', options = {}) {
+        this.dataDir = dataDir;
+        this.maxStoredMessages = options.maxStoredMessages || 200;
+        this.conversations = new Map();
+        this.queue = Promise.resolve();
+        this.undo = null; // phoneNumber -> conversation as it was before the running transaction
+    }
+
+    createConversation(phoneNumber, contactName = null) {
+        return {
+            contact: {
+                phoneNumber,
+                name: contactName,
+                lastSeen: null,
+                isValid: null
+            },
+            messages: [],
+            stats: {
+                totalMessages: 0,
+                incomingMessages: 0,
+                outgoingMessages: 0,
+                voiceMessages: 0,
+                firstMessage: null,
+                lastMessage: null
+            },
+            messageIds: new Set(),
+            cappedCount: 0 // messages that count toward maxStoredMessages
+        };
+    }
+
+    // Add a conversation read from storage (messages in any order, stats recomputed when missing)
+    restoreConversation(phoneNumber, data = {}) {
+        const conversation = this.createConversation(phoneNumber, data.contact?.name || null);
+        conversation.contact = { ...conversation.contact, ...(data.contact || {}) };
+        conversation.messages = (data.messages || []).slice().sort((a, b) => a.timestamp - b.timestamp);
+        conversation.messages.forEach(message => {
+            if (message.messageId) {
+                conversation.messageIds.add(message.messageId);
+            }
+            if (this.isCapped(message)) {
+                conversation.cappedCount++;
+            }
+        });
+        if (data.stats) {
+            conversation.stats = { ...conversation.stats, ...data.stats };
+        } else {
+            conversation.messages.forEach(message => this.countMessage(conversation.stats, message));
+        }
+        this.trim(conversation);
+        this.conversations.set(phoneNumber, conversation);
+        return conversation;
+    }
+
+    // Run `fn` with exclusive access to the store. `fn` returns { result, changes }; the changes
+    // are persisted before the transaction resolves with the result. If `fn` or persisting fails,
+    // the conversations it touched (see snapshot) are put back and the transaction rejects
+    transaction(fn) {
+        const run = this.queue.then(async () => {
+            this.undo = new Map();
+            try {
+                const { result, changes = [] } = await fn();
+                if (changes.length > 0) {
+                    await this.persist(changes);
+                }
+                return result;
+            } catch (error) {
+                this.rollback();
+                throw error;
+            } finally {
+                this.undo = null;
+            }
+        });
+        this.queue = run.catch(error => logger.error('History transaction failed:', error));
+        return run;
+    }
+
+    // Keep a copy of a conversation (or of all of them) before the running transaction changes it
+    snapshot(phoneNumber = null) {
+        if (!this.undo) {
+            return;
+        }
+        for (const phone of phoneNumber ? [phoneNumber] : this.conversations.keys()) {
+            if (this.undo.has(phone)) {
+                continue;
+            }
+            const conversation = this.conversations.get(phone);
+            this.undo.set(phone, conversation ? {
+                contact: { ...conversation.contact },
+                messages: conversation.messages.slice(),
+                stats: { ...conversation.stats },
+                messageIds: new Set(conversation.messageIds),
+                cappedCount: conversation.cappedCount
+            } : null);
+        }
+    }
+
+    rollback() {
+        for (const [phoneNumber, conversation] of this.undo) {
+            if (conversation) {
+                this.conversations.set(phoneNumber, conversation);
+            } else {
+                this.conversations.delete(phoneNumber);
+            }
+        }
+        if (this.undo.size > 0) {
+            logger.warn(`Rolled back ${this.undo.size} conversation(s) after a failed history write`);
+        }
+    }
+
+    // Get or create a conversation, inside a transaction
+    ensureConversation(phoneNumber, contactName = null, changes = []) {
+        this.snapshot(phoneNumber);
+        let conversation = this.conversations.get(phoneNumber);
+        if (!conversation) {
+            conversation = this.createConversation(phoneNumber, contactName);
+            this.conversations.set(phoneNumber, conversation);
+            changes.push({ op: 'conversation', phoneNumber, contact: conversation.contact });
+            logger.info(`Initialized new conversation for ${phoneNumber}`);
+        } else if (contactName && !conversation.contact.name) {
+            conversation.contact.name = contactName;
+            changes.push({ op: 'conversation', phoneNumber, contact: conversation.contact });
+        }
+        return conversation;
+    }
+
+    initializeConversation(phoneNumber, contactName = null) {
+        return this.transaction(() => {
+            const changes = [];
+            const conversation = this.ensureConversation(phoneNumber, contactName, changes);
+            return { result: conversation, changes };
+        });
+    }
+
+    // Insert normalized messages into a conversation, skipping duplicates. Resolves with
+    // { inserted, dropped }: the messages that were stored, and the new ones the cap trimmed
+    // right away (older than everything a full conversation keeps). `duplicateWindowMs` widens
+    // the same-body check for sources with coarser timestamps (chat exports have minutes only)
+    insertMessages(phoneNumber, messages, options = {}) {
+        return this.transaction(() => {
+            const changes = [];
+            const conversation = this.ensureConversation(phoneNumber, null, changes);
+            const added = [];
+
+            for (const message of messages) {
+                if (this.isDuplicate(conversation, message, options.duplicateWindowMs)) {
+                    logger.debug(`Duplicate message detected for ${phoneNumber}, skipping`);
+                    continue;
+                }
+                this.place(conversation, message);
+                added.push(message);
+            }
+
+            const trimmed = this.trim(conversation);
+            if (trimmed.length > 0) {
+                logger.debug(`Trimmed conversation history for ${phoneNumber} to ${this.maxStoredMessages} messages`);
+            }
+            const removed = new Set(trimmed);
+            const inserted = added.filter(message => !removed.has(message));
+            const dropped = added.filter(message => removed.has(message));
+            for (const message of inserted) {
+                this.countMessage(conversation.stats, message);
+                changes.push({ op: 'message', phoneNumber, message });
+            }
+            return { result: { inserted, dropped }, changes };
+        });
+    }
+
+    // Same WhatsApp id, or the same body from the same side within a few seconds. Messages of
+    // the same import are only compared by id, so a repeated "jaja" in one minute is kept
+    isDuplicate(conversation, message, windowMs = DUPLICATE_WINDOW_MS) {
+        if (message.messageId && conversation.messageIds.has(message.messageId)) {
+            return true;
+        }
+
+        const messages = conversation.messages;
+        const importId = message.metadata?.importId;
+        for (let i = this.indexAfter(messages, message.timestamp + windowMs) - 1; i >= 0; i--) {
+            if (messages[i].timestamp <= message.timestamp - windowMs) {
+                break;
+            }
+            if (importId && messages[i].metadata?.importId === importId) {
+                continue;
+            }
+            if (messages[i].body === message.body && messages[i].from === message.from) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Index of the first message newer than `timestamp` (binary search)
+    indexAfter(messages, timestamp) {
+        let low = 0;
+        let high = messages.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (messages[middle].timestamp <= timestamp) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    insertSorted(messages, message) {
+        messages.splice(this.indexAfter(messages, message.timestamp), 0, message);
+    }
+
+    // Add a message to a conversation's messages and indexes (stats are counted separately)
+    place(conversation, message) {
+        this.insertSorted(conversation.messages, message);
+        if (message.messageId) {
+            conversation.messageIds.add(message.messageId);
+        }
+        if (this.isCapped(message)) {
+            conversation.cappedCount++;
+        }
+    }
+
+    isCapped(message) {
+        return message.metadata?.source !== 'import';
+    }
+
+    countMessage(stats, message) {
+        stats.totalMessages++;
+        if (message.from === 'incoming') {
+            stats.incomingMessages++;
+        } else {
+            stats.outgoingMessages++;
+        }
+        if (message.isVoiceMessage) {
+            stats.voiceMessages++;
+        }
+        if (!stats.firstMessage || message.timestamp < stats.firstMessage) {
+            stats.firstMessage = message.timestamp;
+        }
+        if (!stats.lastMessage || message.timestamp > stats.lastMessage) {
+            stats.lastMessage = message.timestamp;
+        }
+    }
+
+    // Keep the newest `maxStoredMessages` capped messages (imported ones all stay); stats still
+    // count the dropped ones. Returns the messages it removed
+    trim(conversation) {
+        let excess = conversation.cappedCount - this.maxStoredMessages;
+        if (excess <= 0) {
+            return [];
+        }
+        const removed = [];
+        conversation.messages = conversation.messages.filter(message => {
+            if (excess === 0 || !this.isCapped(message)) {
+                return true;
+            }
+            excess--;
+            removed.push(message);
+            if (message.messageId) {
+                conversation.messageIds.delete(message.messageId);
+            }
+            return false;
+        });
+        conversation.cappedCount -= removed.length;
+        return removed;
+    }
+
+    clear(phoneNumber = null) {
+        return this.transaction(() => {
+            this.snapshot(phoneNumber);
+            if (phoneNumber) {
+                this.conversations.delete(phoneNumber);
+            } else {
+                this.conversations.clear();
+            }
+            return { result: true, changes: [{ op: 'clear', phoneNumber }] };
+        });
+    }
+
+    getConversation(phoneNumber) {
+        return this.conversations.get(phoneNumber) || null;
+    }
+
+    // A conversation's messages, oldest first: the last `limit` ones, optionally only those
+    // between `since` and `until` (timestamps)
+    getMessages(phoneNumber, { limit = null, since = null, until = null } = {}) {
+        const conversation = this.conversations.get(phoneNumber);
+        if (!conversation) {
+            return [];
+        }
+        const messages = conversation.messages;
+        const start = since !== null ? this.indexAfter(messages, since - 1) : 0;
+        const end = until !== null ? this.indexAfter(messages, until) : messages.length;
+        const range = messages.slice(start, end);
+        return limit ? range.slice(-limit) : range;
+    }
+
+    getPhoneNumbers() {
+        return Array.from(this.conversations.keys());
+    }
+
+    // Everything in the v2.0 JSON layout ({ metadata, conversations }), for exports and migrations
+    toJSON() {
+        const conversations = {};
+        for (const [phoneNumber, conversation] of this.conversations) {
+            conversations[phoneNumber] = this.serializeConversation(conversation);
+        }
+        return {
+            metadata: {
+                version: '2.0',
+                lastUpdated: Date.now()
+            },
+            conversations
+        };
+    }
+
+    serializeConversation(conversation) {
+        return {
+            contact: conversation.contact,
+            messages: conversation.messages,
+            stats: conversation.stats
+        };
+    }
+
+    countMessages() {
+        let total = 0;
+        for (const conversation of this.conversations.values()) {
+            total += conversation.messages.length;
+        }
+        return total;
+    }
+}
+
+module.exports = HistoryStore;
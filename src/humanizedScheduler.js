@@ -0,0 +1,260 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+const SendWindow = require('./sendWindow');
+
+const MINUTE = 60 * 1000;
+const MIN_GAP = MINUTE; // Even with minSpacingMinutes 0, never plan sends closer than this
+const CLOSED_RETRY = 60 * MINUTE;
+
+/**
+ * Randomized "humanized" scheduling: instead of a fixed cron interval each job
+ * aims for a number of messages per day picked from a range, with random gaps,
+ * a minimum spacing and a daily cap. Planned send times are persisted in
+ * data/humanized-schedule.json so restarts keep the plan.
+ *
+ * Jobs created here expose start()/stop()/running like node-cron tasks, so the
+ * CronScheduler manages them next to its fixed cron jobs.
+ */
+class HumanizedScheduler {
+    constructor(dataDir = './data') {
+        this.dataDir = dataDir;
+        this.stateFile = path.join(dataDir, 'humanized-schedule.json');
+        this.state = {}; // job name -> { nextSendAt, day, dayTarget, sentToday, lastSentAt }
+        this.dayFormatters = new Map(); // timezone -> Intl.DateTimeFormat
+    }
+
+    async load() {
+        try {
+            if (await fs.pathExists(this.stateFile)) {
+                const data = await fs.readJson(this.stateFile);
+                this.state = data.jobs || {};
+                logger.info(`Loaded humanized schedule for ${Object.keys(this.state).length} job(s)`);
+            }
+        } catch (error) {
+            logger.error('Failed to load humanized schedule:', error);
+        }
+    }
+
+    async save() {
+        try {
+            await fs.ensureDir(this.dataDir);
+            await fs.writeJson(this.stateFile, {
+                metadata: {
+                    version: '1.0',
+                    lastUpdated: Date.now()
+                },
+                jobs: this.state
+            }, { spaces: 2 });
+        } catch (error) {
+            logger.error('Failed to save humanized schedule:', error);
+        }
+    }
+
+    getState(name) {
+        if (!this.state[name]) {
+            this.state[name] = { nextSendAt: null, day: null, dayTarget: null, sentToday: 0, lastSentAt: null };
+        }
+        return this.state[name];
+    }
+
+    // Local calendar day (YYYY-MM-DD) in the window's timezone
+    dayKey(date, window) {
+        const timezone = window.timezone || '';
+        if (!this.dayFormatters.has(timezone)) {
+            this.dayFormatters.set(timezone, new Intl.DateTimeFormat('en-CA', {
+                timeZone: timezone || undefined,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit'
+            }));
+        }
+        return this.dayFormatters.get(timezone).format(date);
+    }
+
+    // Start a new day's budget when the local date changes
+    rollDay(state, settings, window, now) {
+        const today = this.dayKey(now, window);
+        if (state.day !== today) {
+            state.day = today;
+            state.sentToday = 0;
+            state.dayTarget = randomInt(settings.minPerDay, settings.maxPerDay);
+        }
+    }
+
+    // First moment of the next local day
+    startOfNextDay(now, window) {
+        const today = this.dayKey(now, window);
+        let candidate = new Date(Math.ceil(now.getTime() / MINUTE) * MINUTE);
+        // Jump most of the way in hour steps, then walk minutes to the exact local midnight
+        while (this.dayKey(new Date(candidate.getTime() + 60 * MINUTE), window) === today) {
+            candidate = new Date(candidate.getTime() + 60 * MINUTE);
+        }
+        while (this.dayKey(candidate, window) === today) {
+            candidate = new Date(candidate.getTime() + MINUTE);
+        }
+        return candidate;
+    }
+
+    // Minutes between `from` and `until` during which sending is allowed (5 minute resolution)
+    openMinutesBetween(from, until, window) {
+        let open = 0;
+        for (let time = from.getTime(); time < until.getTime(); time += 5 * MINUTE) {
+            if (window.isOpen(new Date(time))) {
+                open += 5;
+            }
+        }
+        return open;
+    }
+
+    // Plan the next send for a job. The remaining open time of the day is split over the
+    // messages still to send, and each gap is randomized between half and 1.5x that average
+    planNext(name, settings, window = new SendWindow(), now = new Date()) {
+        const state = this.getState(name);
+        this.rollDay(state, settings, window, now);
+
+        const cap = Math.min(state.dayTarget, settings.dailyCap || Infinity);
+        const minSpacing = Math.max(settings.minSpacingMinutes * MINUTE, MIN_GAP);
+        const endOfDay = this.startOfNextDay(now, window);
+        let candidate;
+
+        if (state.sentToday >= cap) {
+            // Budget used up: first opening tomorrow plus a random delay
+            const opening = window.nextOpening(endOfDay) || endOfDay;
+            candidate = new Date(opening.getTime() + Math.random() * 90 * MINUTE);
+        } else {
+            const remaining = cap - state.sentToday;
+            const openMinutes = this.openMinutesBetween(now, endOfDay, window);
+            const averageGap = Math.max((openMinutes / remaining) * MINUTE, minSpacing);
+            const gap = Math.max(averageGap * (0.5 + Math.random()), minSpacing);
+            candidate = new Date(now.getTime() + gap);
+        }
+
+        if (state.lastSentAt && candidate.getTime() - state.lastSentAt < minSpacing) {
+            candidate = new Date(state.lastSentAt + minSpacing);
+        }
+
+        if (!window.isOpen(candidate)) {
+            const opening = window.nextOpening(candidate);
+            if (opening) {
+                candidate = new Date(opening.getTime() + Math.random() * 20 * MINUTE);
+            } else {
+                // The window never opens (quiet all day): check again in an hour, as the
+                // recipient's settings may have changed by then
+                logger.warn(`Send window for '${name}' never opens; checking again in an hour`);
+                candidate = new Date(Math.max(candidate.getTime(), now.getTime() + CLOSED_RETRY));
+            }
+        }
+
+        state.nextSendAt = candidate.getTime();
+        logger.info(`Next humanized send for '${name}' planned at ${candidate.toISOString()} (${state.sentToday}/${cap} today)`);
+        this.save();
+        return candidate;
+    }
+
+    recordSend(name, settings, window = new SendWindow(), now = new Date()) {
+        const state = this.getState(name);
+        this.rollDay(state, settings, window, now);
+        state.sentToday++;
+        state.lastSentAt = now.getTime();
+    }
+
+    forget(name) {
+        if (this.state[name]) {
+            delete this.state[name];
+            this.save();
+        }
+    }
+
+    // Create a job that sends at the planned times. `callback` should resolve truthy when a
+    // message was actually sent, so skipped ticks don't use up the daily budget
+    createJob(name, settings, callback, getWindow = () => new SendWindow()) {
+        const scheduler = this;
+        const job = {
+            running: false,
+            timer: null,
+            expression: `humanized ${settings.minPerDay}-${settings.maxPerDay}/day`,
+
+            start() {
+                if (job.running) {
+                    return;
+                }
+                job.running = true;
+
+                // Keep a persisted plan that is still ahead; missed sends are re-planned from now
+                const state = scheduler.getState(name);
+                if (state.nextSendAt && state.nextSendAt > Date.now()) {
+                    job.arm(new Date(state.nextSendAt));
+                } else {
+                    job.arm(scheduler.planNext(name, settings, getWindow()));
+                }
+            },
+
+            stop() {
+                job.running = false;
+                clearTimeout(job.timer);
+                job.timer = null;
+            },
+
+            arm(sendAt) {
+                clearTimeout(job.timer);
+                // setTimeout overflows past ~24.8 days; re-arm in steps for far-away plans
+                const delay = Math.min(Math.max(sendAt.getTime() - Date.now(), 0), 2 ** 31 - 1);
+                job.timer = setTimeout(() => job.fire(sendAt), delay);
+            },
+
+            async fire(sendAt) {
+                if (!job.running) {
+                    return;
+                }
+                if (sendAt.getTime() > Date.now()) {
+                    job.arm(sendAt);
+                    return;
+                }
+
+                try {
+                    // The window may have changed since the send was planned
+                    const window = getWindow();
+                    const sent = window.isOpen() && await callback();
+                    if (sent) {
+                        scheduler.recordSend(name, settings, window);
+                    }
+                } catch (error) {
+                    logger.error(`Error in humanized job '${name}':`, error);
+                }
+
+                if (job.running) {
+                    job.arm(scheduler.planNext(name, settings, getWindow()));
+                }
+            },
+
+            getNextRun() {
+                const state = scheduler.getState(name);
+                return job.running && state.nextSendAt ? new Date(state.nextSendAt).toISOString() : null;
+            }
+        };
+
+        return job;
+    }
+
+    // Validate humanized settings; returns an error message or null
+    static validate(settings = {}) {
+        const { minPerDay, maxPerDay, minSpacingMinutes, dailyCap } = settings;
+        if (!(minPerDay >= 1) || !(maxPerDay >= minPerDay)) {
+            return 'humanized.minPerDay must be at least 1 and not above maxPerDay';
+        }
+        if (!(minSpacingMinutes >= 0)) {
+            return 'humanized.minSpacingMinutes must be 0 or more';
+        }
+        if (dailyCap !== null && dailyCap !== undefined && !(dailyCap >= 1)) {
+            return 'humanized.dailyCap must be at least 1';
+        }
+        return null;
+    }
+}
+
+function randomInt(min, max) {
+    return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+module.exports = HumanizedScheduler;
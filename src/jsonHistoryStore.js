@@ -0,0 +1,105 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+const HistoryStore = require('./historyStore');
+
+/**
+ * The original history backend: every conversation in one JSON file
+ * (data/conversation_history.json, format v2.0), rewritten on every change.
+ * Fine for a single contact with a short history; kept for setups that read
+ * the file directly, and used to import it into the log store.
+ */
+class JsonHistoryStore extends HistoryStore {
+    constructor(dataDir = './data', options = {}) {
+        super(dataDir, options);
+        this.historyFile = options.historyFile || path.join(dataDir, 'conversation_history.json');
+        this.created = Date.now();
+    }
+
+    async load() {
+        await fs.ensureDir(this.dataDir);
+        if (!await fs.pathExists(this.historyFile)) {
+            await this.write();
+            logger.info('Created new conversation history file v2.0');
+            return;
+        }
+
+        let data = await fs.readJson(this.historyFile);
+        if (!data.metadata && !data.conversations) {
+            data = this.migrate(data);
+            await fs.writeJson(this.historyFile, data, { spaces: 2 });
+            logger.info('Successfully migrated conversation history');
+        }
+
+        this.created = data.metadata?.created || this.created;
+        for (const [phoneNumber, conversation] of Object.entries(data.conversations || {})) {
+            this.restoreConversation(phoneNumber, conversation);
+        }
+    }
+
+    // v1 files keyed messages by phone number directly, with 'me'/'contact' senders
+    migrate(data) {
+        logger.info('Migrating conversation history to new format...');
+        const migrated = {
+            metadata: {
+                version: '2.0',
+                created: Date.now(),
+                lastUpdated: Date.now(),
+                migrated: true
+            },
+            conversations: {}
+        };
+
+        for (const [phoneNumber, messages] of Object.entries(data)) {
+            if (Array.isArray(messages)) {
+                migrated.conversations[phoneNumber] = {
+                    contact: {
+                        phoneNumber,
+                        name: null,
+                        lastSeen: null
+                    },
+                    messages: messages.map(msg => ({
+                        id: msg.id || `migrated_${msg.timestamp}`,
+                        messageId: msg.messageId || null,
+                        body: msg.body,
+                        from: msg.from === 'me' ? 'outgoing' : 'incoming',
+                        fromMe: msg.from === 'me',
+                        timestamp: msg.timestamp,
+                        type: msg.type || 'chat',
+                        isVoiceMessage: msg.body?.startsWith('[Voice:') || false,
+                        metadata: {
+                            migrated: true
+                        }
+                    }))
+                };
+            }
+        }
+        return migrated;
+    }
+
+    // The whole file is rewritten whatever changed
+    async persist() {
+        await this.write();
+    }
+
+    async write() {
+        const data = this.toJSON();
+        data.metadata.created = this.created;
+        await fs.writeJson(this.historyFile, data, { spaces: 2 });
+    }
+
+    async info() {
+        const exists = await fs.pathExists(this.historyFile);
+        const stats = exists ? await fs.stat(this.historyFile) : null;
+        return {
+            type: 'json',
+            exists,
+            size: stats ? stats.size : 0,
+            version: '2.0',
+            lastModified: stats ? stats.mtime : null,
+            path: this.historyFile
+        };
+    }
+}
+
+module.exports = JsonHistoryStore;
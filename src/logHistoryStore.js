@@ -0,0 +1,186 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+const HistoryStore = require('./historyStore');
+const JsonHistoryStore = require('./jsonHistoryStore');
+
+const VERSION = '3.0';
+
+/**
+ * Conversation history as an append-only log (data/history/messages.jsonl).
+ * Each line is one transaction, written with a single append:
+ *
+ *   { "at": 1718000000000, "changes": [{ "op": "message", "phoneNumber": "...", "message": {...} }] }
+ *
+ * so a message costs one short write instead of rewriting every conversation,
+ * and a line cut short by a crash is skipped on replay without losing anything
+ * before it. On startup the log is replayed into the in-memory indexes. Once
+ * it holds well over what is still live (trimmed or cleared messages) it is
+ * compacted into one snapshot line per conversation.
+ *
+ * A conversation_history.json from the JSON store is imported on first start
+ * and renamed to conversation_history.json.migrated.
+ */
+class LogHistoryStore extends HistoryStore {
+    constructor(dataDir = './data', options = {}) {
+        super(dataDir, options);
+        this.logFile = options.logFile || path.join(dataDir, 'history', 'messages.jsonl');
+        this.legacyFile = path.join(dataDir, 'conversation_history.json');
+        this.compactAfter = options.compactAfter || 1000; // Dead records tolerated before compacting
+        this.records = 0; // Change records in the log
+        this.created = Date.now();
+    }
+
+    async load() {
+        await fs.ensureDir(path.dirname(this.logFile));
+
+        if (!await fs.pathExists(this.logFile)) {
+            if (await fs.pathExists(this.legacyFile)) {
+                await this.importLegacy();
+            } else {
+                await this.compact();
+                logger.info(`Created new conversation history log v${VERSION}`);
+            }
+            return;
+        }
+
+        // Rewriting also drops a torn last line, which the next append would otherwise extend
+        const skipped = await this.replay();
+        if (skipped > 0 || this.needsCompaction()) {
+            await this.compact();
+        }
+    }
+
+    // Rebuild the indexes from the log, line by line. Resolves with the number of unreadable lines
+    async replay() {
+        const lines = (await fs.readFile(this.logFile, 'utf8')).split('\n');
+        let skipped = 0;
+
+        lines.forEach((line, index) => {
+            if (!line.trim()) {
+                return;
+            }
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                skipped++;
+                logger.warn(`Skipping unreadable line ${index + 1} of ${this.logFile}`);
+                return;
+            }
+            if (record.version) {
+                this.created = record.created || this.created;
+                return;
+            }
+            (record.changes || []).forEach(change => this.apply(change));
+        });
+
+        if (skipped > 0) {
+            logger.warn(`${skipped} unreadable line(s) in the history log were ignored`);
+        }
+        logger.info(`Loaded conversation history: ${this.conversations.size} conversation(s), ${this.countMessages()} message(s)`);
+        return skipped;
+    }
+
+    apply(change) {
+        this.records++;
+        switch (change.op) {
+            case 'snapshot':
+                this.restoreConversation(change.phoneNumber, change);
+                break;
+            case 'conversation': {
+                const conversation = this.conversations.get(change.phoneNumber)
+                    || this.restoreConversation(change.phoneNumber, {});
+                conversation.contact = { ...conversation.contact, ...change.contact };
+                break;
+            }
+            case 'message': {
+                const conversation = this.conversations.get(change.phoneNumber)
+                    || this.restoreConversation(change.phoneNumber, {});
+                this.place(conversation, change.message);
+                this.countMessage(conversation.stats, change.message);
+                this.trim(conversation);
+                break;
+            }
+            case 'clear':
+                if (change.phoneNumber) {
+                    this.conversations.delete(change.phoneNumber);
+                } else {
+                    this.conversations.clear();
+                }
+                break;
+            default:
+                logger.warn(`Unknown history log operation '${change.op}'`);
+        }
+    }
+
+    async persist(changes) {
+        const line = JSON.stringify({ at: Date.now(), changes });
+        await fs.appendFile(this.logFile, `${line}\n`, 'utf8');
+        this.records += changes.length;
+
+        // The changes are already in the log: a failed compaction is retried on the next write
+        if (this.needsCompaction()) {
+            try {
+                await this.compact();
+            } catch (error) {
+                logger.error('Failed to compact the history log:', error);
+            }
+        }
+    }
+
+    needsCompaction() {
+        return this.records - this.conversations.size - this.countMessages() > this.compactAfter;
+    }
+
+    // Rewrite the log as one snapshot per conversation, swapping the file in with a rename
+    async compact() {
+        const tmpFile = `${this.logFile}.tmp`;
+        const lines = [JSON.stringify({ version: VERSION, created: this.created, compactedAt: Date.now() })];
+        for (const [phoneNumber, conversation] of this.conversations) {
+            lines.push(JSON.stringify({
+                at: Date.now(),
+                changes: [{ op: 'snapshot', phoneNumber, ...this.serializeConversation(conversation) }]
+            }));
+        }
+
+        await fs.writeFile(tmpFile, `${lines.join('\n')}\n`, 'utf8');
+        await fs.rename(tmpFile, this.logFile);
+        this.records = this.conversations.size;
+        logger.debug(`Compacted history log to ${this.conversations.size} conversation snapshot(s)`);
+    }
+
+    // Import conversation_history.json (v1 or v2.0) and keep the old file aside
+    async importLegacy() {
+        logger.info(`Migrating ${this.legacyFile} to the history log...`);
+        const legacy = new JsonHistoryStore(this.dataDir, {
+            maxStoredMessages: this.maxStoredMessages,
+            historyFile: this.legacyFile
+        });
+        await legacy.load();
+
+        this.created = legacy.created;
+        for (const [phoneNumber, conversation] of legacy.conversations) {
+            this.conversations.set(phoneNumber, conversation);
+        }
+        await this.compact();
+        await fs.move(this.legacyFile, `${this.legacyFile}.migrated`, { overwrite: true });
+        logger.info(`Migrated ${this.conversations.size} conversation(s), ${this.countMessages()} message(s) to ${this.logFile}`);
+    }
+
+    async info() {
+        const exists = await fs.pathExists(this.logFile);
+        const stats = exists ? await fs.stat(this.logFile) : null;
+        return {
+            type: 'log',
+            exists,
+            size: stats ? stats.size : 0,
+            version: VERSION,
+            records: this.records,
+            lastModified: stats ? stats.mtime : null,
+            path: this.logFile
+        };
+    }
+}
+
+module.exports = LogHistoryStore;
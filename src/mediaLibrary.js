@@ -0,0 +1,285 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+
+const KINDS = ['image', 'sticker', 'gif', 'document'];
+const KIND_BY_EXTENSION = {
+    '.jpg': 'image',
+    '.jpeg': 'image',
+    '.png': 'image',
+    '.webp': 'sticker',
+    '.gif': 'gif',
+    '.mp4': 'gif'
+};
+const HISTORY_LABELS = {
+    image: 'Image',
+    sticker: 'Sticker',
+    gif: 'Gif',
+    document: 'Document'
+};
+const HOUR = 60 * 60 * 1000;
+
+// Lowercase words without accents, for matching tags against text
+function normalizeWords(text) {
+    return String(text || '')
+        .normalize('NFD').replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+// A tag matches a word when one starts with the other ("girasol" ~ "girasoles")
+function tagMatches(tag, word) {
+    if (tag === word) {
+        return true;
+    }
+    const [shorter, longer] = tag.length < word.length ? [tag, word] : [word, tag];
+    return shorter.length >= 4 && longer.startsWith(shorter);
+}
+
+/**
+ * Images, stickers, GIFs and documents we can send, kept in
+ * data/media-library/ with their tags and captions in data/media-library.json.
+ * Files dropped into the folder are picked up on load with tags taken from
+ * their name ("girasoles-amarillos.jpg" -> girasoles, amarillos) and a kind
+ * from their extension (.webp files are stickers, .gif and .mp4 GIFs).
+ *
+ * The generator picks items by matching tags against a message or the
+ * recipient's interests; items sent within `cooldownHours` are skipped.
+ */
+class MediaLibrary {
+    constructor(dataDir = './data', options = {}) {
+        this.dataDir = dataDir;
+        this.libraryDir = options.libraryDir || path.join(dataDir, 'media-library');
+        this.indexFile = path.join(dataDir, 'media-library.json');
+        this.cooldownHours = options.cooldownHours ?? 24;
+        this.items = new Map();
+    }
+
+    // Load the index and sync it with the folder: new files are added, missing ones dropped
+    async load() {
+        try {
+            await fs.ensureDir(this.libraryDir);
+            if (await fs.pathExists(this.indexFile)) {
+                const data = await fs.readJson(this.indexFile);
+                for (const item of data.items || []) {
+                    this.items.set(item.id, item);
+                }
+            }
+            await this.scan();
+            logger.info(`Loaded media library: ${this.items.size} item(s)`);
+        } catch (error) {
+            logger.error('Failed to load media library:', error);
+        }
+        return this.getAll();
+    }
+
+    async save() {
+        try {
+            await fs.ensureDir(this.dataDir);
+            await fs.writeJson(this.indexFile, {
+                metadata: {
+                    version: '1.0',
+                    lastUpdated: Date.now()
+                },
+                items: this.getAll()
+            }, { spaces: 2 });
+        } catch (error) {
+            logger.error('Failed to save media library:', error);
+        }
+    }
+
+    // Index files added to or removed from the folder by hand. Resolves with { added, removed }
+    async scan() {
+        const files = (await fs.readdir(this.libraryDir)).filter(file => !file.startsWith('.'));
+        const indexed = new Set(this.getAll().map(item => item.file));
+        let added = 0;
+        let removed = 0;
+
+        for (const file of files) {
+            if (!indexed.has(file)) {
+                const item = this.buildItem({ file, id: this.createId() });
+                this.items.set(item.id, item);
+                added++;
+            }
+        }
+        for (const [id, item] of this.items) {
+            if (!files.includes(item.file)) {
+                this.items.delete(id);
+                removed++;
+            }
+        }
+
+        if (added > 0 || removed > 0) {
+            logger.info(`Media library: ${added} file(s) added, ${removed} removed`);
+            await this.save();
+        }
+        return { added, removed };
+    }
+
+    createId() {
+        return `lib_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    }
+
+    buildItem(data, existing = {}) {
+        const pick = (key, fallback = null) => data[key] !== undefined ? data[key] : (existing[key] !== undefined ? existing[key] : fallback);
+        const file = pick('file');
+        const tags = pick('tags') || normalizeWords(path.parse(file).name).filter(word => !/^\d+$/.test(word));
+
+        return {
+            id: existing.id || data.id,
+            file,
+            kind: pick('kind') || KIND_BY_EXTENSION[path.extname(file).toLowerCase()] || 'document',
+            tags: [...new Set((Array.isArray(tags) ? tags : String(tags).split(',')).map(tag => normalizeWords(tag).join(' ')).filter(Boolean))],
+            caption: pick('caption'),
+            description: pick('description'),
+            enabled: pick('enabled', true) !== false,
+            sentCount: existing.sentCount || 0,
+            lastSentAt: existing.lastSentAt || null,
+            addedAt: existing.addedAt || Date.now(),
+            updatedAt: Date.now()
+        };
+    }
+
+    validate(item) {
+        if (!KINDS.includes(item.kind)) {
+            return `kind must be one of ${KINDS.join(', ')}`;
+        }
+        if (item.tags.length === 0) {
+            return 'At least one tag is required';
+        }
+        return null;
+    }
+
+    // Save an uploaded file (`data` in base64) with its tags
+    async add(data) {
+        const filename = path.basename(String(data.filename || ''));
+        if (!filename || !data.data) {
+            throw new Error('filename and data (base64) are required');
+        }
+
+        const parsed = path.parse(filename);
+        let file = filename;
+        for (let i = 2; await fs.pathExists(path.join(this.libraryDir, file)); i++) {
+            file = `${parsed.name}-${i}${parsed.ext}`;
+        }
+
+        const item = this.buildItem({ ...data, file, id: this.createId() });
+        const error = this.validate(item);
+        if (error) {
+            throw new Error(error);
+        }
+
+        await fs.outputFile(path.join(this.libraryDir, file), Buffer.from(data.data, 'base64'));
+        this.items.set(item.id, item);
+        await this.save();
+        logger.info(`Added ${item.kind} '${file}' to the media library (${item.tags.join(', ')})`);
+        return item;
+    }
+
+    // Change an item's tags, caption, description, kind or enabled flag
+    async update(id, data) {
+        const existing = this.items.get(id);
+        if (!existing) {
+            return null;
+        }
+
+        const { file, ...changes } = data;
+        const item = this.buildItem(changes, existing);
+        const error = this.validate(item);
+        if (error) {
+            throw new Error(error);
+        }
+        this.items.set(id, item);
+        await this.save();
+        return item;
+    }
+
+    async remove(id) {
+        const item = this.items.get(id);
+        if (!item) {
+            return false;
+        }
+        await fs.remove(this.getFilePath(item));
+        this.items.delete(id);
+        await this.save();
+        return true;
+    }
+
+    // How well an item's tags match a set of words: the number of tags found
+    score(item, words) {
+        return item.tags.filter(tag => {
+            const tagWords = tag.split(' ');
+            return tagWords.every(tagWord => words.some(word => tagMatches(tagWord, word)));
+        }).length;
+    }
+
+    // Items whose tags appear in `text` or are among `tags`, with their score: best match
+    // first, then the least recently sent
+    match(filter = {}) {
+        const words = [...normalizeWords(filter.text), ...normalizeWords((filter.tags || []).join(' '))];
+        return this.getAll({ kind: filter.kind })
+            .filter(item => item.enabled && (!filter.kinds || filter.kinds.includes(item.kind)))
+            .map(item => ({ item, score: this.score(item, words) }))
+            .filter(match => match.score > 0)
+            .sort((a, b) => (b.score - a.score) || ((a.item.lastSentAt || 0) - (b.item.lastSentAt || 0)));
+    }
+
+    find(filter = {}) {
+        return this.match(filter).map(match => match.item);
+    }
+
+    // Pick an item to send: a random one among the best matches not sent within the cooldown
+    pick(filter = {}, now = Date.now()) {
+        const matches = this.match(filter)
+            .filter(({ item }) => !item.lastSentAt || now - item.lastSentAt >= this.cooldownHours * HOUR);
+        if (matches.length === 0) {
+            return null;
+        }
+        const top = matches.filter(match => match.score === matches[0].score);
+        return top[Math.floor(Math.random() * top.length)].item;
+    }
+
+    async markSent(id, now = Date.now()) {
+        const item = this.items.get(id);
+        if (item) {
+            item.sentCount++;
+            item.lastSentAt = now;
+            await this.save();
+        }
+    }
+
+    // History text for a sent item, in the same form as received media ("[Image: girasoles] Hola")
+    formatBody(item, caption = null) {
+        const description = item.description || item.tags.join(', ');
+        return `[${HISTORY_LABELS[item.kind]}${description ? `: ${description}` : ''}]${caption ? ` ${caption}` : ''}`;
+    }
+
+    getFilePath(item) {
+        return path.resolve(this.libraryDir, item.file);
+    }
+
+    get(id) {
+        return this.items.get(id) || null;
+    }
+
+    getAll(filter = {}) {
+        return Array.from(this.items.values()).filter(item =>
+            (!filter.kind || item.kind === filter.kind) &&
+            (!filter.tag || item.tags.includes(normalizeWords(filter.tag).join(' '))));
+    }
+
+    getTags() {
+        const counts = {};
+        for (const item of this.items.values()) {
+            item.tags.forEach(tag => {
+                counts[tag] = (counts[tag] || 0) + 1;
+            });
+        }
+        return counts;
+    }
+}
+
+MediaLibrary.KINDS = KINDS;
+
+module.exports = MediaLibrary;
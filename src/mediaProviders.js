@@ -0,0 +1,114 @@
+const fs = require('fs-extra');
+const OpenAI = require('openai');
+const logger = require('./logger');
+
+/**
+ * Speech-to-text and image description providers for incoming media.
+ *
+ *   transcriber: async (filePath, { language, mimetype }) => text
+ *   describer:   async (filePath, { language, mimetype }) => short description
+ *
+ * Providers are picked by name (SPEECH_TO_TEXT_PROVIDER, IMAGE_DESCRIPTION_PROVIDER)
+ * and a provider that can't run returns null, so the media is stored without text.
+ * Register another service with registerTranscriber / registerDescriber.
+ */
+
+const IMAGE_PROMPTS = {
+    es: 'Describe en una frase corta lo que se ve en esta imagen que te envió tu pareja por WhatsApp. Si tiene texto, inclúyelo.',
+    en: 'Describe in one short sentence what this image your partner sent you on WhatsApp shows. Include any text in it.'
+};
+
+const transcribers = {
+    // OpenAI Whisper
+    openai: (options = {}) => {
+        if (!options.apiKey) {
+            logger.warn('OPENAI_API_KEY not configured - voice notes will not be transcribed');
+            return null;
+        }
+        const client = new OpenAI({ apiKey: options.apiKey });
+        const model = options.model || 'whisper-1';
+
+        return async (filePath, context = {}) => {
+            const result = await client.audio.transcriptions.create({
+                file: fs.createReadStream(filePath),
+                model,
+                ...(context.language ? { language: context.language } : {})
+            });
+            return (result.text || '').trim();
+        };
+    },
+
+    none: () => null
+};
+
+const describers = {
+    // OpenAI vision model
+    openai: (options = {}) => {
+        if (!options.apiKey) {
+            logger.warn('OPENAI_API_KEY not configured - images will not be described');
+            return null;
+        }
+        const client = new OpenAI({ apiKey: options.apiKey });
+        const model = options.model || 'gpt-4o-mini';
+
+        return async (filePath, context = {}) => {
+            const data = await fs.readFile(filePath);
+            const completion = await client.chat.completions.create({
+                model,
+                max_tokens: 80,
+                messages: [{
+                    role: 'user',
+                    content: [
+                        { type: 'text', text: IMAGE_PROMPTS[context.language] || IMAGE_PROMPTS.es },
+                        { type: 'image_url', image_url: { url: `data:${context.mimetype || 'image/jpeg'};base64,${data.toString('base64')}` } }
+                    ]
+                }]
+            });
+            return (completion.choices[0].message.content || '').trim();
+        };
+    },
+
+    none: () => null
+};
+
+function registerTranscriber(name, factory) {
+    transcribers[name] = factory;
+}
+
+function registerDescriber(name, factory) {
+    describers[name] = factory;
+}
+
+// Build the named provider; unknown names log a warning and disable it
+function createTranscriber(name = 'openai', options = {}) {
+    const factory = transcribers[name];
+    if (!factory) {
+        logger.warn(`Unknown speech-to-text provider '${name}' - voice notes will not be transcribed`);
+        return null;
+    }
+    return factory(options);
+}
+
+function createDescriber(name = 'openai', options = {}) {
+    const factory = describers[name];
+    if (!factory) {
+        logger.warn(`Unknown image description provider '${name}' - images will not be described`);
+        return null;
+    }
+    return factory(options);
+}
+
+function getProviders() {
+    return {
+        transcribers: Object.keys(transcribers),
+        describers: Object.keys(describers)
+    };
+}
+
+module.exports = {
+    registerTranscriber,
+    registerDescriber,
+    createTranscriber,
+    createDescriber,
+    getProviders
+};
@@ -0,0 +1,262 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+
+// WhatsApp message type -> media kind
+const KINDS = {
+    ptt: 'voice',
+    audio: 'voice',
+    image: 'image',
+    sticker: 'sticker',
+    video: 'video',
+    document: 'document'
+};
+const EXTENSIONS = {
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/aac': 'aac',
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'video/mp4': 'mp4',
+    'application/pdf': 'pdf'
+};
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Media the contact sends us: voice notes, images, stickers, videos and
+ * documents. Each one is downloaded to data/media/<phoneNumber>/ with its
+ * metadata in data/media.json. Voice notes are transcribed and images (and
+ * stickers) described when a provider is configured, and the message body
+ * becomes a text the generator can read:
+ *
+ *   [Voice: <transcript>]        [Image: <description>] <caption>
+ *   [Sticker: <description>]     [Video] <caption>     [Document: <name>]
+ */
+class MediaStore {
+    constructor(dataDir = './data', options = {}) {
+        this.dataDir = dataDir;
+        this.mediaDir = path.join(dataDir, 'media');
+        this.indexFile = path.join(dataDir, 'media.json');
+        this.transcribe = options.transcribe || null; // async (filePath, { language, mimetype }) => text
+        this.describe = options.describe || null; // same signature, for images and stickers
+        this.maxBytes = options.maxBytes || 16 * 1024 * 1024;
+        this.retentionDays = options.retentionDays ?? 30;
+        this.items = new Map();
+        this.stats = {
+            received: 0,
+            transcribed: 0,
+            described: 0,
+            failed: 0
+        };
+    }
+
+    async load() {
+        try {
+            await fs.ensureDir(this.mediaDir);
+            if (await fs.pathExists(this.indexFile)) {
+                const data = await fs.readJson(this.indexFile);
+                for (const item of data.items || []) {
+                    this.items.set(item.id, item);
+                }
+                logger.info(`Loaded ${this.items.size} media item(s)`);
+            }
+        } catch (error) {
+            logger.error('Failed to load media index:', error);
+        }
+    }
+
+    async save() {
+        try {
+            await fs.ensureDir(this.dataDir);
+            await fs.writeJson(this.indexFile, {
+                metadata: {
+                    version: '1.0',
+                    lastUpdated: Date.now()
+                },
+                items: this.getAll()
+            }, { spaces: 2 });
+        } catch (error) {
+            logger.error('Failed to save media index:', error);
+        }
+    }
+
+    // Whether an incoming message carries media we handle
+    isMedia(messageData) {
+        return Boolean(messageData.hasMedia && KINDS[messageData.type] && messageData.downloadMedia);
+    }
+
+    // Download, store and turn an incoming media message into text. Resolves with the message
+    // data to store in history (`body` replaced, `media` added); never throws
+    async process(messageData, context = {}) {
+        const now = Date.now();
+        const kind = KINDS[messageData.type];
+        const item = {
+            id: `media_${now}_${Math.random().toString(36).substr(2, 6)}`,
+            phoneNumber: context.phoneNumber || messageData.phoneNumber,
+            messageId: messageData.id || null,
+            kind,
+            type: messageData.type,
+            mimetype: null,
+            filename: null,
+            file: null,
+            size: 0,
+            duration: messageData.duration ? Number(messageData.duration) : null,
+            caption: messageData.body || null,
+            transcript: null,
+            description: null,
+            status: 'stored',
+            error: null,
+            receivedAt: now
+        };
+        this.stats.received++;
+
+        try {
+            const media = await messageData.downloadMedia();
+            if (!media || !media.data) {
+                throw new Error('Media no longer available on the phone');
+            }
+
+            const buffer = Buffer.from(media.data, 'base64');
+            item.mimetype = media.mimetype;
+            item.filename = media.filename || null;
+            item.size = buffer.length;
+
+            if (buffer.length > this.maxBytes) {
+                item.status = 'skipped';
+                item.error = `Larger than ${Math.round(this.maxBytes / 1024 / 1024)} MB`;
+                logger.warn(`Not storing ${kind} from ${item.phoneNumber}: ${item.error}`);
+            } else {
+                const extension = EXTENSIONS[String(media.mimetype).split(';')[0].trim()] || 'bin';
+                item.file = path.join(item.phoneNumber, `${item.id}.${extension}`);
+                await fs.outputFile(this.getFilePath(item), buffer);
+                await this.addText(item, context);
+            }
+        } catch (error) {
+            item.status = 'failed';
+            item.error = error.message;
+            this.stats.failed++;
+            logger.error(`Failed to process ${kind} from ${item.phoneNumber}:`, error);
+        }
+
+        this.items.set(item.id, item);
+        await this.prune(now);
+        await this.save();
+
+        const { downloadMedia, ...data } = messageData;
+        return { ...data, body: this.formatBody(item), media: this.summarize(item) };
+    }
+
+    // Transcribe voice notes and describe images and stickers, when a provider is set
+    async addText(item, context) {
+        const providerContext = { language: context.language, mimetype: item.mimetype };
+        const filePath = this.getFilePath(item);
+
+        try {
+            if (item.kind === 'voice' && this.transcribe) {
+                item.transcript = await this.transcribe(filePath, providerContext) || null;
+                if (item.transcript) {
+                    this.stats.transcribed++;
+                    logger.info(`Transcribed voice note from ${item.phoneNumber}: "${item.transcript.substring(0, 50)}"`);
+                }
+            } else if (['image', 'sticker'].includes(item.kind) && this.describe) {
+                item.description = await this.describe(filePath, providerContext) || null;
+                if (item.description) {
+                    this.stats.described++;
+                    logger.info(`Described ${item.kind} from ${item.phoneNumber}: "${item.description.substring(0, 50)}"`);
+                }
+            }
+        } catch (error) {
+            // The file is kept; only the text is missing
+            item.error = error.message;
+            logger.error(`Failed to ${item.kind === 'voice' ? 'transcribe' : 'describe'} ${item.kind} ${item.id}:`, error);
+        }
+    }
+
+    // History text for a media item
+    formatBody(item) {
+        const caption = item.caption ? ` ${item.caption}` : '';
+        switch (item.kind) {
+            case 'voice':
+                return item.transcript ? `[Voice: ${item.transcript}]` : '[Voice message]';
+            case 'image':
+                return `[Image${item.description ? `: ${item.description}` : ''}]${caption}`;
+            case 'sticker':
+                return `[Sticker${item.description ? `: ${item.description}` : ''}]`;
+            case 'document':
+                return `[Document${item.filename ? `: ${item.filename}` : ''}]${caption}`;
+            default:
+                return `[Video]${caption}`;
+        }
+    }
+
+    // What a history entry keeps of its media
+    summarize(item) {
+        return {
+            id: item.id,
+            kind: item.kind,
+            mimetype: item.mimetype,
+            size: item.size,
+            duration: item.duration,
+            status: item.status,
+            transcript: item.transcript,
+            description: item.description
+        };
+    }
+
+    getFilePath(item) {
+        return item.file ? path.resolve(this.mediaDir, item.file) : null;
+    }
+
+    // Delete files (and index entries) older than the retention period; 0 keeps them forever
+    async prune(now = Date.now()) {
+        if (!this.retentionDays) {
+            return 0;
+        }
+
+        let count = 0;
+        for (const [id, item] of this.items) {
+            if (now - item.receivedAt > this.retentionDays * DAY) {
+                if (item.file) {
+                    await fs.remove(this.getFilePath(item)).catch(error => logger.error(`Failed to delete media ${id}:`, error));
+                }
+                this.items.delete(id);
+                count++;
+            }
+        }
+        if (count > 0) {
+            logger.info(`Deleted ${count} media item(s) older than ${this.retentionDays} days`);
+        }
+        return count;
+    }
+
+    get(id) {
+        return this.items.get(id) || null;
+    }
+
+    getAll(filter = {}) {
+        return Array.from(this.items.values()).filter(item =>
+            (!filter.kind || item.kind === filter.kind) &&
+            (!filter.phoneNumber || item.phoneNumber === filter.phoneNumber));
+    }
+
+    getStats() {
+        const kinds = {};
+        for (const item of this.items.values()) {
+            kinds[item.kind] = (kinds[item.kind] || 0) + 1;
+        }
+        return {
+            stored: this.items.size,
+            kinds,
+            transcription: Boolean(this.transcribe),
+            imageDescription: Boolean(this.describe),
+            totals: { ...this.stats }
+        };
+    }
+}
+
+MediaStore.KINDS = KINDS;
+
+module.exports = MediaStore;
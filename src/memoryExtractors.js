@@ -0,0 +1,144 @@
+const OpenAI = require('openai');
+const logger = require('./logger');
+
+/**
+ * Memory extractors: find what is worth remembering in a message the contact
+ * sent, as
+ *
+ *   async (text, { today, language, contactName }) =>
+ *       [{ kind: 'fact' | 'event' | 'thread', text, keywords, eventDate }]
+ *
+ *   fact:   something durable about them ("she loves sunflowers")
+ *   event:  something happening on a day ("she has an exam on Friday"), `eventDate` YYYY-MM-DD
+ *   thread: a situation to ask about later ("she had a bad day at work")
+ *
+ * `today` is the contact's local date (YYYY-MM-DD). Providers are picked by name
+ * (MEMORY_EXTRACTOR); register another with registerExtractor.
+ */
+
+const WEEKDAYS = {
+    domingo: 0, lunes: 1, martes: 2, miercoles: 3, jueves: 4, viernes: 5, sabado: 6,
+    sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6
+};
+
+// Keyword rules, Spanish and English. The matched words become the memory's keywords
+const RULES = [
+    { kind: 'event', pattern: /\b(examen(?:es)?|parcial(?:es)?|exposici[oó]n|sustentaci[oó]n|exam|test|quiz|presentation)\b/i },
+    { kind: 'event', pattern: /\b(entrevista|viaje|viajo|mudanza|boda|cita con|interview|trip|moving|wedding|appointment)\b/i },
+    { kind: 'thread', pattern: /\b(accidente|hospital|cl[ií]nica|doctor|m[eé]dico|enferm[ao]|fiebre|gripe|me duele|accident|sick|fever|flu|hurts)\b/i },
+    { kind: 'thread', pattern: /(mal d[ií]a|d[ií]a (?:horrible|pesado|terrible)|estresad[ao]|agotad[ao]|triste|preocupad[ao]|bad day|stressed|exhausted|worried|sad\b)/i },
+    { kind: 'fact', pattern: /\b(me encanta(?:n)?|me gusta(?:n)? mucho|odio|mi (?:comida|color|canci[oó]n|pel[ií]cula) favorit[ao]|i love|i hate|my favou?rite)\b/i }
+];
+
+const EXTRACTION_PROMPT = `You keep a memory of what a person tells their partner on WhatsApp, so the partner can follow up later.
+From the message below, extract only what is worth remembering for days or weeks:
+- "fact": something durable about them (likes, family, plans for months, important people)
+- "event": something that happens on a specific day (exam, interview, trip, appointment); give its date as eventDate (YYYY-MM-DD) when the message says or implies it
+- "thread": a situation worth asking about later (a bad day, feeling sick, a worry, a problem at work)
+Ignore greetings, small talk, affection and anything about the conversation itself.
+Today is {today}. Write each "text" in {language}, in the third person about {contact}, in one short sentence.
+Answer with JSON: {"memories": [{"kind": "...", "text": "...", "keywords": ["one", "or", "two", "words"], "eventDate": null}]} - an empty list when there is nothing.`;
+
+// Day an event refers to: "hoy", "mañana", "pasado mañana", "el viernes", "tomorrow", "on friday".
+// "la mañana" and "esta mañana" are a time of day, so "mañana en la mañana" is still tomorrow
+function resolveDate(text, today) {
+    const normalized = text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+    const dayWords = normalized.replace(/\b(?:(?:en|por|de) la|esta) manana\b/g, ' ');
+    const base = new Date(`${today}T00:00:00Z`);
+    const addDays = days => new Date(base.getTime() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    if (/\bpasado manana\b/.test(dayWords)) {
+        return addDays(2);
+    }
+    if (/\b(manana|tomorrow)\b/.test(dayWords)) {
+        return addDays(1);
+    }
+    if (/\b(hoy|today|tonight|this morning|esta noche|esta manana)\b/.test(normalized)) {
+        return today;
+    }
+    const weekday = Object.keys(WEEKDAYS).find(name => new RegExp(`\\b${name}\\b`).test(normalized));
+    if (weekday) {
+        const days = (WEEKDAYS[weekday] - base.getUTCDay() + 7) % 7;
+        return addDays(days === 0 ? 7 : days);
+    }
+    return null;
+}
+
+const extractors = {
+    // Keyword rules: no API calls, the message itself is the memory text. One memory per message,
+    // of the first matching rule's kind, keyed by every rule that matched
+    rules: () => async (text, context = {}) => {
+        const matched = RULES
+            .map(rule => ({ kind: rule.kind, match: text.match(rule.pattern) }))
+            .filter(({ match }) => match);
+        if (matched.length === 0) {
+            return [];
+        }
+
+        const kind = matched[0].kind;
+        return [{
+            kind,
+            text: text.length > 200 ? `${text.substring(0, 197)}...` : text,
+            keywords: [...new Set(matched.map(({ match }) => match[1].toLowerCase()))],
+            eventDate: kind === 'event' ? resolveDate(text, context.today) : null
+        }];
+    },
+
+    // OpenAI chat model answering in JSON
+    openai: (options = {}) => {
+        if (!options.apiKey) {
+            logger.warn('OPENAI_API_KEY not configured - memories will not be extracted');
+            return null;
+        }
+        const client = new OpenAI({ apiKey: options.apiKey });
+        const model = options.model || 'gpt-4o-mini';
+
+        return async (text, context = {}) => {
+            const completion = await client.chat.completions.create({
+                model,
+                temperature: 0,
+                max_tokens: 300,
+                response_format: { type: 'json_object' },
+                messages: [
+                    {
+                        role: 'system',
+                        content: EXTRACTION_PROMPT
+                            .replace('{today}', context.today)
+                            .replace('{language}', context.language || 'Spanish')
+                            .replace('{contact}', context.contactName || 'them')
+                    },
+                    { role: 'user', content: text }
+                ]
+            });
+            const data = JSON.parse(completion.choices[0].message.content || '{}');
+            return Array.isArray(data.memories) ? data.memories : [];
+        };
+    },
+
+    none: () => null
+};
+
+function registerExtractor(name, factory) {
+    extractors[name] = factory;
+}
+
+// Build the named extractor; unknown names log a warning and disable extraction
+function createExtractor(name = 'rules', options = {}) {
+    const factory = extractors[name];
+    if (!factory) {
+        logger.warn(`Unknown memory extractor '${name}' - memories will not be extracted`);
+        return null;
+    }
+    return factory(options);
+}
+
+function getExtractors() {
+    return Object.keys(extractors);
+}
+
+module.exports = {
+    registerExtractor,
+    createExtractor,
+    getExtractors,
+    resolveDate
+};
@@ -0,0 +1,330 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+const { words } = require('./historySearch');
+
+const KINDS = ['fact', 'event', 'thread'];
+const DAY = 24 * 60 * 60 * 1000;
+
+// Local calendar day (YYYY-MM-DD) of a timestamp in a timezone
+function localDate(timestamp, timezone = null) {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone || undefined,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(new Date(timestamp));
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY);
+}
+
+/**
+ * What the contact told us that is worth bringing up days later, per
+ * recipient, in data/memories.json:
+ *
+ *   fact    something durable about them           expires after `factDays` (0 = never)
+ *   event   something on a day (an exam, a trip)   expires `followUpDays` after its date
+ *   thread  a situation to ask about (a bad day)   expires after `threadDays`
+ *
+ * Memories come from incoming messages through an extractor
+ * (memoryExtractors.js) or are added by hand. The most relevant open ones
+ * go into the prompt; an event or thread counts as followed up once one of
+ * our messages mentions its keywords, and stops being suggested.
+ */
+class MemoryStore {
+    constructor(dataDir = './data', options = {}) {
+        this.dataDir = dataDir;
+        this.memoriesFile = path.join(dataDir, 'memories.json');
+        this.extract = options.extract || null; // async (text, { today, language, contactName }) => memories
+        this.factDays = options.factDays ?? 180;
+        this.threadDays = options.threadDays || 7;
+        this.followUpDays = options.followUpDays || 3;
+        this.memories = new Map();
+    }
+
+    async load() {
+        try {
+            await fs.ensureDir(this.dataDir);
+            if (await fs.pathExists(this.memoriesFile)) {
+                const data = await fs.readJson(this.memoriesFile);
+                for (const memory of data.memories || []) {
+                    this.memories.set(memory.id, memory);
+                }
+                logger.info(`Loaded ${this.memories.size} memories`);
+            }
+        } catch (error) {
+            logger.error('Failed to load memories:', error);
+        }
+    }
+
+    async save() {
+        try {
+            await fs.ensureDir(this.dataDir);
+            await fs.writeJson(this.memoriesFile, {
+                metadata: {
+                    version: '1.0',
+                    lastUpdated: Date.now()
+                },
+                memories: this.getAll({ includeExpired: true })
+            }, { spaces: 2 });
+        } catch (error) {
+            logger.error('Failed to save memories:', error);
+        }
+    }
+
+    // Extract and store memories from an incoming message. Resolves with the memories added or
+    // refreshed; never throws
+    async remember(phoneNumber, message, context = {}) {
+        const text = String(message.body || '').replace(/^\[Voice:\s*/, '').replace(/\]$/, '').trim();
+        if (!this.extract || !text || /^\[/.test(text)) {
+            return [];
+        }
+
+        const now = message.timestamp || Date.now();
+        try {
+            await this.prune();
+            const extracted = await this.extract(text, {
+                today: localDate(now, context.timezone),
+                language: context.language,
+                contactName: context.contactName
+            }) || [];
+
+            const stored = [];
+            for (const data of extracted) {
+                const memory = this.buildMemory({ ...data, phoneNumber, messageId: message.messageId || message.id || null, source: 'extracted' }, now);
+                if (!this.validate(memory)) {
+                    stored.push(this.merge(memory));
+                }
+            }
+
+            if (stored.length > 0) {
+                await this.save();
+                logger.info(`Remembered ${stored.length} thing(s) from ${phoneNumber}: ${stored.map(memory => `"${memory.text.substring(0, 40)}"`).join(', ')}`);
+            }
+            return stored;
+        } catch (error) {
+            logger.error(`Failed to extract memories from ${phoneNumber}:`, error);
+            return [];
+        }
+    }
+
+    buildMemory(data, now = Date.now(), existing = {}) {
+        const pick = (key, fallback = null) => data[key] !== undefined ? data[key] : (existing[key] !== undefined ? existing[key] : fallback);
+        const kind = pick('kind', 'fact');
+        const text = String(pick('text', '')).trim();
+        const keywords = pick('keywords') || [];
+        const eventDate = pick('eventDate');
+        const mentionedAt = data.mentionedAt || existing.mentionedAt || now;
+
+        const memory = {
+            id: existing.id || `mem_${now}_${Math.random().toString(36).substr(2, 6)}`,
+            phoneNumber: pick('phoneNumber'),
+            kind,
+            text,
+            keywords: [...new Set((Array.isArray(keywords) ? keywords : String(keywords).split(','))
+                .map(keyword => words(keyword).join(' ')).filter(Boolean))],
+            eventDate: eventDate || null,
+            status: pick('status', 'open'),
+            source: pick('source', 'manual'),
+            messageId: pick('messageId'),
+            mentionedAt,
+            followedUpAt: pick('followedUpAt'),
+            expiresAt: null,
+            createdAt: existing.createdAt || now,
+            updatedAt: now
+        };
+        memory.expiresAt = data.expiresAt !== undefined ? data.expiresAt : this.defaultExpiry(memory);
+        return memory;
+    }
+
+    defaultExpiry(memory) {
+        if (memory.kind === 'event' && memory.eventDate) {
+            return Date.parse(`${memory.eventDate}T23:59:59Z`) + this.followUpDays * DAY;
+        }
+        if (memory.kind === 'fact') {
+            return this.factDays ? memory.mentionedAt + this.factDays * DAY : null;
+        }
+        return memory.mentionedAt + this.threadDays * DAY;
+    }
+
+    validate(memory) {
+        if (!memory.phoneNumber) {
+            return 'phoneNumber is required';
+        }
+        if (!KINDS.includes(memory.kind)) {
+            return `kind must be one of ${KINDS.join(', ')}`;
+        }
+        if (!memory.text) {
+            return 'text is required';
+        }
+        if (memory.eventDate && !/^\d{4}-\d{2}-\d{2}$/.test(memory.eventDate)) {
+            return 'eventDate must be YYYY-MM-DD';
+        }
+        if (!['open', 'followed_up'].includes(memory.status)) {
+            return "status must be 'open' or 'followed_up'";
+        }
+        return null;
+    }
+
+    // Store a memory, or refresh the open one it repeats (same kind, overlapping keywords): the
+    // first mention keeps its text, the repeat adds keywords, a date and a newer mention time
+    merge(memory) {
+        const memoryWords = new Set([...memory.keywords, ...words(memory.text)]);
+        const existing = this.getAll({ phoneNumber: memory.phoneNumber, kind: memory.kind })
+            .find(other => other.status === 'open' && (
+                words(other.text).join(' ') === words(memory.text).join(' ') ||
+                (memory.keywords.length > 0 && other.keywords.some(keyword => memoryWords.has(keyword)) &&
+                    (other.eventDate || null) === (memory.eventDate || other.eventDate || null))));
+
+        if (existing) {
+            const updated = {
+                ...memory,
+                id: existing.id,
+                text: existing.text,
+                createdAt: existing.createdAt,
+                keywords: [...new Set([...existing.keywords, ...memory.keywords])],
+                eventDate: memory.eventDate || existing.eventDate
+            };
+            updated.expiresAt = this.defaultExpiry(updated);
+            this.memories.set(existing.id, updated);
+            return updated;
+        }
+        this.memories.set(memory.id, memory);
+        return memory;
+    }
+
+    async add(data) {
+        const memory = this.buildMemory({ ...data, source: 'manual' });
+        const error = this.validate(memory);
+        if (error) {
+            throw new Error(error);
+        }
+        this.memories.set(memory.id, memory);
+        await this.save();
+        return memory;
+    }
+
+    // Change a memory's text, kind, keywords, date, status or expiry
+    async update(id, data) {
+        const existing = this.memories.get(id);
+        if (!existing) {
+            return null;
+        }
+
+        const { phoneNumber, ...changes } = data;
+        const memory = this.buildMemory(changes, Date.now(), existing);
+        if (changes.expiresAt === undefined && changes.kind === undefined && changes.eventDate === undefined) {
+            memory.expiresAt = existing.expiresAt;
+        }
+        const error = this.validate(memory);
+        if (error) {
+            throw new Error(error);
+        }
+        this.memories.set(id, memory);
+        await this.save();
+        return memory;
+    }
+
+    async remove(id) {
+        const removed = this.memories.delete(id);
+        if (removed) {
+            await this.save();
+        }
+        return removed;
+    }
+
+    // The open memories worth putting in the prompt, most relevant first: events that just
+    // happened (time to ask how it went) and upcoming ones, recent threads, then facts; those
+    // sharing words with the conversation rank higher
+    recall(phoneNumber, options = {}) {
+        const now = options.now || Date.now();
+        const today = localDate(now, options.timezone);
+        const conversationWords = new Set(words(options.text));
+
+        return this.getAll({ phoneNumber })
+            .filter(memory => memory.status === 'open')
+            .map(memory => {
+                let score = memory.kind === 'fact' ? 1 : 2;
+                if (memory.kind === 'event' && memory.eventDate) {
+                    const days = daysBetween(today, memory.eventDate);
+                    score = days <= 0 ? 3 : (days <= 2 ? 2.5 : 1.5);
+                }
+                if (memory.keywords.some(keyword => conversationWords.has(keyword))) {
+                    score += 1;
+                }
+                score -= Math.min((now - memory.mentionedAt) / (30 * DAY), 1);
+                return { ...memory, daysAgo: Math.floor((now - memory.mentionedAt) / DAY), daysUntil: memory.eventDate ? daysBetween(today, memory.eventDate) : null, score };
+            })
+            .sort((a, b) => b.score - a.score)
+            .slice(0, options.limit || 5);
+    }
+
+    // Mark events and threads our message talked about as followed up
+    async noteSent(phoneNumber, text, now = Date.now()) {
+        const sentWords = new Set(words(text));
+        const followed = this.getAll({ phoneNumber })
+            .filter(memory => memory.kind !== 'fact' && memory.status === 'open' &&
+                memory.keywords.some(keyword => keyword.split(' ').every(word => sentWords.has(word))));
+
+        for (const memory of followed) {
+            memory.status = 'followed_up';
+            memory.followedUpAt = now;
+            memory.updatedAt = now;
+        }
+        if (followed.length > 0) {
+            await this.save();
+            logger.info(`Followed up on ${followed.length} memories for ${phoneNumber}`);
+        }
+        return followed;
+    }
+
+    // Delete expired memories
+    async prune(now = Date.now()) {
+        let count = 0;
+        for (const [id, memory] of this.memories) {
+            if (memory.expiresAt && memory.expiresAt <= now) {
+                this.memories.delete(id);
+                count++;
+            }
+        }
+        if (count > 0) {
+            logger.info(`Deleted ${count} expired memories`);
+            await this.save();
+        }
+        return count;
+    }
+
+    getStats(now = Date.now()) {
+        const active = this.getAll({}, now);
+        const byKind = {};
+        KINDS.forEach(kind => {
+            byKind[kind] = active.filter(memory => memory.kind === kind).length;
+        });
+        return {
+            extractor: Boolean(this.extract),
+            total: active.length,
+            open: active.filter(memory => memory.status === 'open').length,
+            byKind
+        };
+    }
+
+    get(id) {
+        return this.memories.get(id) || null;
+    }
+
+    getAll(filter = {}, now = Date.now()) {
+        return Array.from(this.memories.values())
+            .filter(memory =>
+                (!filter.phoneNumber || memory.phoneNumber === filter.phoneNumber) &&
+                (!filter.kind || memory.kind === filter.kind) &&
+                (!filter.status || memory.status === filter.status) &&
+                (filter.includeExpired || !memory.expiresAt || memory.expiresAt > now))
+            .sort((a, b) => b.mentionedAt - a.mentionedAt);
+    }
+}
+
+MemoryStore.KINDS = KINDS;
+
+module.exports = MemoryStore;
@@ -1,202 +1,184 @@
 const OpenAI = require("openai");
 const logger = require("./logger");
-const fs = require("fs-extra");
-const path = require("path");
+const PersonaProfiles = require("./personaProfiles");
+const MessageValidator = require("./messageValidator");
+const CandidateRanker = require("./candidateRanker");
+const { petNameRotation } = require("./noveltyChecker");
+const { renderTemplate, loadStrings, resolveLanguage } = require("./promptTemplates");
+const { getStyle, getFallbackPool } = require("./messageStyles");
 
 class MessageGenerator {
-  constructor(apiKey, model = "gpt-4") {
+  constructor(apiKey, model = "gpt-4", options = {}) {
     this.openai = new OpenAI({
       apiKey: apiKey,
     });
     this.model = model;
-    this.chatHistoryPath = path.join(__dirname, "chat-history.txt");
-    this.personalInfo = {
-      girlfriend: "Dulce Elena Shirley",
-      relationshipStart: "26 de septiembre",
-      herInterests: [
-        "escribir poemas",
-        "cocinar",
-        "chef talentosa",
-        "estudia psicología",
-        "le encantan las motos",
-        "le encanta en ceviche",
-        "cocina deliciosos pasteles",
-      ],
-      myPersonality: [
-        "no muy dulce",
-        "no le gusta chatear todo el día",
-        "tímido al principio",
-        "ingeniero de software",
-        "habla inglés",
-        "estudió en India remotamente",
-        "le gusta videojuegos",
-      ],
-      myStyle: [
-        "directo",
-        "bromista ocasional",
-        "cariñoso pero no empalagoso",
-        "protector",
-        "dice cosas como :c :/ en situaciones adecuadas",
-      ],
-      petNames: [
-        "Mi amor",
-        "Mi dulce crema de leche",
-        "Mi chocolate de leche",
-        "Mi amorcito",
-        "amor",
-        "vida mía",
-      ],
-      avoidTopics: ["hijos", "niños", "peques", "children", "kids"],
-      familySituation: "Ella cuida a dos niños pero evitar mencionar este tema",
+    this.profiles = options.profiles || new PersonaProfiles();
+    this.validator = options.validator || new MessageValidator();
+    this.calendar = options.calendar || null; // SpecialDates
+    this.ranker = options.ranker || new CandidateRanker();
+    this.library = options.library || null; // MediaLibrary
+    this.retriever = options.retriever || null; // ChatRetriever
+    this.retrieval = {
+      examples: options.retrievalExamples ?? 3,
+      profile: options.retrievalProfile || null, // Only this profile's prompts get past exchanges
+    };
+    this.maxAttempts = options.maxAttempts || 3;
+    this.supportiveMoods = options.supportiveMoods || ["anxious", "sad", "angry"]; // Moods that bring in the supportive tone
+    this.validationStats = {
+      generations: 0,
+      rankedGenerations: 0,
+      attempts: 0,
+      rejections: 0,
+      retries: 0,
+      fallbacks: 0,
+      exhausted: 0,
+      rejectionsByRule: {},
+      recentGenerations: [],
     };
   }
 
-  async loadChatHistory() {
-    try {
-      if (await fs.pathExists(this.chatHistoryPath)) {
-        const content = await fs.readFile(this.chatHistoryPath, "utf-8");
-        return content;
+  // Resolve a persona profile by id (falls back to the default profile)
+  getProfile(profileId = null) {
+    const profile = this.profiles.get(profileId);
+    if (!profile) {
+      throw new Error("No persona profiles available");
+    }
+    return profile;
+  }
+
+  // Resolve the profile, language, style and language strings used for one generation.
+  // The language defaults to the profile's language, the style to romantic and the
+  // timezone (the recipient's) to the server's. `options.specialDates` ({ country, celebrated })
+  // adds the recipient's special dates from the calendar; `options.recentOutgoing` are our last
+  // messages (oldest first), used for the pet name rotation and the novelty rules; `options.memories`
+  // what the recipient told us before (MemoryStore.recall). While the conversation's mood is
+  // one of `supportiveMoods` the style takes the supportive tone (messageStyles.getStyle)
+  resolveSetup(options = {}) {
+    const profile = this.getProfile(options.profile);
+    const language = resolveLanguage(options.language || profile.language);
+    const mood = options.conversationContext?.mood || null;
+    const supportive = Boolean(mood && this.supportiveMoods.includes(mood.mood));
+    const specialDates = this.calendar && options.specialDates
+      ? {
+        ...this.calendar.getDates(profile, { country: options.specialDates.country, timezone: options.timezone }),
+        celebrated: options.specialDates.celebrated === true,
       }
+      : null;
+
+    return {
+      profile,
+      language,
+      style: getStyle(options.style, language, profile, { supportive }),
+      strings: loadStrings(language),
+      corrections: options.corrections || null,
+      timezone: options.timezone || null,
+      checkIn: options.checkIn === true,
+      instruction: options.instruction || null,
+      specialDates,
+      occasions: options.occasions || null,
+      recentOutgoing: options.recentOutgoing || [],
+      memories: options.memories || [],
+    };
+  }
+
+  // Render a language string against the profile plus extra variables
+  renderString(setup, template, variables = {}) {
+    return renderTemplate(template, { orWord: setup.strings.orWord, ...setup.profile, ...variables });
+  }
+
+  generateSystemPrompt(conversationHistory, conversationContext = null, setup = this.resolveSetup()) {
+    const contextInfo = conversationContext ? this.analyzeConversationContext(conversationContext, setup) : '';
+
+    return this.profiles.render(setup.profile, "system", {
+      contextInfo,
+      memories: this.formatMemories(setup),
+      conversationHistory: this.formatConversationHistory(conversationHistory, setup),
+      style: setup.style,
+      styleStrategy: setup.style.strategy,
+      styleRules: setup.style.rules,
+      styleTask: setup.style.task,
+      retrievedExamples: this.formatRetrievedExamples(conversationHistory, setup),
+    }, setup.language);
+  }
+
+  // Past exchanges from the real chat that resemble the last few messages (or the instruction),
+  // shown as few-shot examples of how the sender answered
+  formatRetrievedExamples(history, setup = this.resolveSetup()) {
+    const { profile, strings } = setup;
+    if (!this.retriever || this.retrieval.examples <= 0 || (this.retrieval.profile && profile.id !== this.retrieval.profile)) {
       return "";
-    } catch (error) {
-      logger.error("Failed to load chat history:", error);
+    }
+
+    const query = [...(history || []).slice(-3).map((msg) => msg.body), setup.instruction].filter(Boolean).join(" ");
+    const matches = this.retriever.search(query, this.retrieval.examples);
+    if (matches.length === 0) {
       return "";
     }
+
+    const contactName = profile.recipient.shortName || profile.recipient.name;
+    const exchanges = matches.map(({ exchange }) => [
+      ...exchange.contact.map((body) => `${contactName}: ${body}`),
+      ...exchange.reply.map((body) => `${profile.sender.name}: ${body}`),
+    ].join("\n"));
+
+    logger.debug(`Retrieved ${matches.length} past exchange(s) for the prompt (best score ${matches[0].score.toFixed(2)})`);
+    return `${strings.retrieval.header}\n${exchanges.join("\n---\n")}\n`;
   }
 
-  generateSystemPrompt(conversationHistory, conversationContext = null) {
-    const contextInfo = conversationContext ? this.analyzeConversationContext(conversationContext) : '';
-    
-    return `Eres Godoy (también conocido como Gms), un ingeniero de software de 24 años. Estás enviando un mensaje a tu novia Dulce Elena Shirley, con quien tienes una relación desde el 26 de septiembre.
-
-${contextInfo}
-
-PERSONALIDAD DE GODOY (basada en conversaciones reales):
-- No eres muy dulce o empalagoso por naturaleza
-- Eres directo pero cariñoso a tu manera
-- Usas casualmente ":o", ":c", ":/" en tus mensajes solo cuando la situación lo amerita
-- Eres tímido al principio pero luego agarras confianza
-- Te preocupas genuinamente por ella (su trabajo, que descanse, que coma, que tome sus medicinas)
-- Bromeas ocasionalmente pero siempre con cariño
-- Eres protector pero respetas su espacio
-- Eres sarcastico pero de manera ligera
-- Dices cosas como "asuuu", "que bonitooo" en situaciones adecuadas
-- No escribes mensajes muy largos, prefieres varios cortos
-- Te gusta que te cuide pero también la quieres cuidar
-- No repitas mucho sobre un mismo tema, varia y se espontaneo
-- Se llama Godoy Liam Muñoz Solorzano
-- Tiene 24 años
-- Es un poco tímido
-- Le gusta mucho la tecnología y los videojuegos
-- Esta ocupado trabajando en proyectos de software
-- A veces solo necesita desconectarse un rato
-
-
-SOBRE DULCE ELENA:
-- Es chef talentosa, muy trabajadora (a veces demasiado)
-- Le gusta escribir poemas (hermosos y profundos)
-- Le encanta cocinar y es una chef increíble
-- Estudia psicología
-- Le encantan las motos
-- Le encanta el ceviche
-- Su familia es algo fría, ha sufrido en el amor
-- Te ama muchísimo y es muy cariñosa
-- Sabe que no eres del tipo dulce o que chatea todo el día
-- Tiene mucha ansiedad y a veces se siente insegura
-- Le gusta que Godoy la cuide y le sane la ansiedad
-
-REGLAS IMPORTANTES:
-- NUNCA uses su nombre "Dulce Elena" o "Dulce"
-- SIEMPRE usa nombres cariñosos como: "Mi amor", "Mi dulce crema de leche", "Mi chocolate de leche", "Mi amorcito", "amor", "vida mía" o inventa nuevos
-- EVITA completamente hablar de niños, hijos, peques o temas familiares relacionados con eso
-- Basa tus mensajes en las conversaciones reales del historial de chat
-- Mantén tu estilo: directo, cariñoso pero no empalagoso, con toques de humor
-- Sé imaginativo pero realista según tu personalidad
-- Haz que la conversación sea deliciosa y atractiva
-- Usa un lenguaje coloquial y natural, como si realmente fueras tú escribiendo
-- En ocasiones puedes incluir pequeños poemas o rimas cortas en tus mensajes
-- Sé espontáneo y juega con las palabras, ¡diviértete!
-- Si te pregunta algo, respóndele de forma auténtica y creativa
-- No repitas las mismas frases o temas constantemente, varía tu forma de expresarte
-
-
-EJEMPLOS de tu estilo real (basado en chat history):
-- "Que paso ayer mi amor? Porq fue tan horrible como dices?"
-- "Todo en orden?"
-- "Si mi amor"
-- "No te preocupes mi amor"
-- "Con cuidado mi amor"
-- "Toma agüita y calmate un poquito mi amor"
-
-Tu mensaje debe sonar natural y auténtico, como si realmente fueras tú escribiendo, no como AI.
-- Le gusta escribir poemas
-- Cuida a sus 2 hijos
-- Es muy cariñosa y expresiva
-- Le gusta las motos
-- Le gusta la adrenalina
-- Le gusta trabajar mucho
-- A veces se siente insegura
-- Le gusta la naturaleza, los girasoles
-- Maneja moto y ha tenido algunos accidentes
-- Es abogada/conciliadora legal
-- Tiene mucha ansiedad y a veces se siente insegura
-- Le gusta que Godoy la cuide y le sane la ansiedad
-- Le gusta trabajar mucho pero a veces se sobrecarga
-
-EJEMPLOS DE TU ESTILO DE ESCRIBIR (del chat real):
-- "Está bien ntp"
-- "Que brutal eres jajaj"
-- "Te dormiste en la mesita? :c"
-- "Tu necesitas un buen descanso"
-- "A mí también me gustó bastante conocerte"
-- "Descansa bien y si a las 9 estaría bien"
-- "Me alegra saberlo :)"
-- "Que bonitooo :)"
-
-TU TAREA:
-Genera un mensaje corto (1-2 oraciones máximo) que suene exactamente como Godoy escribiría. Debe ser:
-- Natural y espontáneo
-- Basado en vuestra relación real
-- Con tu estilo específico de escribir
-- Apropiado para el momento del día
-- Que muestre que te importa sin ser empalagoso
-- Usando siempre nombres cariñosos
-- Inventa nuevos nombres cariñosos si es posible
-- Usa frases imprevistas, espontaneas, juguetonas y evita repetirte
-- Usa el humor sutil y tu estilo único
-- Si te pide decir algo específico, hazlo de manera natural
-- Si te pregunta algo, respóndele de forma auténtica y creativa
-- Recordarle que la quieres mucho y es muy bella ocasionalmente
-- Evita repetir temas mencionados anteriormente, varía tu forma de expresarte
-
-CONTEXTO DE CONVERSACIÓN RECIENTE:
-${this.formatConversationHistory(conversationHistory)}
-Evitar decir mucho "ayyy mi amor"
-Escribe SOLO el mensaje, nada más. En español, como Godoy lo escribiría realmente.`;
+  // What the recipient told us before (MemoryStore.recall), so the message can follow up on it
+  formatMemories(setup) {
+    const strings = setup.strings.memories;
+    if (setup.memories.length === 0) {
+      return "";
+    }
+
+    const when = (days) => {
+      if (days === 0) {
+        return strings.when.today;
+      }
+      if (Math.abs(days) === 1) {
+        return days < 0 ? strings.when.yesterday : strings.when.tomorrow;
+      }
+      return renderTemplate(days < 0 ? strings.when.daysAgo : strings.when.inDays, { days: Math.abs(days) });
+    };
+
+    const lines = setup.memories.map((memory) => {
+      if (memory.kind === "event" && memory.daysUntil !== null && memory.daysUntil !== undefined) {
+        return renderTemplate(memory.daysUntil < 0 ? strings.past : strings.upcoming, { text: memory.text, when: when(memory.daysUntil) });
+      }
+      if (memory.kind === "fact") {
+        return renderTemplate(strings.fact, { text: memory.text });
+      }
+      return renderTemplate(strings.thread, { text: memory.text, when: when(-(memory.daysAgo || 0)) });
+    });
+
+    return `${this.renderString(setup, strings.header)}\n${lines.join("\n")}`;
   }
 
-  formatConversationHistory(history) {
+  formatConversationHistory(history, setup = this.resolveSetup()) {
+    const { profile, strings } = setup;
+
     if (!history || history.length === 0) {
-      return "No hay conversación reciente. Puedes empezar con un saludo casual o preguntarle cómo está.";
+      return strings.history.empty;
     }
 
     const recentMessages = history
       .slice(-5)
       .map((msg) => {
-        const from = msg.from === "me" ? "Godoy" : "Dulce Elena";
+        const from = msg.from === "me" ? profile.sender.name : profile.recipient.shortName || profile.recipient.name;
         return `${from}: ${msg.body}`;
       })
       .join("\n");
 
-    return `Últimos mensajes:\n${recentMessages}\n\nContinúa la conversación de manera natural.`;
+    return `${strings.history.header}\n${recentMessages}\n\n${strings.history.footer}`;
   }
 
   async generateMessage(conversationHistory = [], options = {}) {
     try {
       const { maxTokens = 100, temperature = 0.8, conversationContext = null } = options;
-
-      // Load actual chat history for additional context
-      const fullChatHistory = await this.loadChatHistory();
+      const setup = this.resolveSetup(options);
+      const { profile, style } = setup;
 
       // Use enhanced conversation context if available
       const enhancedContext = conversationContext || {
@@ -205,10 +187,10 @@ Escribe SOLO el mensaje, nada más. En español, como Godoy lo escribiría realm
         conversationFlow: { pattern: 'unknown', awaitingResponse: false }
       };
 
-      const systemPrompt = this.generateSystemPrompt(enhancedContext.messages, enhancedContext);
-      const userPrompt = this.generateUserPrompt(enhancedContext.messages, enhancedContext);
+      const systemPrompt = this.generateSystemPrompt(enhancedContext.messages, enhancedContext, setup);
+      const userPrompt = this.generateUserPrompt(enhancedContext.messages, enhancedContext, setup);
 
-      logger.info("Generating message as Godoy for Dulce Elena...");
+      logger.info(`Generating ${style.name} ${setup.language} message as ${profile.sender.name} for ${profile.recipient.name} (profile: ${profile.id})...`);
       logger.debug(`Conversation pattern: ${enhancedContext.conversationFlow?.pattern || 'unknown'}`);
       logger.debug(`Awaiting response: ${enhancedContext.conversationFlow?.awaitingResponse || false}`);
       
@@ -261,25 +243,9 @@ Escribe SOLO el mensaje, nada más. En español, como Godoy lo escribiría realm
     } catch (error) {
       logger.error("Failed to generate message:", error);
 
-      // Authentic fallback messages in Godoy's style
-      const fallbackMessages = [
-        "Hola bonita :)",
-        "Que tal tu día?",
-        "Ya comiste? :o",
-        "Descansa bien sii",
-        "Cómo están los peques?",
-        "No trabajes muchooooo",
-        "Te extraño :/",
-        "Que haces? :)",
-        "Buenos días :)",
-        "Cuídate mucho sii",
-        "Te mando un abrazo fuerte",
-        "Como está mi terroncito de azúcar?",
-        "Espero que estés teniendo un buen día mi amor",
-        "Te mando un beso volado",
-        "Eres lo mejor que me ha pasado",
-        "Siempre estás en mis pensamientos",
-      ];
+      // Fallback pool for the requested style and language
+      const setup = this.resolveSetup(options);
+      const fallbackMessages = getFallbackPool(setup.style.name, setup.language, "text", setup.profile, setup.style.supportive);
 
       const fallbackMessage =
         fallbackMessages[Math.floor(Math.random() * fallbackMessages.length)];
@@ -298,9 +264,8 @@ Escribe SOLO el mensaje, nada más. En español, como Godoy lo escribiría realm
   async generateVoiceMessage(conversationHistory = [], options = {}) {
     try {
       const { temperature = 0.9, conversationContext = null } = options; // Higher temperature for more expressive voice
-
-      // Load actual chat history for additional context
-      const fullChatHistory = await this.loadChatHistory();
+      const setup = this.resolveSetup(options);
+      const { profile, style } = setup;
 
       // Use enhanced conversation context if available
       const enhancedContext = conversationContext || {
@@ -309,10 +274,10 @@ Escribe SOLO el mensaje, nada más. En español, como Godoy lo escribiría realm
         conversationFlow: { pattern: 'unknown', awaitingResponse: false }
       };
 
-      const systemPrompt = this.generateVoiceSystemPrompt(enhancedContext.messages, enhancedContext);
-      const userPrompt = this.generateVoiceUserPrompt(enhancedContext.messages, enhancedContext);
+      const systemPrompt = this.generateVoiceSystemPrompt(enhancedContext.messages, enhancedContext, setup);
+      const userPrompt = this.generateVoiceUserPrompt(enhancedContext.messages, enhancedContext, setup);
 
-      logger.info("Generating VOICE message as Godoy for Dulce Elena...");
+      logger.info(`Generating ${style.name} ${setup.language} VOICE message as ${profile.sender.name} for ${profile.recipient.name} (profile: ${profile.id})...`);
       logger.debug(`Voice conversation pattern: ${enhancedContext.conversationFlow?.pattern || 'unknown'}`);
       
       // Format conversation history for OpenAI - voice messages need less context
@@ -362,16 +327,8 @@ Escribe SOLO el mensaje, nada más. En español, como Godoy lo escribiría realm
       logger.error("Error generating voice message:", error);
       
       // Voice-specific fallback messages (shorter and more emotional)
-      const voiceFallbacks = [
-        "Hola mi amor",
-        "Te extraño mucho",
-        "Cómo estás bonita?",
-        "Pensando en ti",
-        "Te amo vida mía",
-        "Que tengas buen día",
-        "Cuídate mucho sí?",
-        "Descansa bien amor"
-      ];
+      const setup = this.resolveSetup(options);
+      const voiceFallbacks = getFallbackPool(setup.style.name, setup.language, "voice", setup.profile, setup.style.supportive);
 
       const fallbackMessage = voiceFallbacks[Math.floor(Math.random() * voiceFallbacks.length)];
       logger.info(`Using voice fallback message: ${fallbackMessage}`);
@@ -386,117 +343,63 @@ Escribe SOLO el mensaje, nada más. En español, como Godoy lo escribiría realm
     }
   }
 
-  generateVoiceSystemPrompt(conversationHistory, conversationContext = null) {
-    const contextInfo = conversationContext ? this.analyzeConversationContext(conversationContext) : '';
-    
-    return `Eres Godoy, ingeniero de software de 24 años. Estás enviando un MENSAJE DE VOZ a tu novia Dulce Elena Shirley.
-
-${contextInfo}
-
-IMPORTANTE PARA MENSAJES DE VOZ:
-- Máximo 15-20 palabras (debe durar máximo 10 segundos)
-- Más expresivo y emocional que texto escrito
-- Evita "jajaja" y emoticones - usa palabras que suenen naturales al hablar
-- Usa un tono cálido y amoroso
-- Siempre incluye un nombre cariñoso
-- Habla como si estuvieras realmente hablándole cara a cara
-- Usar "te quiero" en vez de "te amo" para sonar más natural
-
-
-PERSONALIDAD:
-- Cariñoso pero no empalagoso
-- Directo y genuino
-- Protector y dulce
-- Bromista ocasional
-
-NOMBRES CARIÑOSOS (OBLIGATORIO usar uno):
-- Mi amor, Mi dulce crema de leche, Mi chocolate de leche, Mi amorcito, amor, vida mía
-
-EJEMPLOS DE MENSAJES DE VOZ CORTOS:
-- "Hola mi amor, cómo estás?"
-- "Te extraño mucho vida mía"
-- "Que tengas buen día bonita"
-- "Pensando en ti mi dulce crema de leche"
-
-Genera un mensaje de voz corto, cálido y natural que se escuche bien al ser hablado.
-Es importante que no te comprometas a hacer planes específicos o a largo plazo en los mensajes de voz.
-No desear buenas noches o lo que tenga que ver con dormir en ningun momento.
-`;
+  generateVoiceSystemPrompt(conversationHistory, conversationContext = null, setup = this.resolveSetup()) {
+    const contextInfo = conversationContext ? this.analyzeConversationContext(conversationContext, setup) : '';
+
+    return this.profiles.render(setup.profile, "voice-system", {
+      contextInfo,
+      memories: this.formatMemories(setup),
+      style: setup.style,
+      voiceStyleRules: setup.style.voiceRules,
+    }, setup.language);
   }
 
-  generateVoiceUserPrompt(conversationHistory, conversationContext = null) {
+  generateVoiceUserPrompt(conversationHistory, conversationContext = null, setup = this.resolveSetup()) {
+    const strings = setup.strings.voiceUser;
     const currentTime = new Date();
-    const timeOfDay = this.getTimeOfDay(currentTime);
+    const timeOfDay = this.getTimeOfDay(currentTime, setup.language, setup.timezone);
 
-    let prompt = `Es ${timeOfDay}. `;
+    let prompt = this.renderString(setup, strings.intro, { timeOfDay });
+    prompt += this.formatSpecialDates(setup);
     
     // Shorter prompt for voice messages
     if (conversationHistory && conversationHistory.length > 0) {
       const lastMessage = conversationHistory[conversationHistory.length - 1];
       if (lastMessage.from === "contact") {
-        prompt += `Ella te escribió: "${lastMessage.body}". Responde con amor.`;
+        prompt += this.renderString(setup, strings.contactWrote, { body: lastMessage.body });
       } else {
-        prompt += `Tu último mensaje fue: "${lastMessage.body}". Envía algo diferente y cariñoso.`;
+        prompt += this.renderString(setup, strings.lastOutgoing, { body: lastMessage.body });
       }
     } else {
-      prompt += "Inicia una conversación cariñosa.";
+      prompt += strings.empty;
     }
 
-    prompt += " Recuerda: mensaje de VOZ máximo 15-20 palabras, con nombre cariñoso y tono amoroso. No desear buenas noches o lo que tenga que ver con dormir en ningun momento.";
-    return prompt;
-  }
-
-  analyzeConversationContext(conversationContext) {
-    if (!conversationContext || !conversationContext.conversationFlow) {
-      return '';
+    if (setup.checkIn) {
+      prompt += setup.strings.user.checkIn;
     }
 
-    const flow = conversationContext.conversationFlow;
-    let contextInfo = '\nCONTEXTO DE LA CONVERSACIÓN:\n';
-
-    switch (flow.pattern) {
-      case 'monologue':
-        contextInfo += '- Has estado enviando mensajes sin respuesta. Mantén un tono cariñoso pero no insistente.\n';
-        break;
-      case 'responsive':
-        contextInfo += '- Ella ha estado respondiendo activamente. Mantén la conversación fluida.\n';
-        break;
-      case 'initiating':
-        contextInfo += '- Has estado iniciando la conversación. Varía tu approach.\n';
-        break;
-      case 'balanced':
-        contextInfo += '- La conversación ha sido equilibrada. Continúa naturalmente.\n';
-        break;
-    }
-
-    if (flow.awaitingResponse) {
-      contextInfo += '- Acabas de enviar un mensaje, es bueno esperar respuesta antes de continuar.\n';
-    }
-
-    if (flow.conversationAge) {
-      const hours = Math.floor(flow.conversationAge / (1000 * 60 * 60));
-      if (hours > 24) {
-        contextInfo += '- Ha pasado más de un día desde que comenzó esta conversación.\n';
-      } else if (hours > 6) {
-        contextInfo += `- La conversación comenzó hace ${hours} horas.\n`;
-      }
-    }
-
-    return contextInfo;
+    prompt += this.renderString(setup, strings.closing, { voiceTone: setup.style.voiceTone });
+    prompt += this.formatCorrections(setup);
+    return prompt;
   }
 
-  generateUserPrompt(conversationHistory, conversationContext = null) {
+  generateUserPrompt(conversationHistory, conversationContext = null, setup = this.resolveSetup()) {
+    const { profile, style } = setup;
+    const strings = setup.strings.user;
     const currentTime = new Date();
-    const timeOfDay = this.getTimeOfDay(currentTime);
-    const dayOfWeek = currentTime.toLocaleDateString("es-ES", {
+    const timeOfDayKey = this.getTimeOfDayKey(currentTime, setup.timezone);
+    const timeOfDay = setup.strings.timeOfDay[timeOfDayKey];
+    const dayOfWeek = currentTime.toLocaleDateString(setup.strings.locale, {
       weekday: "long",
+      timeZone: setup.timezone || undefined,
     });
 
-    let prompt = `Es ${timeOfDay} del ${dayOfWeek}. `;
+    let prompt = this.renderString(setup, strings.intro, { timeOfDay, dayOfWeek });
+    prompt += this.formatSpecialDates(setup);
 
-    // Add pet name requirement
-    prompt +=
-      'IMPORTANTE: Debes usar uno de estos nombres cariñosos: "Mi amor", "Mi dulce crema de leche", "Mi chocolate de leche", "Mi amorcito", "amor", "vida mía". NUNCA uses su nombre real. Tambien crea apodos cariñosos y espontaneos de vez en cuando ';
+    // Add the style's instruction (e.g. the pet name requirement for romantic messages)
+    prompt += style.userInstruction;
+    prompt += this.formatPetNameRotation(setup);
 
     if (conversationHistory && conversationHistory.length > 0) {
       const recentMessages = conversationHistory.slice(-5);
@@ -510,95 +413,350 @@ No desear buenas noches o lo que tenga que ver con dormir en ningun momento.
       const hoursSince = Math.floor(timeSinceLastMessage / (1000 * 60 * 60));
 
       if (hoursSince > 6) {
-        prompt += `Han pasado ${hoursSince} horas desde el último mensaje. `;
+        prompt += this.renderString(setup, strings.hoursSince, { hours: hoursSince });
       }
-      prompt += `Aquí está el contexto de la conversación reciente:\n`;
+      prompt += strings.recentContext;
       recentMessages.forEach((msg) => {
         // Handle both old and new message formats
-        const speaker = (msg.from === "me" || msg.from === "outgoing") ? "Godoy" : "Ella";
-        const content = msg.isVoiceMessage && msg.body.startsWith('[Voice:') 
-          ? `(Mensaje de voz) ${msg.body.replace(/^\[Voice:\s*/, '').replace(/\]$/, '')}` 
-          : msg.body;
-        prompt += `${speaker}: ${content}\n`;
+        const speaker = (msg.from === "me" || msg.from === "outgoing") ? profile.sender.name : strings.contactLabel;
+        prompt += `${speaker}: ${this.formatHistoryBody(msg, strings)}\n`;
       });
 
       // Add conversation context if available
       if (conversationContext && conversationContext.conversationFlow) {
         const flow = conversationContext.conversationFlow;
         if (flow.pattern === 'monologue') {
-          prompt += `\nNOTA: Has enviado varios mensajes seguidos sin respuesta. Mantén un tono cariñoso pero dale espacio.\n`;
+          prompt += strings.monologueNote;
         } else if (flow.awaitingResponse && isFromContact) {
-          prompt += `\nNOTA: Ella acaba de escribir, es buen momento para responder de manera natural.\n`;
+          prompt += strings.justWroteNote;
         }
       }
-      prompt += `
-        Responde de manera natural como Godoy lo haría, teniendo en cuenta el flujo completo de la conversación. 
-        - Si ella ha dicho varias cosas, responde considerando el tono general (cansada, feliz, triste, bromista, cariñosa, preocupada, etc).
-        - Si la conversación ya tiene un tema, sigue ese tema o ciérralo de manera natural.
-        - Si hay silencio o el tema terminó, puedes cambiar de tema suavemente con algo espontáneo, gracioso o cariñoso.
-        - Evita respuestas genéricas. Responde como si realmente hubieras leído todo el chat.
-        - Mantén el estilo de Godoy: directo, juguetón, natural, cariñoso sin empalagar, usando “:c”, “:o”, “sii” y pet names casualmente y solo cuando la situación lo amerita. 
-        `;
-      if (timeOfDay === "noche" ) {
-        prompt += `Si parece que ya es tarde, puedes desearle buenas noches o decirle que descanse, 
-              pero solo si no ha dicho que aún no duerme.`;
+      // The engagement policy asked for a gentle check-in after a long silence
+      if (setup.checkIn) {
+        prompt += strings.checkIn;
+      }
+      prompt += this.renderString(setup, strings.respond, { styleMarkers: style.styleMarkers });
+      if (timeOfDayKey === "night") {
+        prompt += strings.night;
       }
     } else {
-      prompt += `
-        No hay historial de conversación reciente. 
-        Inicia una charla de forma espontánea, divertida y natural como Godoy lo haría:
-        - Puedes bromear, saludar de manera tierna, o preguntar cómo va su día.
-        - Sé juguetón, cariñoso y un poco torpe en el buen sentido.
-        - No suenes como un bot ni demasiado formal.
-        - Recuerda mantener tu estilo: mensajes cortos, cálidos, naturales, con emoticones y humor sutil.
-        `;
-    }
-
-          prompt += `
-      Evita repetir frases como "ayyy mi amor". 
-      Evita repetir frases o expresiones que ya usaste recientemente.
-      Si te pide algo, hazlo de forma natural. 
-      Si no hay tema de conversación, inventa uno nuevo y espontáneo.
-      Evita comprometerte a hacer planes específicos.
-      Recuerda hacerle sentir que la quieres y que es especial para ti, sin sonar empalagoso.
-      Evita empezar las oraciones con "jajaja"`;
-
-          return prompt;
+      prompt += this.renderString(setup, strings.noHistory);
+    }
+
+    // A scheduled message's own prompt, e.g. an anniversary greeting
+    if (setup.instruction) {
+      prompt += renderTemplate(strings.instruction, { instruction: setup.instruction });
+    }
+
+    prompt += this.renderString(setup, strings.closing, { styleReminder: style.reminder });
+    prompt += this.formatCorrections(setup);
+
+    return prompt;
+  }
+
+  // Today's and upcoming special dates. A themed message gets its occasions instead, and once
+  // it went out the model is told not to celebrate again
+  formatSpecialDates(setup) {
+    const strings = setup.strings.specialDates;
+    const describe = (dates) => dates.map((date) => this.renderString(setup, strings.types[date.type], date));
+
+    if (setup.occasions && setup.occasions.length > 0) {
+      return renderTemplate(strings.occasion, { dates: describe(setup.occasions) });
+    }
+
+    const calendar = setup.specialDates;
+    if (!calendar) {
+      return "";
+    }
+
+    let text = "";
+    if (calendar.today.length > 0) {
+      text += renderTemplate(calendar.celebrated ? strings.celebrated : strings.today, { dates: describe(calendar.today) });
+    }
+    if (calendar.upcoming.length > 0) {
+      const upcoming = calendar.upcoming.map((date) => renderTemplate(date.inDays === 1 ? strings.tomorrow : strings.inDays, {
+        date: describe([date])[0],
+        days: date.inDays,
+      }));
+      text += renderTemplate(strings.upcoming, { dates: upcoming });
+    }
+    return text;
+  }
+
+  // A history message as the prompt shows it: voice notes by their transcript, received media
+  // ("[Image: a beach] look!" -> "(Photo: a beach) look!") by the language's label
+  formatHistoryBody(msg, strings) {
+    const body = String(msg.body || "");
+    if (msg.isVoiceMessage && body.startsWith("[Voice:")) {
+      return `${strings.voiceLabel} ${body.replace(/^\[Voice:\s*/, "").replace(/\]$/, "")}`;
+    }
+    const media = body.match(/^\[(Voice message|Image|Sticker|Gif|Video|Document)(?::\s*([^\]]*))?\]\s*([\s\S]*)$/);
+    if (media && strings.mediaLabels) {
+      const [, kind, description, caption] = media;
+      return `(${strings.mediaLabels[kind]}${description ? `: ${description}` : ""})${caption ? ` ${caption}` : ""}`;
+    }
+    return body;
+  }
+
+  // Steer away from pet names used in most of the recent messages, towards the least used ones
+  formatPetNameRotation(setup) {
+    if (setup.style.forbidsPetNames || setup.recentOutgoing.length === 0) {
+      return "";
+    }
+
+    const rotation = petNameRotation(setup.recentOutgoing, setup.profile.petNames || []);
+    if (rotation.overused.length === 0 || rotation.suggestions.length === 0) {
+      return "";
+    }
+    return renderTemplate(setup.strings.user.petNameRotation, {
+      overused: rotation.overused,
+      suggestions: rotation.suggestions,
+      orWord: setup.strings.orWord,
+    });
+  }
+
+  // Feedback for a regenerated message: the rejected message and what to fix
+  formatCorrections(setup) {
+    if (!setup.corrections || setup.corrections.failures.length === 0) {
+      return "";
+    }
+
+    const strings = setup.strings.corrections;
+    return strings.header +
+      renderTemplate(strings.rejected, { message: setup.corrections.message }) +
+      setup.corrections.failures.map((failure) => `- ${failure.correction}`).join("\n") +
+      `\n${strings.footer}`;
+  }
+
+  // Time of day in the recipient's timezone (the server's when none is set)
+  getTimeOfDayKey(date, timezone = null) {
+    const hour = timezone
+      ? parseInt(new Intl.DateTimeFormat("en-US", { timeZone: timezone, hour: "2-digit", hourCycle: "h23" }).format(date))
+      : date.getHours();
+    if (hour < 6) return "earlyMorning";
+    if (hour < 12) return "morning";
+    if (hour < 18) return "afternoon";
+    if (hour < 23) return "evening";
+    return "night";
+  }
+
+  getTimeOfDay(date, language = "spanish", timezone = null) {
+    return loadStrings(language).timeOfDay[this.getTimeOfDayKey(date, timezone)];
+  }
+
+  // Generate a text (or, with type "voice", voice) message and validate it. Rejected messages
+  // are regenerated with the rejection reasons as corrections, up to `maxAttempts` times,
+  // before falling back to a message from the validated fallback pool
+  async generateValidatedMessage(conversationHistory = [], options = {}) {
+    const { type = "text", maxAttempts = this.maxAttempts } = options;
+
+    // Best of N: rank several candidates and keep the best one
+    if ((options.candidates || 1) > 1) {
+      return this.generateBestOfN(conversationHistory, options);
+    }
+
+    const attempts = [];
+    let corrections = null;
+
+    this.validationStats.generations++;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const generationOptions = { ...options, corrections };
+      const result = type === "voice"
+        ? await this.generateVoiceMessage(conversationHistory, generationOptions)
+        : await this.generateMessage(conversationHistory, generationOptions);
+
+      // The model call itself failed; retrying with corrections won't help
+      if (result.error) {
+        attempts.push({ attempt, message: result.message, valid: false, error: result.error, timestamp: Date.now() });
+        break;
+      }
+
+      const validation = this.validateMessage(result.message, options);
+      this.validationStats.attempts++;
+      attempts.push({
+        attempt,
+        message: result.message,
+        valid: validation.valid,
+        failures: validation.failures,
+        warnings: validation.warnings,
+        timestamp: Date.now(),
+      });
+
+      if (validation.valid) {
+        return this.recordGeneration({ ...result, validation, attempts, retries: attempt - 1, fallback: false });
+      }
+
+      this.validationStats.rejections++;
+      validation.failures.forEach((failure) => {
+        this.validationStats.rejectionsByRule[failure.rule] = (this.validationStats.rejectionsByRule[failure.rule] || 0) + 1;
+      });
+      logger.warn(`Generated message rejected (attempt ${attempt}/${maxAttempts}): ${validation.failures.map((failure) => failure.reason).join("; ")}`);
+
+      if (attempt < maxAttempts) {
+        this.validationStats.retries++;
+        corrections = { message: result.message, failures: validation.failures };
+      }
+    }
+
+    this.validationStats.exhausted++;
+    const fallback = this.pickValidatedFallback(type, options);
+
+    if (!fallback) {
+      logger.error("No valid message after retries and no fallback message passed validation");
+      return this.recordGeneration({ message: null, validation: null, attempts, retries: Math.max(attempts.length - 1, 0), fallback: false });
+    }
+
+    this.validationStats.fallbacks++;
+    logger.info(`Using validated fallback message: ${fallback.message}`);
+    return this.recordGeneration({
+      message: fallback.message,
+      usage: null,
+      model: "fallback",
+      isVoiceMessage: type === "voice" || undefined,
+      validation: fallback.validation,
+      attempts,
+      retries: Math.max(attempts.length - 1, 0),
+      fallback: true,
+    });
+  }
+
+  // Pick a random fallback message that passes validation for these options. The pool is
+  // small, so when every entry was used recently the novelty rules are dropped
+  pickValidatedFallback(type, options = {}) {
+    const setup = this.resolveSetup(options);
+    const pool = [...getFallbackPool(setup.style.name, setup.language, type, setup.profile, setup.style.supportive)]
+      .sort(() => Math.random() - 0.5);
+
+    for (const validationOptions of [options, { ...options, recentOutgoing: [] }]) {
+      for (const message of pool) {
+        const validation = this.validateMessage(message, validationOptions);
+        if (validation.valid) {
+          return { message, validation };
+        }
+      }
+    }
+    return null;
   }
 
-  getTimeOfDay(date) {
-    const hour = date.getHours();
-    if (hour < 6) return "madrugada";
-    if (hour < 12) return "mañana";
-    if (hour < 18) return "tarde";
-    if (hour < 23) return "prenoche";
-    return "noche";
+  recordGeneration(result) {
+    this.validationStats.recentGenerations.push({
+      message: result.message,
+      fallback: result.fallback,
+      retries: result.retries,
+      attempts: result.attempts,
+      timestamp: Date.now(),
+    });
+    if (this.validationStats.recentGenerations.length > 10) {
+      this.validationStats.recentGenerations.shift();
+    }
+    return result;
   }
 
+  getValidationStats() {
+    return {
+      ...this.validationStats,
+      maxAttempts: this.maxAttempts,
+      rejectionsByRule: { ...this.validationStats.rejectionsByRule },
+      recentGenerations: [...this.validationStats.recentGenerations],
+    };
+  }
+
+  // Generate `count` candidates in parallel, spreading the temperature around the requested one
+  // so they actually differ. Candidates that fell back to the pool (model errors) are left out
   async generateMultipleOptions(
     conversationHistory = [],
     options = {},
     count = 3
   ) {
     try {
+      const base = options.temperature || 0.8;
+      const spread = options.temperatureSpread ?? 0.3;
+      const temperatures = Array.from({ length: count }, (_, index) => {
+        const offset = count > 1 ? (index / (count - 1) - 0.5) * 2 * spread : 0;
+        return Math.round(Math.min(Math.max(base + offset, 0.2), 1.3) * 100) / 100;
+      });
+
       const messages = await Promise.all(
-        Array(count)
-          .fill()
-          .map(() =>
-            this.generateMessage(conversationHistory, {
-              ...options,
-              temperature: options.temperature || 0.8, // Slight variation
-            })
-          )
+        temperatures.map(async (temperature) => {
+          const generationOptions = { ...options, temperature };
+          const result = options.type === "voice"
+            ? await this.generateVoiceMessage(conversationHistory, generationOptions)
+            : await this.generateMessage(conversationHistory, generationOptions);
+          return { ...result, temperature };
+        })
       );
 
-      return messages.filter((msg) => msg.message && msg.message.length > 0);
+      return messages.filter((msg) => !msg.error && msg.message && msg.message.length > 0);
     } catch (error) {
       logger.error("Failed to generate multiple message options:", error);
       return [];
     }
   }
 
+  // Generate `options.candidates` messages, validate them, rank them (see CandidateRanker) and
+  // return the best one with every scored candidate. When none is usable it falls back to the
+  // regular validated generation. `options.preview` leaves the generation stats alone
+  async generateBestOfN(conversationHistory = [], options = {}) {
+    const count = Math.max(options.candidates || 3, 1);
+    const setup = this.resolveSetup(options);
+    const generated = await this.generateMultipleOptions(conversationHistory, options, count);
+
+    const candidates = this.ranker.rank(
+      generated.map((result) => ({
+        message: result.message,
+        temperature: result.temperature,
+        usage: result.usage,
+        validation: this.validateMessage(result.message, options),
+      })),
+      { messages: conversationHistory, recent: setup.recentOutgoing, style: setup.style, profile: setup.profile }
+    ).map(({ validation, ...candidate }) => candidate);
+
+    const best = candidates.find((candidate) => candidate.eligible);
+    const usage = generated.reduce((total, result) => ({
+      prompt_tokens: total.prompt_tokens + (result.usage?.prompt_tokens || 0),
+      completion_tokens: total.completion_tokens + (result.usage?.completion_tokens || 0),
+      total_tokens: total.total_tokens + (result.usage?.total_tokens || 0),
+    }), { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+
+    logger.info(`Ranked ${candidates.length}/${count} candidate(s), ${candidates.filter((candidate) => candidate.eligible).length} eligible${best ? `, best: ${best.message} (${best.score})` : ""}`);
+
+    if (!best) {
+      if (options.preview) {
+        return { message: null, usage, candidates, fallback: false };
+      }
+      logger.warn("No eligible candidate, generating a single validated message instead");
+      const result = await this.generateValidatedMessage(conversationHistory, { ...options, candidates: 1 });
+      return { ...result, candidates };
+    }
+
+    const result = {
+      message: best.message,
+      usage,
+      model: this.model,
+      validation: this.validateMessage(best.message, options),
+      attempts: candidates.map((candidate) => ({
+        attempt: candidate.rank,
+        message: candidate.message,
+        valid: candidate.eligible,
+        score: candidate.score,
+        rejectedBy: candidate.rejectedBy,
+        timestamp: Date.now(),
+      })),
+      candidates,
+      retries: 0,
+      fallback: false,
+    };
+
+    if (options.preview) {
+      return result;
+    }
+    this.validationStats.generations++;
+    this.validationStats.rankedGenerations++;
+    this.validationStats.attempts += candidates.length;
+    return this.recordGeneration(result);
+  }
+
   generatePersonalizedPrompts() {
     const prompts = [
       // Work-related (she works a lot)
@@ -634,142 +792,79 @@ No desear buenas noches o lo que tenga que ver con dormir en ningun momento.
     return prompts;
   }
 
-  validateMessage(message) {
-    if (!message || typeof message !== "string") {
-      return { valid: false, reason: "Message is empty or not a string" };
-    }
-
-    if (message.length > 5000) {
-      return { valid: false, reason: "Message is too long for Godoy's style" };
-    }
-
-    if (message.length < 2) {
-      return { valid: false, reason: "Message is too short" };
+  // Optionally pick a media library item to go with a generated message. An item whose tags
+  // appear in the message is picked with probability `settings.matchChance`; otherwise, with
+  // probability `settings.chance`, one matching the recipient's interests in the profile or
+  // today's special dates (she loves sunflowers -> a "girasoles" picture). Stickers and GIFs
+  // replace the text with probability `settings.replaceChance`.
+  // Returns { id, kind, mode: "accompany" | "replace" } or null
+  pickMedia(message, options = {}, settings = {}) {
+    if (!this.library || !settings.enabled) {
+      return null;
     }
 
-    const lowerMessage = message.toLowerCase();
-
-    // Define pet names once
-    const petNames = [
-      "mi amor",
-      "amor",
-      "mi dulce crema de leche",
-      "mi chocolate de leche",
-      "amorcito",
-      "vida mía",
-      "terroncito de azúcar",
-      "mi dulce Elena"
-    ];
-    const hasPetName = petNames.some((pet) =>
-      lowerMessage.includes(pet.toLowerCase())
-    );
-
-    // Check for forbidden topics (children/kids)
-    const forbiddenWords = [
-      "hijos",
-      "niños",
-      "peques",
-      "children",
-      "kids",
-      "hijo",
-      "niño",
-    ];
-    for (const word of forbiddenWords) {
-      if (lowerMessage.includes(word)) {
-        return {
-          valid: false,
-          reason: `Message contains forbidden topic: ${word}`,
-        };
-      }
-    }
-
-    // Check if using her name instead of pet names (but allow pet names with "dulce")
-    // Only flag forbidden names if they're NOT part of a pet name
-    const forbiddenNames = ["dulce elena"];
-
- 
-    for (const name of forbiddenNames) {
-      if (lowerMessage.includes(name.toLowerCase())) {
-        return {
-          valid: false,
-          reason: "Should use pet names instead of her real name",
-        };
-      }
-    }
-
-    // Check for AI-related terms
-    const aiTerms = [
-      "ai",
-      "automated",
-    ];
-    for (const term of aiTerms) {
-      if (lowerMessage.includes(term)) {
-        return { valid: false, reason: "Message contains AI-related terms" };
-      }
+    const kinds = settings.kinds || ["image", "sticker", "gif"];
+    let item = Math.random() < (settings.matchChance ?? 0.5) ? this.library.pick({ text: message, kinds }) : null;
+    if (!item && Math.random() < (settings.chance ?? 0.1)) {
+      const setup = this.resolveSetup(options);
+      const recipient = setup.profile.recipient || {};
+      const dates = [...(setup.occasions || []), ...(setup.specialDates ? setup.specialDates.today : [])];
+      const interests = [
+        ...(recipient.description || []),
+        ...(recipient.moreDescription || []),
+        ...dates.map((date) => date.name || date.type),
+      ];
+      item = this.library.pick({ text: interests.join(" "), kinds });
     }
-
-    // Check if it sounds like Godoy and uses pet names
-    const godoyStyle = [
-      ":)",
-      ":o",
-      ":c",
-      ":/",
-      "sii",
-      "asuuu",
-      "bonita",
-      "ntp",
-    ];
-    const hasGodoyStyle = godoyStyle.some((style) =>
-      lowerMessage.includes(style.toLowerCase())
-    );
-
-    if (!hasGodoyStyle && message.length > 20) {
-      logger.warn("Message might not sound like Godoy's style");
+    if (!item) {
+      return null;
     }
 
-    if (!hasPetName && message.length > 10) {
-      return {
-        valid: false,
-        reason:
-          "Message should include a pet name (mi amor, mi dulce crema de leche, etc.)",
-      };
-    }
+    const replace = ["sticker", "gif"].includes(item.kind) && Math.random() < (settings.replaceChance ?? 0.3);
+    logger.info(`Picked ${item.kind} '${item.file}' to ${replace ? "replace" : "go with"} the message`);
+    return { id: item.id, kind: item.kind, mode: replace ? "replace" : "accompany" };
+  }
 
-    return { valid: true };
+  // Validate a generated message with the recipient's rule set (see MessageValidator).
+  // `options` is either a profile id or { profile, style, language, rules }
+  validateMessage(message, options = {}) {
+    const messageOptions = typeof options === "string" || options === null ? { profile: options } : options;
+    const { profile, style, language, strings } = this.resolveSetup(messageOptions);
+
+    const result = this.validator.validate(message, {
+      profile,
+      style,
+      language,
+      orWord: strings.orWord,
+      recent: messageOptions.recentOutgoing || [],
+    }, messageOptions.rules);
+    result.warnings.forEach((warning) => logger.warn(warning.reason));
+
+    return result;
   }
 
-  analyzeConversationContext(conversationContext) {
+  analyzeConversationContext(conversationContext, setup = this.resolveSetup()) {
     if (!conversationContext || !conversationContext.conversationFlow) {
       return '';
     }
 
+    const strings = setup.strings.context;
     const { conversationFlow, stats, hasHistory } = conversationContext;
     let contextInfo = '';
 
     if (!hasHistory) {
-      contextInfo += 'CONTEXTO: Primera conversación o historial vacío.\n';
+      contextInfo += strings.firstConversation;
       return contextInfo;
     }
 
     // Add conversation pattern analysis
-    switch (conversationFlow.pattern) {
-      case 'monologue':
-        contextInfo += 'CONTEXTO: Has enviado varios mensajes seguidos sin respuesta. Mantén un tono cariñoso pero dale espacio para responder.\n';
-        break;
-      case 'responsive':
-        contextInfo += 'CONTEXTO: Ella está participando activamente en la conversación. Buen momento para un intercambio natural.\n';
-        break;
-      case 'initiating':
-        contextInfo += 'CONTEXTO: Tú has estado iniciando más la conversación. Considera hacer preguntas que la inviten a participar.\n';
-        break;
-      case 'balanced':
-        contextInfo += 'CONTEXTO: Conversación equilibrada entre ambos. Continúa el flujo natural.\n';
-        break;
+    if (strings[conversationFlow.pattern]) {
+      contextInfo += strings[conversationFlow.pattern];
     }
 
     // Add timing context
     if (conversationFlow.awaitingResponse) {
-      contextInfo += 'TIMING: Esperando respuesta de tu último mensaje. ';
+      contextInfo += strings.awaitingResponse;
     }
 
     if (conversationFlow.lastIncomingMessage) {
@@ -777,9 +872,9 @@ No desear buenas noches o lo que tenga que ver con dormir en ningun momento.
       const hoursSince = Math.floor(timeSinceHerMessage / (1000 * 60 * 60));
       
       if (hoursSince > 12) {
-        contextInfo += `Ella escribió por última vez hace ${hoursSince} horas. `;
+        contextInfo += renderTemplate(strings.lastIncomingLong, { hours: hoursSince });
       } else if (hoursSince > 3) {
-        contextInfo += `Ella escribió hace ${hoursSince} horas. `;
+        contextInfo += renderTemplate(strings.lastIncoming, { hours: hoursSince });
       }
     }
 
@@ -787,7 +882,16 @@ No desear buenas noches o lo que tenga que ver con dormir en ningun momento.
     if (conversationFlow.conversationAge) {
       const days = Math.floor(conversationFlow.conversationAge / (1000 * 60 * 60 * 24));
       if (days > 0) {
-        contextInfo += `Esta conversación lleva ${days} días activa. `;
+        contextInfo += renderTemplate(strings.conversationAge, { days });
+      }
+    }
+
+    // Add the recipient's mood from their recent incoming messages
+    const mood = conversationContext.mood;
+    if (mood && strings.moods[mood.mood]) {
+      contextInfo += renderTemplate(strings.mood, { mood: strings.moods[mood.mood] });
+      if (setup.style.supportive) {
+        contextInfo += strings.moodSupport;
       }
     }
 
@@ -0,0 +1,478 @@
+const { renderTemplate, resolveLanguage } = require('./promptTemplates');
+
+/**
+ * Message style definitions. Each style has its own prompt strategy, validation
+ * settings and fallback pools, with text per language. Strings may use the
+ * template placeholders from promptTemplates and are rendered against the
+ * active persona profile.
+ *
+ *   petNames: 'required' | 'optional' | 'forbidden'
+ *   emoticons: whether emoticons such as ":)" are allowed
+ *   maxLength: longest accepted message
+ *   styleMarkers: markers used for "does this sound right" warnings (null = use the profile's)
+ *   playful: the joke is the style itself, so the supportive overlay drops its rules and instruction
+ */
+const STYLES = {
+    romantic: {
+        petNames: 'required',
+        emoticons: true,
+        maxLength: 5000,
+        styleMarkers: null,
+        label: { spanish: 'romántico', english: 'romantic' },
+        strategy: {
+            spanish: [
+                'Mensajes cariñosos y cercanos, sin ser empalagosos',
+                'Hazle sentir que la quieres y que es especial para ti'
+            ],
+            english: [
+                'Affectionate, close messages without being cheesy',
+                'Make them feel loved and special to you'
+            ]
+        },
+        rules: {
+            spanish: ['SIEMPRE usa nombres cariñosos como: {{quoted petNames}} o inventa nuevos'],
+            english: ['ALWAYS use pet names such as {{quoted petNames}} (translated if it sounds better) or invent new ones']
+        },
+        task: {
+            spanish: [
+                'Usando siempre nombres cariñosos',
+                'Inventa nuevos nombres cariñosos si es posible',
+                'Recordarle que la quieres mucho y es muy bella ocasionalmente'
+            ],
+            english: [
+                'Always using pet names',
+                'Invent new pet names when possible',
+                'Occasionally remind them how much you love them'
+            ]
+        },
+        userInstruction: {
+            spanish: 'IMPORTANTE: Debes usar uno de estos nombres cariñosos: {{quoted petNames}}. NUNCA uses su nombre real. Tambien crea apodos cariñosos y espontaneos de vez en cuando ',
+            english: 'IMPORTANT: You must use one of these pet names: {{quoted petNames}}. NEVER use their real name. Invent spontaneous pet names now and then. '
+        },
+        reminder: {
+            spanish: 'Recuerda hacerle sentir que la quieres y que es especial para ti, sin sonar empalagoso.',
+            english: 'Remember to make them feel loved and special, without sounding cheesy.'
+        },
+        voiceRules: {
+            spanish: [
+                'Usa un tono cálido y amoroso',
+                'Siempre incluye un nombre cariñoso',
+                'Usar "te quiero" en vez de "te amo" para sonar más natural'
+            ],
+            english: [
+                'Use a warm, loving tone',
+                'Always include a pet name',
+                'Say "I love you" only when it feels natural'
+            ]
+        },
+        voiceTone: {
+            spanish: 'con nombre cariñoso y tono amoroso',
+            english: 'with a pet name and a loving tone'
+        },
+        fallback: {
+            spanish: {
+                text: [
+                    'Hola mi amor :)',
+                    'Que tal tu día mi amor?',
+                    'Ya comiste amor? :o',
+                    'Te extraño mi amorcito :/',
+                    'Cuídate mucho vida mía',
+                    'Espero que estés teniendo un buen día mi amor'
+                ],
+                voice: [
+                    'Hola mi amor, cómo estás?',
+                    'Te extraño mucho vida mía',
+                    'Pensando en ti mi amor'
+                ]
+            },
+            english: {
+                text: [
+                    'Hey my love :)',
+                    'How is your day going, love?',
+                    'Did you eat already, my love? :o',
+                    'Missing you, love :/',
+                    'Take care of yourself, my love'
+                ],
+                voice: [
+                    'Hi my love, how are you?',
+                    'I miss you so much, love',
+                    'Thinking about you, my love'
+                ]
+            }
+        }
+    },
+
+    friendly: {
+        petNames: 'optional',
+        emoticons: true,
+        maxLength: 1000,
+        styleMarkers: null,
+        label: { spanish: 'amistoso', english: 'friendly' },
+        strategy: {
+            spanish: [
+                'Tono cálido y cercano, como un buen amigo que se preocupa',
+                'Pregunta por su día o comenta algo que le interese',
+                'Sin declaraciones románticas intensas'
+            ],
+            english: [
+                'Warm, close tone, like a good friend who cares',
+                'Ask about their day or mention something they like',
+                'No intense romantic declarations'
+            ]
+        },
+        rules: {
+            spanish: ['Puedes usar nombres cariñosos como {{quoted petNames}} de vez en cuando, pero no es obligatorio'],
+            english: ['You may use pet names such as {{quoted petNames}} now and then, but it is not required']
+        },
+        task: {
+            spanish: ['Cálido y amistoso, mostrando interés genuino'],
+            english: ['Warm and friendly, showing genuine interest']
+        },
+        userInstruction: {
+            spanish: 'Escribe un mensaje amistoso y cercano. NUNCA uses su nombre real. ',
+            english: 'Write a friendly, warm message. NEVER use their real name. '
+        },
+        reminder: {
+            spanish: 'Recuerda que el tono es amistoso y relajado.',
+            english: 'Remember the tone is friendly and relaxed.'
+        },
+        voiceRules: {
+            spanish: ['Usa un tono cálido y amistoso'],
+            english: ['Use a warm, friendly tone']
+        },
+        voiceTone: {
+            spanish: 'con tono cálido y amistoso',
+            english: 'with a warm, friendly tone'
+        },
+        fallback: {
+            spanish: {
+                text: ['Hola! Que tal tu día? :)', 'Todo bien por ahí?', 'Cómo va todo?', 'Espero que estés teniendo un buen día'],
+                voice: ['Hola, cómo va tu día?', 'Espero que todo vaya muy bien']
+            },
+            english: {
+                text: ['Hey! How is your day going? :)', 'All good over there?', 'How is everything?', 'Hope you are having a great day'],
+                voice: ['Hey, how is your day going?', 'Hope everything is going great']
+            }
+        }
+    },
+
+    professional: {
+        petNames: 'forbidden',
+        emoticons: false,
+        maxLength: 600,
+        styleMarkers: [],
+        label: { spanish: 'profesional', english: 'professional' },
+        strategy: {
+            spanish: [
+                'Tono respetuoso, cortés y claro',
+                'Sin apodos, bromas ni emoticones',
+                'Frases completas y bien escritas'
+            ],
+            english: [
+                'Respectful, courteous and clear tone',
+                'No pet names, jokes or emoticons',
+                'Complete, well-written sentences'
+            ]
+        },
+        rules: {
+            spanish: ['NO uses nombres cariñosos, apodos ni emoticones'],
+            english: ['DO NOT use pet names, nicknames or emoticons']
+        },
+        task: {
+            spanish: ['Cortés y respetuoso'],
+            english: ['Courteous and respectful']
+        },
+        userInstruction: {
+            spanish: 'IMPORTANTE: Escribe de forma cortés y profesional, sin apodos ni emoticones. ',
+            english: 'IMPORTANT: Write in a courteous, professional way, without nicknames or emoticons. '
+        },
+        reminder: {
+            spanish: 'Mantén un tono profesional en todo momento.',
+            english: 'Keep a professional tone at all times.'
+        },
+        voiceRules: {
+            spanish: ['Usa un tono cortés y sereno'],
+            english: ['Use a courteous, calm tone']
+        },
+        voiceTone: {
+            spanish: 'con tono cortés y profesional',
+            english: 'with a courteous, professional tone'
+        },
+        fallback: {
+            spanish: {
+                text: ['Buenos días, espero que se encuentre bien.', 'Quedo atento a cualquier novedad.', 'Espero que tenga un excelente día.'],
+                voice: ['Buenos días, espero que se encuentre muy bien', 'Le deseo un excelente día']
+            },
+            english: {
+                text: ['Good morning, I hope you are doing well.', 'Let me know if there is anything new.', 'I hope you have an excellent day.'],
+                voice: ['Good morning, I hope you are doing well', 'Wishing you an excellent day']
+            }
+        }
+    },
+
+    casual: {
+        petNames: 'optional',
+        emoticons: true,
+        maxLength: 300,
+        styleMarkers: null,
+        label: { spanish: 'casual', english: 'casual' },
+        strategy: {
+            spanish: [
+                'Mensajes muy cortos y relajados, como un chat rápido',
+                'Lenguaje coloquial, abreviaciones permitidas'
+            ],
+            english: [
+                'Very short, laid-back messages, like a quick chat',
+                'Colloquial language, abbreviations are fine'
+            ]
+        },
+        rules: {
+            spanish: ['Puedes usar nombres cariñosos como {{quoted petNames}} si sale natural'],
+            english: ['You may use pet names such as {{quoted petNames}} if it feels natural']
+        },
+        task: {
+            spanish: ['Muy corto y relajado'],
+            english: ['Very short and laid-back']
+        },
+        userInstruction: {
+            spanish: 'Escribe algo corto y relajado. NUNCA uses su nombre real. ',
+            english: 'Write something short and laid-back. NEVER use their real name. '
+        },
+        reminder: {
+            spanish: 'Que sea corto y casual.',
+            english: 'Keep it short and casual.'
+        },
+        voiceRules: {
+            spanish: ['Usa un tono relajado y natural'],
+            english: ['Use a relaxed, natural tone']
+        },
+        voiceTone: {
+            spanish: 'con tono relajado',
+            english: 'with a relaxed tone'
+        },
+        fallback: {
+            spanish: {
+                text: ['Que haces? :)', 'Todo bien?', 'Que tal?', 'Ya comiste? :o'],
+                voice: ['Hola, que haces?', 'Que tal todo?']
+            },
+            english: {
+                text: ['What are you up to? :)', 'All good?', 'How is it going?', 'Did you eat yet? :o'],
+                voice: ['Hey, what are you up to?', 'How is it going?']
+            }
+        }
+    },
+
+    humorous: {
+        playful: true,
+        petNames: 'optional',
+        emoticons: true,
+        maxLength: 1000,
+        styleMarkers: {
+            spanish: ['jaja', 'jeje', 'xd', ':p', ':v'],
+            english: ['haha', 'lol', 'xd', ':p']
+        },
+        label: { spanish: 'divertido', english: 'humorous' },
+        strategy: {
+            spanish: [
+                'Mensajes divertidos y juguetones, con una broma ligera o un juego de palabras',
+                'El humor siempre es cariñoso, nunca hiriente'
+            ],
+            english: [
+                'Fun, playful messages with a light joke or a pun',
+                'The humor is always kind, never hurtful'
+            ]
+        },
+        rules: {
+            spanish: ['Puedes usar nombres cariñosos como {{quoted petNames}} en tono de broma'],
+            english: ['You may use pet names such as {{quoted petNames}} playfully']
+        },
+        task: {
+            spanish: ['Gracioso y juguetón, que le saque una sonrisa'],
+            english: ['Funny and playful, something that makes them smile']
+        },
+        userInstruction: {
+            spanish: 'Escribe algo gracioso y juguetón. NUNCA uses su nombre real. ',
+            english: 'Write something funny and playful. NEVER use their real name. '
+        },
+        reminder: {
+            spanish: 'Que tenga una chispa de humor.',
+            english: 'Give it a spark of humor.'
+        },
+        voiceRules: {
+            spanish: ['Usa un tono alegre y juguetón'],
+            english: ['Use a cheerful, playful tone']
+        },
+        voiceTone: {
+            spanish: 'con tono alegre y juguetón',
+            english: 'with a cheerful, playful tone'
+        },
+        fallback: {
+            spanish: {
+                text: ['Adivina quién se acordó de ti jaja :p', 'Reporte oficial: te extraño jaja', 'Alerta: alguien necesita un abrazo y no soy yo jaja'],
+                voice: ['Adivina quién se acordó de ti', 'Reporte oficial, te extraño']
+            },
+            english: {
+                text: ['Guess who just thought of you haha :p', 'Official report: I miss you haha', 'Alert: someone needs a hug and it is not me haha'],
+                voice: ['Guess who just thought of you', 'Official report, I miss you']
+            }
+        }
+    }
+};
+
+// Laid over the recipient's style while they seem anxious, sad or upset (see moodAnalyzer.js): a calm
+// tone and no jokes, keeping the style's pet name, emoticon and length settings, rules and fallbacks
+const SUPPORTIVE = {
+    label: { spanish: 'de apoyo', english: 'supportive' },
+    strategy: {
+        spanish: [
+            'Mensajes tranquilos y cálidos para alguien que no está pasando un buen momento',
+            'Acompaña: reconoce cómo se siente antes de intentar animar, sin minimizarlo'
+        ],
+        english: [
+            'Calm, warm messages for someone who is going through a hard time',
+            'Be there: acknowledge how they feel before trying to cheer them up, without downplaying it'
+        ]
+    },
+    rules: {
+        spanish: ['NADA de bromas, sarcasmo ni "jaja": ahora no es el momento'],
+        english: ['NO jokes, sarcasm or "haha": now is not the time']
+    },
+    task: {
+        spanish: ['Que sienta que puede contar contigo', 'Pregunta cómo está u ofrece algo concreto (una llamada, escuchar)'],
+        english: ['Make them feel they can count on you', 'Ask how they are or offer something concrete (a call, to listen)']
+    },
+    userInstruction: {
+        spanish: 'No está pasando un buen momento: escribe algo tranquilo y considerado, sin bromas. ',
+        english: 'They are not doing well: write something calm and considerate, with no jokes. '
+    },
+    reminder: {
+        spanish: 'Que se note que te importa cómo se siente.',
+        english: 'Let it show that you care how they feel.'
+    },
+    voiceRules: {
+        spanish: ['Usa un tono suave y tranquilo', 'Nada de bromas'],
+        english: ['Use a soft, calm tone', 'No jokes']
+    },
+    voiceTone: {
+        spanish: 'con tono suave y tranquilo',
+        english: 'with a soft, calm tone'
+    },
+    // Only for playful styles, whose own fallbacks are jokes
+    fallback: {
+        spanish: {
+            text: ['Aquí estoy para lo que necesites, ¿cómo te sientes?', '¿Quieres hablar un rato? Aquí estoy'],
+            voice: ['Aquí estoy para lo que necesites', 'Si quieres hablar, aquí estoy']
+        },
+        english: {
+            text: ['I am here for whatever you need, how are you feeling?', 'Want to talk for a bit? I am here'],
+            voice: ['I am here for whatever you need', 'If you want to talk, I am here']
+        }
+    }
+};
+
+const DEFAULT_STYLE = 'romantic';
+
+function resolveStyleName(style) {
+    const key = String(style || DEFAULT_STYLE).trim().toLowerCase();
+    return STYLES[key] ? key : DEFAULT_STYLE;
+}
+
+function getSupportedStyles() {
+    return Object.keys(STYLES);
+}
+
+function pickLanguage(value, language) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return value[language] !== undefined ? value[language] : value.spanish;
+    }
+    return value;
+}
+
+/**
+ * Resolve a style for a language, rendering its strings against the profile.
+ * The result is what the prompts and validation consume. `options.supportive`
+ * lays the supportive tone over it.
+ */
+function getStyle(style, language, profile = {}, options = {}) {
+    const name = resolveStyleName(style);
+    const lang = resolveLanguage(language);
+    const definition = STYLES[name];
+    const render = (value) => {
+        const localized = pickLanguage(value, lang);
+        if (Array.isArray(localized)) {
+            return localized.map(item => renderTemplate(item, profile));
+        }
+        return typeof localized === 'string' ? renderTemplate(localized, profile) : localized;
+    };
+
+    const styleMarkers = pickLanguage(definition.styleMarkers, lang);
+
+    const resolved = {
+        name,
+        language: lang,
+        label: render(definition.label),
+        petNames: definition.petNames,
+        requiresPetName: definition.petNames === 'required',
+        forbidsPetNames: definition.petNames === 'forbidden',
+        emoticons: definition.emoticons,
+        maxLength: definition.maxLength,
+        humor: true,
+        supportive: false,
+        styleMarkers: styleMarkers === null || styleMarkers === undefined ? (profile.styleMarkers || []) : styleMarkers,
+        strategy: render(definition.strategy),
+        rules: render(definition.rules),
+        task: render(definition.task),
+        userInstruction: render(definition.userInstruction),
+        reminder: render(definition.reminder),
+        voiceRules: render(definition.voiceRules),
+        voiceTone: render(definition.voiceTone)
+    };
+
+    if (!options.supportive) {
+        return resolved;
+    }
+    return {
+        ...resolved,
+        label: `${resolved.label} (${render(SUPPORTIVE.label)})`,
+        humor: false,
+        supportive: true,
+        strategy: render(SUPPORTIVE.strategy),
+        rules: [...(definition.playful ? [] : resolved.rules), ...render(SUPPORTIVE.rules)],
+        task: render(SUPPORTIVE.task),
+        userInstruction: render(SUPPORTIVE.userInstruction) + (definition.playful ? '' : resolved.userInstruction),
+        reminder: render(SUPPORTIVE.reminder),
+        voiceRules: render(SUPPORTIVE.voiceRules),
+        voiceTone: render(SUPPORTIVE.voiceTone)
+    };
+}
+
+// Fallback pool for a style/language; romantic messages in the profile's own language use the profile's pools.
+// Playful styles use calm fallbacks while `supportive`
+function getFallbackPool(style, language, type = 'text', profile = null, supportive = false) {
+    const name = resolveStyleName(style);
+    const lang = resolveLanguage(language);
+
+    if (supportive && STYLES[name].playful) {
+        const pools = SUPPORTIVE.fallback[lang] || SUPPORTIVE.fallback.spanish;
+        return pools[type] || pools.text;
+    }
+
+    if (profile && name === DEFAULT_STYLE && resolveLanguage(profile.language) === lang) {
+        const profilePool = type === 'voice' ? profile.voiceFallbackMessages : profile.fallbackMessages;
+        if (profilePool && profilePool.length > 0) {
+            return profilePool;
+        }
+    }
+
+    const pools = STYLES[name].fallback[lang] || STYLES[name].fallback.spanish;
+    return pools[type] || pools.text;
+}
+
+module.exports = {
+    STYLES,
+    DEFAULT_STYLE,
+    resolveStyleName,
+    getSupportedStyles,
+    getStyle,
+    getFallbackPool
+};
@@ -0,0 +1,302 @@
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('./logger');
+const { renderTemplate } = require('./promptTemplates');
+const novelty = require('./noveltyChecker');
+
+const BUILT_IN_RULES_DIR = path.join(__dirname, 'rules');
+const RULE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const SEVERITIES = ['block', 'warn'];
+
+/**
+ * Declarative validation of generated messages. Rule sets are JSON/YAML files
+ * (src/rules, ./data/rules) with a list of rules:
+ *
+ *   { "id": "pet-name", "type": "required-any", "words": ["$profile.petNames"],
+ *     "when": "style.requiresPetName", "severity": "block", "message": "..." }
+ *
+ * Rule types: required-any, forbidden-word, max-length, min-length, regex,
+ * style-score, and ngram-overlap, repeated-opening and pet-name-rotation, which
+ * compare the message with our recent outgoing messages (`$recent`, see
+ * noveltyChecker). String values starting with "$" are read from the validation
+ * context ({ profile, style, language, recent }), `when` skips the rule unless the path
+ * is truthy ("!path" negates) and `message` is a prompt template. `correction` is
+ * an optional per-language template fed back to the model when the rule rejects
+ * a message. A rule set may `extend` another one; rules with the same id replace
+ * the parent's (`"enabled": false` removes them).
+ */
+class MessageValidator {
+    constructor(options = {}) {
+        this.directories = options.directories || [BUILT_IN_RULES_DIR, path.join('./data', 'rules')];
+        this.defaultRuleSetId = options.defaultRuleSetId || 'default';
+        this.ruleSets = new Map();
+        this.load();
+    }
+
+    load() {
+        this.ruleSets.clear();
+
+        for (const directory of this.directories) {
+            if (!fs.pathExistsSync(directory)) {
+                continue;
+            }
+
+            const files = fs.readdirSync(directory)
+                .filter(file => RULE_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+
+            for (const file of files) {
+                const filePath = path.join(directory, file);
+                try {
+                    const ruleSet = this.parseRuleSet(filePath);
+                    this.ruleSets.set(ruleSet.id, ruleSet);
+                    logger.debug(`Loaded validation rule set '${ruleSet.id}' from ${filePath}`);
+                } catch (error) {
+                    logger.error(`Failed to load validation rules ${filePath}:`, error);
+                }
+            }
+        }
+
+        if (!this.ruleSets.has(this.defaultRuleSetId)) {
+            logger.warn(`Default validation rule set '${this.defaultRuleSetId}' not found`);
+        }
+
+        logger.info(`Loaded ${this.ruleSets.size} validation rule set(s)`);
+        return this.list();
+    }
+
+    parseRuleSet(filePath) {
+        const content = fs.readFileSync(filePath, 'utf8');
+        const data = path.extname(filePath).toLowerCase() === '.json'
+            ? JSON.parse(content)
+            : yaml.load(content);
+
+        if (!data || !Array.isArray(data.rules)) {
+            throw new Error('Rule set must define a rules array');
+        }
+
+        for (const rule of data.rules) {
+            if (!rule.id) {
+                throw new Error('Every rule needs an id');
+            }
+            if (rule.enabled !== false && !RULE_TYPES[rule.type]) {
+                throw new Error(`Rule '${rule.id}' has unknown type '${rule.type}'`);
+            }
+            if (rule.severity && !SEVERITIES.includes(rule.severity)) {
+                throw new Error(`Rule '${rule.id}' has invalid severity '${rule.severity}'`);
+            }
+        }
+
+        return {
+            description: null,
+            extends: null,
+            ...data,
+            id: data.id || path.basename(filePath, path.extname(filePath))
+        };
+    }
+
+    has(ruleSetId) {
+        return this.ruleSets.has(ruleSetId);
+    }
+
+    list() {
+        return Array.from(this.ruleSets.values()).map(ruleSet => ({
+            id: ruleSet.id,
+            description: ruleSet.description,
+            extends: ruleSet.extends,
+            rules: this.getRules(ruleSet.id).map(rule => rule.id)
+        }));
+    }
+
+    // Resolve the rules of a rule set, including the ones inherited through `extends`
+    getRules(ruleSetId = null, visited = new Set()) {
+        const id = ruleSetId && this.ruleSets.has(ruleSetId) ? ruleSetId : this.defaultRuleSetId;
+        if (ruleSetId && id !== ruleSetId) {
+            logger.warn(`Validation rule set '${ruleSetId}' not found, using '${id}'`);
+        }
+
+        const ruleSet = this.ruleSets.get(id);
+        if (!ruleSet || visited.has(id)) {
+            return [];
+        }
+        visited.add(id);
+
+        const rules = ruleSet.extends ? this.getRules(ruleSet.extends, visited) : [];
+        for (const rule of ruleSet.rules) {
+            const index = rules.findIndex(existing => existing.id === rule.id);
+            if (index >= 0) {
+                rules.splice(index, 1);
+            }
+            if (rule.enabled !== false) {
+                rules.push(rule);
+            }
+        }
+        return rules;
+    }
+
+    // Validate a message against a rule set. Returns every failed rule; the message is
+    // only invalid when at least one blocking rule failed
+    validate(message, context = {}, ruleSetId = null) {
+        if (!message || typeof message !== 'string') {
+            return {
+                valid: false,
+                reason: 'Message is empty or not a string',
+                failures: [{ rule: 'type', type: 'type', severity: 'block', reason: 'Message is empty or not a string' }],
+                warnings: []
+            };
+        }
+
+        const failures = [];
+
+        for (const rule of this.getRules(ruleSetId)) {
+            if (!this.isApplicable(rule, context)) {
+                continue;
+            }
+
+            try {
+                const outcome = RULE_TYPES[rule.type](message, rule, (value) => this.resolveValue(value, context));
+                if (outcome) {
+                    const variables = { ...context, ...outcome };
+                    const reason = renderTemplate(rule.message || `Failed rule ${rule.id}`, variables);
+                    failures.push({
+                        rule: rule.id,
+                        type: rule.type,
+                        severity: rule.severity || 'block',
+                        reason,
+                        correction: this.renderCorrection(rule, variables) || reason
+                    });
+                }
+            } catch (error) {
+                logger.error(`Validation rule '${rule.id}' failed to run:`, error);
+            }
+        }
+
+        const blocking = failures.filter(failure => failure.severity === 'block');
+        return {
+            valid: blocking.length === 0,
+            reason: blocking.length > 0 ? blocking[0].reason : undefined,
+            failures: blocking,
+            warnings: failures.filter(failure => failure.severity === 'warn')
+        };
+    }
+
+    // Corrections may be a single template or one template per language
+    renderCorrection(rule, variables) {
+        const correction = rule.correction && typeof rule.correction === 'object'
+            ? rule.correction[variables.language] || rule.correction.english
+            : rule.correction;
+        return correction ? renderTemplate(correction, variables) : null;
+    }
+
+    isApplicable(rule, context) {
+        if (!rule.when) {
+            return true;
+        }
+        const negate = rule.when.startsWith('!');
+        const value = this.resolveValue(`$${negate ? rule.when.slice(1) : rule.when}`, context);
+        const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+        return negate ? !truthy : truthy;
+    }
+
+    // Resolve "$path" references against the context; arrays are flattened
+    resolveValue(value, context) {
+        if (Array.isArray(value)) {
+            return value.flatMap(item => {
+                const resolved = this.resolveValue(item, context);
+                return resolved === undefined || resolved === null ? [] : resolved;
+            });
+        }
+        if (typeof value === 'string' && value.startsWith('$')) {
+            return value.slice(1).split('.')
+                .reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), context);
+        }
+        return value;
+    }
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Build a matcher for a word or phrase; whole-word matching treats any letter or digit as part of a word
+function wordPattern(word, rule) {
+    const body = escapeRegex(String(word));
+    const source = rule.wholeWord === false ? body : `(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`;
+    return new RegExp(source, rule.caseSensitive ? 'u' : 'iu');
+}
+
+function toList(value) {
+    return (Array.isArray(value) ? value : [value]).filter(item => item !== undefined && item !== null && item !== '');
+}
+
+// Each rule type returns null when the message passes, or the template variables for the failure message
+const RULE_TYPES = {
+    'required-any': (message, rule, resolve) => {
+        const words = toList(resolve(rule.words));
+        if (words.length === 0 || message.length < (rule.minLength || 0)) {
+            return null;
+        }
+        return words.some(word => wordPattern(word, rule).test(message)) ? null : { words };
+    },
+
+    'forbidden-word': (message, rule, resolve) => {
+        const match = toList(resolve(rule.words)).find(word => wordPattern(word, rule).test(message));
+        return match ? { match } : null;
+    },
+
+    'max-length': (message, rule, resolve) => {
+        const max = Number(resolve(rule.max));
+        return Number.isFinite(max) && message.length > max ? { length: message.length, max } : null;
+    },
+
+    'min-length': (message, rule, resolve) => {
+        const min = Number(resolve(rule.min));
+        return Number.isFinite(min) && message.length < min ? { length: message.length, min } : null;
+    },
+
+    regex: (message, rule, resolve) => {
+        const match = message.match(new RegExp(resolve(rule.pattern), rule.flags || ''));
+        if (rule.mode === 'require') {
+            return match ? null : { match: null };
+        }
+        return match ? { match: match[0] } : null;
+    },
+
+    'style-score': (message, rule, resolve) => {
+        const markers = toList(resolve(rule.markers));
+        if (markers.length === 0 || message.length < (rule.minLength || 0)) {
+            return null;
+        }
+        const score = markers.filter(marker => message.toLowerCase().includes(String(marker).toLowerCase())).length;
+        const minMatches = rule.minMatches || 1;
+        return score < minMatches ? { score, minMatches } : null;
+    },
+
+    'ngram-overlap': (message, rule, resolve) => {
+        const recent = toList(resolve(rule.recent));
+        const { score, similarTo } = novelty.maxOverlap(message, recent, rule.n || 3);
+        const maxOverlap = rule.maxOverlap ?? 0.5;
+        return score > maxOverlap ? { overlap: Math.round(score * 100), maxOverlap: Math.round(maxOverlap * 100), similarTo } : null;
+    },
+
+    'repeated-opening': (message, rule, resolve) => {
+        const recent = toList(resolve(rule.recent));
+        const { opening, repeats } = novelty.openingRepeats(message, recent, rule.words || 3, rule.within || 5);
+        return repeats >= (rule.maxRepeats || 1) ? { opening, repeats } : null;
+    },
+
+    'pet-name-rotation': (message, rule, resolve) => {
+        const petNames = toList(resolve(rule.words));
+        const rotation = novelty.petNameRotation(toList(resolve(rule.recent)), petNames, {
+            within: rule.within,
+            maxShare: rule.maxShare,
+            minRecent: rule.minRecent
+        });
+        const petName = novelty.petNamesIn(message, rotation.overused)[0];
+        return petName ? { petName, suggestions: rotation.suggestions } : null;
+    }
+};
+
+MessageValidator.RULE_TYPES = Object.keys(RULE_TYPES);
+
+module.exports = MessageValidator;
@@ -0,0 +1,189 @@
+const OpenAI = require('openai');
+const logger = require('./logger');
+const { words } = require('./historySearch');
+
+/**
+ * Mood analyzers: the mood of one message the contact sent, as
+ *
+ *   async (text, { language }) => { mood, valence, intensity, cues }
+ *
+ *   mood:      one of MOODS ('neutral' when nothing stands out)
+ *   valence:   -1 (very negative) .. 1 (very positive)
+ *   intensity: 0 .. 1, how clearly the message shows it
+ *   cues:      the words or emoji that gave it away (lexicon analyzer only)
+ *
+ * Providers are picked by name (MOOD_ANALYZER); register another with registerAnalyzer.
+ */
+
+// Negative moods first: on a tie they are the ones worth noticing
+const MOODS = ['anxious', 'sad', 'angry', 'tired', 'happy', 'affectionate', 'playful', 'neutral'];
+
+const VALENCE = {
+    anxious: -0.7,
+    sad: -0.8,
+    angry: -0.8,
+    tired: -0.3,
+    happy: 0.8,
+    affectionate: 0.6,
+    playful: 0.4,
+    neutral: 0
+};
+
+// Spanish lexicon (plus common English). Words are matched without accents; a trailing * matches
+// any ending ("cansad*" -> cansada, cansadísima), entries with spaces are phrases
+const LEXICON = {
+    anxious: ['ansios*', 'ansiedad', 'nervios*', 'preocupad*', 'me preocupa', 'estresad*', 'estres', 'angusti*', 'agobiad*',
+        'panico', 'miedo', 'asustad*', 'intranquil*', 'no puedo mas', 'anxious', 'anxiety', 'worried', 'stressed', 'nervous', 'scared'],
+    sad: ['triste*', 'tristeza', 'llor*', 'deprimid*', 'depre', 'desanimad*', 'decepcionad*', 'dolid*', 'me siento mal',
+        'me siento sola', 'mal dia', 'dia horrible', 'sad', 'crying', 'depressed', 'upset'],
+    angry: ['enojad*', 'molesta', 'molesto', 'furios*', 'rabia', 'odio', 'hart*', 'fastidi*', 'irritad*', 'que colera', 'angry', 'annoyed', 'mad at'],
+    tired: ['cansad*', 'cansancio', 'agotad*', 'exhaust*', 'sueno', 'rendid*', 'sin energia', 'tired', 'sleepy'],
+    happy: ['feliz', 'felices', 'contenta', 'contento', 'alegr*', 'emocionad*', 'genial', 'increible', 'que bien', 'me fue bien', 'aprobe',
+        'logre', 'yay', 'happy', 'excited', 'great news'],
+    affectionate: ['te quiero', 'te amo', 'te extrano', 'mi amor', 'carino', 'mi vida', 'beso*', 'abrazo*', 'love you', 'miss you'],
+    playful: ['jaja*', 'jeje*', 'jiji*', 'xd', 'haha*', 'lol']
+};
+
+const EMOJI = {
+    anxious: ['😰', '😟', '😨', '😥', '😬'],
+    sad: ['😢', '😭', '💔', '☹', '🙁', '😞', '😔', '🥺'],
+    angry: ['😡', '😠', '🤬', '😤'],
+    tired: ['😴', '🥱', '😪'],
+    happy: ['😀', '😃', '😄', '😁', '😊', '🥳', '🎉'],
+    affectionate: ['❤', '😍', '🥰', '😘', '💕', '💖'],
+    playful: ['😂', '🤣', '😜', '😛', '😝']
+};
+
+const NEGATIONS = new Set(['no', 'nunca', 'ni', 'tampoco', 'not', 'never']);
+const INTENSIFIERS = new Set(['muy', 'super', 'demasiado', 'tan', 'bastante', 're', 'so', 'very', 'really']);
+
+const ANALYSIS_PROMPT = `You read a message a person sent their partner on WhatsApp and say how they feel.
+Moods: ${MOODS.join(', ')} ("neutral" when nothing stands out; "anxious" covers stress and worry).
+Answer with JSON: {"mood": "...", "valence": -1 to 1, "intensity": 0 to 1}. The message is in {language}.`;
+
+const NEUTRAL = { mood: 'neutral', valence: 0, intensity: 0, cues: [] };
+
+// Turn a lexicon entry into the word sequence it matches
+function compileEntry(entry) {
+    return entry.split(' ').map(word => ({ word: word.replace(/\*$/, ''), prefix: word.endsWith('*') }));
+}
+
+const COMPILED = Object.entries(LEXICON).flatMap(([mood, entries]) =>
+    entries.map(entry => ({ mood, entry, sequence: compileEntry(entry) })));
+
+function matchesAt(tokens, index, sequence) {
+    return sequence.every((part, offset) => {
+        const token = tokens[index + offset];
+        return token !== undefined && (part.prefix ? token.startsWith(part.word) : token === part.word);
+    });
+}
+
+// Lexicon scoring: each cue counts 1 (1.5 after "muy", "super"...), none after a negation
+// ("no estoy triste"); the mood with the highest score wins
+function scoreText(text) {
+    const scores = {};
+    const cues = [];
+    const tokens = words(String(text).replace(/(\p{L})\1{2,}/gu, '$1')); // "tristeee" -> "triste"
+
+    tokens.forEach((token, index) => {
+        for (const { mood, entry, sequence } of COMPILED) {
+            if (!matchesAt(tokens, index, sequence)) {
+                continue;
+            }
+            const before = tokens.slice(Math.max(0, index - 2), index);
+            if (before.some(word => NEGATIONS.has(word))) {
+                continue;
+            }
+            scores[mood] = (scores[mood] || 0) + (INTENSIFIERS.has(tokens[index - 1]) ? 1.5 : 1);
+            cues.push(entry.replace(/\*$/, ''));
+        }
+    });
+
+    for (const [mood, emoji] of Object.entries(EMOJI)) {
+        for (const symbol of emoji) {
+            const count = String(text).split(symbol).length - 1;
+            if (count > 0) {
+                scores[mood] = (scores[mood] || 0) + Math.min(count, 2) * 0.75;
+                cues.push(symbol);
+            }
+        }
+    }
+
+    return { scores, cues };
+}
+
+const analyzers = {
+    // Word and emoji lexicon: no API calls
+    lexicon: () => async (text) => {
+        const { scores, cues } = scoreText(text);
+        const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+        if (total === 0) {
+            return { ...NEUTRAL };
+        }
+
+        const mood = MOODS.reduce((best, candidate) => (scores[candidate] || 0) > (scores[best] || 0) ? candidate : best, 'neutral');
+        const valence = Object.entries(scores).reduce((sum, [name, score]) => sum + VALENCE[name] * score, 0) / total;
+        return {
+            mood,
+            valence: Math.round(valence * 100) / 100,
+            intensity: Math.round(Math.min(1, scores[mood] / 1.5) * 100) / 100,
+            cues: [...new Set(cues)]
+        };
+    },
+
+    // OpenAI chat model answering in JSON
+    openai: (options = {}) => {
+        if (!options.apiKey) {
+            logger.warn('OPENAI_API_KEY not configured - incoming messages will not be analyzed for mood');
+            return null;
+        }
+        const client = new OpenAI({ apiKey: options.apiKey });
+        const model = options.model || 'gpt-4o-mini';
+
+        return async (text, context = {}) => {
+            const completion = await client.chat.completions.create({
+                model,
+                temperature: 0,
+                max_tokens: 60,
+                response_format: { type: 'json_object' },
+                messages: [
+                    { role: 'system', content: ANALYSIS_PROMPT.replace('{language}', context.language || 'Spanish') },
+                    { role: 'user', content: text }
+                ]
+            });
+            const data = JSON.parse(completion.choices[0].message.content || '{}');
+            const clamp = (value, min) => Math.max(min, Math.min(1, Number(value) || 0));
+            return MOODS.includes(data.mood)
+                ? { mood: data.mood, valence: clamp(data.valence, -1), intensity: clamp(data.intensity, 0), cues: [] }
+                : { ...NEUTRAL };
+        };
+    },
+
+    none: () => null
+};
+
+function registerAnalyzer(name, factory) {
+    analyzers[name] = factory;
+}
+
+// Build the named analyzer; unknown names log a warning and disable mood analysis
+function createAnalyzer(name = 'lexicon', options = {}) {
+    const factory = analyzers[name];
+    if (!factory) {
+        logger.warn(`Unknown mood analyzer '${name}' - incoming messages will not be analyzed for mood`);
+        return null;
+    }
+    return factory(options);
+}
+
+function getAnalyzers() {
+    return Object.keys(analyzers);
+}
+
+module.exports = {
+    MOODS,
+    VALENCE,
+    registerAnalyzer,
+    createAnalyzer,
+    getAnalyzers
+};
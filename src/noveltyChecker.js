@@ -0,0 +1,115 @@
+/**
+ * Compares a new message with our recent outgoing messages to catch
+ * repetition the prompts alone don't prevent:
+ *
+ *   overlap:  share of the message's word n-grams already used in one recent message
+ *   opening:  the message starts like one of the last few messages
+ *   pet names: a pet name used in most of the recent messages (they should rotate)
+ *
+ * Matching ignores case, accents and punctuation. The validator's
+ * ngram-overlap, repeated-opening and pet-name-rotation rules are built on
+ * these functions, and the prompt uses the pet name rotation.
+ */
+
+// Lowercase words without accents or punctuation; voice notes count by their transcript
+function words(text) {
+    return String(text || '')
+        .replace(/^\[Voice:\s*/, '').replace(/\]$/, '')
+        .normalize('NFD').replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+function ngrams(text, n) {
+    const list = words(text);
+    const grams = new Set();
+    for (let i = 0; i + n <= list.length; i++) {
+        grams.add(list.slice(i, i + n).join(' '));
+    }
+    return grams;
+}
+
+// Share of the message's n-grams found in `previous` (0 to 1). Messages shorter than n
+// words only overlap when they are the same
+function overlap(message, previous, n = 3) {
+    const grams = ngrams(message, n);
+    if (grams.size === 0) {
+        return words(message).join(' ') === words(previous).join(' ') ? 1 : 0;
+    }
+    const previousGrams = ngrams(previous, n);
+    let shared = 0;
+    grams.forEach(gram => {
+        if (previousGrams.has(gram)) {
+            shared++;
+        }
+    });
+    return shared / grams.size;
+}
+
+// The recent message the new one overlaps most with
+function maxOverlap(message, recent, n = 3) {
+    return recent.reduce((best, previous) => {
+        const score = overlap(message, previous, n);
+        return score > best.score ? { score, similarTo: previous } : best;
+    }, { score: 0, similarTo: null });
+}
+
+function opening(text, count = 3) {
+    return words(text).slice(0, count).join(' ');
+}
+
+// How many of the last `within` messages start with the same words
+function openingRepeats(message, recent, count = 3, within = 5) {
+    const start = opening(message, count);
+    if (words(message).length < count) {
+        return { opening: start, repeats: 0 };
+    }
+    const repeats = recent.slice(-within).filter(previous => opening(previous, count) === start).length;
+    return { opening: start, repeats };
+}
+
+// Pet names (whole words or phrases) that appear in a text
+function petNamesIn(text, petNames) {
+    const padded = ` ${words(text).join(' ')} `;
+    return petNames.filter(name => {
+        const normalized = words(name).join(' ');
+        return normalized && padded.includes(` ${normalized} `);
+    });
+}
+
+// In how many of the recent messages each pet name appears
+function petNameCounts(recent, petNames) {
+    const counts = new Map(petNames.map(name => [name, 0]));
+    recent.forEach(previous => {
+        petNamesIn(previous, petNames).forEach(name => counts.set(name, counts.get(name) + 1));
+    });
+    return counts;
+}
+
+// Pet names used in more than `maxShare` of the last `within` messages, and the least used
+// ones to rotate to. Nothing is overused until there are `minRecent` messages
+function petNameRotation(recent, petNames, options = {}) {
+    const window = recent.slice(-(options.within || 6));
+    const counts = petNameCounts(window, petNames);
+    const overused = window.length >= (options.minRecent || 3)
+        ? petNames.filter(name => counts.get(name) / window.length > (options.maxShare ?? 0.5))
+        : [];
+    const suggestions = petNames
+        .filter(name => !overused.some(used => petNamesIn(used, [name]).length > 0 || petNamesIn(name, [used]).length > 0))
+        .sort((a, b) => counts.get(a) - counts.get(b))
+        .slice(0, options.suggestions || 3);
+    return { counts: Object.fromEntries(counts), overused, suggestions };
+}
+
+module.exports = {
+    words,
+    ngrams,
+    overlap,
+    maxOverlap,
+    opening,
+    openingRepeats,
+    petNamesIn,
+    petNameCounts,
+    petNameRotation
+};
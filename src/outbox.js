@@ -0,0 +1,308 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+
+const STATUSES = ['pending', 'sending', 'sent', 'failed', 'expired'];
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Durable queue of outgoing messages in data/outbox.json. Generated and
+ * manual messages are enqueued before they are sent, so a failed send keeps
+ * the text: the worker retries it with exponential backoff while WhatsApp is
+ * connected, and pending entries left over from a disconnection or a restart
+ * go out once it is ready again. Entries not sent within `ttlHours` expire.
+ *
+ *   pending -> sending -> sent
+ *                      -> pending (retry after backoff) -> ... -> failed
+ *   pending -> expired
+ */
+class Outbox {
+    constructor(dataDir = './data', options = {}) {
+        this.dataDir = dataDir;
+        this.outboxFile = path.join(dataDir, 'outbox.json');
+        this.send = options.send; // async (entry) => WhatsApp result
+        this.isReady = options.isReady || (() => true);
+        this.onSent = options.onSent || null;
+        this.maxAttempts = options.maxAttempts || 5;
+        this.baseDelaySeconds = options.baseDelaySeconds || 30;
+        this.maxDelaySeconds = options.maxDelaySeconds || 30 * 60;
+        this.ttlHours = options.ttlHours ?? 6;
+        this.retentionHours = options.retentionHours ?? 7 * 24;
+        this.pollSeconds = options.pollSeconds || 15;
+        this.entries = new Map();
+        this.timer = null;
+        this.processing = false;
+        this.stats = {
+            sent: 0,
+            retried: 0,
+            failed: 0,
+            expired: 0
+        };
+    }
+
+    async load() {
+        try {
+            if (await fs.pathExists(this.outboxFile)) {
+                const data = await fs.readJson(this.outboxFile);
+                for (const entry of data.entries || []) {
+                    // A send interrupted by a restart may or may not have gone out; send it again
+                    if (entry.status === 'sending') {
+                        entry.status = 'pending';
+                    }
+                    this.entries.set(entry.id, entry);
+                }
+                logger.info(`Loaded outbox: ${this.getAll({ status: 'pending' }).length} pending message(s)`);
+            }
+        } catch (error) {
+            logger.error('Failed to load outbox:', error);
+        }
+    }
+
+    async save() {
+        try {
+            await fs.ensureDir(this.dataDir);
+            await fs.writeJson(this.outboxFile, {
+                metadata: {
+                    version: '1.0',
+                    lastUpdated: Date.now()
+                },
+                entries: this.getAll()
+            }, { spaces: 2 });
+        } catch (error) {
+            logger.error('Failed to save outbox:', error);
+        }
+    }
+
+    // Start the worker; it also runs right away when an entry is enqueued or WhatsApp reconnects
+    start() {
+        if (!this.timer) {
+            this.timer = setInterval(() => this.process(), this.pollSeconds * 1000);
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Add a message to the queue. `kind` is 'text' (with `text`), 'voice' (with `filePath`) or
+    // 'media' (with `filePath`, `media` { id, kind } and the caption in `text`)
+    async enqueue(data) {
+        const now = Date.now();
+        const entry = {
+            id: `out_${now}_${Math.random().toString(36).substr(2, 6)}`,
+            phoneNumber: String(data.phoneNumber || '').replace(/\D/g, ''),
+            kind: data.kind || 'text',
+            text: data.text || null,
+            filePath: data.filePath || null,
+            media: data.media || null,
+            type: data.type || 'automatic',
+            meta: data.meta || {},
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: now,
+            lastError: null,
+            createdAt: now,
+            updatedAt: now,
+            sentAt: null,
+            expiresAt: this.ttlHours > 0 ? now + this.ttlHours * HOUR : null
+        };
+
+        this.entries.set(entry.id, entry);
+        await this.save();
+        logger.debug(`Outbox: queued ${entry.kind} message ${entry.id} for ${entry.phoneNumber}`);
+        return entry;
+    }
+
+    // Enqueue and try to send right away. Resolves with the entry: 'sent', or still 'pending'
+    // when it will be retried; throws once the entry has failed for good
+    async deliver(data) {
+        const entry = await this.enqueue(data);
+        if (this.isReady()) {
+            await this.attempt(entry);
+        } else {
+            logger.warn(`Outbox: WhatsApp not ready, message ${entry.id} will be sent after reconnecting`);
+        }
+
+        if (entry.status === 'failed') {
+            throw new Error(entry.lastError || 'Send failed');
+        }
+        return entry;
+    }
+
+    // Send every due entry, oldest first. Stops early when WhatsApp disconnects
+    async process() {
+        if (this.processing) {
+            return;
+        }
+        this.processing = true;
+
+        try {
+            const now = Date.now();
+            let changed = this.expire(now) > 0;
+            changed = this.prune(now) > 0 || changed;
+            if (changed) {
+                await this.save();
+            }
+
+            const due = this.getAll({ status: 'pending' })
+                .filter(entry => entry.nextAttemptAt <= now)
+                .sort((a, b) => a.createdAt - b.createdAt);
+
+            for (const entry of due) {
+                if (!this.isReady()) {
+                    break;
+                }
+                await this.attempt(entry);
+            }
+        } catch (error) {
+            logger.error('Outbox processing failed:', error);
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async attempt(entry) {
+        if (entry.status !== 'pending') {
+            return entry;
+        }
+
+        entry.status = 'sending';
+        entry.attempts++;
+        entry.updatedAt = Date.now();
+
+        try {
+            const result = await this.send(entry);
+            entry.status = 'sent';
+            entry.sentAt = Date.now();
+            entry.lastError = null;
+            entry.messageId = result && result.id ? result.id._serialized || result.id : null;
+            this.stats.sent++;
+            logger.info(`Outbox: message ${entry.id} sent to ${entry.phoneNumber} (attempt ${entry.attempts})`);
+        } catch (error) {
+            entry.lastError = error.message;
+            if (entry.attempts >= this.maxAttempts) {
+                entry.status = 'failed';
+                this.stats.failed++;
+                logger.error(`Outbox: message ${entry.id} to ${entry.phoneNumber} failed after ${entry.attempts} attempt(s): ${error.message}`);
+            } else {
+                entry.status = 'pending';
+                entry.nextAttemptAt = Date.now() + this.getRetryDelay(entry.attempts) * 1000;
+                this.stats.retried++;
+                logger.warn(`Outbox: message ${entry.id} to ${entry.phoneNumber} failed (attempt ${entry.attempts}), retrying at ${new Date(entry.nextAttemptAt).toISOString()}: ${error.message}`);
+            }
+        }
+
+        entry.updatedAt = Date.now();
+        await this.save();
+
+        if (entry.status === 'sent' && this.onSent) {
+            try {
+                await this.onSent(entry);
+            } catch (error) {
+                logger.error(`Outbox: post-send handling of ${entry.id} failed:`, error);
+            }
+        }
+        return entry;
+    }
+
+    // Seconds to wait after the nth failed attempt: base, 2x base, 4x base... up to maxDelaySeconds
+    getRetryDelay(attempts) {
+        return Math.min(this.baseDelaySeconds * Math.pow(2, attempts - 1), this.maxDelaySeconds);
+    }
+
+    // Expire pending entries older than the TTL; returns how many expired
+    expire(now = Date.now()) {
+        let count = 0;
+        for (const entry of this.entries.values()) {
+            if (entry.status === 'pending' && entry.expiresAt && entry.expiresAt <= now) {
+                entry.status = 'expired';
+                entry.updatedAt = now;
+                this.stats.expired++;
+                count++;
+                logger.warn(`Outbox: message ${entry.id} to ${entry.phoneNumber} expired after ${entry.attempts} attempt(s)`);
+            }
+        }
+        return count;
+    }
+
+    // Drop finished entries older than the retention period; returns how many were dropped
+    prune(now = Date.now()) {
+        let count = 0;
+        for (const [id, entry] of this.entries) {
+            if (!['pending', 'sending'].includes(entry.status) && now - entry.updatedAt > this.retentionHours * HOUR) {
+                this.entries.delete(id);
+                count++;
+            }
+        }
+        return count;
+    }
+
+    // Put a failed or expired entry back in the queue with a fresh TTL
+    async retry(id) {
+        const entry = this.entries.get(id);
+        if (!entry || !['failed', 'expired'].includes(entry.status)) {
+            return null;
+        }
+
+        const now = Date.now();
+        Object.assign(entry, {
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: now,
+            updatedAt: now,
+            expiresAt: this.ttlHours > 0 ? now + this.ttlHours * HOUR : null
+        });
+        await this.save();
+        this.process();
+        return entry;
+    }
+
+    // Remove an entry that is not being sent right now
+    async remove(id) {
+        const entry = this.entries.get(id);
+        if (!entry || entry.status === 'sending') {
+            return false;
+        }
+        this.entries.delete(id);
+        await this.save();
+        return true;
+    }
+
+    // Drop the pending entries of a recipient (e.g. when it is removed)
+    async forget(phoneNumber) {
+        const ids = this.getAll({ phoneNumber, status: 'pending' }).map(entry => entry.id);
+        if (ids.length > 0) {
+            ids.forEach(id => this.entries.delete(id));
+            await this.save();
+        }
+        return ids.length;
+    }
+
+    get(id) {
+        return this.entries.get(id) || null;
+    }
+
+    getAll(filter = {}) {
+        return Array.from(this.entries.values()).filter(entry =>
+            (!filter.status || entry.status === filter.status) &&
+            (!filter.phoneNumber || entry.phoneNumber === filter.phoneNumber));
+    }
+
+    getStats() {
+        const counts = {};
+        STATUSES.forEach(status => {
+            counts[status] = 0;
+        });
+        for (const entry of this.entries.values()) {
+            counts[entry.status]++;
+        }
+        return { ...counts, totals: { ...this.stats } };
+    }
+}
+
+Outbox.STATUSES = STATUSES;
+
+module.exports = Outbox;
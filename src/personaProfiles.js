@@ -0,0 +1,119 @@
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('./logger');
+const { renderTemplate, loadTemplate, loadStrings, resolveLanguage } = require('./promptTemplates');
+
+const BUILT_IN_PROFILES_DIR = path.join(__dirname, 'profiles');
+const PROFILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Loads persona profiles (sender identity, recipient description, pet names,
+ * examples, forbidden topics and tone) from JSON/YAML files. Profiles in later
+ * directories override built-in ones with the same id.
+ */
+class PersonaProfiles {
+    constructor(options = {}) {
+        this.directories = options.directories || [BUILT_IN_PROFILES_DIR, path.join('./data', 'profiles')];
+        this.defaultProfileId = options.defaultProfileId || 'godoy';
+        this.profiles = new Map();
+        this.load();
+    }
+
+    load() {
+        this.profiles.clear();
+
+        for (const directory of this.directories) {
+            if (!fs.pathExistsSync(directory)) {
+                continue;
+            }
+
+            const files = fs.readdirSync(directory)
+                .filter(file => PROFILE_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+
+            for (const file of files) {
+                const filePath = path.join(directory, file);
+                try {
+                    const profile = this.parseProfile(filePath);
+                    this.profiles.set(profile.id, profile);
+                    logger.debug(`Loaded persona profile '${profile.id}' from ${filePath}`);
+                } catch (error) {
+                    logger.error(`Failed to load persona profile ${filePath}:`, error);
+                }
+            }
+        }
+
+        if (!this.profiles.has(this.defaultProfileId)) {
+            logger.warn(`Default persona profile '${this.defaultProfileId}' not found`);
+        }
+
+        logger.info(`Loaded ${this.profiles.size} persona profile(s)`);
+        return this.list();
+    }
+
+    parseProfile(filePath) {
+        const content = fs.readFileSync(filePath, 'utf8');
+        const data = path.extname(filePath).toLowerCase() === '.json'
+            ? JSON.parse(content)
+            : yaml.load(content);
+
+        if (!data || !data.sender || !data.sender.name || !data.recipient) {
+            throw new Error('Profile must define at least sender.name and recipient');
+        }
+
+        return {
+            petNames: [],
+            forbiddenTopics: [],
+            exampleMessages: [],
+            voiceExampleMessages: [],
+            fallbackMessages: [],
+            voiceFallbackMessages: [],
+            styleMarkers: [],
+            avoidPhrases: [],
+            ...data,
+            id: data.id || path.basename(filePath, path.extname(filePath)),
+            baseDir: path.dirname(filePath)
+        };
+    }
+
+    has(profileId) {
+        return this.profiles.has(profileId);
+    }
+
+    // Get a profile by id, falling back to the default profile
+    get(profileId = null) {
+        if (profileId && this.profiles.has(profileId)) {
+            return this.profiles.get(profileId);
+        }
+
+        if (profileId) {
+            logger.warn(`Persona profile '${profileId}' not found, using '${this.defaultProfileId}'`);
+        }
+
+        return this.profiles.get(this.defaultProfileId) || this.profiles.values().next().value || null;
+    }
+
+    list() {
+        return Array.from(this.profiles.values()).map(profile => ({
+            id: profile.id,
+            language: profile.language || null,
+            sender: profile.sender.name,
+            recipient: profile.recipient.name || null,
+            relationship: profile.recipient.relationship || null
+        }));
+    }
+
+    // Render one of the language's prompt templates for a profile. Profiles may override
+    // templates with their own files, which are used for the profile's own language only
+    render(profile, templateName, variables = {}, language = profile.language) {
+        const lang = resolveLanguage(language);
+        const override = profile.templates && profile.templates[templateName];
+        const template = override && lang === resolveLanguage(profile.language)
+            ? loadTemplate(path.resolve(profile.baseDir, override))
+            : loadTemplate(templateName, lang);
+
+        return renderTemplate(template, { orWord: loadStrings(lang).orWord, ...profile, ...variables });
+    }
+}
+
+module.exports = PersonaProfiles;
@@ -0,0 +1,132 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Minimal prompt template renderer.
+ *
+ *   {{sender.name}}            value (arrays are joined with ", ")
+ *   {{sender.name|upper}}      upper-cased value
+ *   {{quoted petNames}}        "a", "b", "c"
+ *   {{quoted names|or}}        "a" o "b" (uses the language's `orWord`)
+ *   {{list exampleMessages}}   one "- item" line per entry (add |quoted to quote each item)
+ *   {{#if style.requiresPetName}}...{{else}}...{{/if}}   conditional block (not nestable)
+ *
+ * Missing values render as an empty string. Templates live in one folder per
+ * language (templates/spanish, templates/english, ...) together with a
+ * strings.json holding the shorter prompt fragments.
+ */
+
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+const DEFAULT_LANGUAGE = 'spanish';
+const LANGUAGE_ALIASES = {
+    es: 'spanish',
+    'es-es': 'spanish',
+    espanol: 'spanish',
+    'español': 'spanish',
+    en: 'english',
+    'en-us': 'english',
+    ingles: 'english',
+    'inglés': 'english'
+};
+
+const templateCache = new Map();
+const stringsCache = new Map();
+
+function resolvePath(data, keyPath) {
+    return keyPath.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+}
+
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderTemplate(template, data = {}) {
+    const withConditionals = template.replace(
+        /\{\{#if\s+([\w.]+)\s*\}\}([\s\S]*?)(?:\{\{else\}\}([\s\S]*?))?\{\{\/if\}\}/g,
+        (match, keyPath, whenTrue, whenFalse = '') => (isTruthy(resolvePath(data, keyPath)) ? whenTrue : whenFalse)
+    );
+
+    return withConditionals.replace(/\{\{\s*(?:(list|quoted)\s+)?([\w.]+)((?:\|\w+)*)\s*\}\}/g, (match, helper, keyPath, filterChain) => {
+        const value = resolvePath(data, keyPath);
+        if (value === undefined || value === null) {
+            return '';
+        }
+
+        const filters = filterChain.split('|').filter(Boolean);
+        let items = (Array.isArray(value) ? value : [value]).map(String);
+
+        if (helper === 'quoted' || filters.includes('quoted')) {
+            items = items.map(item => `"${item}"`);
+        }
+        if (filters.includes('upper')) {
+            items = items.map(item => item.toUpperCase());
+        }
+
+        if (helper === 'list') {
+            return items.map(item => `- ${item}`).join('\n');
+        }
+
+        return items.join(filters.includes('or') ? ` ${data.orWord || 'o'} ` : ', ');
+    });
+}
+
+// Normalize a language name ("es", "Español", "english"...) to a template folder name
+function resolveLanguage(language) {
+    const key = String(language || DEFAULT_LANGUAGE).trim().toLowerCase();
+    const resolved = LANGUAGE_ALIASES[key] || key;
+    return fs.pathExistsSync(path.join(TEMPLATES_DIR, resolved)) ? resolved : DEFAULT_LANGUAGE;
+}
+
+function getSupportedLanguages() {
+    return fs.readdirSync(TEMPLATES_DIR)
+        .filter(entry => fs.statSync(path.join(TEMPLATES_DIR, entry)).isDirectory());
+}
+
+// Load a template file; bare names are resolved against the language's template folder
+function loadTemplate(nameOrPath, language = DEFAULT_LANGUAGE) {
+    const filePath = path.isAbsolute(nameOrPath)
+        ? nameOrPath
+        : path.join(TEMPLATES_DIR, resolveLanguage(language), nameOrPath.endsWith('.txt') ? nameOrPath : `${nameOrPath}.txt`);
+
+    if (!templateCache.has(filePath)) {
+        templateCache.set(filePath, fs.readFileSync(filePath, 'utf8'));
+    }
+    return templateCache.get(filePath);
+}
+
+// Load the language's prompt fragments; array values are joined into multi-line strings
+function loadStrings(language = DEFAULT_LANGUAGE) {
+    const resolved = resolveLanguage(language);
+
+    if (!stringsCache.has(resolved)) {
+        const joinLines = (value) => {
+            if (Array.isArray(value)) {
+                return value.join('\n');
+            }
+            if (value && typeof value === 'object') {
+                return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, joinLines(entry)]));
+            }
+            return value;
+        };
+
+        const strings = fs.readJsonSync(path.join(TEMPLATES_DIR, resolved, 'strings.json'));
+        stringsCache.set(resolved, { ...joinLines(strings), id: resolved });
+    }
+    return stringsCache.get(resolved);
+}
+
+function clearTemplateCache() {
+    templateCache.clear();
+    stringsCache.clear();
+}
+
+module.exports = {
+    TEMPLATES_DIR,
+    DEFAULT_LANGUAGE,
+    renderTemplate,
+    resolveLanguage,
+    getSupportedLanguages,
+    loadTemplate,
+    loadStrings,
+    clearTemplateCache
+};
@@ -0,0 +1,334 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+const SendWindow = require('./sendWindow');
+const HumanizedScheduler = require('./humanizedScheduler');
+const MediaLibrary = require('./mediaLibrary');
+
+const MAX_CANDIDATES = 5;
+
+/**
+ * File-backed registry of the contacts that receive automated messages.
+ * Each recipient carries its own intervals, language, style, timezone, send
+ * windows and enabled flag.
+ */
+class RecipientRegistry {
+    constructor(dataDir = './data', defaults = {}) {
+        this.dataDir = dataDir;
+        this.registryFile = path.join(dataDir, 'recipients.json');
+        this.recipients = new Map();
+        this.defaults = {
+            messageIntervalSeconds: 10,
+            voiceIntervalSeconds: 240,
+            language: 'spanish',
+            style: 'romantic',
+            profile: null,
+            rules: null,
+            timezone: null,
+            country: null,
+            quietHours: [],
+            activeWindows: [],
+            outsideWindowPolicy: 'skip',
+            scheduleMode: 'interval',
+            candidates: 1,
+            ...defaults,
+            autoReply: {
+                enabled: false,
+                delaySeconds: 45,
+                jitterSeconds: 60,
+                debounceSeconds: 20,
+                maxWaitSeconds: 300,
+                ...(defaults.autoReply || {})
+            },
+            engagement: {
+                enabled: true,
+                slowdownAfter: 2,
+                slowdownMinutes: 120,
+                maxUnanswered: 4,
+                checkInAfterHours: 24,
+                maxCheckIns: 1,
+                ...(defaults.engagement || {})
+            },
+            humanized: {
+                minPerDay: 4,
+                maxPerDay: 7,
+                minSpacingMinutes: 45,
+                dailyCap: null,
+                ...(defaults.humanized || {})
+            },
+            specialDates: {
+                enabled: true,
+                themedMessages: true,
+                messageTime: '10:00',
+                ...(defaults.specialDates || {})
+            },
+            approval: {
+                enabled: false,
+                timeoutMinutes: 60,
+                onTimeout: 'expire',
+                ...(defaults.approval || {})
+            },
+            media: {
+                enabled: false,
+                chance: 0.1,
+                matchChance: 0.5,
+                replaceChance: 0.3,
+                kinds: ['image', 'sticker', 'gif'],
+                ...(defaults.media || {})
+            }
+        };
+    }
+
+    // Load recipients from disk, seeding from `seedPhoneNumber` when the registry is empty
+    async load(seedPhoneNumber = null) {
+        try {
+            await fs.ensureDir(this.dataDir);
+
+            if (await fs.pathExists(this.registryFile)) {
+                const data = await fs.readJson(this.registryFile);
+                for (const recipient of data.recipients || []) {
+                    const normalized = this.buildRecipient(recipient);
+                    this.recipients.set(normalized.phoneNumber, normalized);
+                }
+                logger.info(`Loaded ${this.recipients.size} recipient(s) from registry`);
+            }
+
+            if (this.recipients.size === 0 && seedPhoneNumber) {
+                await this.add({ phoneNumber: seedPhoneNumber });
+                logger.info(`Seeded recipient registry with ${seedPhoneNumber}`);
+            }
+
+            return this.getAll();
+        } catch (error) {
+            logger.error('Failed to load recipient registry:', error);
+            return this.getAll();
+        }
+    }
+
+    async save() {
+        try {
+            await fs.ensureDir(this.dataDir);
+            await fs.writeJson(this.registryFile, {
+                metadata: {
+                    version: '1.0',
+                    lastUpdated: Date.now()
+                },
+                recipients: this.getAll()
+            }, { spaces: 2 });
+        } catch (error) {
+            logger.error('Failed to save recipient registry:', error);
+        }
+    }
+
+    normalizePhoneNumber(phoneNumber) {
+        return String(phoneNumber || '').replace(/\D/g, '');
+    }
+
+    buildRecipient(data, existing = {}) {
+        const phoneNumber = this.normalizePhoneNumber(data.phoneNumber || existing.phoneNumber);
+        const pick = (key) => data[key] !== undefined ? data[key] : (existing[key] !== undefined ? existing[key] : this.defaults[key]);
+
+        return {
+            phoneNumber,
+            name: pick('name') || null,
+            enabled: pick('enabled') !== false,
+            messageIntervalSeconds: parseInt(pick('messageIntervalSeconds')) || this.defaults.messageIntervalSeconds,
+            voiceIntervalSeconds: parseInt(pick('voiceIntervalSeconds')) || this.defaults.voiceIntervalSeconds,
+            voiceEnabled: pick('voiceEnabled') !== false,
+            language: pick('language'),
+            style: pick('style'),
+            profile: pick('profile') || null,
+            rules: pick('rules') || null,
+            autoReply: this.buildAutoReply(data.autoReply, existing.autoReply),
+            timezone: pick('timezone') || null,
+            country: pick('country') ? String(pick('country')).toUpperCase() : null,
+            quietHours: pick('quietHours') || [],
+            activeWindows: pick('activeWindows') || [],
+            outsideWindowPolicy: pick('outsideWindowPolicy') === 'defer' ? 'defer' : 'skip',
+            scheduleMode: pick('scheduleMode') === 'humanized' ? 'humanized' : 'interval',
+            // Best of N: how many candidates to generate and rank per message (1 = off)
+            candidates: Math.min(Math.max(parseInt(pick('candidates')) || 1, 1), MAX_CANDIDATES),
+            humanized: this.buildHumanized(data.humanized, existing.humanized),
+            engagement: this.buildEngagement(data.engagement, existing.engagement),
+            specialDates: this.buildSpecialDates(data.specialDates, existing.specialDates),
+            approval: this.buildApproval(data.approval, existing.approval),
+            media: this.buildMedia(data.media, existing.media),
+            createdAt: existing.createdAt || data.createdAt || Date.now(),
+            updatedAt: Date.now()
+        };
+    }
+
+    // Merge auto-reply settings over the existing ones and the defaults
+    buildAutoReply(data = {}, existing = {}) {
+        const settings = { ...this.defaults.autoReply, ...existing, ...data };
+        const seconds = (key) => Math.max(0, parseFloat(settings[key]) || 0);
+
+        return {
+            enabled: settings.enabled === true,
+            delaySeconds: seconds('delaySeconds'),
+            jitterSeconds: seconds('jitterSeconds'),
+            debounceSeconds: seconds('debounceSeconds'),
+            maxWaitSeconds: Math.max(seconds('maxWaitSeconds'), seconds('delaySeconds'))
+        };
+    }
+
+    // Merge humanized scheduling settings over the existing ones and the defaults
+    buildHumanized(data = {}, existing = {}) {
+        const settings = { ...this.defaults.humanized, ...existing, ...data };
+        const dailyCap = parseInt(settings.dailyCap);
+
+        return {
+            minPerDay: parseInt(settings.minPerDay),
+            maxPerDay: parseInt(settings.maxPerDay),
+            minSpacingMinutes: parseFloat(settings.minSpacingMinutes),
+            dailyCap: Number.isNaN(dailyCap) ? null : dailyCap
+        };
+    }
+
+    // Merge engagement policy settings over the existing ones and the defaults
+    buildEngagement(data = {}, existing = {}) {
+        const settings = { ...this.defaults.engagement, ...existing, ...data };
+        const count = (key) => Math.max(0, parseInt(settings[key]) || 0);
+
+        return {
+            enabled: settings.enabled !== false,
+            slowdownAfter: Math.max(1, count('slowdownAfter')),
+            slowdownMinutes: Math.max(0, parseFloat(settings.slowdownMinutes) || 0),
+            maxUnanswered: Math.max(1, count('maxUnanswered')),
+            checkInAfterHours: Math.max(0, parseFloat(settings.checkInAfterHours) || 0),
+            maxCheckIns: count('maxCheckIns')
+        };
+    }
+
+    // Merge special date settings over the existing ones and the defaults
+    buildSpecialDates(data = {}, existing = {}) {
+        const settings = { ...this.defaults.specialDates, ...existing, ...data };
+
+        return {
+            enabled: settings.enabled !== false,
+            themedMessages: settings.themedMessages !== false,
+            messageTime: settings.messageTime || '10:00'
+        };
+    }
+
+    // Merge approval settings over the existing ones and the defaults. Drafts not reviewed within
+    // timeoutMinutes expire, or are sent when onTimeout is 'send'
+    buildApproval(data = {}, existing = {}) {
+        const settings = { ...this.defaults.approval, ...existing, ...data };
+
+        return {
+            enabled: settings.enabled === true,
+            timeoutMinutes: Math.max(1, parseFloat(settings.timeoutMinutes) || 60),
+            onTimeout: settings.onTimeout === 'send' ? 'send' : 'expire'
+        };
+    }
+
+    // Merge media settings over the existing ones and the defaults. With media on, the generator
+    // may send a library item (of `kinds`) with or instead of a message; the chances are 0-1
+    buildMedia(data = {}, existing = {}) {
+        const settings = { ...this.defaults.media, ...existing, ...data };
+        const chance = (key) => Math.min(Math.max(parseFloat(settings[key]) || 0, 0), 1);
+
+        return {
+            enabled: settings.enabled === true,
+            chance: chance('chance'),
+            matchChance: chance('matchChance'),
+            replaceChance: chance('replaceChance'),
+            kinds: Array.isArray(settings.kinds) ? settings.kinds : String(settings.kinds || '').split(',').map(kind => kind.trim()).filter(Boolean)
+        };
+    }
+
+    validate(recipient) {
+        if (!recipient.phoneNumber || recipient.phoneNumber.length < 6) {
+            return { valid: false, reason: 'A valid phone number is required' };
+        }
+        if (recipient.messageIntervalSeconds < 1 || recipient.voiceIntervalSeconds < 1) {
+            return { valid: false, reason: 'Intervals must be at least 1 second' };
+        }
+        const windowError = SendWindow.validate(recipient);
+        if (windowError) {
+            return { valid: false, reason: windowError };
+        }
+        const humanizedError = HumanizedScheduler.validate(recipient.humanized);
+        if (humanizedError) {
+            return { valid: false, reason: humanizedError };
+        }
+        if (recipient.country && !/^[A-Z]{2}$/.test(recipient.country)) {
+            return { valid: false, reason: 'country must be a two-letter country code' };
+        }
+        try {
+            SendWindow.parseTime(recipient.specialDates.messageTime);
+        } catch (error) {
+            return { valid: false, reason: `specialDates.messageTime: ${error.message}` };
+        }
+        const unknownKind = recipient.media.kinds.find(kind => !MediaLibrary.KINDS.includes(kind));
+        if (unknownKind) {
+            return { valid: false, reason: `media.kinds: unknown kind '${unknownKind}'` };
+        }
+        return { valid: true };
+    }
+
+    getAll() {
+        return Array.from(this.recipients.values());
+    }
+
+    getEnabled() {
+        return this.getAll().filter(recipient => recipient.enabled);
+    }
+
+    get(phoneNumber) {
+        return this.recipients.get(this.normalizePhoneNumber(phoneNumber)) || null;
+    }
+
+    has(phoneNumber) {
+        return this.recipients.has(this.normalizePhoneNumber(phoneNumber));
+    }
+
+    async add(data) {
+        const recipient = this.buildRecipient(data);
+        const validation = this.validate(recipient);
+        if (!validation.valid) {
+            throw new Error(validation.reason);
+        }
+        if (this.recipients.has(recipient.phoneNumber)) {
+            throw new Error(`Recipient ${recipient.phoneNumber} already exists`);
+        }
+
+        this.recipients.set(recipient.phoneNumber, recipient);
+        await this.save();
+        logger.info(`Added recipient ${recipient.phoneNumber}`);
+        return recipient;
+    }
+
+    async update(phoneNumber, changes) {
+        const existing = this.get(phoneNumber);
+        if (!existing) {
+            return null;
+        }
+
+        // The phone number is the registry key and cannot be changed in place
+        const recipient = this.buildRecipient({ ...changes, phoneNumber: existing.phoneNumber }, existing);
+        const validation = this.validate(recipient);
+        if (!validation.valid) {
+            throw new Error(validation.reason);
+        }
+
+        this.recipients.set(recipient.phoneNumber, recipient);
+        await this.save();
+        logger.info(`Updated recipient ${recipient.phoneNumber}`);
+        return recipient;
+    }
+
+    async remove(phoneNumber) {
+        const key = this.normalizePhoneNumber(phoneNumber);
+        if (!this.recipients.delete(key)) {
+            return false;
+        }
+
+        await this.save();
+        logger.info(`Removed recipient ${key}`);
+        return true;
+    }
+}
+
+module.exports = RecipientRegistry;
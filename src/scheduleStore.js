@@ -0,0 +1,106 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Persisted scheduler state in data/schedule.json: which jobs were stopped
+ * through the API and the custom task definitions. Recipient intervals live
+ * in the recipient registry; this store only keeps what the registry doesn't.
+ *
+ *   jobs:        { 'autoMessages:1234567890': { paused: true, updatedAt } }
+ *   customTasks: { goodMorning: { expression, timezone, action, phoneNumber, createdAt } }
+ */
+class ScheduleStore {
+    constructor(dataDir = './data') {
+        this.dataDir = dataDir;
+        this.stateFile = path.join(dataDir, 'schedule.json');
+        this.jobs = {};
+        this.customTasks = {};
+        this.loaded = false;
+    }
+
+    async load() {
+        try {
+            if (await fs.pathExists(this.stateFile)) {
+                const data = await fs.readJson(this.stateFile);
+                this.jobs = data.jobs || {};
+                this.customTasks = data.customTasks || {};
+                this.loaded = true;
+                logger.info(`Loaded schedule state: ${this.getPausedJobs().length} paused job(s), ${Object.keys(this.customTasks).length} custom task(s)`);
+            }
+        } catch (error) {
+            logger.error('Failed to load schedule state:', error);
+        }
+        return this.loaded;
+    }
+
+    async save() {
+        try {
+            await fs.ensureDir(this.dataDir);
+            await fs.writeJson(this.stateFile, {
+                metadata: {
+                    version: '1.0',
+                    lastUpdated: Date.now()
+                },
+                jobs: this.jobs,
+                customTasks: this.customTasks
+            }, { spaces: 2 });
+        } catch (error) {
+            logger.error('Failed to save schedule state:', error);
+        }
+    }
+
+    isPaused(name) {
+        return Boolean(this.jobs[name] && this.jobs[name].paused);
+    }
+
+    getPausedJobs() {
+        return Object.keys(this.jobs).filter(name => this.jobs[name].paused);
+    }
+
+    async setPaused(names, paused) {
+        for (const name of [].concat(names)) {
+            if (paused) {
+                this.jobs[name] = { paused: true, updatedAt: Date.now() };
+            } else {
+                delete this.jobs[name];
+            }
+        }
+        await this.save();
+    }
+
+    // Drop the saved state of jobs that no longer exist (e.g. a deleted recipient)
+    async forgetJobs(names) {
+        [].concat(names).forEach(name => delete this.jobs[name]);
+        await this.save();
+    }
+
+    getCustomTasks() {
+        return Object.entries(this.customTasks).map(([name, task]) => ({ name, ...task }));
+    }
+
+    getCustomTask(name) {
+        return this.customTasks[name] ? { name, ...this.customTasks[name] } : null;
+    }
+
+    async saveCustomTask(task) {
+        const { name, ...definition } = task;
+        this.customTasks[name] = {
+            ...definition,
+            createdAt: this.customTasks[name] ? this.customTasks[name].createdAt : Date.now()
+        };
+        await this.save();
+        return this.getCustomTask(name);
+    }
+
+    async removeCustomTask(name) {
+        if (!this.customTasks[name]) {
+            return false;
+        }
+        delete this.customTasks[name];
+        await this.save();
+        return true;
+    }
+}
+
+module.exports = ScheduleStore;
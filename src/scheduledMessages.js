@@ -0,0 +1,324 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+const CronExpression = require('./cronExpression');
+const SendWindow = require('./sendWindow');
+
+const REPEATS = ['daily', 'weekly', 'monthly', 'yearly'];
+const HOUR = 60 * 60 * 1000;
+const MAX_MISSED_SCAN = 10000;
+const LOCAL_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?)?$/;
+
+/**
+ * File-backed list of messages scheduled for specific dates, in
+ * data/scheduled-messages.json. A message is either literal `text` or a
+ * `prompt` for the generator, optionally with `media` from the media library
+ * ({ id } or { tags } to pick one when it fires), or the media alone. It
+ * fires once at `sendAt`, on a `repeat` of
+ * `sendAt` (daily, weekly, monthly, yearly) or on a `cron` expression, in the
+ * message's timezone.
+ *
+ * Occurrences missed while the process was down are sent once on startup when
+ * they are less than `catchUpHours` old.
+ */
+class ScheduledMessages {
+    constructor(dataDir = './data', options = {}) {
+        this.dataDir = dataDir;
+        this.messagesFile = path.join(dataDir, 'scheduled-messages.json');
+        this.catchUpHours = options.catchUpHours ?? 6;
+        this.messages = new Map();
+    }
+
+    async load() {
+        try {
+            if (await fs.pathExists(this.messagesFile)) {
+                const data = await fs.readJson(this.messagesFile);
+                for (const message of data.messages || []) {
+                    this.messages.set(message.id, message);
+                }
+                logger.info(`Loaded ${this.messages.size} scheduled message(s)`);
+            }
+        } catch (error) {
+            logger.error('Failed to load scheduled messages:', error);
+        }
+        return this.getAll();
+    }
+
+    async save() {
+        try {
+            await fs.ensureDir(this.dataDir);
+            await fs.writeJson(this.messagesFile, {
+                metadata: {
+                    version: '1.0',
+                    lastUpdated: Date.now()
+                },
+                messages: this.getAll()
+            }, { spaces: 2 });
+        } catch (error) {
+            logger.error('Failed to save scheduled messages:', error);
+        }
+    }
+
+    buildMessage(data, existing = {}) {
+        const pick = (key, fallback = null) => data[key] !== undefined ? data[key] : (existing[key] !== undefined ? existing[key] : fallback);
+        const sendAt = pick('sendAt') ? parseSendAt(pick('sendAt'), pick('timezone')) : null;
+
+        return {
+            id: existing.id || `sched_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+            phoneNumber: String(pick('phoneNumber', '')).replace(/\D/g, ''),
+            description: pick('description'),
+            text: pick('text') || null,
+            prompt: pick('prompt') || null,
+            media: buildMedia(pick('media')),
+            sendAt: sendAt && !Number.isNaN(sendAt.getTime()) ? sendAt.toISOString() : sendAt && 'invalid',
+            repeat: pick('repeat'),
+            cron: pick('cron') || null,
+            timezone: pick('timezone'),
+            enabled: pick('enabled', true) !== false,
+            catchUp: pick('catchUp', true) !== false,
+            status: data.sendAt !== undefined || data.cron !== undefined || data.repeat !== undefined
+                ? 'scheduled'
+                : existing.status || 'scheduled',
+            sentCount: existing.sentCount || 0,
+            lastFireAt: existing.lastFireAt || null,
+            lastSentAt: existing.lastSentAt || null,
+            lastResult: existing.lastResult || null,
+            lastError: existing.lastError || null,
+            createdAt: existing.createdAt || Date.now(),
+            updatedAt: Date.now()
+        };
+    }
+
+    validate(message, now = Date.now()) {
+        if (!message.phoneNumber) {
+            return { valid: false, reason: 'phoneNumber is required' };
+        }
+        if (message.text && message.prompt) {
+            return { valid: false, reason: 'Provide either text or prompt' };
+        }
+        if (message.media === 'invalid') {
+            return { valid: false, reason: 'media needs an id or tags' };
+        }
+        if (!message.text && !message.prompt && !message.media) {
+            return { valid: false, reason: 'Provide text, prompt or media' };
+        }
+        if (message.sendAt === 'invalid') {
+            return { valid: false, reason: 'sendAt must be a valid date' };
+        }
+        if (Boolean(message.sendAt) === Boolean(message.cron)) {
+            return { valid: false, reason: 'Provide either sendAt or cron' };
+        }
+        if (message.repeat && (!REPEATS.includes(message.repeat) || !message.sendAt)) {
+            return { valid: false, reason: `repeat must be one of ${REPEATS.join(', ')} and needs sendAt` };
+        }
+        if (message.cron && !CronExpression.isValid(message.cron)) {
+            return { valid: false, reason: `Invalid cron expression '${message.cron}'` };
+        }
+        const windowError = SendWindow.validate({ timezone: message.timezone });
+        if (windowError) {
+            return { valid: false, reason: windowError };
+        }
+        if (this.isOneOff(message) && message.status === 'scheduled' && new Date(message.sendAt).getTime() <= now) {
+            return { valid: false, reason: 'sendAt is in the past' };
+        }
+        return { valid: true };
+    }
+
+    isOneOff(message) {
+        return Boolean(message.sendAt) && !message.repeat;
+    }
+
+    // Cron expression for a recurring message; `repeat` is derived from sendAt's local time
+    getExpression(message) {
+        if (message.cron) {
+            return message.cron;
+        }
+        if (!message.repeat) {
+            return null;
+        }
+
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: message.timezone || undefined,
+            month: 'numeric',
+            day: 'numeric',
+            weekday: 'short',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            hourCycle: 'h23'
+        }).formatToParts(new Date(message.sendAt)).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        const time = `${parseInt(parts.second)} ${parseInt(parts.minute)} ${parseInt(parts.hour)}`;
+        switch (message.repeat) {
+            case 'daily':
+                return `${time} * * *`;
+            case 'weekly':
+                return `${time} * * ${parts.weekday.toLowerCase()}`;
+            case 'monthly':
+                return `${time} ${parts.day} * *`;
+            default:
+                return `${time} ${parts.day} ${parts.month} *`;
+        }
+    }
+
+    // Next time the message should go out, or null when it is done or disabled
+    getNextRun(message, from = new Date()) {
+        if (!message.enabled || message.status !== 'scheduled') {
+            return null;
+        }
+        if (this.isOneOff(message)) {
+            return new Date(message.sendAt);
+        }
+        return new CronExpression(this.getExpression(message), message.timezone).next(from);
+    }
+
+    // Latest occurrence between the last handled one and `now`, if any was missed
+    getMissedOccurrence(message, now = new Date()) {
+        if (!message.enabled || message.status !== 'scheduled') {
+            return null;
+        }
+        if (this.isOneOff(message)) {
+            const sendAt = new Date(message.sendAt);
+            return sendAt <= now ? sendAt : null;
+        }
+
+        const cron = new CronExpression(this.getExpression(message), message.timezone);
+        let cursor = new Date(message.lastFireAt || message.createdAt);
+        let missed = null;
+        for (let i = 0; i < MAX_MISSED_SCAN; i++) {
+            const next = cron.next(cursor);
+            if (!next || next > now) {
+                break;
+            }
+            missed = next;
+            cursor = next;
+        }
+        return missed;
+    }
+
+    // Whether a missed occurrence is recent enough to still be sent
+    shouldCatchUp(message, occurrence, now = new Date()) {
+        return message.catchUp && now.getTime() - occurrence.getTime() <= this.catchUpHours * HOUR;
+    }
+
+    // Record the outcome of an occurrence: 'sent', 'skipped', 'failed' or 'missed'
+    async recordRun(id, result, occurrence = new Date(), error = null) {
+        const message = this.messages.get(id);
+        if (!message) {
+            return null;
+        }
+
+        message.lastFireAt = occurrence.getTime();
+        message.lastResult = result;
+        message.lastError = error ? error.message : null;
+        if (result === 'sent') {
+            message.sentCount++;
+            message.lastSentAt = Date.now();
+        }
+        // A one-off message is done after its only occurrence, whatever the outcome
+        if (this.isOneOff(message)) {
+            message.status = result;
+        }
+
+        await this.save();
+        return message;
+    }
+
+    getAll() {
+        return Array.from(this.messages.values());
+    }
+
+    get(id) {
+        return this.messages.get(id) || null;
+    }
+
+    getForRecipient(phoneNumber) {
+        return this.getAll().filter(message => message.phoneNumber === phoneNumber);
+    }
+
+    async add(data) {
+        const message = this.buildMessage(data);
+        const validation = this.validate(message);
+        if (!validation.valid) {
+            throw new Error(validation.reason);
+        }
+
+        this.messages.set(message.id, message);
+        await this.save();
+        logger.info(`Scheduled message ${message.id} added for ${message.phoneNumber}`);
+        return message;
+    }
+
+    async update(id, data) {
+        const existing = this.messages.get(id);
+        if (!existing) {
+            return null;
+        }
+
+        const message = this.buildMessage(data, existing);
+        // Switching between text and prompt clears the other one
+        if (data.text) {
+            message.prompt = null;
+        } else if (data.prompt) {
+            message.text = null;
+        }
+        // Switching to a cron expression drops sendAt and repeat, and the other way round
+        if (data.cron) {
+            message.sendAt = null;
+            message.repeat = null;
+        } else if (data.sendAt) {
+            message.cron = null;
+        }
+
+        const validation = this.validate(message);
+        if (!validation.valid) {
+            throw new Error(validation.reason);
+        }
+
+        this.messages.set(id, message);
+        await this.save();
+        logger.info(`Scheduled message ${id} updated`);
+        return message;
+    }
+
+    async remove(id) {
+        const removed = this.messages.delete(id);
+        if (removed) {
+            await this.save();
+            logger.info(`Scheduled message ${id} removed`);
+        }
+        return removed;
+    }
+}
+
+// Dates without an offset ("2026-09-26T10:00") are local time in the message's timezone
+function parseSendAt(value, timezone) {
+    if (typeof value !== 'string' || !LOCAL_DATE_PATTERN.test(value)) {
+        return new Date(value);
+    }
+    const wall = new Date(`${value.length === 10 ? `${value}T00:00` : value}Z`);
+    return new CronExpression('* * * * *', timezone).fromWallClock(wall) || new Date(value);
+}
+
+// Media attached to a message: a library item `id`, or `tags` to pick an item by when it fires
+// (a string is taken as tags). null for none, 'invalid' when neither is given
+function buildMedia(value) {
+    if (!value) {
+        return null;
+    }
+    const media = typeof value === 'string' ? { tags: value } : value;
+    const tags = Array.isArray(media.tags)
+        ? media.tags
+        : String(media.tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+    if (!media.id && tags.length === 0) {
+        return 'invalid';
+    }
+    return media.id ? { id: media.id, caption: media.caption || null } : { tags, caption: media.caption || null };
+}
+
+ScheduledMessages.REPEATS = REPEATS;
+
+module.exports = ScheduledMessages;
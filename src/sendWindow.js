@@ -0,0 +1,158 @@
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_ALIASES = {
+    sunday: 'sun', domingo: 'sun', dom: 'sun',
+    monday: 'mon', lunes: 'mon', lun: 'mon',
+    tuesday: 'tue', martes: 'tue', mar: 'tue',
+    wednesday: 'wed', miercoles: 'wed', 'miércoles': 'wed', mie: 'wed',
+    thursday: 'thu', jueves: 'thu', jue: 'thu',
+    friday: 'fri', viernes: 'fri', vie: 'fri',
+    saturday: 'sat', sabado: 'sat', 'sábado': 'sat', sab: 'sat'
+};
+const TIME_PATTERN = /^([01]?\d|2[0-4]):([0-5]\d)$/;
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * When a recipient may receive scheduled messages: quiet hours, allowed
+ * weekday/time windows and the recipient's timezone.
+ *
+ *   quietHours:    [{ start: '23:00', end: '08:00' }]
+ *   activeWindows: [{ days: ['mon', 'tue'], start: '09:00', end: '22:00' }]
+ *
+ * Ranges may wrap past midnight. With no active windows every time outside the
+ * quiet hours is allowed.
+ */
+class SendWindow {
+    constructor(settings = {}) {
+        this.timezone = settings.timezone || null;
+        this.quietHours = settings.quietHours || [];
+        this.activeWindows = settings.activeWindows || [];
+        this.policy = settings.outsideWindowPolicy === 'defer' ? 'defer' : 'skip';
+        this.formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.timezone || undefined,
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        });
+    }
+
+    // Local weekday and minute of day in the recipient's timezone
+    getLocalTime(date = new Date()) {
+        const parts = this.formatter.formatToParts(date);
+        const part = (type) => parts.find(entry => entry.type === type).value;
+        const hour = parseInt(part('hour'));
+        const minute = parseInt(part('minute'));
+
+        return {
+            day: part('weekday').toLowerCase().slice(0, 3),
+            hour,
+            minute,
+            minuteOfDay: hour * 60 + minute
+        };
+    }
+
+    // Whether a minute of day falls in a start-end range, which may wrap past midnight
+    static inRange(minuteOfDay, range) {
+        const start = SendWindow.parseTime(range.start);
+        const end = SendWindow.parseTime(range.end);
+        return start <= end
+            ? minuteOfDay >= start && minuteOfDay < end
+            : minuteOfDay >= start || minuteOfDay < end;
+    }
+
+    static parseTime(value) {
+        const match = TIME_PATTERN.exec(String(value || '').trim());
+        if (!match) {
+            throw new Error(`Invalid time '${value}', expected HH:MM`);
+        }
+        return Math.min(parseInt(match[1]) * 60 + parseInt(match[2]), MINUTES_PER_DAY);
+    }
+
+    static normalizeDay(day) {
+        const key = String(day).trim().toLowerCase();
+        return DAY_NAMES.includes(key) ? key : DAY_ALIASES[key] || null;
+    }
+
+    isQuiet(date = new Date()) {
+        const { minuteOfDay } = this.getLocalTime(date);
+        return this.quietHours.some(range => SendWindow.inRange(minuteOfDay, range));
+    }
+
+    isInActiveWindow(date = new Date()) {
+        if (this.activeWindows.length === 0) {
+            return true;
+        }
+
+        const { day, minuteOfDay } = this.getLocalTime(date);
+        return this.activeWindows.some(window => {
+            const start = SendWindow.parseTime(window.start || '00:00');
+            const end = SendWindow.parseTime(window.end || '24:00');
+            // For windows that wrap past midnight the early-morning part belongs to the previous day
+            const windowDay = start > end && minuteOfDay < end
+                ? DAY_NAMES[(DAY_NAMES.indexOf(day) + 6) % 7]
+                : day;
+            const days = (window.days || DAY_NAMES).map(SendWindow.normalizeDay);
+            return days.includes(windowDay) && SendWindow.inRange(minuteOfDay, { start: window.start || '00:00', end: window.end || '24:00' });
+        });
+    }
+
+    isOpen(date = new Date()) {
+        return !this.isQuiet(date) && this.isInActiveWindow(date);
+    }
+
+    // First minute at or after `date` when sending is allowed (null if never within a week)
+    nextOpening(date = new Date()) {
+        const start = new Date(Math.ceil(date.getTime() / 60000) * 60000);
+        for (let minute = 0; minute <= 8 * MINUTES_PER_DAY; minute++) {
+            const candidate = new Date(start.getTime() + minute * 60000);
+            if (this.isOpen(candidate)) {
+                return candidate;
+            }
+        }
+        return null;
+    }
+
+    // Validate recipient window settings; returns an error message or null
+    static validate(settings = {}) {
+        try {
+            if (settings.timezone) {
+                new Intl.DateTimeFormat('en-US', { timeZone: settings.timezone });
+            }
+        } catch (error) {
+            return `Invalid timezone '${settings.timezone}'`;
+        }
+
+        try {
+            for (const range of [...(settings.quietHours || []), ...(settings.activeWindows || [])]) {
+                SendWindow.parseTime(range.start || '00:00');
+                SendWindow.parseTime(range.end || '24:00');
+            }
+            for (const window of settings.activeWindows || []) {
+                const invalid = (window.days || []).find(day => !SendWindow.normalizeDay(day));
+                if (invalid) {
+                    return `Invalid weekday '${invalid}'`;
+                }
+            }
+        } catch (error) {
+            return error.message;
+        }
+
+        if (settings.outsideWindowPolicy && !['skip', 'defer'].includes(settings.outsideWindowPolicy)) {
+            return "outsideWindowPolicy must be 'skip' or 'defer'";
+        }
+        return null;
+    }
+
+    describe(date = new Date()) {
+        const open = this.isOpen(date);
+        const next = open ? null : this.nextOpening(date);
+        return {
+            timezone: this.timezone,
+            open,
+            policy: this.policy,
+            nextOpening: next ? next.toISOString() : null
+        };
+    }
+}
+
+module.exports = SendWindow;
@@ -0,0 +1,265 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+
+const HOLIDAYS_DIR = path.join(__dirname, 'holidays');
+const DAY = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTHS = {
+    enero: 1, febrero: 2, marzo: 3, abril: 4, mayo: 5, junio: 6, julio: 7, agosto: 8,
+    septiembre: 9, setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12,
+    january: 1, february: 2, march: 3, april: 4, may: 5, june: 6, july: 7, august: 8,
+    september: 9, october: 10, november: 11, december: 12,
+    jan: 1, feb: 2, mar: 3, apr: 4, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12
+};
+
+/**
+ * Calendar of significant dates for a recipient: the relationship's
+ * anniversary and monthiversaries (profile `recipient.relationshipStart`), her
+ * birthday (`recipient.birthday`), the profile's own `specialDates` and the
+ * public holidays of the recipient's country (src/holidays/<CC>.json).
+ *
+ * Themed dates can trigger a dedicated message on the day; which recipients
+ * already got one is kept in data/special-dates.json so it is sent only once.
+ */
+class SpecialDates {
+    constructor(dataDir = './data', options = {}) {
+        this.dataDir = dataDir;
+        this.stateFile = path.join(dataDir, 'special-dates.json');
+        this.lookaheadDays = options.lookaheadDays ?? 3;
+        this.celebrated = {}; // phoneNumber -> { day, occasions, sentAt }
+        this.holidayCache = new Map(); // country -> holiday rules
+        this.dayFormatters = new Map(); // timezone -> Intl.DateTimeFormat
+    }
+
+    async load() {
+        try {
+            if (await fs.pathExists(this.stateFile)) {
+                const data = await fs.readJson(this.stateFile);
+                this.celebrated = data.celebrated || {};
+            }
+        } catch (error) {
+            logger.error('Failed to load special dates state:', error);
+        }
+    }
+
+    async save() {
+        try {
+            await fs.ensureDir(this.dataDir);
+            await fs.writeJson(this.stateFile, {
+                metadata: {
+                    version: '1.0',
+                    lastUpdated: Date.now()
+                },
+                celebrated: this.celebrated
+            }, { spaces: 2 });
+        } catch (error) {
+            logger.error('Failed to save special dates state:', error);
+        }
+    }
+
+    // Parse "26 de septiembre", "September 26, 2023", "2023-09-26", "09-26" or "26/09/2023"
+    static parseDate(text) {
+        const value = String(text || '').trim().toLowerCase();
+        let match;
+        let year = null;
+        let month;
+        let day;
+
+        if ((match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value))) {
+            [year, month, day] = match.slice(1).map(Number);
+        } else if ((match = /^(\d{1,2})-(\d{1,2})$/.exec(value))) {
+            [month, day] = match.slice(1).map(Number);
+        } else if ((match = /^(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?$/.exec(value))) {
+            day = Number(match[1]);
+            month = Number(match[2]);
+            year = match[3] ? Number(match[3]) : null;
+        } else if ((match = /^(\d{1,2})\s+(?:de\s+)?([a-záéíóú]+)(?:,?\s+(?:del?\s+)?(\d{4}))?$/.exec(value))) {
+            day = Number(match[1]);
+            month = MONTHS[match[2]];
+            year = match[3] ? Number(match[3]) : null;
+        } else if ((match = /^([a-z]+)\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?$/.exec(value))) {
+            month = MONTHS[match[1]];
+            day = Number(match[2]);
+            year = match[3] ? Number(match[3]) : null;
+        }
+
+        if (!month || month > 12 || !day || day > 31) {
+            return null;
+        }
+        return { year, month, day };
+    }
+
+    static getSupportedCountries() {
+        try {
+            return fs.readdirSync(HOLIDAYS_DIR)
+                .filter(file => file.endsWith('.json'))
+                .map(file => path.basename(file, '.json'));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    loadHolidays(country) {
+        const code = String(country || '').toUpperCase();
+        if (!code) {
+            return [];
+        }
+
+        if (!this.holidayCache.has(code)) {
+            const file = path.join(HOLIDAYS_DIR, `${code}.json`);
+            try {
+                this.holidayCache.set(code, fs.pathExistsSync(file) ? fs.readJsonSync(file).holidays || [] : []);
+            } catch (error) {
+                logger.error(`Failed to load holidays for ${code}:`, error);
+                this.holidayCache.set(code, []);
+            }
+        }
+        return this.holidayCache.get(code);
+    }
+
+    // Local calendar day in a timezone, as a UTC midnight Date (so day arithmetic is exact)
+    localDay(date, timezone) {
+        const key = timezone || '';
+        if (!this.dayFormatters.has(key)) {
+            this.dayFormatters.set(key, new Intl.DateTimeFormat('en-CA', {
+                timeZone: timezone || undefined,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit'
+            }));
+        }
+        return new Date(`${this.dayFormatters.get(key).format(date)}T00:00:00Z`);
+    }
+
+    static dayKey(day) {
+        return day.toISOString().slice(0, 10);
+    }
+
+    // Whether a holiday rule falls on a day: fixed "MM-DD", Easter offsets or the nth weekday of a month
+    static holidayMatches(rule, day) {
+        const year = day.getUTCFullYear();
+        let date;
+
+        if (rule.date) {
+            const [month, dayOfMonth] = rule.date.split('-').map(Number);
+            date = Date.UTC(year, month - 1, dayOfMonth);
+        } else if (rule.easter !== undefined) {
+            date = easterSunday(year) + rule.easter * DAY;
+        } else if (rule.month && rule.weekday && rule.nth) {
+            const weekday = WEEKDAYS.indexOf(rule.weekday);
+            if (rule.nth > 0) {
+                const first = new Date(Date.UTC(year, rule.month - 1, 1));
+                date = first.getTime() + (((weekday - first.getUTCDay() + 7) % 7) + (rule.nth - 1) * 7) * DAY;
+            } else {
+                const last = new Date(Date.UTC(year, rule.month, 0));
+                date = last.getTime() - (((last.getUTCDay() - weekday + 7) % 7) + (-rule.nth - 1) * 7) * DAY;
+            }
+        } else {
+            return false;
+        }
+        return date === day.getTime();
+    }
+
+    // Special dates falling on one calendar day
+    getDatesOn(day, profile, country = null) {
+        const dates = [];
+        const recipient = (profile && profile.recipient) || {};
+        const month = day.getUTCMonth() + 1;
+        const dayOfMonth = day.getUTCDate();
+        const lastDayOfMonth = new Date(Date.UTC(day.getUTCFullYear(), month, 0)).getUTCDate();
+        // A date on the 31st is celebrated on the last day of shorter months
+        const sameDayOfMonth = (date) => date.day === dayOfMonth || (date.day > lastDayOfMonth && dayOfMonth === lastDayOfMonth);
+        const yearsSince = (date) => (date.year ? day.getUTCFullYear() - date.year : null);
+
+        const start = SpecialDates.parseDate(recipient.relationshipStart);
+        if (start && sameDayOfMonth(start)) {
+            const months = start.year ? (day.getUTCFullYear() - start.year) * 12 + (month - start.month) : null;
+            if (months === null || months > 0) {
+                dates.push(month === start.month
+                    ? { type: 'anniversary', years: yearsSince(start), themed: true }
+                    : { type: 'monthiversary', months, themed: true });
+            }
+        }
+
+        const birthday = SpecialDates.parseDate(recipient.birthday);
+        if (birthday && birthday.month === month && sameDayOfMonth(birthday)) {
+            dates.push({ type: 'birthday', years: yearsSince(birthday), themed: true });
+        }
+
+        for (const entry of (profile && profile.specialDates) || []) {
+            const date = SpecialDates.parseDate(entry.date);
+            if (date && date.month === month && sameDayOfMonth(date)) {
+                dates.push({ type: 'custom', name: entry.name, years: yearsSince(date), themed: entry.themed !== false });
+            }
+        }
+
+        for (const holiday of this.loadHolidays(country)) {
+            if (SpecialDates.holidayMatches(holiday, day)) {
+                dates.push({ type: 'holiday', name: holiday.name, themed: holiday.themed === true });
+            }
+        }
+
+        return dates.map(date => ({ ...date, date: SpecialDates.dayKey(day) }));
+    }
+
+    // Today's special dates and the ones in the next `lookaheadDays` days, in the recipient's timezone
+    getDates(profile, options = {}) {
+        const today = this.localDay(options.date || new Date(), options.timezone);
+        const upcoming = [];
+
+        for (let offset = 1; offset <= this.lookaheadDays; offset++) {
+            const day = new Date(today.getTime() + offset * DAY);
+            this.getDatesOn(day, profile, options.country).forEach(date => upcoming.push({ ...date, inDays: offset }));
+        }
+
+        return {
+            day: SpecialDates.dayKey(today),
+            today: this.getDatesOn(today, profile, options.country),
+            upcoming
+        };
+    }
+
+    // Whether the recipient already got a themed message for `day`
+    wasCelebrated(phoneNumber, day) {
+        const entry = this.celebrated[phoneNumber];
+        return Boolean(entry && entry.day === day);
+    }
+
+    async markCelebrated(phoneNumber, day, occasions) {
+        this.celebrated[phoneNumber] = {
+            day,
+            occasions: occasions.map(occasion => occasion.name || occasion.type),
+            sentAt: Date.now()
+        };
+        await this.save();
+    }
+
+    forget(phoneNumber) {
+        if (this.celebrated[phoneNumber]) {
+            delete this.celebrated[phoneNumber];
+            this.save();
+        }
+    }
+}
+
+// Easter Sunday (Gregorian, anonymous algorithm) as a UTC timestamp
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return Date.UTC(year, month - 1, day);
+}
+
+module.exports = SpecialDates;
@@ -0,0 +1,197 @@
+/**
+ * Parser for WhatsApp's "Export chat" text files, in both layouts:
+ *
+ *   Android  3/8/2025, 1:31 p. m. - Dulce: Hola
+ *            08/03/25 13:31 - Dulce: Hola
+ *   iOS      [3/8/25, 1:31:05 PM] Dulce: Hola
+ *
+ * Lines without a date continue the previous message; lines without a sender
+ * (the encryption notice, group events) are skipped. Media placeholders
+ * become the history's media bodies ("<Multimedia omitido>" -> "[Non-text
+ * message]", "audio omitted" -> "[Voice message]"). Dates are read as
+ * day/month unless a day above 12 shows the file is month/day, or
+ * `dateOrder` says otherwise; times are wall-clock times in `timezone` (the
+ * server's when not given).
+ */
+
+const CronExpression = require('./cronExpression');
+
+const SPACE = '[\\s\\u00a0\\u202f]';
+const DATE = '(\\d{1,4})[./-](\\d{1,2})[./-](\\d{1,4})';
+const TIME = `(\\d{1,2})[:.](\\d{2})(?:[:.](\\d{2}))?(?:${SPACE}*([aApP])\\.?${SPACE}*[mM]\\.?)?`;
+const ANDROID_LINE = new RegExp(`^${DATE},?${SPACE}+${TIME}${SPACE}+-${SPACE}+([\\s\\S]*)$`);
+const IOS_LINE = new RegExp(`^\\[${DATE},?${SPACE}+${TIME}\\]${SPACE}+([\\s\\S]*)$`);
+const DATE_ORDERS = ['dmy', 'mdy', 'ymd'];
+
+// Invisible marks WhatsApp puts around names and attachments
+const MARKS = /[\u200e\u200f\u202a-\u202e]/g;
+const EDITED = /\s*<(?:This message was edited|Se editó este mensaje\.?|Mensaje editado)>$/i;
+
+// Omitted media, by language ("<Media omitted>", "image omitted", "audio omitido")
+const OMITTED = [
+    { pattern: /^<(?:media omitted|multimedia omitido|archivo omitido)>$/i, body: '[Non-text message]', type: 'media' },
+    { pattern: /^(?:image|imagen) (?:omitted|omitida)$/i, body: '[Image]', type: 'image' },
+    { pattern: /^audio (?:omitted|omitido)$/i, body: '[Voice message]', type: 'ptt' },
+    { pattern: /^sticker (?:omitted|omitido)$/i, body: '[Sticker]', type: 'sticker' },
+    { pattern: /^(?:video|vídeo) (?:omitted|omitido)$/i, body: '[Video]', type: 'video' },
+    { pattern: /^gif (?:omitted|omitido)$/i, body: '[Gif]', type: 'video' },
+    { pattern: /^(?:document|documento) (?:omitted|omitido)$/i, body: '[Document]', type: 'document' }
+];
+
+// Attachments included in the export, by WhatsApp's file names
+const ATTACHMENTS = [
+    { pattern: /(?:PHOTO|IMG)-/i, body: () => '[Image]', type: 'image' },
+    { pattern: /(?:AUDIO|PTT|AUD)-/i, body: () => '[Voice message]', type: 'ptt' },
+    { pattern: /(?:STICKER|STK)-/i, body: () => '[Sticker]', type: 'sticker' },
+    { pattern: /(?:GIF)-/i, body: () => '[Gif]', type: 'video' },
+    { pattern: /(?:VIDEO|VID)-/i, body: () => '[Video]', type: 'video' },
+    { pattern: /./, body: name => `[Document: ${name}]`, type: 'document' }
+];
+const ATTACHED_IOS = /^<(?:attached|adjunto):\s*([^>]+)>$/i;
+const ATTACHED_ANDROID = /^(\S+\.\w{2,5}) \((?:file attached|archivo adjunto)\)$/i;
+
+function parseHeader(line) {
+    const clean = line.replace(MARKS, '');
+    const match = clean.match(IOS_LINE) || clean.match(ANDROID_LINE);
+    if (!match) {
+        return null;
+    }
+    const [, a, b, c, hours, minutes, seconds, meridiem, rest] = match;
+    return {
+        date: [Number(a), Number(b), Number(c)],
+        yearFirst: a.length === 4,
+        hours: Number(hours),
+        minutes: Number(minutes),
+        seconds: seconds !== undefined ? Number(seconds) : null,
+        meridiem: meridiem ? meridiem.toLowerCase() : null,
+        layout: clean.startsWith('[') ? 'ios' : 'android',
+        rest
+    };
+}
+
+// Day/month or month/day: whichever the dates in the file allow, `fallback` when both fit
+function detectDateOrder(headers, fallback = 'dmy') {
+    if (headers.some(header => header.yearFirst)) {
+        return 'ymd';
+    }
+    if (headers.some(header => header.date[0] > 12)) {
+        return 'dmy';
+    }
+    if (headers.some(header => header.date[1] > 12)) {
+        return 'mdy';
+    }
+    return fallback;
+}
+
+// The instant of a header's date and time on `clock`'s wall clock. A time skipped by a DST
+// change can't be in an export, but is read as the hour after rather than dropped
+function toTimestamp(header, dateOrder, clock) {
+    const [a, b, c] = header.date;
+    let [year, month, day] = dateOrder === 'ymd' ? [a, b, c] : (dateOrder === 'mdy' ? [c, a, b] : [c, b, a]);
+    if (year < 100) {
+        year += 2000;
+    }
+
+    let hours = header.hours;
+    if (header.meridiem === 'p' && hours < 12) {
+        hours += 12;
+    } else if (header.meridiem === 'a' && hours === 12) {
+        hours = 0;
+    }
+    const wall = new Date(Date.UTC(year, month - 1, day, hours, header.minutes, header.seconds || 0));
+    return (clock.fromWallClock(wall) || clock.fromWallClock(new Date(wall.getTime() + 60 * 60 * 1000))).getTime();
+}
+
+// Body and WhatsApp type of a message text, turning media placeholders into history bodies
+function parseBody(text) {
+    const body = text.replace(MARKS, '').trim().replace(EDITED, '');
+
+    const omitted = OMITTED.find(entry => entry.pattern.test(body));
+    if (omitted) {
+        return { body: omitted.body, type: omitted.type };
+    }
+
+    const attached = body.match(ATTACHED_IOS) || body.match(ATTACHED_ANDROID);
+    if (attached) {
+        const name = attached[1].trim();
+        const entry = ATTACHMENTS.find(attachment => attachment.pattern.test(name));
+        return { body: entry.body(name), type: entry.type };
+    }
+
+    return { body, type: 'chat' };
+}
+
+/**
+ * Parse an exported chat. `me` is our name in the file (the other sender is
+ * the contact), `timezone` the IANA timezone the phone showed times in.
+ * Returns { messages, participants, layout, dateOrder,
+ * hasSeconds, skipped } where messages are { timestamp, sender, fromMe,
+ * body, type, isVoiceMessage } in file order.
+ */
+function parseChat(text, options = {}) {
+    let clock;
+    try {
+        clock = new CronExpression('* * * * *', options.timezone || null);
+    } catch (error) {
+        throw new Error(`Invalid timezone '${options.timezone}'`);
+    }
+
+    const entries = [];
+    let skipped = 0;
+
+    for (const line of String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/)) {
+        const header = parseHeader(line);
+        if (header) {
+            entries.push({ header, text: header.rest });
+        } else if (entries.length > 0) {
+            entries[entries.length - 1].text += `\n${line}`;
+        } else if (line.trim()) {
+            skipped++;
+        }
+    }
+
+    const headers = entries.map(entry => entry.header);
+    const dateOrder = options.dateOrder || detectDateOrder(headers);
+    const participants = {};
+    const messages = [];
+
+    for (const { header, text: entryText } of entries) {
+        const separator = entryText.indexOf(': ');
+        if (separator === -1) {
+            skipped++; // Encryption notice, security code changes, group events
+            continue;
+        }
+
+        const sender = entryText.substring(0, separator).replace(MARKS, '').trim();
+        const { body, type } = parseBody(entryText.substring(separator + 2));
+        if (!body) {
+            skipped++;
+            continue;
+        }
+
+        participants[sender] = (participants[sender] || 0) + 1;
+        messages.push({
+            timestamp: toTimestamp(header, dateOrder, clock),
+            sender,
+            fromMe: options.me ? sender === options.me : null,
+            body,
+            type,
+            isVoiceMessage: type === 'ptt'
+        });
+    }
+
+    return {
+        messages,
+        participants,
+        layout: headers.length > 0 ? headers[0].layout : null,
+        dateOrder,
+        hasSeconds: headers.length > 0 && headers.every(header => header.seconds !== null),
+        skipped
+    };
+}
+
+module.exports = {
+    DATE_ORDERS,
+    parseChat,
+    parseBody
+};
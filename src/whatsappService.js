@@ -191,6 +191,7 @@ class WhatsAppService extends EventEmitter {
             this.qrCodeGenerated = false;
             this.qrCodeData = null;
             this.qrCodeImage = null;
+            this.emit('ready');
         });
 
         this.client.on('authenticated', () => {
@@ -206,6 +207,7 @@ class WhatsAppService extends EventEmitter {
             logger.warn('WhatsApp Client disconnected:', reason);
             this.isReady = false;
             this.qrCodeGenerated = false;
+            this.emit('disconnected', reason);
         });
 
         this.client.on('loading_screen', (percent, message) => {
@@ -224,9 +226,10 @@ class WhatsAppService extends EventEmitter {
                     const contact = await message.getContact();
                     const phoneNumber = contact.number;
                     
-                    logger.info(`📨 Incoming message from ${phoneNumber}: ${message.body}`);
+                    logger.info(`📨 Incoming ${message.hasMedia ? `${message.type} ` : ''}message from ${phoneNumber}: ${message.body}`);
                     
-                    // Emit event for the app to handle
+                    // Emit event for the app to handle. Media is only downloaded when the
+                    // app asks for it (downloadMedia resolves with a MessageMedia)
                     this.emit('incomingMessage', {
                         id: message.id._serialized,
                         body: message.body,
@@ -235,6 +238,9 @@ class WhatsAppService extends EventEmitter {
                         timestamp: message.timestamp,
                         fromMe: message.fromMe,
                         type: message.type,
+                        hasMedia: message.hasMedia,
+                        duration: message.duration || null,
+                        downloadMedia: message.hasMedia ? () => message.downloadMedia() : null,
                         phoneNumber: phoneNumber
                     });
                 }
@@ -310,6 +316,41 @@ class WhatsAppService extends EventEmitter {
         }
     }
 
+    // Send an image (with an optional caption), sticker, GIF or document
+    async sendMedia(phoneNumber, filePath, options = {}) {
+        try {
+            if (!this.isReady) {
+                throw new Error('WhatsApp client is not ready');
+            }
+
+            const chatId = phoneNumber.includes('@c.us') ? phoneNumber : `${phoneNumber}@c.us`;
+            const kind = options.kind || 'image';
+
+            logger.info(`Sending ${kind} to ${phoneNumber}`);
+
+            const media = MessageMedia.fromFilePath(filePath);
+            const sendOptions = {};
+            if (options.caption && kind !== 'sticker') {
+                sendOptions.caption = options.caption;
+            }
+            if (kind === 'sticker') {
+                sendOptions.sendMediaAsSticker = true;
+            } else if (kind === 'gif') {
+                sendOptions.sendVideoAsGif = true;
+            } else if (kind === 'document') {
+                sendOptions.sendMediaAsDocument = true;
+            }
+
+            const result = await this.client.sendMessage(chatId, media, sendOptions);
+            logger.info(`${kind} sent successfully to ${phoneNumber}`);
+
+            return result;
+        } catch (error) {
+            logger.error(`Error sending media to ${phoneNumber}:`, error);
+            throw error;
+        }
+    }
+
     async sendMessageWithVoice(phoneNumber, textMessage, audioFilePath) {
         try {
             if (!this.isReady) {
@@ -0,0 +1,96 @@
+// Test script for the approval queue: review actions and what happens to drafts at their deadline
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ApprovalQueue = require('./src/approvalQueue');
+
+let failures = 0;
+
+function check(description, condition) {
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+        failures++;
+    }
+}
+
+const MINUTE = 60 * 1000;
+
+async function testApprovalQueue() {
+    console.log('🧪 Testing the approval queue...\n');
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'drafts-'));
+
+    try {
+        const outcomes = [];
+        const timedOut = [];
+        const queue = new ApprovalQueue(dataDir, {
+            // Sends the draft, like app.js, unless an outcome (defer or expire) is lined up
+            onTimeout: async (draft) => {
+                timedOut.push(draft.id);
+                const outcome = outcomes.shift() || null;
+                if (!outcome) {
+                    queue.claim(draft.id);
+                    await queue.complete(draft.id, { status: 'approved', reviewedBy: 'timeout' });
+                }
+                return outcome;
+            }
+        });
+        const expire = { timeoutMinutes: 60, onTimeout: 'expire' };
+        const send = { timeoutMinutes: 60, onTimeout: 'send' };
+        const later = () => Date.now() + 61 * MINUTE;
+
+        console.log('📝 Review:');
+        const draft = await queue.add({ phoneNumber: '111', text: 'Hola amor', messages: [{ from: 'incoming', body: 'Hola', timestamp: 1 }] }, expire);
+        check('a draft waits for review', queue.hasPending('111') && draft.context.length === 1);
+        const claimed = queue.claim(draft.id);
+        check('a draft can only be claimed once', claimed && !queue.claim(draft.id));
+        await queue.complete(draft.id, { status: 'approved', text: 'Hola mi amor', reviewedBy: 'reviewer' });
+        check('an edited approval keeps the sent text', draft.status === 'approved' && draft.edited && draft.text === 'Hola mi amor');
+
+        const regenerated = await queue.add({ phoneNumber: '111', text: 'Primera' }, expire);
+        const deadline = regenerated.deadline;
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await queue.replace(regenerated.id, { text: 'Segunda' }, expire);
+        check('regenerating swaps the text and restarts the deadline', regenerated.text === 'Segunda' && regenerated.regenerations === 1 && regenerated.deadline > deadline);
+        await queue.reject(regenerated.id, 'muy largo');
+        check('a rejected draft can\'t be replaced', regenerated.status === 'rejected' && !await queue.replace(regenerated.id, { text: 'Tercera' }, expire));
+
+        console.log('\n⏰ Deadlines:');
+        const quiet = await queue.add({ phoneNumber: '222', text: 'Sin revisar' }, expire);
+        await queue.checkDeadlines(Date.now() + 30 * MINUTE);
+        check('nothing happens before the deadline', quiet.status === 'pending');
+        await queue.checkDeadlines(later());
+        check('onTimeout "expire" expires the draft', quiet.status === 'expired' && !timedOut.includes(quiet.id));
+
+        const sent = await queue.add({ phoneNumber: '333', text: 'Se envía' }, send);
+        await queue.checkDeadlines(later());
+        check('onTimeout "send" sends the draft', timedOut.includes(sent.id) && sent.status === 'approved' && sent.reviewedBy === 'timeout');
+
+        const held = await queue.add({ phoneNumber: '444', text: 'Fuera de horario' }, send);
+        const opening = Date.now() + 10 * 60 * MINUTE;
+        outcomes.push({ deferUntil: opening });
+        await queue.checkDeadlines(later());
+        check('outside the send window it waits for the opening', held.status === 'pending' && held.deadline === opening);
+
+        const stale = await queue.add({ phoneNumber: '555', text: 'Sin respuesta' }, send);
+        outcomes.push({ expire: 'Engagement policy: 3 unanswered messages' });
+        await queue.checkDeadlines(later());
+        check('it expires with a reason when it can\'t be sent', stale.status === 'expired' && /Engagement/.test(stale.reason));
+
+        console.log('\n♻️  Restart:');
+        const interrupted = await queue.add({ phoneNumber: '666', text: 'Interrumpido' }, expire);
+        queue.claim(interrupted.id);
+        await queue.save();
+        const reloaded = new ApprovalQueue(dataDir);
+        await reloaded.load();
+        check('an approval cut short is reviewed again', reloaded.get(interrupted.id).status === 'pending');
+        await reloaded.forget('666');
+        check('a removed recipient\'s drafts are dropped', !reloaded.get(interrupted.id));
+    } finally {
+        await fs.remove(dataDir);
+    }
+
+    console.log(failures === 0 ? '\n✨ All checks passed!' : `\n💥 ${failures} check(s) failed`);
+    process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testApprovalQueue();
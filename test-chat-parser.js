@@ -0,0 +1,75 @@
+// Test script for the WhatsApp "Export chat" parser: both layouts, date order detection and clocks
+const { parseChat } = require('./src/whatsappChatParser');
+
+let failures = 0;
+
+function check(description, condition) {
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+        failures++;
+    }
+}
+
+const iso = (message) => message && new Date(message.timestamp).toISOString();
+
+function testChatParser() {
+    console.log('🧪 Testing the WhatsApp chat export parser...\n');
+
+    console.log('🤖 Android, 12-hour clock, day/month:');
+    const android = parseChat([
+        '3/8/2025, 1:31 p. m. - Los mensajes y las llamadas están cifrados de extremo a extremo.',
+        '3/8/2025, 1:31 p. m. - Gms: Aquí estoy',
+        '3/8/2025, 1:32 p. m. - Dulce: Hola',
+        'cómo estás?',
+        '4/8/2025, 12:05 a. m. - Dulce: <Multimedia omitido>',
+        '4/8/2025, 12:10 a. m. - Gms: audio omitido'
+    ].join('\n'), { me: 'Gms', timezone: 'UTC' });
+    check('detects the Android layout', android.layout === 'android');
+    check('reads day/month by default', android.dateOrder === 'dmy');
+    check('reads "p. m." times', iso(android.messages[0]) === '2025-08-03T13:31:00.000Z');
+    check('reads 12 a. m. as midnight', iso(android.messages[2]) === '2025-08-04T00:05:00.000Z');
+    check('skips the encryption notice', android.skipped === 1 && android.messages.length === 4);
+    check('keeps multi-line messages whole', android.messages[1].body === 'Hola\ncómo estás?');
+    check('turns omitted media into history bodies', android.messages[2].body === '[Non-text message]' && android.messages[3].isVoiceMessage);
+    check('marks our own messages', android.messages[0].fromMe === true && android.messages[1].fromMe === false);
+    check('has no seconds', android.hasSeconds === false);
+
+    console.log('\n🤖 Android, 24-hour clock, day above 12:');
+    const android24 = parseChat([
+        '08/03/25 13:31 - Dulce: Hola',
+        '25/03/25 09:05 - Gms: Buenos días'
+    ].join('\n'), { timezone: 'UTC' });
+    check('detects day/month from a day above 12', android24.dateOrder === 'dmy');
+    check('reads 24-hour times and two-digit years', iso(android24.messages[0]) === '2025-03-08T13:31:00.000Z');
+
+    console.log('\n🍏 iOS, 12-hour clock with seconds, month/day:');
+    const ios = parseChat([
+        '[3/8/25, 1:31:05 PM] Dulce: Hola',
+        '[3/25/25, 9:05:00 AM] Gms: \u200e<attached: 00000012-PHOTO-2025-03-25.jpg>',
+        '[3/25/25, 12:00:30 PM] Dulce: Mediodía <This message was edited>'
+    ].join('\n'), { timezone: 'UTC' });
+    check('detects the iOS layout', ios.layout === 'ios');
+    check('detects month/day from a day above 12', ios.dateOrder === 'mdy');
+    check('reads seconds and "PM"', iso(ios.messages[0]) === '2025-03-08T13:31:05.000Z' && ios.hasSeconds);
+    check('reads 12 PM as noon', iso(ios.messages[2]) === '2025-03-25T12:00:30.000Z');
+    check('turns attachments into history bodies', ios.messages[1].body === '[Image]');
+    check('drops the "edited" mark', ios.messages[2].body === 'Mediodía');
+
+    console.log('\n📅 Ambiguous dates and timezones:');
+    const ambiguous = '[3/8/25, 10:00:00 AM] Dulce: Hola';
+    check('keeps day/month for ambiguous dates', iso(parseChat(ambiguous, { timezone: 'UTC' }).messages[0]) === '2025-08-03T10:00:00.000Z');
+    check('follows the dateOrder option', iso(parseChat(ambiguous, { timezone: 'UTC', dateOrder: 'mdy' }).messages[0]) === '2025-03-08T10:00:00.000Z');
+    check('reads times in the given timezone', iso(parseChat(ambiguous, { timezone: 'America/Lima' }).messages[0]) === '2025-08-03T15:00:00.000Z');
+    let error = null;
+    try {
+        parseChat(ambiguous, { timezone: 'Mars/Olympus' });
+    } catch (err) {
+        error = err;
+    }
+    check('rejects an unknown timezone', error && /Invalid timezone/.test(error.message));
+
+    console.log(failures === 0 ? '\n✨ All checks passed!' : `\n💥 ${failures} check(s) failed`);
+    process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testChatParser();
@@ -0,0 +1,44 @@
+// Test script for CronExpression: next fire times, including timezones and DST changes
+const CronExpression = require('./src/cronExpression');
+
+let failures = 0;
+
+function check(description, condition) {
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+        failures++;
+    }
+}
+
+const next = (expression, timezone, from) => {
+    const date = new CronExpression(expression, timezone).next(new Date(from));
+    return date ? date.toISOString() : null;
+};
+
+function testCronExpression() {
+    console.log('🧪 Testing cron expression evaluation...\n');
+
+    console.log('⏰ Fields:');
+    check('steps (*/15) round up to the next quarter hour', next('*/15 * * * *', 'UTC', '2025-06-10T10:07:00Z') === '2025-06-10T10:15:00.000Z');
+    check('is strictly after the start time', next('0 10 * * *', 'UTC', '2025-06-10T10:00:00Z') === '2025-06-11T10:00:00.000Z');
+    check('weekday names (mon)', next('0 9 * * mon', 'UTC', '2025-06-08T12:00:00Z') === '2025-06-09T09:00:00.000Z');
+    check('day of month OR day of week when both are set', next('0 12 13 * 5', 'UTC', '2025-06-07T00:00:00Z') === '2025-06-13T12:00:00.000Z');
+    const seconds = new CronExpression('*/20 * * * * *', 'UTC').nextDates(3, new Date('2025-01-01T00:00:05Z')).map(date => date.toISOString());
+    check('6-field expressions fire on seconds', seconds.join() === '2025-01-01T00:00:20.000Z,2025-01-01T00:00:40.000Z,2025-01-01T00:01:00.000Z');
+    check('rejects out-of-range values and missing fields', !CronExpression.isValid('61 * * * *') && !CronExpression.isValid('* * *'));
+
+    console.log('\n🌎 Timezones:');
+    check('8:00 in Lima is 13:00 UTC', next('0 8 * * *', 'America/Lima', '2025-06-10T14:00:00Z') === '2025-06-11T13:00:00.000Z');
+
+    console.log('\n🕑 DST transitions:');
+    check('9:00 in New York moves from 14:00 to 13:00 UTC when DST starts', next('0 9 * * *', 'America/New_York', '2025-03-08T15:00:00Z') === '2025-03-09T13:00:00.000Z');
+    check('2:30, skipped when clocks spring forward, fires the next day', next('30 2 * * *', 'America/New_York', '2025-03-09T05:00:00Z') === '2025-03-10T06:30:00.000Z');
+    check('the repeated 1:00 when clocks fall back fires once', next('0 * * * *', 'America/New_York', '2025-11-02T04:30:00Z') === '2025-11-02T05:00:00.000Z'
+        && next('0 * * * *', 'America/New_York', '2025-11-02T05:30:00Z') === '2025-11-02T07:00:00.000Z');
+    check('9:00 in Madrid is 8:00 UTC after DST ends', next('0 9 * * *', 'Europe/Madrid', '2025-10-25T12:00:00Z') === '2025-10-26T08:00:00.000Z');
+
+    console.log(failures === 0 ? '\n✨ All checks passed!' : `\n💥 ${failures} check(s) failed`);
+    process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testCronExpression();
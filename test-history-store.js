@@ -0,0 +1,126 @@
+// Test script for the history log store: rollback, replay, compaction, migration and the message cap
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const LogHistoryStore = require('./src/logHistoryStore');
+
+let failures = 0;
+
+function check(description, condition) {
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+        failures++;
+    }
+}
+
+const START = Date.parse('2026-10-19T12:00:00Z');
+
+function message(index, extra = {}) {
+    return {
+        id: `msg_${index}`,
+        messageId: `wa_${index}`,
+        body: `Mensaje ${index}`,
+        from: index % 2 === 0 ? 'outgoing' : 'incoming',
+        timestamp: START + index * 60 * 1000,
+        ...extra
+    };
+}
+
+async function openStore(dataDir, options = {}) {
+    const store = new LogHistoryStore(dataDir, { maxStoredMessages: 5, ...options });
+    await store.load();
+    return store;
+}
+
+async function testHistoryStore() {
+    console.log('🧪 Testing the history log store...\n');
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'history-store-'));
+
+    try {
+        console.log('↩️  Rollback:');
+        let store = await openStore(path.join(dataDir, 'rollback'));
+        await store.insertMessages('111', [message(1)]);
+        const persist = store.persist;
+        store.persist = async () => {
+            throw new Error('disk full');
+        };
+        let error = null;
+        try {
+            await store.insertMessages('111', [message(2)]);
+        } catch (err) {
+            error = err;
+        }
+        check('a failed write rejects', error && error.message === 'disk full');
+        check('the message is gone from memory', store.getMessages('111').length === 1 && !store.getConversation('111').messageIds.has('wa_2'));
+        check('stats are put back', store.getConversation('111').stats.totalMessages === 1);
+        store.persist = persist;
+        const retried = await store.insertMessages('111', [message(2)]);
+        check('a retry goes through, not taken for a duplicate', retried.inserted.length === 1);
+        error = null;
+        store.persist = async () => {
+            throw new Error('disk full');
+        };
+        try {
+            await store.insertMessages('222', [message(3)]);
+        } catch (err) {
+            error = err;
+        }
+        check('a conversation created by a failed write is dropped', error && !store.getConversation('222'));
+
+        console.log('\n📜 Replay:');
+        const replayDir = path.join(dataDir, 'replay');
+        store = await openStore(replayDir);
+        await store.insertMessages('111', [message(1), message(2)]);
+        await store.insertMessages('111', [message(3)]);
+        await store.initializeConversation('111', 'Dulce');
+        store = await openStore(replayDir);
+        check('messages come back in order', store.getMessages('111').map(m => m.id).join() === 'msg_1,msg_2,msg_3');
+        check('the contact name comes back', store.getConversation('111').contact.name === 'Dulce');
+        check('duplicates are still recognized', (await store.insertMessages('111', [message(3)])).inserted.length === 0);
+
+        await fs.appendFile(store.logFile, '{"at": 1, "changes": [{"op": "mess', 'utf8');
+        store = await openStore(replayDir);
+        check('a torn last line is skipped', store.getMessages('111').length === 3);
+        const lines = (await fs.readFile(store.logFile, 'utf8')).trim().split('\n');
+        check('and compacted away', lines.every(line => JSON.parse(line)));
+
+        console.log('\n🗜️  Cap and compaction:');
+        const capDir = path.join(dataDir, 'cap');
+        store = await openStore(capDir, { compactAfter: 3 });
+        for (let i = 1; i <= 12; i++) {
+            await store.insertMessages('111', [message(i)]);
+        }
+        check('only the newest live messages are kept', store.getMessages('111').map(m => m.id).join() === 'msg_8,msg_9,msg_10,msg_11,msg_12');
+        check('stats still count the trimmed ones', store.getConversation('111').stats.totalMessages === 12);
+        check('the log was compacted', store.records < 12);
+        const imported = Array.from({ length: 8 }, (_, i) => message(100 + i, { timestamp: START - (i + 1) * 60 * 1000, metadata: { source: 'import' } }));
+        const result = await store.insertMessages('111', imported);
+        check('imported messages are all kept', result.inserted.length === 8 && result.dropped.length === 0 && store.getMessages('111').length === 13);
+        const old = await store.insertMessages('111', [message(0, { timestamp: START - 60 * 60 * 1000 })]);
+        check('a live message older than the cap is dropped', old.inserted.length === 0 && old.dropped.length === 1);
+        store = await openStore(capDir, { compactAfter: 3 });
+        check('all of it survives a reload', store.getMessages('111').length === 13);
+
+        console.log('\n📦 Migration from conversation_history.json:');
+        const legacyDir = path.join(dataDir, 'legacy');
+        await fs.outputJson(path.join(legacyDir, 'conversation_history.json'), {
+            metadata: { version: '2.0', created: START, lastUpdated: START },
+            conversations: {
+                111: { contact: { phoneNumber: '111', name: 'Dulce' }, messages: [message(2), message(1)] }
+            }
+        });
+        store = await openStore(legacyDir);
+        check('conversations are imported', store.getMessages('111').map(m => m.id).join() === 'msg_1,msg_2');
+        check('the old file is set aside', await fs.pathExists(path.join(legacyDir, 'conversation_history.json.migrated'))
+            && !await fs.pathExists(path.join(legacyDir, 'conversation_history.json')));
+        store = await openStore(legacyDir);
+        check('the log holds them after a restart', store.getConversation('111').contact.name === 'Dulce' && store.getMessages('111').length === 2);
+    } finally {
+        await fs.remove(dataDir);
+    }
+
+    console.log(failures === 0 ? '\n✨ All checks passed!' : `\n💥 ${failures} check(s) failed`);
+    process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testHistoryStore();
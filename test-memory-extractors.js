@@ -0,0 +1,45 @@
+// Test script for the rules memory extractor: kinds, keywords and the day an event refers to
+const { createExtractor, resolveDate } = require('./src/memoryExtractors');
+
+let failures = 0;
+
+function check(description, condition) {
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+        failures++;
+    }
+}
+
+async function testMemoryExtractors() {
+    console.log('🧪 Testing the rules memory extractor...\n');
+
+    // A Monday
+    const today = '2026-10-19';
+
+    console.log('📅 Event dates:');
+    check('"mañana" is tomorrow', resolveDate('Mañana tengo examen', today) === '2026-10-20');
+    check('"pasado mañana" is in two days', resolveDate('Pasado mañana viajo a Cusco', today) === '2026-10-21');
+    check('"esta mañana" is today', resolveDate('Esta mañana tuve el examen', today) === today);
+    check('"mañana en la mañana" is tomorrow', resolveDate('Mañana en la mañana tengo la entrevista', today) === '2026-10-20');
+    check('"el examen de mañana" is tomorrow', resolveDate('Estoy nerviosa por el examen de mañana', today) === '2026-10-20');
+    check('"por la mañana" alone has no day', resolveDate('Tengo entrevista por la mañana', today) === null);
+    check('"hoy" is today', resolveDate('Hoy tengo la exposición', today) === today);
+    check('"tomorrow morning" is tomorrow', resolveDate('I have an interview tomorrow morning', today) === '2026-10-20');
+    check('"this morning" is today', resolveDate('I had the exam this morning', today) === today);
+    check('a weekday is its next occurrence', resolveDate('El viernes es mi parcial', today) === '2026-10-23');
+    check('today\'s weekday is a week ahead', resolveDate('El lunes tengo cita con el doctor', today) === '2026-10-26');
+
+    console.log('\n🧠 Rules extractor:');
+    const extract = createExtractor('rules');
+    const [exam] = await extract('Mañana tengo examen de cálculo y estoy estresada', { today });
+    check('an exam is an event', exam && exam.kind === 'event' && exam.eventDate === '2026-10-20');
+    check('keywords come from every matching rule', exam && exam.keywords.includes('examen') && exam.keywords.includes('estresada'));
+    const [badDay] = await extract('Tuve un mal día en el trabajo', { today });
+    check('a bad day is a thread without a date', badDay && badDay.kind === 'thread' && badDay.eventDate === null);
+    check('small talk is not remembered', (await extract('Hola, ¿cómo estás?', { today })).length === 0);
+
+    console.log(failures === 0 ? '\n✨ All checks passed!' : `\n💥 ${failures} check(s) failed`);
+    process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testMemoryExtractors();
@@ -40,9 +40,11 @@ async function testMessageGenerator() {
         console.log(`"${msg}": ${result.valid ? '✅ VÁLIDO' : '❌ ' + result.reason}`);
     });
     
-    console.log('\n📝 Personal info loaded:');
-    console.log('Pet names:', generator.personalInfo.petNames);
-    console.log('Avoid topics:', generator.personalInfo.avoidTopics);
+    console.log('\n📝 Persona profile loaded:');
+    const profile = generator.getProfile();
+    console.log('Profile:', profile.id);
+    console.log('Pet names:', profile.petNames);
+    console.log('Avoid topics:', profile.forbiddenTopics);
     
     console.log('\n✨ Test completed!');
 }
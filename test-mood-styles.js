@@ -0,0 +1,60 @@
+// Test script for the supportive tone laid over a recipient's style while they seem anxious
+const MessageGenerator = require('./src/messageGenerator');
+const { getFallbackPool } = require('./src/messageStyles');
+
+let failures = 0;
+
+function check(description, condition) {
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+        failures++;
+    }
+}
+
+function testMoodStyles() {
+    console.log('🧪 Testing the supportive tone on top of each style...\n');
+
+    const generator = new MessageGenerator('test-key');
+    const anxious = { conversationContext: { mood: { mood: 'anxious', valence: -0.7, confidence: 1 } } };
+
+    console.log('💼 Professional recipient, anxious:');
+    const professional = generator.resolveSetup({ style: 'professional', ...anxious });
+    const calm = generator.resolveSetup({ style: 'professional' });
+    check('keeps the professional style', professional.style.name === 'professional');
+    check('takes the supportive tone without jokes', professional.style.supportive && !professional.style.humor);
+    check('still forbids pet names and emoticons', professional.style.forbidsPetNames && !professional.style.emoticons);
+    check('keeps the professional length limit', professional.style.maxLength === calm.style.maxLength);
+
+    const validate = (message, setup) => generator.validator.validate(message, {
+        profile: setup.profile,
+        style: setup.style,
+        language: setup.language
+    });
+    const petName = professional.profile.petNames[0];
+    const rejected = validate(`Aquí estoy para lo que necesites, ${petName}`, professional);
+    check(`rejects the pet name "${petName}"`, !rejected.valid && rejected.failures.some(failure => failure.rule === 'no-pet-names'));
+    check('rejects emoji', !validate('Aquí estoy para lo que necesites ❤️', professional).valid);
+    check('accepts a calm message', validate('Aquí estoy para lo que necesites, ¿cómo te sientes?', professional).valid);
+
+    const prompt = generator.generateSystemPrompt([], { ...anxious.conversationContext, messages: [] }, professional);
+    check('the prompt never suggests pet names', !professional.profile.petNames.some(name => prompt.includes(`"${name}"`)));
+
+    const fallbacks = getFallbackPool(professional.style.name, professional.language, 'text', professional.profile, true);
+    check('fallbacks stay professional', fallbacks.every(message => !/te quiero|te amo|love you/i.test(message)));
+
+    console.log('\n😂 Humorous recipient, anxious:');
+    const humorous = generator.resolveSetup({ style: 'humorous', ...anxious });
+    check('rejects laughter', !validate('jajaja tranquilo, todo bien', humorous).valid);
+    check('drops the joking instruction', !/gracioso/i.test(humorous.style.userInstruction));
+    check('uses calm fallbacks', getFallbackPool('humorous', 'spanish', 'text', humorous.profile, true).every(message => !/jaja/i.test(message)));
+
+    console.log('\n💕 Romantic recipient, anxious:');
+    const romantic = generator.resolveSetup({ style: 'romantic', ...anxious });
+    check('still requires a pet name', romantic.style.requiresPetName);
+    check('still rejects laughter', !validate(`jajaja ${romantic.profile.petNames[0]}`, romantic).valid);
+
+    console.log(failures === 0 ? '\n✨ All checks passed!' : `\n💥 ${failures} check(s) failed`);
+    process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testMoodStyles();
@@ -0,0 +1,105 @@
+// Test script for the outbox: immediate sends, retries with backoff, failures, expiry and restarts
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const Outbox = require('./src/outbox');
+
+let failures = 0;
+
+function check(description, condition) {
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+    if (!condition) {
+        failures++;
+    }
+}
+
+async function testOutbox() {
+    console.log('🧪 Testing the outbox...\n');
+    const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+
+    try {
+        let ready = true;
+        let failNext = 0;
+        const sent = [];
+        const confirmed = [];
+        const outbox = new Outbox(dataDir, {
+            send: async (entry) => {
+                if (failNext > 0) {
+                    failNext--;
+                    throw new Error('connection lost');
+                }
+                sent.push(entry.text);
+                return { id: { _serialized: `wa_${sent.length}` } };
+            },
+            isReady: () => ready,
+            onSent: async (entry) => confirmed.push(entry.id),
+            maxAttempts: 3,
+            baseDelaySeconds: 10,
+            ttlHours: 1
+        });
+
+        console.log('📤 Sending:');
+        const first = await outbox.deliver({ phoneNumber: '+51 999 111', text: 'Hola' });
+        check('a message goes out right away', first.status === 'sent' && sent[0] === 'Hola');
+        check('it keeps the WhatsApp id', first.messageId === 'wa_1');
+        check('the phone number is normalized', first.phoneNumber === '51999111');
+        check('onSent is called once it is sent', confirmed.includes(first.id));
+
+        console.log('\n🔁 Retries:');
+        failNext = 1;
+        const retried = await outbox.deliver({ phoneNumber: '111', text: 'Reintento' });
+        check('a failed send stays pending', retried.status === 'pending' && retried.attempts === 1);
+        check('the first retry waits the base delay', Math.round((retried.nextAttemptAt - retried.updatedAt) / 1000) === 10);
+        check('the delay doubles up to the maximum', outbox.getRetryDelay(3) === 40 && outbox.getRetryDelay(20) === outbox.maxDelaySeconds);
+        await outbox.process();
+        check('it is not retried before its time', retried.status === 'pending' && retried.attempts === 1);
+        retried.nextAttemptAt = Date.now();
+        await outbox.process();
+        check('it goes out on a later retry', retried.status === 'sent' && sent.includes('Reintento'));
+
+        failNext = 3;
+        const entry = await outbox.deliver({ phoneNumber: '111', text: 'Nunca' });
+        check('one failed attempt is not final', entry.status === 'pending');
+        for (let i = 0; i < 2; i++) {
+            entry.nextAttemptAt = Date.now();
+            await outbox.process();
+        }
+        check('it fails after maxAttempts', entry.status === 'failed' && entry.lastError === 'connection lost');
+        await outbox.retry(entry.id);
+        while (outbox.processing) { // retry() sends in the background
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        check('a failed message can be queued again', entry.status === 'sent' && sent.includes('Nunca'));
+
+        console.log('\n📴 Disconnected:');
+        ready = false;
+        const queued = await outbox.deliver({ phoneNumber: '111', text: 'Cuando vuelvas' });
+        check('a message waits while WhatsApp is not ready', queued.status === 'pending' && queued.attempts === 0);
+        ready = true;
+        await outbox.process();
+        check('it goes out once WhatsApp is ready', queued.status === 'sent');
+
+        ready = false;
+        const stale = await outbox.deliver({ phoneNumber: '111', text: 'Buenos días' });
+        await outbox.process();
+        stale.expiresAt = Date.now() - 1;
+        await outbox.process();
+        check('a message not sent within the TTL expires', stale.status === 'expired');
+
+        console.log('\n♻️  Restart:');
+        const interrupted = await outbox.enqueue({ phoneNumber: '111', text: 'Interrumpido' });
+        interrupted.status = 'sending';
+        await outbox.save();
+        const reloaded = new Outbox(dataDir, { send: async () => ({}) });
+        await reloaded.load();
+        check('an interrupted send is pending again', reloaded.get(interrupted.id).status === 'pending');
+        check('finished entries are kept', reloaded.get(first.id).status === 'sent');
+    } finally {
+        await fs.remove(dataDir);
+    }
+
+    console.log(failures === 0 ? '\n✨ All checks passed!' : `\n💥 ${failures} check(s) failed`);
+    process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testOutbox();